@@ -101,6 +101,26 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware para exigir un correo verificado cuando las reservas lo requieren
+ * (RESERVATIONS_REQUIRE_VERIFIED_EMAIL=true). Debe usarse después de authenticateToken
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.RESERVATIONS_REQUIRE_VERIFIED_EMAIL !== 'true' || req.user.rol === 'admin') {
+    return next();
+  }
+
+  if (!req.user.correoVerificado) {
+    return res.status(403).json({
+      success: false,
+      message: 'Debes verificar tu correo antes de reservar',
+      codigo: 'CORREO_NO_VERIFICADO'
+    });
+  }
+
+  next();
+};
+
 /**
  * Middleware para verificar si el usuario es propietario del recurso
  * Debe usarse después de authenticateToken
@@ -170,7 +190,8 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Función para generar token JWT
+ * Función para generar token JWT de acceso (de corta duración: la sesión se mantiene
+ * con el token de renovación de la cookie)
  */
 const generateToken = (userId, tokenVersion) => {
   return jwt.sign(
@@ -181,7 +202,7 @@ const generateToken = (userId, tokenVersion) => {
     },
     process.env.JWT_SECRET,
     { 
-      expiresIn: process.env.JWT_EXPIRES_IN || '24h' 
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m' 
     }
   );
 };
@@ -200,6 +221,7 @@ const verifyToken = (token) => {
 module.exports = {
   authenticateToken,
   requireAdmin,
+  requireVerifiedEmail,
   requireOwnership,
   optionalAuth,
   generateToken,
@@ -122,6 +122,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode).json({
     success: false,
     message: error.message,
+    ...(error.codigo && { codigo: error.codigo }),
     ...(error.errors && { errors: error.errors }),
     ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
     timestamp: new Date().toISOString(),
@@ -157,11 +158,13 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 /**
- * Función para crear errores personalizados
+ * Función para crear errores personalizados.
+ * `codigo` es un identificador estable para que el cliente distinga el error sin leer el mensaje.
  */
-const createError = (message, statusCode = 500) => {
+const createError = (message, statusCode = 500, codigo = null) => {
   const error = new Error(message);
   error.statusCode = statusCode;
+  if (codigo) error.codigo = codigo;
   return error;
 };
 
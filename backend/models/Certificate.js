@@ -0,0 +1,143 @@
+/**
+ * Modelo de Certificado
+ * Certificado de finalización emitido al completar una reserva
+ * Guarda una copia de los datos impresos para que la verificación no cambie si se edita el curso
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const certificateSchema = new mongoose.Schema({
+  codigo: {
+    type: String,
+    required: [true, 'El código de verificación es obligatorio'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  reserva: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'La reserva es obligatoria'],
+    unique: true
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es obligatorio']
+  },
+  curso: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'El curso es obligatorio']
+  },
+  nombreParticipante: {
+    type: String,
+    required: [true, 'El nombre del participante es obligatorio'],
+    trim: true
+  },
+  tituloCurso: {
+    type: String,
+    required: [true, 'El título del curso es obligatorio'],
+    trim: true
+  },
+  instructor: {
+    type: String,
+    trim: true
+  },
+  fechaInicio: {
+    type: Date,
+    required: [true, 'La fecha de inicio es obligatoria']
+  },
+  fechaFin: {
+    type: Date,
+    required: [true, 'La fecha de fin es obligatoria']
+  },
+  duracion: {
+    type: Number,
+    min: [0, 'La duración no puede ser negativa']
+  },
+  unidadDuracion: {
+    type: String,
+    enum: {
+      values: ['horas', 'dias'],
+      message: 'La unidad de duración debe ser horas o dias'
+    }
+  },
+  fechaEmision: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+certificateSchema.index({ usuario: 1 });
+
+// Método estático para generar un código de verificación legible (XXXX-XXXX-XXXX)
+certificateSchema.statics.generarCodigo = function() {
+  return crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+};
+
+// Método para obtener los datos públicos que muestra la verificación
+certificateSchema.methods.datosPublicos = function() {
+  return {
+    codigo: this.codigo,
+    nombreParticipante: this.nombreParticipante,
+    tituloCurso: this.tituloCurso,
+    instructor: this.instructor,
+    fechaInicio: this.fechaInicio,
+    fechaFin: this.fechaFin,
+    duracion: this.duracion,
+    unidadDuracion: this.unidadDuracion,
+    fechaEmision: this.fechaEmision
+  };
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Certificate:
+ *       type: object
+ *       properties:
+ *         codigo:
+ *           type: string
+ *           description: Código único de verificación
+ *         nombreParticipante:
+ *           type: string
+ *         tituloCurso:
+ *           type: string
+ *         instructor:
+ *           type: string
+ *         fechaInicio:
+ *           type: string
+ *           format: date-time
+ *         fechaFin:
+ *           type: string
+ *           format: date-time
+ *         duracion:
+ *           type: number
+ *           description: Duración del curso en la unidad indicada
+ *         unidadDuracion:
+ *           type: string
+ *           enum: [horas, dias]
+ *         fechaEmision:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         codigo: "3F9A-01BC-77DE"
+ *         nombreParticipante: "Ana Pérez"
+ *         tituloCurso: "JavaScript Avanzado"
+ *         instructor: "María García"
+ *         fechaInicio: "2024-02-01T09:00:00.000Z"
+ *         fechaFin: "2024-02-15T17:00:00.000Z"
+ *         duracion: 24
+ *         unidadDuracion: "horas"
+ */
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,43 @@
+/**
+ * Modelo de Contador
+ * Secuencias con nombre (p. ej. la numeración anual de facturas). Cada número se toma
+ * con un $inc atómico, así que dos peticiones simultáneas nunca reciben el mismo.
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Nombre de la secuencia, p. ej. "factura-2024"
+  _id: {
+    type: String,
+    required: true
+  },
+  secuencia: {
+    type: Number,
+    min: [0, 'La secuencia no puede ser negativa'],
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Método estático para crear una secuencia partiendo de un valor inicial si aún no existe
+counterSchema.statics.inicializar = function(nombre, valorInicial, session = null) {
+  return this.updateOne(
+    { _id: nombre },
+    { $setOnInsert: { secuencia: valorInicial } },
+    { upsert: true, session }
+  );
+};
+
+// Método estático para tomar el siguiente número de una secuencia (atómico)
+counterSchema.statics.siguiente = async function(nombre, session = null) {
+  const contador = await this.findOneAndUpdate(
+    { _id: nombre },
+    { $inc: { secuencia: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return contador.secuencia;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
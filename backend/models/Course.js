@@ -5,6 +5,91 @@
  */
 
 const mongoose = require('mongoose');
+const {
+  HORAS_DECISION_POR_DEFECTO,
+  cancellationPolicySchema,
+  sessionSchema,
+  combinarFechaHora
+} = require('./courseSubschemas');
+
+// Resultado de la decisión de viabilidad tomada al vencer `fechaDecision`
+const decisionSchema = new mongoose.Schema({
+  resultado: {
+    type: String,
+    enum: {
+      values: ['confirmado', 'cancelado'],
+      message: 'El resultado de la decisión debe ser confirmado o cancelado'
+    },
+    required: true
+  },
+  inscritos: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Tramo de precio: sustituye al precio base mientras se cumplen todas sus condiciones,
+// una ventana de fechas [desde, hasta) y/o las primeras `cupos` plazas vendidas
+const priceTierSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre del tramo de precio es obligatorio'],
+    trim: true,
+    maxlength: [50, 'El nombre del tramo de precio no puede exceder 50 caracteres']
+  },
+  precio: {
+    type: Number,
+    required: [true, 'El precio del tramo es obligatorio'],
+    min: [0, 'El precio del tramo no puede ser negativo']
+  },
+  desde: {
+    type: Date,
+    default: null
+  },
+  hasta: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(val) {
+        return !val || !this.desde || val > this.desde;
+      },
+      message: 'El fin del tramo de precio debe ser posterior a su inicio'
+    }
+  },
+  cupos: {
+    type: Number,
+    min: [1, 'Los cupos del tramo de precio deben ser al menos 1'],
+    default: null
+  }
+}, { _id: false });
+
+// Quiénes pueden ver y reservar un curso privado sin invitación
+const accessListSchema = new mongoose.Schema({
+  correos: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Ingresa un correo válido']
+    }],
+    default: []
+  },
+  // Dominios de correo completos, sin @ (p. ej. "empresa.com")
+  dominios: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^([a-z0-9-]+\.)+[a-z]{2,}$/, 'Ingresa un dominio válido']
+    }],
+    default: []
+  }
+}, { _id: false });
 
 const courseSchema = new mongoose.Schema({
   titulo: {
@@ -71,6 +156,16 @@ const courseSchema = new mongoose.Schema({
     min: [0, 'El precio no puede ser negativo'],
     default: 0
   },
+  tramosPrecio: {
+    type: [priceTierSchema],
+    default: [],
+    validate: {
+      validator: function(tramos) {
+        return tramos.every(tramo => tramo.desde || tramo.hasta || tramo.cupos);
+      },
+      message: 'Cada tramo de precio debe limitarse por fechas o por cupos'
+    }
+  },
   categoria: {
     type: String,
     required: [true, 'La categoría es obligatoria'],
@@ -108,6 +203,95 @@ const courseSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  politicaCancelacion: {
+    type: cancellationPolicySchema,
+    default: () => ({})
+  },
+  sesiones: {
+    type: [sessionSchema],
+    default: [],
+    validate: {
+      validator: function(sesiones) {
+        return sesiones.every(sesion => this.sesionDentroDelRango(sesion));
+      },
+      message: 'Las sesiones deben estar dentro del rango de fechas del curso'
+    }
+  },
+  asistenciaMinima: {
+    type: Number,
+    min: [0, 'La asistencia mínima no puede ser negativa'],
+    max: [100, 'La asistencia mínima no puede exceder 100'],
+    default: 0
+  },
+  cupoMinimo: {
+    type: Number,
+    min: [0, 'El cupo mínimo no puede ser negativo'],
+    default: 0,
+    validate: {
+      validator: function(val) {
+        return val <= this.cupoMaximo;
+      },
+      message: 'El cupo mínimo no puede ser mayor al cupo máximo'
+    }
+  },
+  // Ventana de inscripción: sin apertura se puede reservar desde ya; sin cierre, hasta el inicio
+  inscripcionAbre: {
+    type: Date,
+    default: null
+  },
+  inscripcionCierra: {
+    type: Date,
+    default: null,
+    validate: [
+      {
+        validator: function(val) {
+          return !val || !this.inscripcionAbre || val > this.inscripcionAbre;
+        },
+        message: 'El cierre de inscripciones debe ser posterior a su apertura'
+      },
+      {
+        validator: function(val) {
+          return !val || !this.fechaInicio || val <= this.fechaInicio;
+        },
+        message: 'Las inscripciones deben cerrar antes del inicio del curso'
+      }
+    ]
+  },
+  fechaDecision: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(val) {
+        return !val || !this.fechaInicio || val <= this.fechaInicio;
+      },
+      message: 'La fecha de decisión no puede ser posterior al inicio del curso'
+    }
+  },
+  decision: {
+    type: decisionSchema,
+    default: null
+  },
+  plantilla: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseTemplate',
+    default: null
+  },
+  // publico: aparece en los listados; no_listado: solo con el enlace;
+  // privado: solo con invitación o estando en la lista de acceso
+  visibilidad: {
+    type: String,
+    enum: {
+      values: ['publico', 'no_listado', 'privado'],
+      message: 'La visibilidad debe ser publico, no_listado o privado'
+    },
+    default: 'publico'
+  },
+  // Oculto por defecto: solo lo consultan la administración y las comprobaciones de acceso
+  accesoPrivado: {
+    type: accessListSchema,
+    default: () => ({}),
+    select: false
+  },
   creadoPor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -125,15 +309,28 @@ courseSchema.index({ categoria: 1 });
 courseSchema.index({ instructor: 1 });
 courseSchema.index({ modalidad: 1 });
 courseSchema.index({ creadoPor: 1 });
+courseSchema.index({ plantilla: 1, fechaInicio: 1 });
+courseSchema.index({ estado: 1, fechaDecision: 1 });
+courseSchema.index({ visibilidad: 1, estado: 1, fechaInicio: 1 });
 
 // Virtual para calcular la duración del curso
+// Con sesiones se suman sus horas; sin ellas se cuentan los días entre inicio y fin
 courseSchema.virtual('duracion').get(function() {
+  if (this.sesiones && this.sesiones.length > 0) {
+    const horas = this.sesiones.reduce((total, sesion) => total + sesion.duracionHoras, 0);
+    return Math.round(horas * 100) / 100;
+  }
   if (!this.fechaInicio || !this.fechaFin) return null;
   const duracionMs = this.fechaFin.getTime() - this.fechaInicio.getTime();
   const duracionDias = Math.ceil(duracionMs / (1000 * 60 * 60 * 24));
   return duracionDias;
 });
 
+// Virtual con la unidad en la que se expresa `duracion`
+courseSchema.virtual('unidadDuracion').get(function() {
+  return this.sesiones && this.sesiones.length > 0 ? 'horas' : 'dias';
+});
+
 // Virtual para verificar si el curso está lleno
 courseSchema.virtual('estaLleno').get(function() {
   return this.cupoDisponible === 0;
@@ -147,62 +344,325 @@ courseSchema.virtual('estaActivo').get(function() {
          this.cupoDisponible > 0;
 });
 
+// Virtual con el estado de la ventana de inscripción en este momento
+courseSchema.virtual('estadoInscripcion').get(function() {
+  return this.calcularEstadoInscripcion();
+});
+
 // Virtual para obtener el porcentaje de ocupación
 courseSchema.virtual('porcentajeOcupacion').get(function() {
   if (this.cupoMaximo === 0) return 0;
   return Math.round(((this.cupoMaximo - this.cupoDisponible) / this.cupoMaximo) * 100);
 });
 
-// Método para reservar un cupo
-courseSchema.methods.reservarCupo = function() {
-  if (this.cupoDisponible > 0) {
-    this.cupoDisponible -= 1;
-    return this.save();
+// Virtual con los participantes inscritos (reservas pendientes o confirmadas que ocupan cupo)
+courseSchema.virtual('inscritos').get(function() {
+  if (this.cupoMaximo == null || this.cupoDisponible == null) return null;
+  return this.cupoMaximo - this.cupoDisponible;
+});
+
+// Virtual para saber si el curso corre riesgo de no alcanzar su cupo mínimo
+courseSchema.virtual('enRiesgo').get(function() {
+  return this.estado === 'activo' &&
+         this.cupoMinimo > 0 &&
+         !this.decision &&
+         this.inscritos < this.cupoMinimo;
+});
+
+// Virtual con el precio que pagaría hoy la siguiente reserva
+courseSchema.virtual('precioActual').get(function() {
+  return this.calcularPrecio();
+});
+
+// Virtual con el nombre del tramo de precio vigente (null si rige el precio base)
+courseSchema.virtual('tramoPrecioActual').get(function() {
+  const tramo = this.tramoPrecioAplicable();
+  return tramo ? tramo.nombre : null;
+});
+
+// Virtual con el próximo cambio del precio actual: cuando se agoten los cupos del
+// tramo vigente o, si no depende de cupos, en la próxima fecha en que cambie
+courseSchema.virtual('proximoCambioPrecio').get(function() {
+  if (!this.tramosPrecio || this.tramosPrecio.length === 0) return null;
+
+  const ahora = new Date();
+  const plaza = this.plazaSiguiente();
+  const actual = this.calcularPrecio(ahora, plaza);
+  const tramo = this.tramoPrecioAplicable(ahora, plaza);
+
+  if (tramo && tramo.cupos) {
+    const precio = this.calcularPrecio(ahora, tramo.cupos + 1);
+    if (precio !== actual) {
+      return { precio, fecha: null, cuposRestantes: tramo.cupos - plaza + 1 };
+    }
+  }
+
+  const fechas = this.tramosPrecio
+    .flatMap(t => [t.desde, t.hasta])
+    .filter(fecha => fecha && fecha > ahora)
+    .sort((a, b) => a - b);
+
+  for (const fecha of fechas) {
+    const precio = this.calcularPrecio(fecha, plaza);
+    if (precio !== actual) {
+      return { precio, fecha, cuposRestantes: null };
+    }
+  }
+
+  return null;
+});
+
+// Método con el número de plaza que ocuparía la siguiente reserva
+courseSchema.methods.plazaSiguiente = function() {
+  return (this.inscritos ?? 0) + 1;
+};
+
+// Método para obtener el tramo de precio que rige en `fecha` para la plaza `plaza`
+// Si aplican varios a la vez gana el más barato
+courseSchema.methods.tramoPrecioAplicable = function(fecha = new Date(), plaza = this.plazaSiguiente()) {
+  const aplicables = (this.tramosPrecio || []).filter(tramo =>
+    (!tramo.desde || fecha >= tramo.desde) &&
+    (!tramo.hasta || fecha < tramo.hasta) &&
+    (!tramo.cupos || plaza <= tramo.cupos)
+  );
+  if (aplicables.length === 0) return null;
+  return aplicables.reduce((menor, tramo) => (tramo.precio < menor.precio ? tramo : menor));
+};
+
+// Método para calcular el precio de la plaza `plaza` en `fecha` (sin tramo, el precio base)
+courseSchema.methods.calcularPrecio = function(fecha = new Date(), plaza = this.plazaSiguiente()) {
+  const tramo = this.tramoPrecioAplicable(fecha, plaza);
+  return tramo ? tramo.precio : this.precio;
+};
+
+// Método para saber si alguna plaza del curso es de pago
+courseSchema.methods.esDePago = function() {
+  return this.precio > 0 || (this.tramosPrecio || []).some(tramo => tramo.precio > 0);
+};
+
+// Método para reservar un cupo de forma atómica
+courseSchema.methods.reservarCupo = async function(session = null) {
+  const actualizado = await this.constructor.reservarCupoAtomico(this._id, session);
+  if (!actualizado) {
+    throw new Error('No hay cupos disponibles para este curso');
   }
-  throw new Error('No hay cupos disponibles para este curso');
+  this.cupoDisponible = actualizado.cupoDisponible;
+  this.unmarkModified('cupoDisponible');
+  return this;
 };
 
-// Método para liberar un cupo
-courseSchema.methods.liberarCupo = function() {
-  if (this.cupoDisponible < this.cupoMaximo) {
-    this.cupoDisponible += 1;
-    return this.save();
+// Método para liberar un cupo de forma atómica
+courseSchema.methods.liberarCupo = async function(session = null) {
+  const actualizado = await this.constructor.liberarCupoAtomico(this._id, session);
+  if (!actualizado) {
+    throw new Error('No se puede liberar más cupos');
   }
-  throw new Error('No se puede liberar más cupos');
+  this.cupoDisponible = actualizado.cupoDisponible;
+  this.unmarkModified('cupoDisponible');
+  return this;
+};
+
+// Método para obtener el momento en que se cierran las inscripciones
+courseSchema.methods.cierreInscripcion = function() {
+  return this.inscripcionCierra || this.fechaInicio;
+};
+
+// Método para saber en qué punto de la ventana de inscripción está el curso: proxima, abierta o cerrada
+courseSchema.methods.calcularEstadoInscripcion = function(fecha = new Date()) {
+  if (!this.fechaInicio) return null;
+  if (this.inscripcionAbre && fecha < this.inscripcionAbre) return 'proxima';
+  if (fecha >= this.cierreInscripcion()) return 'cerrada';
+  return 'abierta';
 };
 
 // Método para verificar si se puede reservar
 courseSchema.methods.sePuedeReservar = function() {
-  const ahora = new Date();
   return this.estado === 'activo' && 
-         this.fechaInicio > ahora && 
+         this.calcularEstadoInscripcion() === 'abierta' && 
          this.cupoDisponible > 0;
 };
 
+// Método para saber si un usuario entra en un curso sin necesitar invitación.
+// En cursos privados requiere `accesoPrivado`, que no se carga por defecto.
+courseSchema.methods.permiteAcceso = function(usuario) {
+  if (this.visibilidad !== 'privado') return true;
+  if (!usuario) return false;
+  if (usuario.rol === 'admin') return true;
+  // Las listas de acceso van por correo: uno sin verificar no demuestra pertenecer a nadie
+  if (usuario.correoVerificado === false) return false;
+
+  const acceso = this.accesoPrivado || {};
+  const correo = String(usuario.correo || '').toLowerCase();
+  const dominio = correo.split('@')[1];
+  return (acceso.correos || []).includes(correo) ||
+    (!!dominio && (acceso.dominios || []).includes(dominio));
+};
+
 // Método estático para obtener cursos activos
 courseSchema.statics.findActive = function() {
   const ahora = new Date();
   return this.find({
     estado: 'activo',
+    visibilidad: 'publico',
     fechaInicio: { $gt: ahora },
     cupoDisponible: { $gt: 0 }
   }).sort({ fechaInicio: 1 });
 };
 
+// Método para verificar que una sesión cae dentro del rango de fechas del curso (por día)
+courseSchema.methods.sesionDentroDelRango = function(sesion) {
+  if (!this.fechaInicio || !this.fechaFin) return true;
+  const inicio = combinarFechaHora(sesion.fecha, sesion.horaInicio);
+  const fin = combinarFechaHora(sesion.fecha, sesion.horaFin);
+  if (!inicio || !fin) return true;
+
+  const primerDia = combinarFechaHora(this.fechaInicio, '00:00');
+  const ultimoDia = new Date(combinarFechaHora(this.fechaFin, '00:00').getTime() + 24 * 60 * 60 * 1000);
+  return inicio >= primerDia && fin <= ultimoDia;
+};
+
+// Método para evaluar si una reserva en `estadoReserva` se puede cancelar en `fecha`
+// Devuelve también el porcentaje de reembolso según los tramos de la política
+courseSchema.methods.evaluarCancelacion = function(estadoReserva, fecha = new Date()) {
+  const politica = this.politicaCancelacion || {};
+  const horasLimite = politica.horasLimite ?? 48;
+  const fechaLimite = new Date(this.fechaInicio.getTime() - (horasLimite * 60 * 60 * 1000));
+  const resultado = { permitida: false, motivo: null, porcentajeReembolso: 0, fechaLimite };
+
+  if (estadoReserva === 'pendiente' && politica.permitirPendientes === false) {
+    resultado.motivo = 'Este curso no permite cancelar reservas pendientes';
+    return resultado;
+  }
+
+  if (!['pendiente', 'confirmada'].includes(estadoReserva)) {
+    resultado.motivo = 'Solo se pueden cancelar reservas pendientes o confirmadas';
+    return resultado;
+  }
+
+  if (fecha >= fechaLimite) {
+    resultado.motivo = 'El plazo de cancelación de este curso ha vencido';
+    return resultado;
+  }
+
+  resultado.permitida = true;
+  resultado.porcentajeReembolso = this.calcularPorcentajeReembolso(fecha);
+  return resultado;
+};
+
+// Método para calcular el porcentaje de reembolso según la antelación
+// Sin tramos definidos se reembolsa el 100% dentro del plazo de cancelación
+courseSchema.methods.calcularPorcentajeReembolso = function(fecha = new Date()) {
+  const tramos = (this.politicaCancelacion && this.politicaCancelacion.tramosReembolso) || [];
+  if (tramos.length === 0) return 100;
+
+  const horasRestantes = (this.fechaInicio.getTime() - fecha.getTime()) / (60 * 60 * 1000);
+  const tramo = [...tramos]
+    .sort((a, b) => b.horasAntes - a.horasAntes)
+    .find(t => horasRestantes >= t.horasAntes);
+
+  return tramo ? tramo.porcentaje : 0;
+};
+
+// Método estático para descontar un cupo solo si quedan disponibles ($inc condicional)
+courseSchema.statics.reservarCupoAtomico = function(courseId, session = null) {
+  return this.findOneAndUpdate(
+    { _id: courseId, cupoDisponible: { $gt: 0 } },
+    { $inc: { cupoDisponible: -1 } },
+    { new: true, session }
+  );
+};
+
+// Método estático para devolver un cupo sin superar el cupo máximo
+courseSchema.statics.liberarCupoAtomico = function(courseId, session = null) {
+  return this.findOneAndUpdate(
+    { _id: courseId, $expr: { $lt: ['$cupoDisponible', '$cupoMaximo'] } },
+    { $inc: { cupoDisponible: 1 } },
+    { new: true, session }
+  );
+};
+
+// Método estático para descontar varios cupos a la vez: o se toman todos o ninguno
+courseSchema.statics.reservarCuposAtomico = function(courseId, cantidad, session = null) {
+  return this.findOneAndUpdate(
+    { _id: courseId, cupoDisponible: { $gte: cantidad } },
+    { $inc: { cupoDisponible: -cantidad } },
+    { new: true, session }
+  );
+};
+
+// Método estático para devolver varios cupos sin superar el cupo máximo
+courseSchema.statics.liberarCuposAtomico = function(courseId, cantidad, session = null) {
+  return this.findOneAndUpdate(
+    { _id: courseId, $expr: { $lte: [{ $add: ['$cupoDisponible', cantidad] }, '$cupoMaximo'] } },
+    { $inc: { cupoDisponible: cantidad } },
+    { new: true, session }
+  );
+};
+
+// Método estático para obtener los cursos activos que aún no alcanzan su cupo mínimo
+courseSchema.statics.findEnRiesgo = function() {
+  return this.find({
+    estado: 'activo',
+    cupoMinimo: { $gt: 0 },
+    decision: null,
+    $expr: { $lt: [{ $subtract: ['$cupoMaximo', '$cupoDisponible'] }, '$cupoMinimo'] }
+  }).sort({ fechaDecision: 1 });
+};
+
+// Filtro de las ediciones equivalentes a un curso: las de su misma plantilla
+// o, si no se generó desde una plantilla, las de su misma categoría
+const filtroEdicionesEquivalentes = (course) => {
+  return course.plantilla
+    ? { plantilla: course.plantilla }
+    : { plantilla: null, categoria: course.categoria };
+};
+
+// Método para verificar si otro curso es una edición equivalente a este
+courseSchema.methods.esEdicionEquivalente = function(otro) {
+  return this.plantilla
+    ? !!otro.plantilla && otro.plantilla.equals(this.plantilla)
+    : !otro.plantilla && otro.categoria === this.categoria;
+};
+
+// Método estático para obtener las otras ediciones abiertas a las que se puede mover una reserva
+courseSchema.statics.findEdicionesAlternativas = function(course) {
+  return this.find({
+    ...filtroEdicionesEquivalentes(course),
+    _id: { $ne: course._id },
+    estado: 'activo',
+    fechaInicio: { $gt: new Date() },
+    cupoDisponible: { $gt: 0 }
+  }).sort({ fechaInicio: 1 });
+};
+
 // Método estático para obtener cursos por categoría
 courseSchema.statics.findByCategory = function(categoria) {
   return this.find({ 
     categoria: categoria,
-    estado: 'activo'
+    estado: 'activo',
+    visibilidad: 'publico'
   }).sort({ fechaInicio: 1 });
 };
 
+// Middleware para fijar la fecha de decisión por defecto cuando hay cupo mínimo
+courseSchema.pre('validate', function(next) {
+  if (this.cupoMinimo > 0 && !this.fechaDecision && this.fechaInicio) {
+    this.fechaDecision = new Date(this.fechaInicio.getTime() - HORAS_DECISION_POR_DEFECTO * 60 * 60 * 1000);
+  }
+  next();
+});
+
 // Middleware para actualizar cupo disponible automáticamente
 courseSchema.pre('save', function(next) {
   // Si es un nuevo curso, inicializar cupo disponible
   if (this.isNew && !this.cupoDisponible) {
     this.cupoDisponible = this.cupoMaximo;
   }
+
+  // Mantener las sesiones en orden cronológico
+  if (this.isModified('sesiones')) {
+    this.sesiones.sort((a, b) => a.fechaHoraInicio - b.fechaHoraInicio);
+  }
   next();
 });
 
@@ -211,6 +671,40 @@ courseSchema.pre('save', function(next) {
  * @swagger
  * components:
  *   schemas:
+ *     CourseSession:
+ *       type: object
+ *       required:
+ *         - fecha
+ *         - horaInicio
+ *         - horaFin
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID de la sesión
+ *         fecha:
+ *           type: string
+ *           format: date
+ *           description: Día de la sesión
+ *         horaInicio:
+ *           type: string
+ *           pattern: '^([01]\d|2[0-3]):[0-5]\d$'
+ *           description: Hora de inicio (HH:mm, UTC)
+ *         horaFin:
+ *           type: string
+ *           pattern: '^([01]\d|2[0-3]):[0-5]\d$'
+ *           description: Hora de fin (HH:mm, UTC)
+ *         sala:
+ *           type: string
+ *           maxLength: 100
+ *         instructor:
+ *           type: string
+ *           maxLength: 100
+ *           description: Instructor de la sesión si difiere del instructor del curso
+ *       example:
+ *         fecha: "2024-02-06"
+ *         horaInicio: "18:00"
+ *         horaFin: "20:00"
+ *         sala: "Aula 3"
  *     Course:
  *       type: object
  *       required:
@@ -260,8 +754,63 @@ courseSchema.pre('save', function(next) {
  *         precio:
  *           type: number
  *           minimum: 0
- *           description: Precio del curso
+ *           description: Precio base del curso (rige cuando no aplica ningún tramo)
  *           default: 0
+ *         tramosPrecio:
+ *           type: array
+ *           description: >
+ *             Tramos de precio por fechas (early-bird, tardío) o por plazas vendidas. Un tramo
+ *             aplica mientras se cumplen todas sus condiciones; si aplican varios gana el más barato.
+ *           items:
+ *             type: object
+ *             required:
+ *               - nombre
+ *               - precio
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 maxLength: 50
+ *               precio:
+ *                 type: number
+ *                 minimum: 0
+ *               desde:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               hasta:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Fin del tramo (excluido)
+ *               cupos:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: El tramo aplica a las primeras N plazas vendidas
+ *         precioActual:
+ *           type: number
+ *           readOnly: true
+ *           description: Precio que pagaría ahora la siguiente reserva
+ *         tramoPrecioActual:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: Nombre del tramo vigente (null si rige el precio base)
+ *         proximoCambioPrecio:
+ *           type: object
+ *           nullable: true
+ *           readOnly: true
+ *           description: Próximo cambio del precio actual, por fecha o al agotarse los cupos del tramo
+ *           properties:
+ *             precio:
+ *               type: number
+ *             fecha:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             cuposRestantes:
+ *               type: integer
+ *               nullable: true
  *         categoria:
  *           type: string
  *           description: Categoría del curso
@@ -292,6 +841,121 @@ courseSchema.pre('save', function(next) {
  *         imagen:
  *           type: string
  *           description: URL de la imagen del curso
+ *         politicaCancelacion:
+ *           type: object
+ *           description: Política de cancelación del curso
+ *           properties:
+ *             horasLimite:
+ *               type: number
+ *               minimum: 0
+ *               default: 48
+ *               description: Horas antes del inicio hasta las que se puede cancelar
+ *             permitirPendientes:
+ *               type: boolean
+ *               default: true
+ *               description: Si las reservas pendientes se pueden cancelar
+ *             tramosReembolso:
+ *               type: array
+ *               description: Porcentaje de reembolso según la antelación de la cancelación
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   horasAntes:
+ *                     type: number
+ *                     minimum: 0
+ *                   porcentaje:
+ *                     type: number
+ *                     minimum: 0
+ *                     maximum: 100
+ *         sesiones:
+ *           type: array
+ *           description: Sesiones del curso en orden cronológico
+ *           items:
+ *             $ref: '#/components/schemas/CourseSession'
+ *         duracion:
+ *           type: number
+ *           readOnly: true
+ *           description: Horas totales de las sesiones o, sin sesiones, días entre inicio y fin
+ *         unidadDuracion:
+ *           type: string
+ *           enum: [horas, dias]
+ *           readOnly: true
+ *           description: Unidad en la que se expresa la duración
+ *         asistenciaMinima:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           default: 0
+ *           description: Porcentaje de sesiones a las que hay que asistir para completar la reserva
+ *         cupoMinimo:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *           description: Participantes necesarios para que el curso se realice (0 = sin mínimo)
+ *         inscripcionAbre:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Apertura de inscripciones (null = abiertas desde la publicación)
+ *         inscripcionCierra:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Cierre de inscripciones (null = hasta el inicio del curso)
+ *         estadoInscripcion:
+ *           type: string
+ *           enum: [proxima, abierta, cerrada]
+ *           readOnly: true
+ *           description: Estado de la ventana de inscripción en el momento de la consulta
+ *         fechaDecision:
+ *           type: string
+ *           format: date-time
+ *           description: Momento en que se confirma o cancela el curso según el cupo mínimo (por defecto 48 horas antes del inicio)
+ *         decision:
+ *           type: object
+ *           readOnly: true
+ *           description: Resultado de la decisión de viabilidad
+ *           properties:
+ *             resultado:
+ *               type: string
+ *               enum: [confirmado, cancelado]
+ *             inscritos:
+ *               type: integer
+ *             fecha:
+ *               type: string
+ *               format: date-time
+ *         inscritos:
+ *           type: integer
+ *           readOnly: true
+ *           description: Reservas pendientes o confirmadas que ocupan cupo
+ *         enRiesgo:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Si el curso activo aún no alcanza su cupo mínimo antes de la decisión
+ *         plantilla:
+ *           type: string
+ *           description: ID de la plantilla de la que se generó esta edición
+ *         visibilidad:
+ *           type: string
+ *           enum: [publico, no_listado, privado]
+ *           default: publico
+ *           description: >
+ *             publico aparece en los listados; no_listado solo es accesible con el enlace;
+ *             privado exige una invitación o estar en la lista de acceso
+ *         accesoPrivado:
+ *           type: object
+ *           description: Lista de acceso de un curso privado (solo visible para administradores)
+ *           properties:
+ *             correos:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 format: email
+ *             dominios:
+ *               type: array
+ *               description: Dominios de correo cuyos usuarios tienen acceso (p. ej. empresa.com)
+ *               items:
+ *                 type: string
  *         creadoPor:
  *           type: string
  *           description: ID del usuario que creó el curso
@@ -304,9 +968,27 @@ courseSchema.pre('save', function(next) {
  *         fechaFin: "2024-02-15T17:00:00.000Z"
  *         estado: "activo"
  *         precio: 150
+ *         tramosPrecio:
+ *           - nombre: "Early bird"
+ *             precio: 120
+ *             hasta: "2024-01-15T00:00:00.000Z"
+ *           - nombre: "Primeras plazas"
+ *             precio: 130
+ *             cupos: 10
+ *           - nombre: "Tarifa tardía"
+ *             precio: 180
+ *             desde: "2024-01-29T00:00:00.000Z"
  *         categoria: "Programación"
  *         instructor: "María García"
  *         modalidad: "virtual"
+ *         politicaCancelacion:
+ *           horasLimite: 48
+ *           permitirPendientes: true
+ *           tramosReembolso:
+ *             - horasAntes: 168
+ *               porcentaje: 100
+ *             - horasAntes: 48
+ *               porcentaje: 50
  */
 
 module.exports = mongoose.model('Course', courseSchema);
@@ -0,0 +1,195 @@
+/**
+ * Modelo de Invitación a Curso
+ * Código que da acceso a un curso privado: quien lo presenta puede ver el curso y
+ * reservarlo. Puede limitarse a un correo concreto, a un número de usos y a una fecha
+ * de caducidad. Cada reserva hecha con el código consume un uso; revocarlo no anula
+ * las reservas ya hechas.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const courseInvitationSchema = new mongoose.Schema({
+  curso: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'El curso es obligatorio']
+  },
+  codigo: {
+    type: String,
+    required: [true, 'El código es obligatorio'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Si se indica, solo la persona con este correo puede usar la invitación
+  correo: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Ingresa un correo válido']
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres']
+  },
+  // null = sin límite
+  usosMaximos: {
+    type: Number,
+    min: [1, 'El límite de usos debe ser al menos 1'],
+    default: null
+  },
+  usos: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  expiraEn: {
+    type: Date,
+    default: null
+  },
+  fechaRevocacion: {
+    type: Date,
+    default: null
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+courseInvitationSchema.index({ curso: 1, createdAt: -1 });
+
+// Virtual para saber si la invitación fue revocada
+courseInvitationSchema.virtual('revocada').get(function() {
+  return !!this.fechaRevocacion;
+});
+
+// Virtual con los usos que quedan (null si no hay límite)
+courseInvitationSchema.virtual('usosRestantes').get(function() {
+  return this.usosMaximos == null ? null : Math.max(0, this.usosMaximos - this.usos);
+});
+
+// Método para verificar si la invitación aún se puede usar
+courseInvitationSchema.methods.estaVigente = function(fecha = new Date()) {
+  return !this.fechaRevocacion &&
+    (!this.expiraEn || fecha < this.expiraEn) &&
+    (this.usosMaximos == null || this.usos < this.usosMaximos);
+};
+
+// Método para verificar si un usuario puede usar la invitación
+courseInvitationSchema.methods.admiteUsuario = function(usuario) {
+  return !this.correo || (
+    !!usuario &&
+    usuario.correoVerificado !== false &&
+    String(usuario.correo).toLowerCase() === this.correo
+  );
+};
+
+// Método estático para generar un código aleatorio legible (sin caracteres ambiguos)
+courseInvitationSchema.statics.generarCodigo = function() {
+  const alfabeto = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(10);
+  return Array.from(bytes, byte => alfabeto[byte % alfabeto.length]).join('');
+};
+
+// Método estático para buscar una invitación de un curso por su código
+courseInvitationSchema.statics.findByCodigo = function(cursoId, codigo) {
+  return this.findOne({ curso: cursoId, codigo: String(codigo).toUpperCase().trim() });
+};
+
+// Método estático para consumir un uso solo si la invitación sigue vigente (atómico)
+courseInvitationSchema.statics.canjearAtomico = function(invitationId, session = null) {
+  const ahora = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: invitationId,
+      fechaRevocacion: null,
+      $and: [
+        { $or: [{ expiraEn: null }, { expiraEn: { $gt: ahora } }] },
+        { $or: [{ usosMaximos: null }, { $expr: { $lt: ['$usos', '$usosMaximos'] } }] }
+      ]
+    },
+    { $inc: { usos: 1 } },
+    { new: true, session }
+  );
+};
+
+// Método estático para devolver un uso consumido
+courseInvitationSchema.statics.liberarUsoAtomico = function(invitationId, session = null) {
+  return this.findOneAndUpdate(
+    { _id: invitationId, usos: { $gt: 0 } },
+    { $inc: { usos: -1 } },
+    { new: true, session }
+  );
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CourseInvitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la invitación
+ *         curso:
+ *           type: string
+ *           description: ID del curso al que da acceso
+ *         codigo:
+ *           type: string
+ *           description: Código que se presenta para ver y reservar el curso
+ *         correo:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *           description: Único correo que puede usar la invitación (null = cualquiera con el código)
+ *         descripcion:
+ *           type: string
+ *           maxLength: 200
+ *         usosMaximos:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: Reservas que se pueden hacer con el código (null = sin límite)
+ *         usos:
+ *           type: integer
+ *           readOnly: true
+ *         usosRestantes:
+ *           type: integer
+ *           nullable: true
+ *           readOnly: true
+ *         expiraEn:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revocada:
+ *           type: boolean
+ *           readOnly: true
+ *         fechaRevocacion:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         creadoPor:
+ *           type: string
+ *       example:
+ *         curso: "507f1f77bcf86cd799439012"
+ *         codigo: "K7QM2XPA9D"
+ *         correo: null
+ *         descripcion: "Equipo de finanzas"
+ *         usosMaximos: 15
+ *         usos: 4
+ *         expiraEn: "2024-01-31T23:59:59.000Z"
+ */
+
+module.exports = mongoose.model('CourseInvitation', courseInvitationSchema);
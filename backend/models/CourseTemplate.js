@@ -0,0 +1,363 @@
+/**
+ * Modelo de Plantilla de Curso
+ * Define un curso que se repite y la regla de recurrencia para generar sus ediciones
+ * Cada edición generada es un Course enlazado a la plantilla mediante `plantilla`
+ */
+
+const mongoose = require('mongoose');
+const {
+  HORAS_DECISION_POR_DEFECTO,
+  cancellationPolicySchema,
+  sessionSchema
+} = require('./courseSubschemas');
+
+// Campos que se copian de la plantilla a cada edición (y se propagan al editar la plantilla)
+const CAMPOS_EDICION = [
+  'titulo',
+  'descripcion',
+  'cupoMaximo',
+  'precio',
+  'categoria',
+  'instructor',
+  'ubicacion',
+  'modalidad',
+  'requisitos',
+  'materiales',
+  'imagen',
+  'politicaCancelacion',
+  'asistenciaMinima',
+  'cupoMinimo'
+];
+
+const recurrenceSchema = new mongoose.Schema({
+  frecuencia: {
+    type: String,
+    enum: {
+      values: ['semanal', 'mensual', 'personalizada'],
+      message: 'La frecuencia debe ser semanal, mensual o personalizada'
+    },
+    required: [true, 'La frecuencia es obligatoria']
+  },
+  intervalo: {
+    type: Number,
+    min: [1, 'El intervalo mínimo es 1'],
+    max: [52, 'El intervalo máximo es 52'],
+    default: 1
+  },
+  diasSemana: {
+    type: [{
+      type: Number,
+      min: [0, 'Los días de la semana van de 0 (domingo) a 6 (sábado)'],
+      max: [6, 'Los días de la semana van de 0 (domingo) a 6 (sábado)']
+    }],
+    default: []
+  },
+  fechas: {
+    type: [Date],
+    default: []
+  },
+  hasta: {
+    type: Date,
+    default: null
+  },
+  repeticiones: {
+    type: Number,
+    min: [1, 'Debe generarse al menos una edición'],
+    max: [52, 'No se pueden generar más de 52 ediciones'],
+    default: null
+  }
+}, { _id: false });
+
+const courseTemplateSchema = new mongoose.Schema({
+  titulo: {
+    type: String,
+    required: [true, 'El título es obligatorio'],
+    trim: true,
+    minlength: [3, 'El título debe tener al menos 3 caracteres'],
+    maxlength: [100, 'El título no puede exceder 100 caracteres']
+  },
+  descripcion: {
+    type: String,
+    required: [true, 'La descripción es obligatoria'],
+    trim: true,
+    minlength: [10, 'La descripción debe tener al menos 10 caracteres'],
+    maxlength: [1000, 'La descripción no puede exceder 1000 caracteres']
+  },
+  cupoMaximo: {
+    type: Number,
+    required: [true, 'El cupo máximo es obligatorio'],
+    min: [1, 'El cupo mínimo es 1'],
+    max: [1000, 'El cupo máximo es 1000']
+  },
+  precio: {
+    type: Number,
+    min: [0, 'El precio no puede ser negativo'],
+    default: 0
+  },
+  categoria: {
+    type: String,
+    required: [true, 'La categoría es obligatoria'],
+    trim: true,
+    maxlength: [50, 'La categoría no puede exceder 50 caracteres']
+  },
+  instructor: {
+    type: String,
+    required: [true, 'El instructor es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El nombre del instructor no puede exceder 100 caracteres']
+  },
+  ubicacion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La ubicación no puede exceder 200 caracteres']
+  },
+  modalidad: {
+    type: String,
+    enum: {
+      values: ['presencial', 'virtual', 'hibrido'],
+      message: 'La modalidad debe ser presencial, virtual o híbrido'
+    },
+    default: 'presencial'
+  },
+  requisitos: {
+    type: [String],
+    default: []
+  },
+  materiales: {
+    type: [String],
+    default: []
+  },
+  imagen: {
+    type: String,
+    trim: true
+  },
+  politicaCancelacion: {
+    type: cancellationPolicySchema,
+    default: () => ({})
+  },
+  asistenciaMinima: {
+    type: Number,
+    min: [0, 'La asistencia mínima no puede ser negativa'],
+    max: [100, 'La asistencia mínima no puede exceder 100'],
+    default: 0
+  },
+  cupoMinimo: {
+    type: Number,
+    min: [0, 'El cupo mínimo no puede ser negativo'],
+    default: 0,
+    validate: {
+      validator: function(val) {
+        return val <= this.cupoMaximo;
+      },
+      message: 'El cupo mínimo no puede ser mayor al cupo máximo'
+    }
+  },
+  horasDecision: {
+    type: Number,
+    min: [0, 'La antelación de la decisión no puede ser negativa'],
+    default: HORAS_DECISION_POR_DEFECTO
+  },
+  fechaInicio: {
+    type: Date,
+    required: [true, 'La fecha de inicio de la primera edición es obligatoria']
+  },
+  fechaFin: {
+    type: Date,
+    required: [true, 'La fecha de fin de la primera edición es obligatoria'],
+    validate: {
+      validator: function(val) {
+        return val > this.fechaInicio;
+      },
+      message: 'La fecha de fin debe ser posterior a la fecha de inicio'
+    }
+  },
+  sesiones: {
+    type: [sessionSchema],
+    default: []
+  },
+  recurrencia: {
+    type: recurrenceSchema,
+    required: [true, 'La regla de recurrencia es obligatoria']
+  },
+  estadoEdiciones: {
+    type: String,
+    enum: {
+      values: ['borrador', 'activo'],
+      message: 'Las ediciones se generan como borrador o activo'
+    },
+    default: 'borrador'
+  },
+  activa: {
+    type: Boolean,
+    default: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+courseTemplateSchema.index({ activa: 1 });
+courseTemplateSchema.index({ categoria: 1 });
+
+// Virtual con la duración de cada edición en milisegundos
+courseTemplateSchema.virtual('duracionEdicionMs').get(function() {
+  if (!this.fechaInicio || !this.fechaFin) return null;
+  return this.fechaFin.getTime() - this.fechaInicio.getTime();
+});
+
+// Método para construir los datos de una edición que empieza en `fechaInicio`
+// Las fechas de fin y de las sesiones se desplazan lo mismo que el inicio
+courseTemplateSchema.methods.construirEdicion = function(fechaInicio) {
+  const desplazamiento = fechaInicio.getTime() - this.fechaInicio.getTime();
+  const datos = {};
+
+  CAMPOS_EDICION.forEach(campo => {
+    const valor = this.get(campo);
+    datos[campo] = valor && typeof valor.toObject === 'function' ? valor.toObject() : valor;
+  });
+
+  return {
+    ...datos,
+    cupoDisponible: this.cupoMaximo,
+    fechaInicio,
+    fechaFin: new Date(fechaInicio.getTime() + this.duracionEdicionMs),
+    sesiones: this.sesiones.map(sesion => ({
+      fecha: new Date(sesion.fecha.getTime() + desplazamiento),
+      horaInicio: sesion.horaInicio,
+      horaFin: sesion.horaFin,
+      sala: sesion.sala,
+      instructor: sesion.instructor
+    })),
+    fechaDecision: this.cupoMinimo > 0
+      ? new Date(fechaInicio.getTime() - this.horasDecision * 60 * 60 * 1000)
+      : null,
+    estado: this.estadoEdiciones,
+    plantilla: this._id
+  };
+};
+
+// Método estático con los campos que se copian a las ediciones
+courseTemplateSchema.statics.camposEdicion = function() {
+  return [...CAMPOS_EDICION];
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CourseTemplate:
+ *       type: object
+ *       required:
+ *         - titulo
+ *         - descripcion
+ *         - cupoMaximo
+ *         - fechaInicio
+ *         - fechaFin
+ *         - categoria
+ *         - instructor
+ *         - recurrencia
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la plantilla
+ *         titulo:
+ *           type: string
+ *         descripcion:
+ *           type: string
+ *         cupoMaximo:
+ *           type: integer
+ *         precio:
+ *           type: number
+ *         categoria:
+ *           type: string
+ *         instructor:
+ *           type: string
+ *         ubicacion:
+ *           type: string
+ *         modalidad:
+ *           type: string
+ *           enum: [presencial, virtual, hibrido]
+ *         fechaInicio:
+ *           type: string
+ *           format: date-time
+ *           description: Inicio de la primera edición (ancla de la recurrencia)
+ *         fechaFin:
+ *           type: string
+ *           format: date-time
+ *           description: Fin de la primera edición (define la duración de cada edición)
+ *         sesiones:
+ *           type: array
+ *           description: Sesiones de la primera edición; se desplazan en cada edición
+ *           items:
+ *             $ref: '#/components/schemas/CourseSession'
+ *         recurrencia:
+ *           type: object
+ *           properties:
+ *             frecuencia:
+ *               type: string
+ *               enum: [semanal, mensual, personalizada]
+ *             intervalo:
+ *               type: integer
+ *               minimum: 1
+ *               description: Cada cuántas semanas o meses se repite
+ *             diasSemana:
+ *               type: array
+ *               items:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *               description: Días de la semana (0 = domingo) para la frecuencia semanal
+ *             fechas:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 format: date-time
+ *               description: Fechas de inicio explícitas para la frecuencia personalizada
+ *             hasta:
+ *               type: string
+ *               format: date-time
+ *               description: No generar ediciones que empiecen después de esta fecha
+ *             repeticiones:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 52
+ *               description: Número total de ediciones de la serie
+ *         cupoMinimo:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *           description: Participantes necesarios para realizar cada edición (0 = sin mínimo)
+ *         horasDecision:
+ *           type: number
+ *           minimum: 0
+ *           default: 48
+ *           description: Horas antes del inicio de cada edición en que se decide si se realiza
+ *         estadoEdiciones:
+ *           type: string
+ *           enum: [borrador, activo]
+ *           default: borrador
+ *         activa:
+ *           type: boolean
+ *           default: true
+ *       example:
+ *         titulo: "Taller de Git"
+ *         descripcion: "Taller práctico mensual de control de versiones"
+ *         cupoMaximo: 15
+ *         categoria: "Programación"
+ *         instructor: "Laura Gómez"
+ *         fechaInicio: "2024-03-05T17:00:00.000Z"
+ *         fechaFin: "2024-03-05T20:00:00.000Z"
+ *         recurrencia:
+ *           frecuencia: "mensual"
+ *           repeticiones: 6
+ */
+
+module.exports = mongoose.model('CourseTemplate', courseTemplateSchema);
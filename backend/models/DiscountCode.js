@@ -0,0 +1,227 @@
+/**
+ * Modelo de Código de Descuento
+ * Cupones promocionales que rebajan el precio de un curso al reservar: un porcentaje o un
+ * importe fijo, limitados a ciertos cursos o categorías, a una ventana de validez y a un
+ * número de usos total y por usuario. Cada uso se descuenta al crear la reserva.
+ */
+
+const mongoose = require('mongoose');
+
+const discountCodeSchema = new mongoose.Schema({
+  codigo: {
+    type: String,
+    required: [true, 'El código es obligatorio'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    minlength: [3, 'El código debe tener al menos 3 caracteres'],
+    maxlength: [30, 'El código no puede exceder 30 caracteres'],
+    match: [/^[A-Z0-9_-]+$/, 'El código solo puede contener letras, números, guiones y guiones bajos']
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres']
+  },
+  tipo: {
+    type: String,
+    enum: {
+      values: ['porcentaje', 'fijo'],
+      message: 'El tipo debe ser porcentaje o fijo'
+    },
+    required: [true, 'El tipo de descuento es obligatorio']
+  },
+  valor: {
+    type: Number,
+    required: [true, 'El valor del descuento es obligatorio'],
+    min: [0.01, 'El valor del descuento debe ser mayor que 0'],
+    validate: {
+      validator: function(valor) {
+        return this.tipo !== 'porcentaje' || valor <= 100;
+      },
+      message: 'Un descuento porcentual no puede exceder 100'
+    }
+  },
+  // Sin cursos ni categorías, el código vale para cualquier curso
+  cursos: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
+    default: []
+  },
+  categorias: {
+    type: [{ type: String, trim: true }],
+    default: []
+  },
+  fechaInicio: {
+    type: Date,
+    default: null
+  },
+  fechaFin: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(fechaFin) {
+        return !fechaFin || !this.fechaInicio || fechaFin > this.fechaInicio;
+      },
+      message: 'La fecha de fin debe ser posterior a la fecha de inicio'
+    }
+  },
+  // null = sin límite
+  usosMaximos: {
+    type: Number,
+    min: [1, 'El límite de usos debe ser al menos 1'],
+    default: null
+  },
+  usosPorUsuario: {
+    type: Number,
+    min: [1, 'El límite de usos por usuario debe ser al menos 1'],
+    default: 1
+  },
+  usos: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  activo: {
+    type: Boolean,
+    default: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+discountCodeSchema.index({ activo: 1, fechaFin: 1 });
+
+// Virtual con los usos que quedan (null si no hay límite)
+discountCodeSchema.virtual('usosRestantes').get(function() {
+  return this.usosMaximos == null ? null : Math.max(0, this.usosMaximos - this.usos);
+});
+
+// Método para verificar si el código se puede usar en una fecha
+discountCodeSchema.methods.estaVigente = function(fecha = new Date()) {
+  if (!this.activo) return false;
+  if (this.fechaInicio && fecha < this.fechaInicio) return false;
+  if (this.fechaFin && fecha > this.fechaFin) return false;
+  return this.usosMaximos == null || this.usos < this.usosMaximos;
+};
+
+// Método para verificar si el código aplica a un curso
+discountCodeSchema.methods.aplicaA = function(course) {
+  if (this.cursos.length === 0 && this.categorias.length === 0) return true;
+  return this.cursos.some(cursoId => cursoId.equals(course._id)) ||
+    this.categorias.includes(course.categoria);
+};
+
+// Método para calcular el importe descontado sobre un precio (nunca mayor que el precio)
+discountCodeSchema.methods.calcularDescuento = function(precio) {
+  const descuento = this.tipo === 'porcentaje' ? precio * this.valor / 100 : this.valor;
+  return Math.round(Math.min(descuento, precio) * 100) / 100;
+};
+
+// Método estático para buscar por código (sin distinguir mayúsculas)
+discountCodeSchema.statics.findByCodigo = function(codigo) {
+  return this.findOne({ codigo: codigo.trim().toUpperCase() });
+};
+
+// Método estático para consumir un uso solo si quedan (atómico)
+discountCodeSchema.statics.canjearAtomico = function(codeId, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: codeId,
+      activo: true,
+      $or: [
+        { usosMaximos: null },
+        { $expr: { $lt: ['$usos', '$usosMaximos'] } }
+      ]
+    },
+    { $inc: { usos: 1 } },
+    { new: true, session }
+  );
+};
+
+// Método estático para devolver un uso consumido
+discountCodeSchema.statics.liberarUsoAtomico = function(codeId, session = null) {
+  return this.findOneAndUpdate(
+    { _id: codeId, usos: { $gt: 0 } },
+    { $inc: { usos: -1 } },
+    { new: true, session }
+  );
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DiscountCode:
+ *       type: object
+ *       required:
+ *         - codigo
+ *         - tipo
+ *         - valor
+ *       properties:
+ *         _id:
+ *           type: string
+ *         codigo:
+ *           type: string
+ *           description: Código que introduce el usuario (se guarda en mayúsculas)
+ *           minLength: 3
+ *           maxLength: 30
+ *         descripcion:
+ *           type: string
+ *           maxLength: 200
+ *         tipo:
+ *           type: string
+ *           enum: [porcentaje, fijo]
+ *         valor:
+ *           type: number
+ *           description: Porcentaje (hasta 100) o importe fijo a descontar
+ *         cursos:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Cursos a los que aplica
+ *         categorias:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Categorías a las que aplica (sin cursos ni categorías aplica a todos)
+ *         fechaInicio:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         fechaFin:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         usosMaximos:
+ *           type: integer
+ *           nullable: true
+ *           description: Límite total de usos (null = sin límite)
+ *         usosPorUsuario:
+ *           type: integer
+ *           default: 1
+ *         usos:
+ *           type: integer
+ *           description: Usos consumidos
+ *         activo:
+ *           type: boolean
+ *           default: true
+ *       example:
+ *         codigo: "PRIMAVERA25"
+ *         descripcion: "25% en cursos de programación"
+ *         tipo: "porcentaje"
+ *         valor: 25
+ *         categorias: ["Programación"]
+ *         fechaFin: "2024-04-30T23:59:59.000Z"
+ *         usosMaximos: 100
+ *         usosPorUsuario: 1
+ */
+
+module.exports = mongoose.model('DiscountCode', discountCodeSchema);
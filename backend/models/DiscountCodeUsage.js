@@ -0,0 +1,58 @@
+/**
+ * Modelo de Usos de un Código de Descuento por Usuario
+ * Contador de cuántas veces ha canjeado cada usuario cada código. Hay un único documento
+ * por (código, usuario), así que el límite por usuario se aplica con un incremento
+ * condicional aunque lleguen varias reservas a la vez.
+ */
+
+const mongoose = require('mongoose');
+
+const discountCodeUsageSchema = new mongoose.Schema({
+  cupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscountCode',
+    required: [true, 'El código de descuento es obligatorio']
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es obligatorio']
+  },
+  usos: {
+    type: Number,
+    min: [0, 'Los usos no pueden ser negativos'],
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Un único contador por código y usuario
+discountCodeUsageSchema.index({ cupon: 1, usuario: 1 }, { unique: true });
+
+// Método estático para consumir un uso del usuario solo si no alcanzó el límite (atómico).
+// Si el contador ya está en el límite, el filtro no coincide y el upsert choca con el
+// índice único; en ese caso devuelve null.
+discountCodeUsageSchema.statics.canjearAtomico = async function(cuponId, usuarioId, limite, session = null) {
+  try {
+    return await this.findOneAndUpdate(
+      { cupon: cuponId, usuario: usuarioId, usos: { $lt: limite } },
+      { $inc: { usos: 1 } },
+      { new: true, upsert: true, session }
+    );
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Método estático para devolver un uso consumido
+discountCodeUsageSchema.statics.liberarAtomico = function(cuponId, usuarioId, session = null) {
+  return this.findOneAndUpdate(
+    { cupon: cuponId, usuario: usuarioId, usos: { $gt: 0 } },
+    { $inc: { usos: -1 } },
+    { new: true, session }
+  );
+};
+
+module.exports = mongoose.model('DiscountCodeUsage', discountCodeUsageSchema);
@@ -0,0 +1,306 @@
+/**
+ * Modelo de Reserva de Grupo
+ * Una persona (el organizador) reserva varias plazas de un curso de una sola vez y
+ * después asigna cada plaza a un asistente por su correo. Los cupos del curso se
+ * descuentan todos al crear el grupo; cada asistente con cuenta recibe una reserva
+ * propia (con `grupo` apuntando aquí) que ocupa una de esas plazas sin tomar otra del
+ * curso. Los correos sin cuenta quedan como invitaciones hasta que se registran.
+ */
+
+const mongoose = require('mongoose');
+
+// Plaza del grupo asignada a un asistente
+const attendeeSchema = new mongoose.Schema({
+  correo: {
+    type: String,
+    required: [true, 'El correo del asistente es obligatorio'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Ingresa un correo válido']
+  },
+  // null mientras el correo no tenga cuenta (invitación pendiente)
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reserva: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
+  fechaAsignacion: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const groupBookingSchema = new mongoose.Schema({
+  organizador: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El organizador es obligatorio']
+  },
+  curso: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'El curso es obligatorio']
+  },
+  plazas: {
+    type: Number,
+    required: [true, 'El número de plazas es obligatorio'],
+    min: [2, 'Una reserva de grupo debe tener al menos 2 plazas'],
+    max: [100, 'Una reserva de grupo no puede exceder 100 plazas']
+  },
+  asistentes: {
+    type: [attendeeSchema],
+    default: [],
+    validate: [
+      {
+        validator: function(asistentes) {
+          return asistentes.length <= this.plazas;
+        },
+        message: 'Hay más asistentes que plazas en el grupo'
+      },
+      {
+        validator: function(asistentes) {
+          const correos = asistentes.map(asistente => asistente.correo);
+          return new Set(correos).size === correos.length;
+        },
+        message: 'Un mismo correo no puede ocupar dos plazas del grupo'
+      }
+    ]
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'confirmada', 'cancelada'],
+      message: 'El estado debe ser pendiente, confirmada o cancelada'
+    },
+    default: 'pendiente'
+  },
+  // Importe de cada plaza según el tramo de precio vigente al reservar
+  preciosPlazas: {
+    type: [{ type: Number, min: 0 }],
+    default: []
+  },
+  precioTotal: {
+    type: Number,
+    min: [0, 'El precio total no puede ser negativo'],
+    default: 0
+  },
+  metodoPago: {
+    type: String,
+    enum: {
+      values: ['efectivo', 'transferencia', 'gratuito'],
+      message: 'El método de pago de un grupo debe ser efectivo, transferencia o gratuito'
+    },
+    default: 'gratuito'
+  },
+  estadoPago: {
+    type: String,
+    enum: {
+      values: ['no_requerido', 'pendiente', 'pagado'],
+      message: 'El estado del pago debe ser no_requerido, pendiente o pagado'
+    },
+    default: 'no_requerido'
+  },
+  fechaPago: {
+    type: Date,
+    default: null
+  },
+  fechaCancelacion: {
+    type: Date,
+    default: null
+  },
+  motivoCancelacion: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'El motivo de cancelación no puede exceder 500 caracteres']
+  },
+  notas: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Las notas no pueden exceder 1000 caracteres']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+groupBookingSchema.index({ organizador: 1, createdAt: -1 });
+groupBookingSchema.index({ curso: 1, estado: 1 });
+groupBookingSchema.index({ 'asistentes.correo': 1, estado: 1 });
+
+// Virtual con las plazas que aún no tienen asistente
+groupBookingSchema.virtual('plazasLibres').get(function() {
+  return this.plazas - this.asistentes.length;
+});
+
+// Virtual con las invitaciones enviadas a correos que aún no tienen cuenta
+groupBookingSchema.virtual('invitacionesPendientes').get(function() {
+  return this.asistentes.filter(asistente => !asistente.usuario).length;
+});
+
+// Virtual con el límite para cambiar asistentes (requiere el curso poblado)
+groupBookingSchema.virtual('fechaLimiteCambios').get(function() {
+  if (!this.populated('curso') || !this.curso.fechaInicio) return null;
+  return this.constructor.calcularLimiteCambios(this.curso);
+});
+
+// Método estático con el momento a partir del cual el grupo ya no admite cambios de asistentes
+groupBookingSchema.statics.calcularLimiteCambios = function(curso) {
+  const horas = process.env.GROUP_CHANGES_CUTOFF_HOURS !== undefined
+    ? parseFloat(process.env.GROUP_CHANGES_CUTOFF_HOURS)
+    : 48;
+  return new Date(new Date(curso.fechaInicio).getTime() - horas * 60 * 60 * 1000);
+};
+
+// Método para saber si el organizador aún puede cambiar los asistentes
+groupBookingSchema.methods.admiteCambios = function(curso, fecha = new Date()) {
+  return this.estado !== 'cancelada' && fecha < this.constructor.calcularLimiteCambios(curso);
+};
+
+// Método para obtener la plaza asignada a un correo
+groupBookingSchema.methods.buscarAsistente = function(correo) {
+  const normalizado = String(correo).toLowerCase().trim();
+  return this.asistentes.find(asistente => asistente.correo === normalizado) || null;
+};
+
+// Método estático para obtener los grupos de un organizador
+groupBookingSchema.statics.findByOrganizer = function(usuarioId) {
+  return this.find({ organizador: usuarioId })
+    .populate('curso', 'titulo fechaInicio fechaFin instructor modalidad ubicacion')
+    .populate('asistentes.usuario', 'nombre correo')
+    .sort({ createdAt: -1 });
+};
+
+// Método estático para obtener los grupos activos con invitaciones pendientes para un correo
+groupBookingSchema.statics.findInvitaciones = function(correo) {
+  return this.find({
+    estado: { $in: ['pendiente', 'confirmada'] },
+    asistentes: { $elemMatch: { correo: String(correo).toLowerCase().trim(), usuario: null } }
+  }).populate('curso', 'titulo fechaInicio ubicacion estado');
+};
+
+// Método estático para contar las plazas de los grupos activos de un curso
+groupBookingSchema.statics.contarPlazas = async function(cursoId) {
+  const [resultado] = await this.aggregate([
+    { $match: { curso: new mongoose.Types.ObjectId(cursoId), estado: { $in: ['pendiente', 'confirmada'] } } },
+    { $group: { _id: null, plazas: { $sum: '$plazas' } } }
+  ]);
+  return resultado ? resultado.plazas : 0;
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GroupBooking:
+ *       type: object
+ *       required:
+ *         - organizador
+ *         - curso
+ *         - plazas
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la reserva de grupo
+ *         organizador:
+ *           type: string
+ *           description: ID del usuario que reservó las plazas
+ *         curso:
+ *           type: string
+ *           description: ID del curso reservado
+ *         plazas:
+ *           type: integer
+ *           minimum: 2
+ *           maximum: 100
+ *           description: Número de plazas reservadas
+ *         asistentes:
+ *           type: array
+ *           description: Plazas ya asignadas
+ *           items:
+ *             type: object
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 format: email
+ *               usuario:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Usuario del asistente (null si aún no tiene cuenta)
+ *               reserva:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Reserva del asistente dentro del grupo
+ *               fechaAsignacion:
+ *                 type: string
+ *                 format: date-time
+ *         plazasLibres:
+ *           type: integer
+ *           readOnly: true
+ *         invitacionesPendientes:
+ *           type: integer
+ *           readOnly: true
+ *           description: Asistentes invitados que aún no tienen cuenta
+ *         fechaLimiteCambios:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Hasta cuándo puede el organizador cambiar los asistentes
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, confirmada, cancelada]
+ *           default: pendiente
+ *         preciosPlazas:
+ *           type: array
+ *           description: Precio de cada plaza según el tramo vigente al reservar
+ *           items:
+ *             type: number
+ *         precioTotal:
+ *           type: number
+ *           minimum: 0
+ *         metodoPago:
+ *           type: string
+ *           enum: [efectivo, transferencia, gratuito]
+ *           default: gratuito
+ *         estadoPago:
+ *           type: string
+ *           enum: [no_requerido, pendiente, pagado]
+ *           default: no_requerido
+ *         fechaPago:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         fechaCancelacion:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         motivoCancelacion:
+ *           type: string
+ *           maxLength: 500
+ *         notas:
+ *           type: string
+ *           maxLength: 1000
+ *       example:
+ *         organizador: "507f1f77bcf86cd799439011"
+ *         curso: "507f1f77bcf86cd799439012"
+ *         plazas: 5
+ *         asistentes:
+ *           - correo: "ana@empresa.com"
+ *             usuario: "507f1f77bcf86cd799439013"
+ *             reserva: "507f1f77bcf86cd799439014"
+ *           - correo: "luis@empresa.com"
+ *             usuario: null
+ *             reserva: null
+ *         estado: "pendiente"
+ *         precioTotal: 750
+ *         metodoPago: "transferencia"
+ *         estadoPago: "pendiente"
+ */
+
+module.exports = mongoose.model('GroupBooking', groupBookingSchema);
@@ -0,0 +1,253 @@
+/**
+ * Modelo de Factura
+ * Factura emitida al pagarse una reserva. Se numera por series anuales sin huecos: el
+ * número sale de un contador por año que se incrementa en la misma transacción en que
+ * se guarda la factura, y el índice único por serie impide números repetidos. Guarda una copia de los datos del
+ * emisor, del comprador y del curso para que reimprimirla siempre dé el mismo documento.
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Línea de la factura (importes con impuestos incluidos)
+const invoiceLineSchema = new mongoose.Schema({
+  concepto: {
+    type: String,
+    required: [true, 'El concepto de la línea es obligatorio'],
+    trim: true
+  },
+  importe: {
+    type: Number,
+    required: [true, 'El importe de la línea es obligatorio']
+  }
+}, { _id: false });
+
+// Datos fiscales de una de las partes en el momento de emitir
+const partySchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es obligatorio'],
+    trim: true
+  },
+  nif: {
+    type: String,
+    trim: true
+  },
+  direccion: {
+    type: String,
+    trim: true
+  },
+  correo: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  serie: {
+    type: Number,
+    required: [true, 'La serie es obligatoria']
+  },
+  secuencia: {
+    type: Number,
+    required: [true, 'El número de secuencia es obligatorio'],
+    min: [1, 'El número de secuencia debe ser al menos 1']
+  },
+  reserva: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'La reserva es obligatoria'],
+    unique: true
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es obligatorio']
+  },
+  curso: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'El curso es obligatorio']
+  },
+  emisor: {
+    type: partySchema,
+    required: true
+  },
+  comprador: {
+    type: partySchema,
+    required: true
+  },
+  tituloCurso: {
+    type: String,
+    required: [true, 'El título del curso es obligatorio'],
+    trim: true
+  },
+  fechaInicioCurso: {
+    type: Date
+  },
+  lineas: {
+    type: [invoiceLineSchema],
+    default: []
+  },
+  baseImponible: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  tipoImpuesto: {
+    type: Number,
+    required: true,
+    min: [0, 'El tipo impositivo no puede ser negativo'],
+    max: [100, 'El tipo impositivo no puede exceder 100']
+  },
+  impuesto: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: [0.01, 'El total de la factura debe ser mayor que 0']
+  },
+  // Forma en que se pagó el total
+  metodoPago: {
+    type: String,
+    trim: true
+  },
+  importeCobrado: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  creditoAplicado: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  moneda: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD'
+  },
+  fechaEmision: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+invoiceSchema.index({ serie: 1, secuencia: 1 }, { unique: true });
+invoiceSchema.index({ usuario: 1, fechaEmision: -1 });
+invoiceSchema.index({ fechaEmision: 1 });
+
+// Virtual con el número impreso en la factura (ej: 2024-000042)
+invoiceSchema.virtual('numero').get(function() {
+  if (this.serie == null || this.secuencia == null) return null;
+  return `${this.serie}-${String(this.secuencia).padStart(6, '0')}`;
+});
+
+// Método estático para tomar el siguiente número de una serie con su contador anual.
+// El contador de una serie que ya tenía facturas parte de la última emitida.
+invoiceSchema.statics.siguienteSecuencia = async function(serie, session = null) {
+  const nombre = `factura-${serie}`;
+
+  if (!await Counter.exists({ _id: nombre }).session(session)) {
+    const ultima = await this.findOne({ serie }).sort({ secuencia: -1 }).select('secuencia').session(session);
+    await Counter.inicializar(nombre, ultima ? ultima.secuencia : 0, session);
+  }
+
+  return Counter.siguiente(nombre, session);
+};
+
+// Método estático para obtener las facturas de un usuario
+invoiceSchema.statics.findByUser = function(usuarioId) {
+  return this.find({ usuario: usuarioId }).sort({ fechaEmision: -1 });
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         numero:
+ *           type: string
+ *           readOnly: true
+ *           description: Número de factura (serie anual y secuencia sin huecos)
+ *         serie:
+ *           type: integer
+ *           description: Año de la serie
+ *         secuencia:
+ *           type: integer
+ *           description: Número correlativo dentro de la serie
+ *         reserva:
+ *           type: string
+ *         usuario:
+ *           type: string
+ *         curso:
+ *           type: string
+ *         emisor:
+ *           $ref: '#/components/schemas/InvoiceParty'
+ *         comprador:
+ *           $ref: '#/components/schemas/InvoiceParty'
+ *         tituloCurso:
+ *           type: string
+ *         fechaInicioCurso:
+ *           type: string
+ *           format: date-time
+ *         lineas:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               concepto:
+ *                 type: string
+ *               importe:
+ *                 type: number
+ *                 description: Importe con impuestos incluidos (negativo en los descuentos)
+ *         baseImponible:
+ *           type: number
+ *         tipoImpuesto:
+ *           type: number
+ *           description: Porcentaje de impuesto aplicado
+ *         impuesto:
+ *           type: number
+ *         total:
+ *           type: number
+ *         metodoPago:
+ *           type: string
+ *         importeCobrado:
+ *           type: number
+ *           description: Parte del total cobrada por el método de pago
+ *         creditoAplicado:
+ *           type: number
+ *           description: Parte del total pagada con saldo a favor
+ *         moneda:
+ *           type: string
+ *         fechaEmision:
+ *           type: string
+ *           format: date-time
+ *     InvoiceParty:
+ *       type: object
+ *       properties:
+ *         nombre:
+ *           type: string
+ *         nif:
+ *           type: string
+ *         direccion:
+ *           type: string
+ *         correo:
+ *           type: string
+ */
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
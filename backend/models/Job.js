@@ -0,0 +1,127 @@
+/**
+ * Modelo de Tarea Programada
+ * Tareas persistentes del planificador: sobreviven a reinicios y se bloquean en MongoDB
+ * para que, con varias instancias del backend, cada tarea se ejecute una sola vez
+ */
+
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    required: [true, 'El tipo de tarea es obligatorio'],
+    trim: true
+  },
+  clave: {
+    type: String,
+    required: [true, 'La clave de la tarea es obligatoria'],
+    unique: true,
+    trim: true
+  },
+  referencia: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  datos: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ejecutarEn: {
+    type: Date,
+    required: [true, 'La fecha de ejecución es obligatoria']
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'en_ejecucion', 'completada', 'fallida'],
+      message: 'El estado debe ser pendiente, en_ejecucion, completada o fallida'
+    },
+    default: 'pendiente'
+  },
+  intentos: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxIntentos: {
+    type: Number,
+    min: 1,
+    default: 3
+  },
+  bloqueadoPor: {
+    type: String,
+    default: null
+  },
+  bloqueadoHasta: {
+    type: Date,
+    default: null
+  },
+  ultimoError: {
+    type: String,
+    default: null
+  },
+  fechaFinalizacion: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para optimizar consultas
+jobSchema.index({ estado: 1, ejecutarEn: 1 });
+jobSchema.index({ estado: 1, bloqueadoHasta: 1 });
+jobSchema.index({ tipo: 1, referencia: 1 });
+
+// Método estático para reclamar la siguiente tarea vencida.
+// El bloqueo es un arrendamiento: si la instancia cae, la tarea vuelve a estar disponible
+// cuando vence `bloqueadoHasta`.
+jobSchema.statics.reclamarSiguiente = function(instancia, duracionBloqueoMs) {
+  const ahora = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { estado: 'pendiente', ejecutarEn: { $lte: ahora } },
+        { estado: 'en_ejecucion', bloqueadoHasta: { $lt: ahora } }
+      ]
+    },
+    {
+      $set: {
+        estado: 'en_ejecucion',
+        bloqueadoPor: instancia,
+        bloqueadoHasta: new Date(ahora.getTime() + duracionBloqueoMs)
+      },
+      $inc: { intentos: 1 }
+    },
+    { new: true, sort: { ejecutarEn: 1 } }
+  );
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         tipo:
+ *           type: string
+ *           description: Tipo de tarea (p. ej. recordatorio_curso)
+ *         clave:
+ *           type: string
+ *           description: Clave única que hace idempotente la programación
+ *         ejecutarEn:
+ *           type: string
+ *           format: date-time
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, en_ejecucion, completada, fallida]
+ *         intentos:
+ *           type: integer
+ *         ultimoError:
+ *           type: string
+ */
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,192 @@
+/**
+ * Modelo de Notificación
+ * Bandeja de salida persistente de los correos del sistema
+ * Cada envío fallido se reintenta con espera creciente hasta agotar los intentos
+ */
+
+const mongoose = require('mongoose');
+
+// Espera antes de cada reintento (en minutos), indexada por número de intento
+const ESPERAS_REINTENTO_MIN = [1, 5, 15, 60, 240];
+
+const notificationSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: {
+      values: ['registro', 'reserva_creada', 'reserva_confirmada', 'reserva_cancelada', 'reserva_reprogramada', 'comprobante_rechazado', 'reembolso_procesado', 'curso_cancelado', 'recordatorio_curso', 'transferencia_solicitada', 'transferencia_aceptada', 'plaza_grupo_asignada', 'invitacion_curso', 'restablecer_contraseña', 'verificar_correo'],
+      message: 'Tipo de notificación inválido'
+    },
+    required: [true, 'El tipo de notificación es obligatorio']
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  destinatario: {
+    type: String,
+    required: [true, 'El destinatario es obligatorio'],
+    lowercase: true,
+    trim: true
+  },
+  idioma: {
+    type: String,
+    enum: {
+      values: ['es', 'en'],
+      message: 'El idioma debe ser es o en'
+    },
+    default: 'es'
+  },
+  asunto: {
+    type: String,
+    required: [true, 'El asunto es obligatorio'],
+    trim: true
+  },
+  texto: {
+    type: String,
+    required: [true, 'El contenido es obligatorio']
+  },
+  html: {
+    type: String
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'enviando', 'enviada', 'fallida'],
+      message: 'El estado debe ser pendiente, enviando, enviada o fallida'
+    },
+    default: 'pendiente'
+  },
+  intentos: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxIntentos: {
+    type: Number,
+    min: 1,
+    default: ESPERAS_REINTENTO_MIN.length + 1
+  },
+  proximoIntento: {
+    type: Date,
+    default: Date.now
+  },
+  ultimoError: {
+    type: String,
+    default: null
+  },
+  fechaEnvio: {
+    type: Date,
+    default: null
+  },
+  referencia: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+notificationSchema.index({ estado: 1, proximoIntento: 1 });
+notificationSchema.index({ tipo: 1, createdAt: -1 });
+notificationSchema.index({ usuario: 1, createdAt: -1 });
+
+// Método para registrar un envío correcto
+notificationSchema.methods.marcarEnviada = function() {
+  this.estado = 'enviada';
+  this.intentos += 1;
+  this.fechaEnvio = new Date();
+  this.ultimoError = null;
+  return this.save();
+};
+
+// Método para registrar un envío fallido y programar el siguiente reintento
+notificationSchema.methods.marcarFallo = function(error) {
+  this.intentos += 1;
+  this.ultimoError = error && error.message ? error.message : String(error);
+
+  if (this.intentos >= this.maxIntentos) {
+    this.estado = 'fallida';
+  } else {
+    const espera = ESPERAS_REINTENTO_MIN[Math.min(this.intentos - 1, ESPERAS_REINTENTO_MIN.length - 1)];
+    this.estado = 'pendiente';
+    this.proximoIntento = new Date(Date.now() + espera * 60 * 1000);
+  }
+
+  return this.save();
+};
+
+// Método para volver a encolar manualmente una notificación fallida
+notificationSchema.methods.reintentar = function() {
+  if (this.estado !== 'fallida') {
+    throw new Error('Solo se pueden reintentar notificaciones fallidas');
+  }
+
+  this.estado = 'pendiente';
+  this.intentos = 0;
+  this.proximoIntento = new Date();
+  return this.save();
+};
+
+// Método estático para reclamar la siguiente notificación lista para enviar
+// El cambio atómico a "enviando" evita que dos procesos envíen el mismo correo
+notificationSchema.statics.reclamarSiguiente = function() {
+  return this.findOneAndUpdate(
+    { estado: 'pendiente', proximoIntento: { $lte: new Date() } },
+    { $set: { estado: 'enviando' } },
+    { new: true, sort: { proximoIntento: 1 } }
+  );
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         tipo:
+ *           type: string
+ *           enum: [registro, reserva_creada, reserva_confirmada, reserva_cancelada, reserva_reprogramada, comprobante_rechazado, reembolso_procesado, curso_cancelado, recordatorio_curso, transferencia_solicitada, transferencia_aceptada, plaza_grupo_asignada, invitacion_curso, restablecer_contraseña, verificar_correo]
+ *         usuario:
+ *           type: string
+ *           description: ID del usuario destinatario
+ *         destinatario:
+ *           type: string
+ *           format: email
+ *         idioma:
+ *           type: string
+ *           enum: [es, en]
+ *         asunto:
+ *           type: string
+ *         texto:
+ *           type: string
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, enviando, enviada, fallida]
+ *         intentos:
+ *           type: integer
+ *         proximoIntento:
+ *           type: string
+ *           format: date-time
+ *         ultimoError:
+ *           type: string
+ *         fechaEnvio:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         tipo: "reserva_confirmada"
+ *         destinatario: "juan.perez@ejemplo.com"
+ *         idioma: "es"
+ *         asunto: "Tu reserva para JavaScript Avanzado está confirmada"
+ *         estado: "enviada"
+ *         intentos: 1
+ */
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,142 @@
+/**
+ * Modelo de Pago
+ * Intento de cobro de una reserva pendiente a través de una pasarela de pagos
+ * El estado solo avanza con actualizaciones condicionales para que un mismo
+ * evento de la pasarela nunca se aplique dos veces
+ */
+
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  reserva: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'La reserva es obligatoria']
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es obligatorio']
+  },
+  curso: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'El curso es obligatorio']
+  },
+  proveedor: {
+    type: String,
+    required: [true, 'El proveedor de pagos es obligatorio'],
+    trim: true
+  },
+  referenciaExterna: {
+    type: String,
+    required: [true, 'La referencia del proveedor es obligatoria'],
+    trim: true
+  },
+  importe: {
+    type: Number,
+    required: [true, 'El importe es obligatorio'],
+    min: [0, 'El importe no puede ser negativo']
+  },
+  moneda: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD'
+  },
+  urlPago: {
+    type: String,
+    trim: true
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'completado', 'fallido', 'cancelado', 'expirado'],
+      message: 'El estado debe ser pendiente, completado, fallido, cancelado o expirado'
+    },
+    default: 'pendiente'
+  },
+  motivoFallo: {
+    type: String,
+    default: null
+  },
+  fechaPago: {
+    type: Date,
+    default: null
+  },
+  // El cobro llegó cuando la reserva ya no estaba pendiente (expiró o se canceló)
+  requiereReembolso: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+paymentSchema.index({ proveedor: 1, referenciaExterna: 1 }, { unique: true });
+paymentSchema.index({ reserva: 1, createdAt: -1 });
+// Como mucho un intento abierto por reserva
+paymentSchema.index(
+  { reserva: 1 },
+  { unique: true, partialFilterExpression: { estado: 'pendiente' } }
+);
+
+// Método estático para obtener el intento abierto de una reserva
+paymentSchema.statics.findPendiente = function(reservaId) {
+  return this.findOne({ reserva: reservaId, estado: 'pendiente' });
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         reserva:
+ *           type: string
+ *           description: ID de la reserva que se paga
+ *         usuario:
+ *           type: string
+ *         curso:
+ *           type: string
+ *         proveedor:
+ *           type: string
+ *           description: Pasarela que procesa el pago
+ *           example: mock
+ *         referenciaExterna:
+ *           type: string
+ *           description: Identificador del intento en la pasarela
+ *         importe:
+ *           type: number
+ *         moneda:
+ *           type: string
+ *         urlPago:
+ *           type: string
+ *           description: Página de la pasarela donde el usuario completa el pago
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, completado, fallido, cancelado, expirado]
+ *         motivoFallo:
+ *           type: string
+ *         fechaPago:
+ *           type: string
+ *           format: date-time
+ *         requiereReembolso:
+ *           type: boolean
+ *           description: El cobro se recibió cuando la reserva ya no estaba pendiente
+ *       example:
+ *         proveedor: "mock"
+ *         referenciaExterna: "mock_3f9a1c2b7d8e4f5a6b7c8d9e"
+ *         importe: 150000
+ *         moneda: "USD"
+ *         estado: "completado"
+ */
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,127 @@
+/**
+ * Modelo de Comprobante de Pago
+ * Justificante de una transferencia bancaria subido por el usuario y revisado por un administrador
+ * El archivo se guarda en el adaptador de almacenamiento configurado; aquí solo su clave
+ */
+
+const mongoose = require('mongoose');
+
+const paymentReceiptSchema = new mongoose.Schema({
+  reserva: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'La reserva es obligatoria']
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es obligatorio']
+  },
+  curso: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'El curso es obligatorio']
+  },
+  almacenamiento: {
+    type: String,
+    required: true
+  },
+  clave: {
+    type: String,
+    required: true
+  },
+  nombreOriginal: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'El nombre del archivo no puede exceder 255 caracteres']
+  },
+  tipoMime: {
+    type: String,
+    required: true
+  },
+  tamano: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'aprobado', 'rechazado'],
+      message: 'El estado debe ser pendiente, aprobado o rechazado'
+    },
+    default: 'pendiente'
+  },
+  motivoRechazo: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'El motivo del rechazo no puede exceder 500 caracteres'],
+    default: null
+  },
+  revisadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  fechaRevision: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+paymentReceiptSchema.index({ estado: 1, createdAt: 1 });
+paymentReceiptSchema.index({ reserva: 1, createdAt: -1 });
+// Como mucho un comprobante en revisión por reserva
+paymentReceiptSchema.index(
+  { reserva: 1 },
+  { unique: true, partialFilterExpression: { estado: 'pendiente' } }
+);
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentReceipt:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         reserva:
+ *           type: string
+ *         usuario:
+ *           type: string
+ *         curso:
+ *           type: string
+ *         nombreOriginal:
+ *           type: string
+ *           description: Nombre del archivo subido
+ *         tipoMime:
+ *           type: string
+ *           enum: [application/pdf, image/jpeg, image/png, image/webp]
+ *         tamano:
+ *           type: integer
+ *           description: Tamaño en bytes
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, aprobado, rechazado]
+ *         motivoRechazo:
+ *           type: string
+ *         revisadoPor:
+ *           type: string
+ *         fechaRevision:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         nombreOriginal: "transferencia-marzo.pdf"
+ *         tipoMime: "application/pdf"
+ *         tamano: 184320
+ *         estado: "pendiente"
+ */
+
+module.exports = mongoose.model('PaymentReceipt', paymentReceiptSchema);
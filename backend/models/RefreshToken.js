@@ -0,0 +1,154 @@
+/**
+ * Modelo de Token de Renovación
+ * Sesión de un usuario en un dispositivo. Solo se guarda el hash del token, que viaja
+ * en una cookie httpOnly. Cada uso lo sustituye por uno nuevo de la misma familia; si
+ * se presenta uno revocado o uno ya usado, se revoca la familia entera (posible robo),
+ * salvo que llegue desde el mismo dispositivo dentro del margen de gracia configurado.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es obligatorio']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Todos los tokens de una misma sesión (el inicial y sus sucesivas rotaciones)
+  familia: {
+    type: String,
+    required: true
+  },
+  // Versión de los tokens del usuario al emitirlo: invalidarTokens() deja de aceptarlo
+  tokenVersion: {
+    type: Number,
+    required: true
+  },
+  dispositivo: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  },
+  fechaUso: {
+    type: Date,
+    default: null
+  },
+  fechaRevocacion: {
+    type: Date,
+    default: null
+  },
+  motivoRevocacion: {
+    type: String,
+    enum: {
+      values: ['logout', 'logout_global', 'reutilizacion'],
+      message: 'Motivo de revocación inválido'
+    },
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para optimizar consultas
+refreshTokenSchema.index({ familia: 1 });
+refreshTokenSchema.index({ usuario: 1, fechaRevocacion: 1 });
+// MongoDB borra los tokens caducados
+refreshTokenSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+// Método para verificar si el token aún se puede canjear
+refreshTokenSchema.methods.estaVigente = function(fecha = new Date()) {
+  return !this.fechaUso && !this.fechaRevocacion && fecha < this.expiraEn;
+};
+
+// Método estático para calcular el hash de un token
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Método estático para buscar un token por su valor en claro
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+// Método estático para marcar un token como usado solo si nadie lo usó antes (atómico)
+refreshTokenSchema.statics.marcarUsadoAtomico = function(tokenId) {
+  return this.findOneAndUpdate(
+    { _id: tokenId, fechaUso: null, fechaRevocacion: null },
+    { fechaUso: new Date() },
+    { new: true }
+  );
+};
+
+// Método estático para revocar todos los tokens de una familia
+refreshTokenSchema.statics.revocarFamilia = function(familia, motivo) {
+  return this.updateMany(
+    { familia, fechaRevocacion: null },
+    { fechaRevocacion: new Date(), motivoRevocacion: motivo }
+  );
+};
+
+// Método estático para revocar todas las sesiones de un usuario
+refreshTokenSchema.statics.revocarDeUsuario = function(usuarioId, motivo) {
+  return this.updateMany(
+    { usuario: usuarioId, fechaRevocacion: null },
+    { fechaRevocacion: new Date(), motivoRevocacion: motivo }
+  );
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RefreshToken:
+ *       type: object
+ *       description: Sesión de un dispositivo (el token en sí solo viaja en la cookie refreshToken)
+ *       properties:
+ *         _id:
+ *           type: string
+ *         usuario:
+ *           type: string
+ *         familia:
+ *           type: string
+ *           description: Identificador común a la sesión y a todas sus rotaciones
+ *         dispositivo:
+ *           type: string
+ *           nullable: true
+ *           description: User-Agent del dispositivo que inició la sesión
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *         expiraEn:
+ *           type: string
+ *           format: date-time
+ *         fechaUso:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Momento en que se canjeó por uno nuevo
+ *         fechaRevocacion:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         motivoRevocacion:
+ *           type: string
+ *           enum: [logout, logout_global, reutilizacion]
+ *           nullable: true
+ */
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,208 @@
+/**
+ * Modelo de Reembolso
+ * Devolución del dinero de una reserva cancelada (según la política de cancelación del curso),
+ * de un cobro que llegó cuando la reserva ya no estaba pendiente o de un grupo pagado cuyo
+ * curso se canceló.
+ * Se resuelve devolviendo el importe por el medio de pago original o abonándolo como
+ * saldo a favor del usuario; el saldo a favor que se usó en la reserva siempre vuelve como saldo.
+ */
+
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  // Los reembolsos de un grupo apuntan al grupo: su cobro no pertenece a ninguna reserva
+  reserva: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [function() { return !this.grupo; }, 'La reserva es obligatoria']
+  },
+  grupo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupBooking',
+    default: null
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es obligatorio']
+  },
+  curso: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'El curso es obligatorio']
+  },
+  // Cobro tardío que origina el reembolso (solo en origen pago_tardio)
+  pago: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  origen: {
+    type: String,
+    enum: {
+      values: ['cancelacion', 'pago_tardio', 'cancelacion_grupo'],
+      message: 'El origen debe ser cancelacion, pago_tardio o cancelacion_grupo'
+    },
+    required: [true, 'El origen del reembolso es obligatorio']
+  },
+  importePagado: {
+    type: Number,
+    min: [0, 'El importe pagado no puede ser negativo'],
+    required: [true, 'El importe pagado es obligatorio']
+  },
+  porcentaje: {
+    type: Number,
+    min: [0, 'El porcentaje de reembolso no puede ser negativo'],
+    max: [100, 'El porcentaje de reembolso no puede exceder 100'],
+    required: [true, 'El porcentaje de reembolso es obligatorio']
+  },
+  // Importe a devolver del dinero cobrado
+  importe: {
+    type: Number,
+    min: [0, 'El importe del reembolso no puede ser negativo'],
+    required: [true, 'El importe del reembolso es obligatorio']
+  },
+  // Parte del saldo a favor usado en la reserva que se devolvió al usuario
+  creditoDevuelto: {
+    type: Number,
+    min: [0, 'El saldo devuelto no puede ser negativo'],
+    default: 0
+  },
+  metodo: {
+    type: String,
+    enum: {
+      values: ['original', 'credito'],
+      message: 'El método de reembolso debe ser original o credito'
+    },
+    default: 'original'
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'procesado', 'rechazado'],
+      message: 'El estado debe ser pendiente, procesado o rechazado'
+    },
+    default: 'pendiente'
+  },
+  referenciaExterna: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La referencia no puede exceder 200 caracteres'],
+    default: null
+  },
+  notas: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres'],
+    default: null
+  },
+  procesadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  fechaProceso: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimizar consultas
+refundSchema.index({ estado: 1, createdAt: 1 });
+refundSchema.index({ usuario: 1, createdAt: -1 });
+refundSchema.index({ estado: 1, metodo: 1, fechaProceso: 1 });
+// Un único reembolso por cancelación de cada reserva o grupo y por cada cobro tardío
+refundSchema.index(
+  { reserva: 1 },
+  { unique: true, partialFilterExpression: { origen: 'cancelacion' } }
+);
+refundSchema.index(
+  { pago: 1 },
+  { unique: true, partialFilterExpression: { origen: 'pago_tardio' } }
+);
+refundSchema.index(
+  { grupo: 1 },
+  { unique: true, partialFilterExpression: { origen: 'cancelacion_grupo' } }
+);
+
+// Virtual con el total devuelto al usuario (dinero y saldo)
+refundSchema.virtual('importeTotal').get(function() {
+  return Math.round((this.importe + this.creditoDevuelto) * 100) / 100;
+});
+
+// Método estático para obtener los reembolsos de un usuario
+refundSchema.statics.findByUser = function(userId) {
+  return this.find({ usuario: userId })
+    .populate('curso', 'titulo fechaInicio')
+    .sort({ createdAt: -1 });
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         reserva:
+ *           type: string
+ *         grupo:
+ *           type: string
+ *           description: Reserva de grupo cuyo cobro se devuelve (origen cancelacion_grupo)
+ *         usuario:
+ *           type: string
+ *         curso:
+ *           type: string
+ *         pago:
+ *           type: string
+ *           description: Cobro tardío que originó el reembolso
+ *         origen:
+ *           type: string
+ *           enum: [cancelacion, pago_tardio, cancelacion_grupo]
+ *         importePagado:
+ *           type: number
+ *           description: Dinero cobrado por la reserva
+ *         porcentaje:
+ *           type: number
+ *           description: Porcentaje reembolsable según la política de cancelación
+ *         importe:
+ *           type: number
+ *           description: Dinero a devolver
+ *         creditoDevuelto:
+ *           type: number
+ *           description: Saldo a favor usado en la reserva que volvió a la cuenta del usuario
+ *         metodo:
+ *           type: string
+ *           enum: [original, credito]
+ *           description: Devolución por el medio de pago original o como saldo a favor
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, procesado, rechazado]
+ *         referenciaExterna:
+ *           type: string
+ *           description: Referencia de la devolución en el banco o la pasarela
+ *         notas:
+ *           type: string
+ *         procesadoPor:
+ *           type: string
+ *         fechaProceso:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         origen: "cancelacion"
+ *         importePagado: 150
+ *         porcentaje: 50
+ *         importe: 75
+ *         creditoDevuelto: 0
+ *         metodo: "original"
+ *         estado: "pendiente"
+ */
+
+module.exports = mongoose.model('Refund', refundSchema);
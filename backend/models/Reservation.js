@@ -6,6 +6,116 @@
 
 const mongoose = require('mongoose');
 
+// Registro de asistencia a una sesión del curso
+// `sesion` es null en cursos sin calendario de sesiones (una única sesión implícita)
+const attendanceSchema = new mongoose.Schema({
+  sesion: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  fechaRegistro: {
+    type: Date,
+    default: Date.now
+  },
+  metodo: {
+    type: String,
+    enum: {
+      values: ['qr', 'manual'],
+      message: 'El método de registro debe ser qr o manual'
+    },
+    default: 'manual'
+  },
+  registradoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// Solicitud de transferencia de la plaza a otro usuario, pendiente de que la acepte
+const transferRequestSchema = new mongoose.Schema({
+  destinatario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El destinatario de la transferencia es obligatorio']
+  },
+  fechaSolicitud: {
+    type: Date,
+    default: Date.now
+  },
+  expiraEn: {
+    type: Date,
+    required: [true, 'La fecha de expiración de la transferencia es obligatoria']
+  }
+}, { _id: false });
+
+// Cambio de titular ya realizado
+const transferRecordSchema = new mongoose.Schema({
+  de: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  a: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Cambio de la reserva a otra edición del mismo curso
+const rescheduleRecordSchema = new mongoose.Schema({
+  cursoAnterior: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  cursoNuevo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  },
+  realizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  porAdministrador: {
+    type: Boolean,
+    default: false
+  },
+  motivo: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'El motivo del cambio no puede exceder 500 caracteres']
+  }
+}, { _id: false });
+
+// Código de descuento aplicado al reservar
+const appliedDiscountSchema = new mongoose.Schema({
+  cupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscountCode',
+    required: true
+  },
+  codigo: {
+    type: String,
+    required: true
+  },
+  importe: {
+    type: Number,
+    min: 0,
+    required: true
+  }
+}, { _id: false });
+
 const reservationSchema = new mongoose.Schema({
   usuario: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,6 +127,12 @@ const reservationSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'El curso es obligatorio']
   },
+  // Reserva de grupo a la que pertenece la plaza (el cupo lo tomó el grupo, no esta reserva)
+  grupo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupBooking',
+    default: null
+  },
   fechaReserva: {
     type: Date,
     default: Date.now,
@@ -25,11 +141,15 @@ const reservationSchema = new mongoose.Schema({
   estado: {
     type: String,
     enum: {
-      values: ['confirmada', 'cancelada', 'pendiente', 'completada'],
-      message: 'El estado debe ser confirmada, cancelada, pendiente o completada'
+      values: ['confirmada', 'cancelada', 'pendiente', 'completada', 'en_espera', 'no_asistio'],
+      message: 'El estado debe ser confirmada, cancelada, pendiente, completada, en_espera o no_asistio'
     },
     default: 'pendiente'
   },
+  fechaPromocion: {
+    type: Date,
+    default: null
+  },
   fechaCancelacion: {
     type: Date,
     default: null
@@ -39,6 +159,12 @@ const reservationSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'El motivo de cancelación no puede exceder 500 caracteres']
   },
+  porcentajeReembolso: {
+    type: Number,
+    min: [0, 'El porcentaje de reembolso no puede ser negativo'],
+    max: [100, 'El porcentaje de reembolso no puede exceder 100'],
+    default: null
+  },
   notas: {
     type: String,
     trim: true,
@@ -49,6 +175,16 @@ const reservationSchema = new mongoose.Schema({
     min: [0, 'El precio pagado no puede ser negativo'],
     default: 0
   },
+  descuento: {
+    type: appliedDiscountSchema,
+    default: null
+  },
+  // Saldo a favor del usuario descontado del precio del curso
+  creditoAplicado: {
+    type: Number,
+    min: [0, 'El saldo aplicado no puede ser negativo'],
+    default: 0
+  },
   metodoPago: {
     type: String,
     enum: {
@@ -61,10 +197,60 @@ const reservationSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  estadoPago: {
+    type: String,
+    enum: {
+      values: ['no_requerido', 'pendiente', 'pagado'],
+      message: 'El estado del pago debe ser no_requerido, pendiente o pagado'
+    },
+    default: 'no_requerido'
+  },
+  fechaLimitePago: {
+    type: Date,
+    default: null
+  },
+  fechaPago: {
+    type: Date,
+    default: null
+  },
+  // Revisión del último comprobante de transferencia subido (ver PaymentReceipt)
+  estadoComprobante: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'aprobado', 'rechazado'],
+      message: 'El estado del comprobante debe ser pendiente, aprobado o rechazado'
+    },
+    default: null
+  },
+  motivoRechazoComprobante: {
+    type: String,
+    trim: true,
+    default: null
+  },
   asistio: {
     type: Boolean,
     default: false
   },
+  asistencias: {
+    type: [attendanceSchema],
+    default: []
+  },
+  recordatoriosEnviados: {
+    type: [Number],
+    default: []
+  },
+  transferenciaPendiente: {
+    type: transferRequestSchema,
+    default: null
+  },
+  transferencias: {
+    type: [transferRecordSchema],
+    default: []
+  },
+  reprogramaciones: {
+    type: [rescheduleRecordSchema],
+    default: []
+  },
   calificacion: {
     type: Number,
     min: [1, 'La calificación mínima es 1'],
@@ -87,6 +273,11 @@ reservationSchema.index({ curso: 1, estado: 1 });
 reservationSchema.index({ fechaReserva: -1 });
 reservationSchema.index({ estado: 1, fechaReserva: -1 });
 reservationSchema.index({ usuario: 1, curso: 1 }, { unique: true });
+reservationSchema.index({ 'transferenciaPendiente.destinatario': 1 }, { sparse: true });
+reservationSchema.index({ estado: 1, estadoPago: 1, fechaLimitePago: 1 });
+reservationSchema.index({ estadoPago: 1, fechaPago: 1 });
+reservationSchema.index({ 'descuento.cupon': 1, usuario: 1 });
+reservationSchema.index({ grupo: 1 });
 
 // Virtual para calcular días hasta el curso
 reservationSchema.virtual('diasHastaCurso').get(function() {
@@ -102,30 +293,183 @@ reservationSchema.virtual('estaActiva').get(function() {
   return this.estado === 'confirmada' || this.estado === 'pendiente';
 });
 
-// Virtual para verificar si se puede cancelar
+// Virtual para verificar si la reserva está en lista de espera
+reservationSchema.virtual('estaEnEspera').get(function() {
+  return this.estado === 'en_espera';
+});
+
+// Virtual para saber si hay una transferencia pendiente que aún puede aceptarse
+reservationSchema.virtual('transferenciaVigente').get(function() {
+  return !!this.transferenciaPendiente && this.transferenciaPendiente.expiraEn > new Date();
+});
+
+// Virtual para verificar si se puede cancelar según la política del curso
 reservationSchema.virtual('sePuedeCancelar').get(function() {
   if (!this.populated('curso') || !this.curso.fechaInicio) return false;
-  const ahora = new Date();
-  const fechaInicio = new Date(this.curso.fechaInicio);
-  const diasAntes = 2; // Se puede cancelar hasta 2 días antes
-  const fechaLimite = new Date(fechaInicio.getTime() - (diasAntes * 24 * 60 * 60 * 1000));
-  
-  return this.estado === 'confirmada' && ahora < fechaLimite;
+  return this.curso.evaluarCancelacion(this.estado).permitida;
+});
+
+// Virtual con el porcentaje que se reembolsaría si se cancelara ahora
+reservationSchema.virtual('reembolsoSiCancela').get(function() {
+  if (!this.populated('curso') || !this.curso.fechaInicio) return null;
+  const evaluacion = this.curso.evaluarCancelacion(this.estado);
+  return evaluacion.permitida ? evaluacion.porcentajeReembolso : null;
+});
+
+// Virtual con el porcentaje de asistencia (requiere el curso poblado con sus sesiones)
+reservationSchema.virtual('porcentajeAsistencia').get(function() {
+  if (!this.populated('curso') || !this.curso.sesiones) return null;
+  return this.calcularPorcentajeAsistencia(this.curso);
 });
 
-// Método para cancelar reserva
+// Método para calcular el porcentaje de sesiones del curso a las que asistió
+reservationSchema.methods.calcularPorcentajeAsistencia = function(curso) {
+  const sesiones = curso.sesiones || [];
+
+  if (sesiones.length === 0) {
+    return this.asistencias.length > 0 ? 100 : 0;
+  }
+
+  // Solo cuentan las sesiones que siguen existiendo en el calendario
+  const asistidas = sesiones.filter(sesion => this.tieneAsistencia(sesion._id)).length;
+  return Math.round((asistidas / sesiones.length) * 100);
+};
+
+// Método para saber si ya hay asistencia registrada en una sesión
+reservationSchema.methods.tieneAsistencia = function(sesionId = null) {
+  return this.asistencias.some(asistencia =>
+    sesionId ? asistencia.sesion && asistencia.sesion.equals(sesionId) : !asistencia.sesion
+  );
+};
+
+// Método para registrar la asistencia a una sesión
+reservationSchema.methods.registrarAsistencia = function(sesionId = null, { metodo = 'manual', registradoPor } = {}) {
+  if (this.estado !== 'confirmada') {
+    throw new Error('Solo se registra asistencia en reservas confirmadas');
+  }
+
+  if (this.tieneAsistencia(sesionId)) {
+    throw new Error('La asistencia a esta sesión ya fue registrada');
+  }
+
+  this.asistencias.push({ sesion: sesionId, metodo, registradoPor });
+  this.asistio = true;
+
+  return this.save();
+};
+
+// Método para anular la asistencia a una sesión (corrección manual)
+reservationSchema.methods.anularAsistencia = function(sesionId = null) {
+  if (this.estado !== 'confirmada') {
+    throw new Error('Solo se modifica la asistencia de reservas confirmadas');
+  }
+
+  this.asistencias = this.asistencias.filter(asistencia =>
+    sesionId ? !(asistencia.sesion && asistencia.sesion.equals(sesionId)) : !!asistencia.sesion
+  );
+  this.asistio = this.asistencias.length > 0;
+
+  return this.save();
+};
+
+// Método para cancelar reserva aplicando la política de cancelación del curso
 reservationSchema.methods.cancelar = function(motivo = '') {
-  if (!this.sePuedeCancelar) {
+  if (!this.populated('curso') || !this.curso.fechaInicio) {
     throw new Error('No se puede cancelar esta reserva');
   }
+
+  const evaluacion = this.curso.evaluarCancelacion(this.estado);
+  if (!evaluacion.permitida) {
+    throw new Error(evaluacion.motivo);
+  }
   
   this.estado = 'cancelada';
   this.fechaCancelacion = new Date();
   this.motivoCancelacion = motivo;
+  this.porcentajeReembolso = evaluacion.porcentajeReembolso;
+  this.transferenciaPendiente = null;
   
   return this.save();
 };
 
+// Método para proponer la transferencia de la plaza a otro usuario
+reservationSchema.methods.solicitarTransferencia = function(destinatarioId, expiraEn) {
+  if (!['pendiente', 'confirmada'].includes(this.estado)) {
+    throw new Error('Solo se pueden transferir reservas pendientes o confirmadas');
+  }
+
+  if (this.usuario.equals(destinatarioId)) {
+    throw new Error('No puedes transferirte la reserva a ti mismo');
+  }
+
+  if (this.transferenciaVigente) {
+    throw new Error('La reserva ya tiene una transferencia pendiente');
+  }
+
+  this.transferenciaPendiente = { destinatario: destinatarioId, expiraEn };
+  return this.save();
+};
+
+// Método para que el destinatario acepte la transferencia: la reserva cambia de titular
+// (el hook de guardado comprueba que el destinatario no tenga ya una reserva activa del curso)
+reservationSchema.methods.aceptarTransferencia = function(usuarioId, session = null) {
+  if (!this.transferenciaPendiente || !this.transferenciaPendiente.destinatario.equals(usuarioId)) {
+    throw new Error('No tienes ninguna transferencia pendiente para esta reserva');
+  }
+
+  if (!this.transferenciaVigente) {
+    throw new Error('El plazo para aceptar la transferencia ha vencido');
+  }
+
+  if (!['pendiente', 'confirmada'].includes(this.estado)) {
+    throw new Error('La reserva ya no se puede transferir');
+  }
+
+  this.transferencias.push({ de: this.usuario, a: usuarioId });
+  this.usuario = usuarioId;
+  this.transferenciaPendiente = null;
+
+  return this.save({ session });
+};
+
+// Método para descartar la transferencia pendiente (la retira el titular o la rechaza el destinatario)
+reservationSchema.methods.anularTransferencia = function() {
+  if (!this.transferenciaPendiente) {
+    throw new Error('La reserva no tiene ninguna transferencia pendiente');
+  }
+
+  this.transferenciaPendiente = null;
+  return this.save();
+};
+
+// Método para mover la reserva a otra edición conservando el estado y los datos del pago.
+// La asistencia y los recordatorios se reinician porque corresponden a la edición anterior.
+reservationSchema.methods.reprogramar = function(cursoNuevoId, { realizadoPor = null, porAdministrador = false, motivo } = {}, session = null) {
+  if (!['pendiente', 'confirmada'].includes(this.estado)) {
+    throw new Error('Solo se pueden cambiar de edición las reservas pendientes o confirmadas');
+  }
+
+  const cursoAnterior = this.populated('curso') || this.curso;
+  if (cursoAnterior.equals(cursoNuevoId)) {
+    throw new Error('La reserva ya corresponde a esa edición');
+  }
+
+  this.reprogramaciones.push({
+    cursoAnterior,
+    cursoNuevo: cursoNuevoId,
+    realizadoPor,
+    porAdministrador,
+    motivo
+  });
+  this.curso = cursoNuevoId;
+  this.asistencias = [];
+  this.asistio = false;
+  this.recordatoriosEnviados = [];
+  this.transferenciaPendiente = null;
+
+  return this.save({ session });
+};
+
 // Método para confirmar reserva
 reservationSchema.methods.confirmar = function() {
   if (this.estado !== 'pendiente') {
@@ -133,19 +477,48 @@ reservationSchema.methods.confirmar = function() {
   }
   
   this.estado = 'confirmada';
+
+  // Confirmar a mano un pago en efectivo o transferencia lo da por recibido
+  if (this.estadoPago === 'pendiente') {
+    this.estadoPago = 'pagado';
+    this.fechaPago = new Date();
+    this.fechaLimitePago = null;
+  }
+
   return this.save();
 };
 
-// Método para marcar como completada
+// Método para marcar como completada exigiendo la asistencia mínima del curso
 reservationSchema.methods.completar = function() {
   if (this.estado !== 'confirmada') {
     throw new Error('Solo se pueden completar reservas confirmadas');
   }
+
+  if (!this.populated('curso') || !this.curso.sesiones) {
+    throw new Error('No se puede completar esta reserva');
+  }
+
+  const minimo = this.curso.asistenciaMinima || 0;
+  const porcentaje = this.calcularPorcentajeAsistencia(this.curso);
+  if (porcentaje < minimo) {
+    throw new Error(`La asistencia (${porcentaje}%) no alcanza el mínimo requerido por el curso (${minimo}%)`);
+  }
   
   this.estado = 'completada';
   return this.save();
 };
 
+// Método para decidir el estado final de una reserva confirmada cuando termina el curso:
+// completada si alcanzó la asistencia mínima, no_asistio en caso contrario
+reservationSchema.methods.estadoAlFinalizar = function(curso) {
+  if (this.asistencias.length === 0) {
+    return 'no_asistio';
+  }
+
+  const minimo = curso.asistenciaMinima || 0;
+  return this.calcularPorcentajeAsistencia(curso) >= minimo ? 'completada' : 'no_asistio';
+};
+
 // Método para calificar el curso
 reservationSchema.methods.calificar = function(calificacion, comentario = '') {
   if (this.estado !== 'completada') {
@@ -163,12 +536,13 @@ reservationSchema.methods.calificar = function(calificacion, comentario = '') {
 };
 
 // Método estático para obtener reservas de un usuario
-reservationSchema.statics.findByUser = function(userId, estado = null) {
+reservationSchema.statics.findByUser = function(userId, estado = null, courseId = null) {
   const query = { usuario: userId };
   if (estado) query.estado = estado;
+  if (courseId) query.curso = courseId;
   
   return this.find(query)
-    .populate('curso', 'titulo fechaInicio fechaFin instructor modalidad')
+    .populate('curso', 'titulo fechaInicio fechaFin instructor modalidad ubicacion politicaCancelacion sesiones asistenciaMinima')
     .sort({ fechaReserva: -1 });
 };
 
@@ -182,15 +556,39 @@ reservationSchema.statics.findByCourse = function(courseId, estado = null) {
     .sort({ fechaReserva: -1 });
 };
 
-// Método estático para verificar si usuario ya tiene reserva en curso
+// Método estático para verificar si usuario ya tiene reserva en curso (incluye lista de espera)
 reservationSchema.statics.userHasReservation = function(userId, courseId) {
   return this.exists({
     usuario: userId,
     curso: courseId,
-    estado: { $in: ['pendiente', 'confirmada'] }
+    estado: { $in: ['pendiente', 'confirmada', 'en_espera'] }
   });
 };
 
+// Método estático para obtener la lista de espera de un curso en orden de llegada
+reservationSchema.statics.findWaitlist = function(courseId) {
+  return this.find({ curso: courseId, estado: 'en_espera' })
+    .populate('usuario', 'nombre correo')
+    .sort({ fechaReserva: 1, _id: 1 });
+};
+
+// Método para obtener la posición en la lista de espera (1 = siguiente en ser promovido)
+reservationSchema.methods.obtenerPosicionEspera = async function() {
+  if (this.estado !== 'en_espera') return null;
+
+  const cursoId = this.populated('curso') || this.curso;
+  const anteriores = await this.constructor.countDocuments({
+    curso: cursoId,
+    estado: 'en_espera',
+    $or: [
+      { fechaReserva: { $lt: this.fechaReserva } },
+      { fechaReserva: this.fechaReserva, _id: { $lt: this._id } }
+    ]
+  });
+
+  return anteriores + 1;
+};
+
 // Middleware para validar antes de guardar
 reservationSchema.pre('save', async function(next) {
   // Verificar que no exista otra reserva activa del mismo usuario para el mismo curso
@@ -198,9 +596,9 @@ reservationSchema.pre('save', async function(next) {
     const existingReservation = await this.constructor.findOne({
       usuario: this.usuario,
       curso: this.curso,
-      estado: { $in: ['pendiente', 'confirmada'] },
+      estado: { $in: ['pendiente', 'confirmada', 'en_espera'] },
       _id: { $ne: this._id }
-    });
+    }).session(this.$session());
     
     if (existingReservation) {
       return next(new Error('Ya tienes una reserva activa para este curso'));
@@ -230,15 +628,23 @@ reservationSchema.pre('save', async function(next) {
  *         curso:
  *           type: string
  *           description: ID del curso reservado
+ *         grupo:
+ *           type: string
+ *           nullable: true
+ *           description: ID de la reserva de grupo a la que pertenece la plaza
  *         fechaReserva:
  *           type: string
  *           format: date-time
  *           description: Fecha y hora de la reserva
  *         estado:
  *           type: string
- *           enum: [confirmada, cancelada, pendiente, completada]
+ *           enum: [confirmada, cancelada, pendiente, completada, en_espera, no_asistio]
  *           description: Estado actual de la reserva
  *           default: pendiente
+ *         fechaPromocion:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha en que la reserva salió de la lista de espera
  *         fechaCancelacion:
  *           type: string
  *           format: date-time
@@ -247,6 +653,11 @@ reservationSchema.pre('save', async function(next) {
  *           type: string
  *           description: Motivo de la cancelación
  *           maxLength: 500
+ *         porcentajeReembolso:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Porcentaje de reembolso aplicado al cancelar según la política del curso
  *         notas:
  *           type: string
  *           description: Notas adicionales
@@ -256,6 +667,23 @@ reservationSchema.pre('save', async function(next) {
  *           minimum: 0
  *           description: Precio pagado por la reserva
  *           default: 0
+ *         descuento:
+ *           type: object
+ *           nullable: true
+ *           description: Código de descuento aplicado al reservar
+ *           properties:
+ *             cupon:
+ *               type: string
+ *             codigo:
+ *               type: string
+ *             importe:
+ *               type: number
+ *               description: Importe descontado del precio del curso
+ *         creditoAplicado:
+ *           type: number
+ *           minimum: 0
+ *           description: Saldo a favor descontado del precio del curso
+ *           default: 0
  *         metodoPago:
  *           type: string
  *           enum: [efectivo, tarjeta, transferencia, gratuito]
@@ -263,11 +691,107 @@ reservationSchema.pre('save', async function(next) {
  *           default: gratuito
  *         comprobantePago:
  *           type: string
- *           description: Referencia del comprobante de pago
+ *           description: Referencia del pago (intento de la pasarela o ID del comprobante de transferencia)
+ *         estadoPago:
+ *           type: string
+ *           enum: [no_requerido, pendiente, pagado]
+ *           description: Estado del cobro de la reserva
+ *           default: no_requerido
+ *         fechaLimitePago:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fecha a partir de la cual la reserva impaga se cancela y libera su cupo
+ *         fechaPago:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         estadoComprobante:
+ *           type: string
+ *           enum: [pendiente, aprobado, rechazado]
+ *           nullable: true
+ *           description: Revisión del último comprobante de transferencia subido
+ *         motivoRechazoComprobante:
+ *           type: string
+ *           nullable: true
+ *           description: Motivo indicado por el administrador al rechazar el comprobante
  *         asistio:
  *           type: boolean
- *           description: Si el usuario asistió al curso
+ *           description: Si el usuario asistió al menos a una sesión
  *           default: false
+ *         transferenciaPendiente:
+ *           type: object
+ *           nullable: true
+ *           description: Transferencia de la plaza a otro usuario pendiente de aceptación
+ *           properties:
+ *             destinatario:
+ *               type: string
+ *               description: ID del usuario que recibe la plaza
+ *             fechaSolicitud:
+ *               type: string
+ *               format: date-time
+ *             expiraEn:
+ *               type: string
+ *               format: date-time
+ *         transferencias:
+ *           type: array
+ *           description: Historial de cambios de titular
+ *           items:
+ *             type: object
+ *             properties:
+ *               de:
+ *                 type: string
+ *               a:
+ *                 type: string
+ *               fecha:
+ *                 type: string
+ *                 format: date-time
+ *         reprogramaciones:
+ *           type: array
+ *           description: Historial de cambios de edición
+ *           items:
+ *             type: object
+ *             properties:
+ *               cursoAnterior:
+ *                 type: string
+ *               cursoNuevo:
+ *                 type: string
+ *               fecha:
+ *                 type: string
+ *                 format: date-time
+ *               realizadoPor:
+ *                 type: string
+ *               porAdministrador:
+ *                 type: boolean
+ *               motivo:
+ *                 type: string
+ *         recordatoriosEnviados:
+ *           type: array
+ *           description: Antelaciones (en horas) de los recordatorios ya enviados
+ *           items:
+ *             type: number
+ *         asistencias:
+ *           type: array
+ *           description: Asistencia registrada por sesión
+ *           items:
+ *             type: object
+ *             properties:
+ *               sesion:
+ *                 type: string
+ *                 description: ID de la sesión (null si el curso no tiene sesiones)
+ *               fechaRegistro:
+ *                 type: string
+ *                 format: date-time
+ *               metodo:
+ *                 type: string
+ *                 enum: [qr, manual]
+ *               registradoPor:
+ *                 type: string
+ *                 description: ID del administrador que registró la asistencia
+ *         porcentajeAsistencia:
+ *           type: number
+ *           readOnly: true
+ *           description: Porcentaje de sesiones del curso a las que asistió
  *         calificacion:
  *           type: integer
  *           minimum: 1
@@ -0,0 +1,90 @@
+/**
+ * Modelo de Transición de Estado
+ * Registro de auditoría de los cambios de estado que aplica el ciclo de vida automático
+ * de cursos y reservas
+ */
+
+const mongoose = require('mongoose');
+
+const stateTransitionSchema = new mongoose.Schema({
+  entidad: {
+    type: String,
+    enum: {
+      values: ['curso', 'reserva'],
+      message: 'La entidad debe ser curso o reserva'
+    },
+    required: [true, 'La entidad es obligatoria']
+  },
+  referencia: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'La referencia es obligatoria']
+  },
+  curso: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'El curso es obligatorio']
+  },
+  estadoAnterior: {
+    type: String,
+    required: [true, 'El estado anterior es obligatorio']
+  },
+  estadoNuevo: {
+    type: String,
+    required: [true, 'El estado nuevo es obligatorio']
+  },
+  motivo: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+  }
+}, {
+  timestamps: { createdAt: 'fecha', updatedAt: false }
+});
+
+// Índices para optimizar consultas
+stateTransitionSchema.index({ fecha: -1 });
+stateTransitionSchema.index({ curso: 1, fecha: -1 });
+stateTransitionSchema.index({ entidad: 1, estadoNuevo: 1 });
+
+// Método estático para registrar una transición sin interrumpir el proceso que la aplica
+stateTransitionSchema.statics.registrar = async function(datos, session = null) {
+  try {
+    const [transicion] = await this.create([datos], { session });
+    return transicion;
+  } catch (error) {
+    console.error('Error registrando transición de estado:', error.message);
+    return null;
+  }
+};
+
+// Configuración de Swagger para documentación
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StateTransition:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         entidad:
+ *           type: string
+ *           enum: [curso, reserva]
+ *         referencia:
+ *           type: string
+ *           description: ID del curso o de la reserva que cambió de estado
+ *         curso:
+ *           type: string
+ *           description: ID del curso afectado
+ *         estadoAnterior:
+ *           type: string
+ *         estadoNuevo:
+ *           type: string
+ *         motivo:
+ *           type: string
+ *         fecha:
+ *           type: string
+ *           format: date-time
+ */
+
+module.exports = mongoose.model('StateTransition', stateTransitionSchema);
@@ -4,9 +4,39 @@
  * Incluye autenticación, roles y validaciones
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Minutos de validez del enlace para restablecer la contraseña
+const MINUTOS_RESTABLECIMIENTO = () => parseInt(process.env.PASSWORD_RESET_MINUTES) || 60;
+
+// Horas de validez del enlace de verificación y espera mínima entre reenvíos
+const HORAS_VERIFICACION = () => parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48;
+const MINUTOS_REENVIO_VERIFICACION = () => parseInt(process.env.EMAIL_VERIFICATION_RESEND_MINUTES) || 5;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Datos de facturación opcionales; sin ellos la factura se emite a nombre del usuario
+const billingDataSchema = new mongoose.Schema({
+  nif: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'El NIF no puede exceder 20 caracteres']
+  },
+  razonSocial: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La razón social no puede exceder 100 caracteres']
+  },
+  direccion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La dirección no puede exceder 200 caracteres']
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   nombre: {
     type: String,
@@ -32,6 +62,23 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'La contraseña debe tener al menos 6 caracteres'],
     select: false // No incluir en consultas por defecto
   },
+  // Las cuentas anteriores a la verificación de correo se dan por verificadas;
+  // el registro lo pone a false hasta que se abre el enlace enviado
+  correoVerificado: {
+    type: Boolean,
+    default: true
+  },
+  // Correo nuevo pedido desde el perfil: no sustituye a `correo` hasta confirmarlo
+  correoPendiente: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Por favor ingresa un correo válido'
+    ]
+  },
   rol: {
     type: String,
     enum: {
@@ -55,6 +102,50 @@ const userSchema = new mongoose.Schema({
   tokenVersion: {
     type: Number,
     default: 0
+  },
+  // Solo se guarda el hash del token de restablecimiento; el token en claro va en el correo
+  tokenRestablecimiento: {
+    type: String,
+    default: null,
+    select: false
+  },
+  tokenRestablecimientoExpira: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Igual que el de restablecimiento, solo se guarda el hash del token de verificación
+  tokenVerificacion: {
+    type: String,
+    default: null,
+    select: false
+  },
+  tokenVerificacionExpira: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  ultimoEnvioVerificacion: {
+    type: Date,
+    default: null
+  },
+  idioma: {
+    type: String,
+    enum: {
+      values: ['es', 'en'],
+      message: 'El idioma debe ser es o en'
+    },
+    default: 'es'
+  },
+  // Saldo a favor procedente de reembolsos, aplicable a reservas futuras
+  saldoCredito: {
+    type: Number,
+    min: [0, 'El saldo a favor no puede ser negativo'],
+    default: 0
+  },
+  datosFacturacion: {
+    type: billingDataSchema,
+    default: () => ({})
   }
 }, {
   timestamps: true,
@@ -66,6 +157,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ correo: 1 });
 userSchema.index({ rol: 1 });
 userSchema.index({ activo: 1 });
+userSchema.index({ tokenRestablecimiento: 1 });
+userSchema.index({ tokenVerificacion: 1 });
 
 // Virtual para obtener el nombre completo
 userSchema.virtual('nombreCompleto').get(function() {
@@ -108,19 +201,97 @@ userSchema.methods.invalidarTokens = function() {
   return this.save();
 };
 
+// Método para generar un token de restablecimiento de contraseña (sustituye al anterior)
+userSchema.methods.generarTokenRestablecimiento = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenRestablecimiento = hashToken(token);
+  this.tokenRestablecimientoExpira = new Date(Date.now() + MINUTOS_RESTABLECIMIENTO() * 60 * 1000);
+  return token;
+};
+
+// Método para generar un token de verificación del correo (o del correo pendiente)
+userSchema.methods.generarTokenVerificacion = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenVerificacion = hashToken(token);
+  this.tokenVerificacionExpira = new Date(Date.now() + HORAS_VERIFICACION() * 60 * 60 * 1000);
+  this.ultimoEnvioVerificacion = new Date();
+  return token;
+};
+
+// Método para saber cuántos minutos faltan para poder reenviar la verificación (0 = ya)
+userSchema.methods.minutosParaReenviarVerificacion = function(fecha = new Date()) {
+  if (!this.ultimoEnvioVerificacion) return 0;
+  const disponible = this.ultimoEnvioVerificacion.getTime() + MINUTOS_REENVIO_VERIFICACION() * 60 * 1000;
+  return Math.max(0, Math.ceil((disponible - fecha.getTime()) / 60000));
+};
+
+// Método para dar por verificado el correo, aplicando el pendiente si lo hay
+userSchema.methods.aplicarVerificacion = function() {
+  if (this.correoPendiente) {
+    this.correo = this.correoPendiente;
+    this.correoPendiente = null;
+  }
+  this.correoVerificado = true;
+  return this.save();
+};
+
 // Método para obtener datos públicos del usuario
 userSchema.methods.toPublicJSON = function() {
   const userObject = this.toObject();
   delete userObject.contraseña;
   delete userObject.tokenVersion;
+  delete userObject.tokenRestablecimiento;
+  delete userObject.tokenRestablecimientoExpira;
+  delete userObject.tokenVerificacion;
+  delete userObject.tokenVerificacionExpira;
   return userObject;
 };
 
+// Método estático para abonar saldo a favor
+userSchema.statics.abonarCredito = function(userId, importe, session = null) {
+  return this.updateOne({ _id: userId }, { $inc: { saldoCredito: importe } }, { session });
+};
+
+// Método estático para descontar saldo a favor solo si alcanza (atómico)
+userSchema.statics.descontarCreditoAtomico = function(userId, importe, session = null) {
+  return this.findOneAndUpdate(
+    { _id: userId, saldoCredito: { $gte: importe } },
+    { $inc: { saldoCredito: -importe } },
+    { new: true, session }
+  );
+};
+
 // Método estático para buscar por correo
 userSchema.statics.findByEmail = function(correo) {
   return this.findOne({ correo: correo.toLowerCase() });
 };
 
+// Método estático para consumir un token de restablecimiento vigente (atómico, un solo uso)
+userSchema.statics.consumirTokenRestablecimiento = function(token) {
+  return this.findOneAndUpdate(
+    {
+      tokenRestablecimiento: hashToken(token),
+      tokenRestablecimientoExpira: { $gt: new Date() },
+      activo: true
+    },
+    { tokenRestablecimiento: null, tokenRestablecimientoExpira: null },
+    { new: true }
+  );
+};
+
+// Método estático para consumir un token de verificación vigente (atómico, un solo uso)
+userSchema.statics.consumirTokenVerificacion = function(token) {
+  return this.findOneAndUpdate(
+    {
+      tokenVerificacion: hashToken(token),
+      tokenVerificacionExpira: { $gt: new Date() },
+      activo: true
+    },
+    { tokenVerificacion: null, tokenVerificacionExpira: null },
+    { new: true }
+  );
+};
+
 // Método estático para verificar si existe usuario
 userSchema.statics.existsByEmail = function(correo) {
   return this.exists({ correo: correo.toLowerCase() });
@@ -172,6 +343,14 @@ userSchema.pre('save', function(next) {
  *           type: string
  *           description: Contraseña hasheada
  *           minLength: 6
+ *         correoVerificado:
+ *           type: boolean
+ *           description: Si el usuario ha confirmado su correo con el enlace enviado
+ *         correoPendiente:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *           description: Correo nuevo a la espera de confirmación; sustituye a correo al verificarlo
  *         rol:
  *           type: string
  *           enum: [usuario, admin]
@@ -189,6 +368,31 @@ userSchema.pre('save', function(next) {
  *           type: string
  *           format: date-time
  *           description: Último acceso del usuario
+ *         idioma:
+ *           type: string
+ *           enum: [es, en]
+ *           description: Idioma de las notificaciones por correo
+ *           default: es
+ *         saldoCredito:
+ *           type: number
+ *           description: Saldo a favor procedente de reembolsos, aplicable a reservas futuras
+ *           default: 0
+ *         datosFacturacion:
+ *           type: object
+ *           description: Datos opcionales que se imprimen en las facturas
+ *           properties:
+ *             nif:
+ *               type: string
+ *               maxLength: 20
+ *               description: Identificación fiscal
+ *             razonSocial:
+ *               type: string
+ *               maxLength: 100
+ *               description: Empresa a cuyo nombre se factura
+ *             direccion:
+ *               type: string
+ *               maxLength: 200
+ *               description: Dirección fiscal
  *       example:
  *         nombre: "Juan Pérez"
  *         correo: "juan.perez@ejemplo.com"
@@ -0,0 +1,112 @@
+/**
+ * Subesquemas de Curso
+ * Política de cancelación y sesiones, compartidos por cursos y plantillas de cursos
+ */
+
+const mongoose = require('mongoose');
+
+// Tramo de reembolso: porcentaje devuelto si se cancela con al menos `horasAntes` de antelación
+const refundTierSchema = new mongoose.Schema({
+  horasAntes: {
+    type: Number,
+    required: [true, 'Las horas de antelación del tramo son obligatorias'],
+    min: [0, 'Las horas de antelación no pueden ser negativas']
+  },
+  porcentaje: {
+    type: Number,
+    required: [true, 'El porcentaje de reembolso es obligatorio'],
+    min: [0, 'El porcentaje de reembolso no puede ser negativo'],
+    max: [100, 'El porcentaje de reembolso no puede exceder 100']
+  }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+  horasLimite: {
+    type: Number,
+    min: [0, 'El plazo de cancelación no puede ser negativo'],
+    default: 48
+  },
+  permitirPendientes: {
+    type: Boolean,
+    default: true
+  },
+  tramosReembolso: {
+    type: [refundTierSchema],
+    default: []
+  }
+}, { _id: false });
+
+const HORA_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Combina el día de `fecha` (UTC) con una hora "HH:mm"
+const combinarFechaHora = (fecha, hora) => {
+  if (!fecha || !hora) return null;
+  const [horas, minutos] = hora.split(':').map(Number);
+  const base = new Date(fecha);
+  return new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate(), horas, minutos));
+};
+
+// Sesión de un curso: un día concreto con su horario, sala e instructor opcional
+const sessionSchema = new mongoose.Schema({
+  fecha: {
+    type: Date,
+    required: [true, 'La fecha de la sesión es obligatoria']
+  },
+  horaInicio: {
+    type: String,
+    required: [true, 'La hora de inicio de la sesión es obligatoria'],
+    match: [HORA_REGEX, 'La hora de inicio debe tener formato HH:mm']
+  },
+  horaFin: {
+    type: String,
+    required: [true, 'La hora de fin de la sesión es obligatoria'],
+    match: [HORA_REGEX, 'La hora de fin debe tener formato HH:mm'],
+    validate: {
+      validator: function(val) {
+        return !this.horaInicio || val > this.horaInicio;
+      },
+      message: 'La hora de fin de la sesión debe ser posterior a la hora de inicio'
+    }
+  },
+  sala: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La sala no puede exceder 100 caracteres']
+  },
+  instructor: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El nombre del instructor no puede exceder 100 caracteres']
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuales con el inicio y fin completos de la sesión (horas interpretadas en UTC)
+sessionSchema.virtual('fechaHoraInicio').get(function() {
+  return combinarFechaHora(this.fecha, this.horaInicio);
+});
+
+sessionSchema.virtual('fechaHoraFin').get(function() {
+  return combinarFechaHora(this.fecha, this.horaFin);
+});
+
+// Virtual con la duración de la sesión en horas
+sessionSchema.virtual('duracionHoras').get(function() {
+  const inicio = this.fechaHoraInicio;
+  const fin = this.fechaHoraFin;
+  if (!inicio || !fin) return 0;
+  return (fin.getTime() - inicio.getTime()) / (1000 * 60 * 60);
+});
+
+// Antelación por defecto (en horas) de la decisión de viabilidad respecto al inicio del curso
+const HORAS_DECISION_POR_DEFECTO = 48;
+
+module.exports = {
+  HORAS_DECISION_POR_DEFECTO,
+  cancellationPolicySchema,
+  sessionSchema,
+  combinarFechaHora,
+  HORA_REGEX
+};
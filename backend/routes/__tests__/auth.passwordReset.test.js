@@ -0,0 +1,79 @@
+/**
+ * Pruebas del restablecimiento de contraseña: el enlace vale una sola vez y caduca
+ */
+
+const request = require('supertest');
+const User = require('../../models/User');
+const authRoutes = require('../auth');
+const { crearApp } = require('../../test/app');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { crearUsuario } = require('../../test/fixtures');
+
+// Las rutas de restablecimiento admiten 5 peticiones cada 15 minutos por IP:
+// las pruebas de este archivo no deben pasar de ahí entre todas
+const app = crearApp('/api/auth', authRoutes);
+
+beforeAll(conectar);
+afterEach(limpiar);
+afterAll(desconectar);
+
+// Generar un enlace de restablecimiento como lo hace /forgot-password
+const pedirToken = async (userId) => {
+  const user = await User.findById(userId);
+  const token = user.generarTokenRestablecimiento();
+  await user.save({ validateModifiedOnly: true });
+  return token;
+};
+
+const restablecer = (token, nuevaContraseña = 'nueva-contraseña') => request(app)
+  .post('/api/auth/reset-password')
+  .send({ token, nuevaContraseña });
+
+describe('restablecimiento de contraseña', () => {
+  it('cambia la contraseña, cierra las sesiones y el enlace no vale una segunda vez', async () => {
+    const { _id } = await crearUsuario();
+    const token = await pedirToken(_id);
+    const versionAnterior = (await User.findById(_id)).tokenVersion;
+
+    const primera = await restablecer(token);
+    expect(primera.status).toBe(200);
+
+    const user = await User.findById(_id).select('+contraseña');
+    expect(await user.compararContraseña('nueva-contraseña')).toBe(true);
+    expect(user.tokenVersion).toBe(versionAnterior + 1);
+
+    const segunda = await restablecer(token, 'otra-contraseña');
+    expect(segunda.status).toBe(400);
+    const sinCambios = await User.findById(_id).select('+contraseña');
+    expect(await sinCambios.compararContraseña('nueva-contraseña')).toBe(true);
+  });
+
+  it('rechaza un enlace caducado', async () => {
+    const { _id } = await crearUsuario();
+    const token = await pedirToken(_id);
+    await User.updateOne({ _id }, { $set: { tokenRestablecimientoExpira: new Date(Date.now() - 1000) } });
+
+    const respuesta = await restablecer(token);
+
+    expect(respuesta.status).toBe(400);
+    const user = await User.findById(_id).select('+contraseña');
+    expect(await user.compararContraseña('password123')).toBe(true);
+  });
+
+  it('pedir un enlace nuevo invalida el anterior', async () => {
+    const { _id } = await crearUsuario();
+    const anterior = await pedirToken(_id);
+    await pedirToken(_id);
+
+    expect((await restablecer(anterior)).status).toBe(400);
+  });
+
+  it('responde igual tanto si el correo existe como si no', async () => {
+    const respuesta = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ correo: 'nadie@ejemplo.com' });
+
+    expect(respuesta.status).toBe(200);
+    expect(respuesta.body.success).toBe(true);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Rutas de Asistencia
+ * Registro de asistencia por sesión mediante código QR y lista de asistencia manual
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  registrarPorToken,
+  marcarAsistencia,
+  obtenerListaAsistencia
+} = require('../services/attendanceService');
+
+const router = express.Router();
+
+// El registro de asistencia lo realizan los administradores
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * @swagger
+ * /api/attendance/check-in:
+ *   post:
+ *     summary: Registrar asistencia escaneando el código QR de una reserva (solo admin)
+ *     tags: [Asistencia]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token de asistencia contenido en el código QR
+ *               sesionId:
+ *                 type: string
+ *                 description: Sesión a registrar (por defecto, la sesión en curso)
+ *     responses:
+ *       200:
+ *         description: Asistencia registrada
+ *       400:
+ *         description: Código inválido, expirado o sin sesión en curso
+ *       404:
+ *         description: Reserva o sesión no encontrada
+ *       409:
+ *         description: La asistencia ya estaba registrada
+ */
+router.post('/check-in', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('El código de asistencia es obligatorio'),
+  body('sesionId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('ID de sesión inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { reservation, sesion } = await registrarPorToken({
+    token: req.body.token,
+    sesionId: req.body.sesionId || null,
+    registradoPor: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: `Asistencia registrada para ${reservation.usuario.nombre}`,
+    data: {
+      reserva: reservation,
+      sesion,
+      porcentajeAsistencia: reservation.porcentajeAsistencia
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/attendance/courses/{cursoId}:
+ *   get:
+ *     summary: Obtener la lista de asistencia de un curso (solo admin)
+ *     tags: [Asistencia]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cursoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     responses:
+ *       200:
+ *         description: Sesiones del curso y asistencia de cada participante
+ *       404:
+ *         description: Curso no encontrado
+ */
+router.get('/courses/:cursoId', [
+  param('cursoId')
+    .isMongoId()
+    .withMessage('ID de curso inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const lista = await obtenerListaAsistencia(req.params.cursoId);
+
+  res.json({
+    success: true,
+    data: lista
+  });
+}));
+
+/**
+ * @swagger
+ * /api/attendance/courses/{cursoId}/reservations/{reservaId}:
+ *   put:
+ *     summary: Marcar manualmente la asistencia de una reserva a una sesión (solo admin)
+ *     tags: [Asistencia]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cursoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *       - in: path
+ *         name: reservaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - presente
+ *             properties:
+ *               sesionId:
+ *                 type: string
+ *                 description: Sesión a marcar (omitir en cursos sin sesiones)
+ *               presente:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Asistencia actualizada
+ *       400:
+ *         description: La reserva no está confirmada
+ *       404:
+ *         description: Reserva o sesión no encontrada
+ */
+router.put('/courses/:cursoId/reservations/:reservaId', [
+  param('cursoId')
+    .isMongoId()
+    .withMessage('ID de curso inválido'),
+  param('reservaId')
+    .isMongoId()
+    .withMessage('ID de reserva inválido'),
+  body('sesionId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('ID de sesión inválido'),
+  body('presente')
+    .isBoolean()
+    .withMessage('presente debe ser true o false')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const reservation = await marcarAsistencia({
+    reservaId: req.params.reservaId,
+    cursoId: req.params.cursoId,
+    sesionId: req.body.sesionId || null,
+    presente: req.body.presente === true || req.body.presente === 'true',
+    registradoPor: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Asistencia actualizada',
+    data: {
+      reserva: reservation,
+      porcentajeAsistencia: reservation.porcentajeAsistencia
+    }
+  });
+}));
+
+module.exports = router;
@@ -4,19 +4,67 @@
  */
 
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { notificar } = require('../services/notificationService');
+const {
+  enviarVerificacion,
+  reenviarVerificacion,
+  confirmarVerificacion
+} = require('../services/emailVerificationService');
+const {
+  borrarCookie,
+  iniciarSesion,
+  renovarSesion,
+  cerrarSesion,
+  cerrarTodasLasSesiones
+} = require('../services/sessionService');
 
 const router = express.Router();
 
+// Límite más estricto para las peticiones de restablecimiento, que envían correos
+const limiteRestablecimiento = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: 'Demasiadas solicitudes de restablecimiento, intenta de nuevo más tarde.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Generar el token de restablecimiento y enviarlo por correo. Se ejecuta en segundo
+ * plano para que la respuesta no dependa de si el correo existe.
+ */
+const enviarEnlaceRestablecimiento = async (correo) => {
+  const user = await User.findOne({ correo });
+  if (!user || !user.activo) return;
+
+  const token = user.generarTokenRestablecimiento();
+  await user.save({ validateModifiedOnly: true });
+
+  await notificar('restablecer_contraseña', {
+    usuario: user,
+    datos: {
+      token,
+      minutos: Math.round((user.tokenRestablecimientoExpira - Date.now()) / 60000)
+    },
+    referencia: user._id
+  });
+};
+
 /**
  * @swagger
  * /api/auth/register:
  *   post:
  *     summary: Registrar nuevo usuario
+ *     description: Las plazas de reservas de grupo asignadas al correo se convierten en reservas del nuevo usuario
  *     tags: [Autenticación]
  *     requestBody:
  *       required: true
@@ -39,6 +87,10 @@ const router = express.Router();
  *               contraseña:
  *                 type: string
  *                 minLength: 6
+ *               idioma:
+ *                 type: string
+ *                 enum: [es, en]
+ *                 description: Idioma de las notificaciones por correo
  *     responses:
  *       201:
  *         description: Usuario registrado exitosamente
@@ -55,6 +107,12 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
+ *                   description: Token de acceso de corta duración (JWT_EXPIRES_IN)
+ *         headers:
+ *           Set-Cookie:
+ *             description: Cookie httpOnly refreshToken para renovar la sesión en /api/auth/refresh
+ *             schema:
+ *               type: string
  *       400:
  *         description: Datos inválidos
  *       409:
@@ -71,7 +129,11 @@ router.post('/register', [
     .withMessage('Ingresa un correo válido'),
   body('contraseña')
     .isLength({ min: 6 })
-    .withMessage('La contraseña debe tener al menos 6 caracteres')
+    .withMessage('La contraseña debe tener al menos 6 caracteres'),
+  body('idioma')
+    .optional()
+    .isIn(['es', 'en'])
+    .withMessage('El idioma debe ser es o en')
 ], asyncHandler(async (req, res) => {
   // Verificar errores de validación
   const errors = validationResult(req);
@@ -83,7 +145,7 @@ router.post('/register', [
     });
   }
 
-  const { nombre, correo, contraseña } = req.body;
+  const { nombre, correo, contraseña, idioma } = req.body;
 
   // Verificar si el correo ya existe
   const existingUser = await User.findByEmail(correo);
@@ -94,24 +156,33 @@ router.post('/register', [
     });
   }
 
-  // Crear nuevo usuario
+  // Crear nuevo usuario; el correo queda sin verificar hasta abrir el enlace enviado
   const user = new User({
     nombre,
     correo,
-    contraseña
+    contraseña,
+    idioma,
+    correoVerificado: false
   });
 
   await user.save();
 
-  // Generar token
-  const token = generateToken(user._id, user.tokenVersion);
+  await notificar('registro', { usuario: user });
+
+  // Las plazas de grupo asignadas a este correo se reclaman al verificarlo
+  await enviarVerificacion(user).catch(error => {
+    console.error('Error enviando la verificación de correo:', error);
+  });
+
+  // Generar token de acceso y dejar el de renovación en la cookie
+  const token = await iniciarSesion(user, req, res);
 
   // Actualizar último acceso
   await user.actualizarUltimoAcceso();
 
   res.status(201).json({
     success: true,
-    message: 'Usuario registrado exitosamente',
+    message: 'Usuario registrado exitosamente. Te hemos enviado un correo para verificar tu dirección.',
     data: user.toPublicJSON(),
     token
   });
@@ -154,6 +225,12 @@ router.post('/register', [
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
+ *                   description: Token de acceso de corta duración (JWT_EXPIRES_IN)
+ *         headers:
+ *           Set-Cookie:
+ *             description: Cookie httpOnly refreshToken para renovar la sesión en /api/auth/refresh
+ *             schema:
+ *               type: string
  *       400:
  *         description: Datos inválidos
  *       401:
@@ -207,8 +284,8 @@ router.post('/login', [
     });
   }
 
-  // Generar token
-  const token = generateToken(user._id, user.tokenVersion);
+  // Generar token de acceso y dejar el de renovación en la cookie
+  const token = await iniciarSesion(user, req, res);
 
   // Actualizar último acceso
   await user.actualizarUltimoAcceso();
@@ -225,10 +302,11 @@ router.post('/login', [
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Cerrar sesión
+ *     summary: Cerrar sesión en este dispositivo
+ *     description: |
+ *       Revoca el token de renovación de la cookie (y toda su familia) y borra la cookie.
+ *       No requiere un token de acceso vigente.
  *     tags: [Autenticación]
- *     security:
- *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Logout exitoso
@@ -241,16 +319,37 @@ router.post('/login', [
  *                   type: boolean
  *                 message:
  *                   type: string
+ */
+router.post('/logout', asyncHandler(async (req, res) => {
+  await cerrarSesion(req, res);
+
+  res.json({
+    success: true,
+    message: 'Sesión cerrada exitosamente'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Cerrar sesión en todos los dispositivos
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Todas las sesiones cerradas
  *       401:
  *         description: No autorizado
  */
-router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
-  // Invalidar tokens del usuario
-  await req.user.invalidarTokens();
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  await cerrarTodasLasSesiones(req.user);
+  borrarCookie(res);
 
   res.json({
     success: true,
-    message: 'Sesión cerrada exitosamente'
+    message: 'Sesión cerrada en todos los dispositivos'
   });
 }));
 
@@ -288,10 +387,12 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
  * @swagger
  * /api/auth/refresh:
  *   post:
- *     summary: Renovar token
+ *     summary: Renovar el token de acceso
+ *     description: |
+ *       Canjea la cookie refreshToken por un token de acceso nuevo y la sustituye por otra.
+ *       Cada cookie sirve una sola vez: presentar una ya usada o revocada cierra la sesión
+ *       de ese dispositivo en todas sus rotaciones.
  *     tags: [Autenticación]
- *     security:
- *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Token renovado
@@ -306,17 +407,27 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
  *                   type: string
  *                 token:
  *                   type: string
+ *         headers:
+ *           Set-Cookie:
+ *             description: Nueva cookie refreshToken
+ *             schema:
+ *               type: string
  *       401:
- *         description: No autorizado
+ *         description: Sin cookie de renovación, caducada, revocada o reutilizada
  */
-router.post('/refresh', authenticateToken, asyncHandler(async (req, res) => {
-  // Generar nuevo token
-  const token = generateToken(req.user._id, req.user.tokenVersion);
+router.post('/refresh', asyncHandler(async (req, res) => {
+  let sesion;
+  try {
+    sesion = await renovarSesion(req, res);
+  } catch (error) {
+    borrarCookie(res);
+    throw error;
+  }
 
   res.json({
     success: true,
     message: 'Token renovado exitosamente',
-    token
+    token: sesion.token
   });
 }));
 
@@ -397,4 +508,214 @@ router.put('/change-password', [
   });
 }));
 
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verificar el correo con el token recibido por correo
+ *     description: |
+ *       Confirma el correo de la cuenta o, si hay un cambio pendiente, aplica el correo
+ *       nuevo. El token solo sirve una vez y no requiere sesión iniciada.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Correo verificado exitosamente
+ *       400:
+ *         description: Datos inválidos o enlace caducado o ya usado
+ *       409:
+ *         description: El correo nuevo se registró en otra cuenta mientras tanto
+ */
+router.post('/verify-email', [
+  body('token')
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('El enlace de verificación no es válido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const user = await confirmarVerificacion(req.body.token);
+
+  res.json({
+    success: true,
+    message: 'Correo verificado exitosamente',
+    data: { correo: user.correo, correoVerificado: user.correoVerificado }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Reenviar el correo de verificación
+ *     description: |
+ *       Envía un enlace nuevo al correo pendiente o, si no hay, al de la cuenta. Los
+ *       enlaces anteriores dejan de valer. Entre envíos hay que esperar
+ *       EMAIL_VERIFICATION_RESEND_MINUTES minutos.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Correo de verificación enviado
+ *       400:
+ *         description: El correo ya está verificado
+ *       429:
+ *         description: Aún no se puede pedir otro correo de verificación
+ */
+router.post('/resend-verification', authenticateToken, asyncHandler(async (req, res) => {
+  await reenviarVerificacion(req.user);
+
+  res.json({
+    success: true,
+    message: `Te hemos enviado un nuevo enlace de verificación a ${req.user.correoPendiente || req.user.correo}`
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicitar un enlace para restablecer la contraseña
+ *     description: |
+ *       Si el correo pertenece a una cuenta activa se le envía un enlace de un solo uso
+ *       que caduca a los PASSWORD_RESET_MINUTES minutos. La respuesta es la misma exista
+ *       o no el correo.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correo
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida
+ *       400:
+ *         description: Datos inválidos
+ *       429:
+ *         description: Demasiadas solicitudes
+ */
+router.post('/forgot-password', [
+  limiteRestablecimiento,
+  body('correo')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Ingresa un correo válido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  enviarEnlaceRestablecimiento(req.body.correo)
+    .catch(error => console.error('Error enviando el enlace de restablecimiento:', error));
+
+  res.json({
+    success: true,
+    message: 'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña.'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Restablecer la contraseña con el token recibido por correo
+ *     description: El token solo sirve una vez. Al cambiar la contraseña se cierran todas las sesiones abiertas.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - nuevaContraseña
+ *             properties:
+ *               token:
+ *                 type: string
+ *               nuevaContraseña:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida exitosamente
+ *       400:
+ *         description: Datos inválidos o enlace caducado o ya usado
+ *       429:
+ *         description: Demasiadas solicitudes
+ */
+router.post('/reset-password', [
+  limiteRestablecimiento,
+  body('token')
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('El enlace de restablecimiento no es válido'),
+  body('nuevaContraseña')
+    .isLength({ min: 6 })
+    .withMessage('La nueva contraseña debe tener al menos 6 caracteres')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { token, nuevaContraseña } = req.body;
+
+  // El token se borra al consumirlo, así que no puede usarse dos veces
+  const user = await User.consumirTokenRestablecimiento(token);
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'El enlace de restablecimiento no es válido o ha caducado'
+    });
+  }
+
+  // Actualizar contraseña
+  user.contraseña = nuevaContraseña;
+  await user.save();
+
+  // Invalidar tokens para cerrar las sesiones abiertas
+  await user.invalidarTokens();
+
+  res.json({
+    success: true,
+    message: 'Contraseña restablecida exitosamente. Ya puedes iniciar sesión con tu nueva contraseña.'
+  });
+}));
+
 module.exports = router;
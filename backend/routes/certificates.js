@@ -0,0 +1,151 @@
+/**
+ * Rutas de Certificados
+ * Descarga de certificados de finalización y verificación pública
+ */
+
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Certificate = require('../models/Certificate');
+const Reservation = require('../models/Reservation');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { emitirCertificado, generarPdf } = require('../services/certificateService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/certificates/verify/{code}:
+ *   get:
+ *     summary: Verificar un certificado por su código (público)
+ *     tags: [Certificados]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Código de verificación impreso en el certificado
+ *     responses:
+ *       200:
+ *         description: Certificado válido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Certificate'
+ *       404:
+ *         description: No existe ningún certificado con ese código
+ */
+router.get('/verify/:code', [
+  param('code')
+    .trim()
+    .matches(/^[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}$/)
+    .withMessage('Formato de código inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Código de verificación inválido',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const certificate = await Certificate.findOne({ codigo: req.params.code.toUpperCase() });
+
+  if (!certificate) {
+    return res.status(404).json({
+      success: false,
+      message: 'No existe ningún certificado con ese código'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Certificado válido',
+    data: certificate.datosPublicos()
+  });
+}));
+
+/**
+ * @swagger
+ * /api/certificates/reservation/{reservaId}:
+ *   get:
+ *     summary: Descargar el certificado en PDF de una reserva completada
+ *     tags: [Certificados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reservaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Certificado en PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: La reserva no está completada
+ *       403:
+ *         description: No tienes permisos para ver esta reserva
+ *       404:
+ *         description: Reserva no encontrada
+ */
+router.get('/reservation/:reservaId', [
+  authenticateToken,
+  param('reservaId')
+    .isMongoId()
+    .withMessage('ID de reserva inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const reservation = await Reservation.findById(req.params.reservaId).select('usuario estado');
+
+  if (!reservation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reserva no encontrada'
+    });
+  }
+
+  // Verificar que el usuario sea propietario o admin
+  if (reservation.usuario.toString() !== req.user._id.toString() && req.user.rol !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'No tienes permisos para ver esta reserva'
+    });
+  }
+
+  // Las reservas completadas antes de existir los certificados los obtienen aquí
+  const certificate = await emitirCertificado(reservation._id);
+  const pdf = await generarPdf(certificate);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="certificado-${certificate.codigo}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+}));
+
+module.exports = router;
@@ -0,0 +1,531 @@
+/**
+ * Rutas de Plantillas de Cursos
+ * Maneja CRUD de plantillas, previsualización y generación de ediciones recurrentes
+ */
+
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const CourseTemplate = require('../models/CourseTemplate');
+const Course = require('../models/Course');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  previsualizarEdiciones,
+  generarEdiciones,
+  propagarCambios
+} = require('../services/courseTemplateService');
+
+const router = express.Router();
+
+// Todas las rutas de plantillas son exclusivas de administradores
+router.use(authenticateToken, requireAdmin);
+
+// Validaciones de la regla de recurrencia (comunes a creación y edición)
+const recurrenceValidators = [
+  body('recurrencia.intervalo')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('El intervalo debe estar entre 1 y 52'),
+  body('recurrencia.diasSemana')
+    .optional()
+    .isArray()
+    .withMessage('Los días de la semana deben ser un array'),
+  body('recurrencia.diasSemana.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Los días de la semana van de 0 (domingo) a 6 (sábado)'),
+  body('recurrencia.fechas')
+    .optional()
+    .isArray()
+    .withMessage('Las fechas personalizadas deben ser un array'),
+  body('recurrencia.fechas.*')
+    .isISO8601()
+    .withMessage('Las fechas personalizadas deben ser válidas'),
+  body('recurrencia.hasta')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La fecha límite de la recurrencia debe ser válida'),
+  body('recurrencia.repeticiones')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Las repeticiones deben estar entre 1 y 52')
+];
+
+/**
+ * Verificar que la recurrencia personalizada tenga fechas
+ */
+const validarRecurrencia = (recurrencia) => {
+  if (recurrencia && recurrencia.frecuencia === 'personalizada' &&
+      (!recurrencia.fechas || recurrencia.fechas.length === 0)) {
+    return 'La recurrencia personalizada requiere al menos una fecha';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/course-templates:
+ *   get:
+ *     summary: Obtener plantillas de cursos (solo admin)
+ *     tags: [Plantillas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: activa
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por plantillas activas
+ *     responses:
+ *       200:
+ *         description: Lista de plantillas
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/', [
+  query('activa').optional().isBoolean()
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const filters = {};
+  if (req.query.activa !== undefined) filters.activa = req.query.activa === 'true';
+
+  const templates = await CourseTemplate.find(filters)
+    .populate('creadoPor', 'nombre')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: templates
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-templates/{id}:
+ *   get:
+ *     summary: Obtener plantilla por ID con sus ediciones (solo admin)
+ *     tags: [Plantillas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la plantilla
+ *     responses:
+ *       200:
+ *         description: Plantilla encontrada
+ *       404:
+ *         description: Plantilla no encontrada
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const template = await CourseTemplate.findById(req.params.id)
+    .populate('creadoPor', 'nombre');
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plantilla no encontrada'
+    });
+  }
+
+  const ediciones = await Course.find({ plantilla: template._id })
+    .select('titulo fechaInicio fechaFin estado cupoMaximo cupoDisponible')
+    .sort({ fechaInicio: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      ...template.toJSON(),
+      ediciones
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-templates:
+ *   post:
+ *     summary: Crear plantilla de curso (solo admin)
+ *     tags: [Plantillas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CourseTemplate'
+ *     responses:
+ *       201:
+ *         description: Plantilla creada exitosamente
+ *       400:
+ *         description: Datos inválidos
+ */
+router.post('/', [
+  body('titulo')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('El título debe tener entre 3 y 100 caracteres'),
+  body('descripcion')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('La descripción debe tener entre 10 y 1000 caracteres'),
+  body('cupoMaximo')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('El cupo máximo debe estar entre 1 y 1000'),
+  body('fechaInicio')
+    .isISO8601()
+    .withMessage('La fecha de inicio debe ser válida'),
+  body('fechaFin')
+    .isISO8601()
+    .withMessage('La fecha de fin debe ser válida'),
+  body('categoria')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('La categoría es obligatoria y no puede exceder 50 caracteres'),
+  body('instructor')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El instructor es obligatorio y no puede exceder 100 caracteres'),
+  body('precio')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El precio debe ser un número positivo'),
+  body('modalidad')
+    .optional()
+    .isIn(['presencial', 'virtual', 'hibrido'])
+    .withMessage('Modalidad inválida'),
+  body('cupoMinimo')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('El cupo mínimo debe ser un número entre 0 y 1000'),
+  body('horasDecision')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La antelación de la decisión debe ser un número positivo'),
+  body('estadoEdiciones')
+    .optional()
+    .isIn(['borrador', 'activo'])
+    .withMessage('Las ediciones se generan como borrador o activo'),
+  body('recurrencia.frecuencia')
+    .isIn(['semanal', 'mensual', 'personalizada'])
+    .withMessage('La frecuencia debe ser semanal, mensual o personalizada'),
+  ...recurrenceValidators
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const errorRecurrencia = validarRecurrencia(req.body.recurrencia);
+  if (errorRecurrencia) {
+    return res.status(400).json({
+      success: false,
+      message: errorRecurrencia
+    });
+  }
+
+  const template = new CourseTemplate({
+    ...req.body,
+    activa: true,
+    creadoPor: req.user._id
+  });
+
+  await template.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Plantilla creada exitosamente',
+    data: template
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-templates/{id}:
+ *   put:
+ *     summary: Actualizar plantilla (solo admin)
+ *     description: Con `propagar=true` los cambios se aplican a las ediciones futuras sin reservas
+ *     tags: [Plantillas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la plantilla
+ *       - in: query
+ *         name: propagar
+ *         schema:
+ *           type: boolean
+ *         description: Propagar los cambios a las ediciones sin reservas
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CourseTemplate'
+ *     responses:
+ *       200:
+ *         description: Plantilla actualizada (incluye ediciones actualizadas y omitidas)
+ *       404:
+ *         description: Plantilla no encontrada
+ */
+router.put('/:id', [
+  query('propagar').optional().isBoolean(),
+  body('titulo')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('El título debe tener entre 3 y 100 caracteres'),
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('La descripción debe tener entre 10 y 1000 caracteres'),
+  body('cupoMaximo')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('El cupo máximo debe estar entre 1 y 1000'),
+  body('fechaInicio')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha de inicio debe ser válida'),
+  body('fechaFin')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha de fin debe ser válida'),
+  body('precio')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El precio debe ser un número positivo'),
+  body('cupoMinimo')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('El cupo mínimo debe ser un número entre 0 y 1000'),
+  body('horasDecision')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La antelación de la decisión debe ser un número positivo'),
+  body('recurrencia.frecuencia')
+    .optional()
+    .isIn(['semanal', 'mensual', 'personalizada'])
+    .withMessage('La frecuencia debe ser semanal, mensual o personalizada'),
+  ...recurrenceValidators
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const template = await CourseTemplate.findById(req.params.id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plantilla no encontrada'
+    });
+  }
+
+  const { creadoPor, ...cambios } = req.body;
+  Object.assign(template, cambios);
+
+  const errorRecurrencia = validarRecurrencia(template.recurrencia);
+  if (errorRecurrencia) {
+    return res.status(400).json({
+      success: false,
+      message: errorRecurrencia
+    });
+  }
+
+  await template.save();
+
+  // Propagar opcionalmente a las ediciones que aún no tienen reservas
+  const propagacion = req.query.propagar === 'true'
+    ? await propagarCambios(template)
+    : null;
+
+  res.json({
+    success: true,
+    message: 'Plantilla actualizada exitosamente',
+    data: template,
+    propagacion
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-templates/{id}:
+ *   delete:
+ *     summary: Eliminar plantilla (solo admin)
+ *     description: Las ediciones ya generadas se conservan y quedan desvinculadas
+ *     tags: [Plantillas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la plantilla
+ *     responses:
+ *       200:
+ *         description: Plantilla eliminada exitosamente
+ *       404:
+ *         description: Plantilla no encontrada
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const template = await CourseTemplate.findById(req.params.id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plantilla no encontrada'
+    });
+  }
+
+  await Course.updateMany({ plantilla: template._id }, { $set: { plantilla: null } });
+  await CourseTemplate.findByIdAndDelete(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Plantilla eliminada exitosamente'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-templates/{id}/preview:
+ *   get:
+ *     summary: Previsualizar las fechas de las próximas ediciones (solo admin)
+ *     tags: [Plantillas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la plantilla
+ *     responses:
+ *       200:
+ *         description: Fechas de inicio y fin de cada edición, indicando si ya existe
+ *       404:
+ *         description: Plantilla no encontrada
+ */
+router.get('/:id/preview', asyncHandler(async (req, res) => {
+  const template = await CourseTemplate.findById(req.params.id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plantilla no encontrada'
+    });
+  }
+
+  const ediciones = await previsualizarEdiciones(template);
+
+  res.json({
+    success: true,
+    data: ediciones
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-templates/{id}/generate:
+ *   post:
+ *     summary: Generar las ediciones de la plantilla (solo admin)
+ *     tags: [Plantillas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la plantilla
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fechas:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date-time
+ *                 description: Fechas de inicio a generar (por defecto, todas las de la previsualización)
+ *     responses:
+ *       201:
+ *         description: Ediciones generadas exitosamente
+ *       400:
+ *         description: No hay ediciones nuevas para generar
+ *       404:
+ *         description: Plantilla no encontrada
+ */
+router.post('/:id/generate', [
+  body('fechas')
+    .optional()
+    .isArray()
+    .withMessage('Las fechas deben ser un array'),
+  body('fechas.*')
+    .isISO8601()
+    .withMessage('Las fechas deben ser válidas')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const template = await CourseTemplate.findById(req.params.id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plantilla no encontrada'
+    });
+  }
+
+  const ediciones = await generarEdiciones(template, req.user._id, req.body.fechas || null);
+
+  res.status(201).json({
+    success: true,
+    message: `${ediciones.length} ediciones generadas exitosamente`,
+    data: ediciones
+  });
+}));
+
+module.exports = router;
@@ -4,10 +4,18 @@
  */
 
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, validationResult, query, param } = require('express-validator');
 const Course = require('../models/Course');
 const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { notificarCancelacionCurso } = require('../services/notificationService');
+const { programarRecordatorios, cancelarRecordatorios } = require('../services/reminderService');
+const {
+  puedeVerCurso,
+  generarInvitacion,
+  revocarInvitacion,
+  obtenerInvitaciones
+} = require('../services/courseAccessService');
 
 const router = express.Router();
 
@@ -41,6 +49,12 @@ const router = express.Router();
  *           type: string
  *         description: Filtrar por instructor
  *       - in: query
+ *         name: visibilidad
+ *         schema:
+ *           type: string
+ *           enum: [publico, no_listado, privado]
+ *         description: Filtrar por visibilidad (solo admin; el resto solo ve cursos públicos)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -85,6 +99,7 @@ router.get('/', [
   query('categoria').optional().trim(),
   query('modalidad').optional().isIn(['presencial', 'virtual', 'hibrido']),
   query('instructor').optional().trim(),
+  query('visibilidad').optional().isIn(['publico', 'no_listado', 'privado']),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 })
 ], asyncHandler(async (req, res) => {
@@ -103,6 +118,7 @@ router.get('/', [
     categoria,
     modalidad,
     instructor,
+    visibilidad,
     page = 1,
     limit = 10
   } = req.query;
@@ -114,10 +130,12 @@ router.get('/', [
   if (categoria) filters.categoria = { $regex: categoria, $options: 'i' };
   if (modalidad) filters.modalidad = modalidad;
   if (instructor) filters.instructor = { $regex: instructor, $options: 'i' };
+  if (visibilidad) filters.visibilidad = visibilidad;
 
-  // Si no es admin, solo mostrar cursos activos
+  // Si no es admin, solo mostrar cursos activos y públicos
   if (!req.user || req.user.rol !== 'admin') {
     filters.estado = 'activo';
+    filters.visibilidad = 'publico';
   }
 
   // Calcular paginación
@@ -159,6 +177,11 @@ router.get('/', [
  *         schema:
  *           type: string
  *         description: ID del curso
+ *       - in: query
+ *         name: invitacion
+ *         schema:
+ *           type: string
+ *         description: Código de invitación para ver un curso privado
  *     responses:
  *       200:
  *         description: Curso encontrado
@@ -175,7 +198,9 @@ router.get('/', [
  *         description: Curso no encontrado
  */
 router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
+  const esAdmin = req.user && req.user.rol === 'admin';
   const course = await Course.findById(req.params.id)
+    .select('+accesoPrivado')
     .populate('creadoPor', 'nombre');
 
   if (!course) {
@@ -185,14 +210,19 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  // Si no es admin, solo mostrar cursos activos
-  if (!req.user || req.user.rol !== 'admin') {
-    if (course.estado !== 'activo') {
+  // Si no es admin, solo mostrar cursos activos; los privados, solo a quien tiene acceso
+  if (!esAdmin) {
+    const visible = course.estado === 'activo' &&
+      await puedeVerCurso({ course, usuario: req.user, codigoInvitacion: req.query.invitacion });
+    if (!visible) {
       return res.status(404).json({
         success: false,
         message: 'Curso no encontrado'
       });
     }
+
+    // La lista de acceso solo la ve la administración
+    course.accesoPrivado = undefined;
   }
 
   res.json({
@@ -248,6 +278,8 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
  *               precio:
  *                 type: number
  *                 minimum: 0
+ *               tramosPrecio:
+ *                 $ref: '#/components/schemas/Course/properties/tramosPrecio'
  *               categoria:
  *                 type: string
  *                 maxLength: 50
@@ -270,6 +302,34 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
  *                   type: string
  *               imagen:
  *                 type: string
+ *               politicaCancelacion:
+ *                 $ref: '#/components/schemas/Course/properties/politicaCancelacion'
+ *               asistenciaMinima:
+ *                 type: number
+ *                 description: Porcentaje mínimo de asistencia para completar la reserva
+ *               cupoMinimo:
+ *                 type: integer
+ *                 description: Participantes necesarios para realizar el curso (0 = sin mínimo)
+ *               fechaDecision:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha límite para alcanzar el cupo mínimo (por defecto 48 horas antes del inicio)
+ *               inscripcionAbre:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Apertura de inscripciones (por defecto, abiertas desde ya)
+ *               inscripcionCierra:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Cierre de inscripciones (por defecto, el inicio del curso)
+ *               visibilidad:
+ *                 type: string
+ *                 enum: [publico, no_listado, privado]
+ *                 default: publico
+ *               accesoPrivado:
+ *                 $ref: '#/components/schemas/Course/properties/accesoPrivado'
  *     responses:
  *       201:
  *         description: Curso creado exitosamente
@@ -316,6 +376,29 @@ router.post('/', [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('El precio debe ser un número positivo'),
+  body('tramosPrecio')
+    .optional()
+    .isArray()
+    .withMessage('Los tramos de precio deben ser un array'),
+  body('tramosPrecio.*.nombre')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El nombre del tramo de precio debe tener entre 1 y 50 caracteres'),
+  body('tramosPrecio.*.precio')
+    .isFloat({ min: 0 })
+    .withMessage('El precio del tramo debe ser un número positivo'),
+  body('tramosPrecio.*.desde')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('El inicio del tramo de precio debe ser una fecha válida'),
+  body('tramosPrecio.*.hasta')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('El fin del tramo de precio debe ser una fecha válida'),
+  body('tramosPrecio.*.cupos')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Los cupos del tramo de precio deben ser un número entre 1 y 1000'),
   body('ubicacion')
     .optional()
     .trim()
@@ -337,7 +420,65 @@ router.post('/', [
     .optional()
     .trim()
     .isURL()
-    .withMessage('La imagen debe ser una URL válida')
+    .withMessage('La imagen debe ser una URL válida'),
+  body('politicaCancelacion.horasLimite')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El plazo de cancelación debe ser un número de horas positivo'),
+  body('politicaCancelacion.permitirPendientes')
+    .optional()
+    .isBoolean()
+    .withMessage('permitirPendientes debe ser true o false'),
+  body('politicaCancelacion.tramosReembolso')
+    .optional()
+    .isArray()
+    .withMessage('Los tramos de reembolso deben ser un array'),
+  body('politicaCancelacion.tramosReembolso.*.horasAntes')
+    .isFloat({ min: 0 })
+    .withMessage('Las horas de antelación del tramo deben ser un número positivo'),
+  body('politicaCancelacion.tramosReembolso.*.porcentaje')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('El porcentaje de reembolso debe estar entre 0 y 100'),
+  body('asistenciaMinima')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('La asistencia mínima debe estar entre 0 y 100'),
+  body('cupoMinimo')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('El cupo mínimo debe ser un número entre 0 y 1000'),
+  body('fechaDecision')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La fecha de decisión debe ser una fecha válida'),
+  body('inscripcionAbre')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La apertura de inscripciones debe ser una fecha válida'),
+  body('inscripcionCierra')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('El cierre de inscripciones debe ser una fecha válida'),
+  body('visibilidad')
+    .optional()
+    .isIn(['publico', 'no_listado', 'privado'])
+    .withMessage('La visibilidad debe ser publico, no_listado o privado'),
+  body('accesoPrivado.correos')
+    .optional()
+    .isArray()
+    .withMessage('Los correos con acceso deben ser un array'),
+  body('accesoPrivado.correos.*')
+    .trim()
+    .isEmail()
+    .withMessage('Los correos con acceso deben ser válidos'),
+  body('accesoPrivado.dominios')
+    .optional()
+    .isArray()
+    .withMessage('Los dominios con acceso deben ser un array'),
+  body('accesoPrivado.dominios.*')
+    .trim()
+    .isFQDN()
+    .withMessage('Los dominios con acceso deben ser válidos (p. ej. empresa.com)')
 ], asyncHandler(async (req, res) => {
   // Verificar errores de validación
   const errors = validationResult(req);
@@ -357,13 +498,22 @@ router.post('/', [
     fechaFin,
     estado = 'borrador',
     precio = 0,
+    tramosPrecio = [],
     categoria,
     instructor,
     ubicacion,
     modalidad = 'presencial',
     requisitos = [],
     materiales = [],
-    imagen
+    imagen,
+    politicaCancelacion,
+    asistenciaMinima,
+    cupoMinimo,
+    fechaDecision,
+    inscripcionAbre,
+    inscripcionCierra,
+    visibilidad = 'publico',
+    accesoPrivado
   } = req.body;
 
   // Validar fechas
@@ -394,6 +544,7 @@ router.post('/', [
     fechaFin: fechaFinDate,
     estado,
     precio,
+    tramosPrecio,
     categoria,
     instructor,
     ubicacion,
@@ -401,10 +552,19 @@ router.post('/', [
     requisitos,
     materiales,
     imagen,
+    politicaCancelacion,
+    asistenciaMinima,
+    cupoMinimo,
+    fechaDecision: fechaDecision ? new Date(fechaDecision) : null,
+    inscripcionAbre: inscripcionAbre ? new Date(inscripcionAbre) : null,
+    inscripcionCierra: inscripcionCierra ? new Date(inscripcionCierra) : null,
+    visibilidad,
+    accesoPrivado,
     creadoPor: req.user._id
   });
 
   await course.save();
+  await programarRecordatorios(course);
 
   res.status(201).json({
     success: true,
@@ -465,6 +625,33 @@ router.post('/', [
  *                 type: array
  *               imagen:
  *                 type: string
+ *               politicaCancelacion:
+ *                 $ref: '#/components/schemas/Course/properties/politicaCancelacion'
+ *               asistenciaMinima:
+ *                 type: number
+ *                 description: Porcentaje mínimo de asistencia para completar la reserva
+ *               cupoMinimo:
+ *                 type: integer
+ *                 description: Participantes necesarios para realizar el curso (0 = sin mínimo)
+ *               fechaDecision:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha límite para alcanzar el cupo mínimo (por defecto 48 horas antes del inicio)
+ *               inscripcionAbre:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Apertura de inscripciones (por defecto, abiertas desde ya)
+ *               inscripcionCierra:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Cierre de inscripciones (por defecto, el inicio del curso)
+ *               visibilidad:
+ *                 type: string
+ *                 enum: [publico, no_listado, privado]
+ *               accesoPrivado:
+ *                 $ref: '#/components/schemas/Course/properties/accesoPrivado'
  *     responses:
  *       200:
  *         description: Curso actualizado exitosamente
@@ -507,7 +694,88 @@ router.put('/:id', [
   body('precio')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('El precio debe ser un número positivo')
+    .withMessage('El precio debe ser un número positivo'),
+  body('tramosPrecio')
+    .optional()
+    .isArray()
+    .withMessage('Los tramos de precio deben ser un array'),
+  body('tramosPrecio.*.nombre')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El nombre del tramo de precio debe tener entre 1 y 50 caracteres'),
+  body('tramosPrecio.*.precio')
+    .isFloat({ min: 0 })
+    .withMessage('El precio del tramo debe ser un número positivo'),
+  body('tramosPrecio.*.desde')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('El inicio del tramo de precio debe ser una fecha válida'),
+  body('tramosPrecio.*.hasta')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('El fin del tramo de precio debe ser una fecha válida'),
+  body('tramosPrecio.*.cupos')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Los cupos del tramo de precio deben ser un número entre 1 y 1000'),
+  body('politicaCancelacion.horasLimite')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El plazo de cancelación debe ser un número de horas positivo'),
+  body('politicaCancelacion.permitirPendientes')
+    .optional()
+    .isBoolean()
+    .withMessage('permitirPendientes debe ser true o false'),
+  body('politicaCancelacion.tramosReembolso')
+    .optional()
+    .isArray()
+    .withMessage('Los tramos de reembolso deben ser un array'),
+  body('politicaCancelacion.tramosReembolso.*.horasAntes')
+    .isFloat({ min: 0 })
+    .withMessage('Las horas de antelación del tramo deben ser un número positivo'),
+  body('politicaCancelacion.tramosReembolso.*.porcentaje')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('El porcentaje de reembolso debe estar entre 0 y 100'),
+  body('asistenciaMinima')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('La asistencia mínima debe estar entre 0 y 100'),
+  body('cupoMinimo')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('El cupo mínimo debe ser un número entre 0 y 1000'),
+  body('fechaDecision')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La fecha de decisión debe ser una fecha válida'),
+  body('inscripcionAbre')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La apertura de inscripciones debe ser una fecha válida'),
+  body('inscripcionCierra')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('El cierre de inscripciones debe ser una fecha válida'),
+  body('visibilidad')
+    .optional()
+    .isIn(['publico', 'no_listado', 'privado'])
+    .withMessage('La visibilidad debe ser publico, no_listado o privado'),
+  body('accesoPrivado.correos')
+    .optional()
+    .isArray()
+    .withMessage('Los correos con acceso deben ser un array'),
+  body('accesoPrivado.correos.*')
+    .trim()
+    .isEmail()
+    .withMessage('Los correos con acceso deben ser válidos'),
+  body('accesoPrivado.dominios')
+    .optional()
+    .isArray()
+    .withMessage('Los dominios con acceso deben ser un array'),
+  body('accesoPrivado.dominios.*')
+    .trim()
+    .isFQDN()
+    .withMessage('Los dominios con acceso deben ser válidos (p. ej. empresa.com)')
 ], asyncHandler(async (req, res) => {
   // Verificar errores de validación
   const errors = validationResult(req);
@@ -519,7 +787,7 @@ router.put('/:id', [
     });
   }
 
-  const course = await Course.findById(req.params.id);
+  const course = await Course.findById(req.params.id).select('+accesoPrivado');
   
   if (!course) {
     return res.status(404).json({
@@ -549,10 +817,30 @@ router.put('/:id', [
     }
   }
 
-  // Actualizar curso
-  Object.assign(course, req.body);
+  const seCancela = req.body.estado === 'cancelado' && course.estado !== 'cancelado';
+
+  // Actualizar curso (la decisión de viabilidad solo la toma el ciclo de vida)
+  const { decision, ...cambios } = req.body;
+  Object.assign(course, cambios);
+  const cambiaFecha = course.isModified('fechaInicio');
+  const cambiaEstado = course.isModified('estado');
+
+  // Si se mueve el curso sin indicar nueva fecha de decisión, recalcularla por defecto
+  if (cambiaFecha && !cambios.fechaDecision && !course.decision) {
+    course.fechaDecision = null;
+  }
   await course.save();
 
+  // Reprogramar los recordatorios si cambia la fecha de inicio o el estado
+  if (cambiaFecha || cambiaEstado) {
+    await programarRecordatorios(course, { reiniciar: cambiaFecha });
+  }
+
+  // Avisar a los inscritos cuando el curso pasa a cancelado
+  if (seCancela) {
+    await notificarCancelacionCurso(course);
+  }
+
   res.json({
     success: true,
     message: 'Curso actualizado exitosamente',
@@ -597,6 +885,7 @@ router.delete('/:id', [
   }
 
   await Course.findByIdAndDelete(req.params.id);
+  await cancelarRecordatorios(course._id);
 
   res.json({
     success: true,
@@ -604,6 +893,538 @@ router.delete('/:id', [
   });
 }));
 
+/**
+ * @swagger
+ * /api/courses/{id}/sessions:
+ *   get:
+ *     summary: Obtener el calendario de sesiones de un curso
+ *     tags: [Cursos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     responses:
+ *       200:
+ *         description: Sesiones del curso en orden cronológico
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CourseSession'
+ *       404:
+ *         description: Curso no encontrado
+ */
+router.get('/:id/sessions', optionalAuth, asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id).select('estado sesiones visibilidad accesoPrivado');
+
+  // Si no es admin, solo mostrar cursos activos a los que se tenga acceso
+  const visible = course && ((req.user && req.user.rol === 'admin') || (course.estado === 'activo' &&
+    await puedeVerCurso({ course, usuario: req.user, codigoInvitacion: req.query.invitacion })));
+  if (!visible) {
+    return res.status(404).json({
+      success: false,
+      message: 'Curso no encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: course.sesiones
+  });
+}));
+
+/**
+ * @swagger
+ * /api/courses/{id}/sessions:
+ *   post:
+ *     summary: Agregar una sesión al curso (solo admin)
+ *     tags: [Cursos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CourseSession'
+ *     responses:
+ *       201:
+ *         description: Sesión creada exitosamente
+ *       400:
+ *         description: Datos inválidos o sesión fuera del rango del curso
+ *       404:
+ *         description: Curso no encontrado
+ */
+router.post('/:id/sessions', [
+  authenticateToken,
+  requireAdmin,
+  body('fecha')
+    .isISO8601()
+    .withMessage('La fecha de la sesión debe ser válida'),
+  body('horaInicio')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('La hora de inicio debe tener formato HH:mm'),
+  body('horaFin')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('La hora de fin debe tener formato HH:mm'),
+  body('sala')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La sala no puede exceder 100 caracteres'),
+  body('instructor')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('El instructor no puede exceder 100 caracteres')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const course = await Course.findById(req.params.id);
+
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Curso no encontrado'
+    });
+  }
+
+  const { fecha, horaInicio, horaFin, sala, instructor } = req.body;
+  const sesion = { fecha: new Date(fecha), horaInicio, horaFin, sala, instructor };
+
+  if (!course.sesionDentroDelRango(sesion)) {
+    return res.status(400).json({
+      success: false,
+      message: 'La sesión debe estar dentro del rango de fechas del curso'
+    });
+  }
+
+  course.sesiones.push(sesion);
+  const nuevaSesion = course.sesiones[course.sesiones.length - 1];
+
+  // Validar solo lo modificado para permitir editar el calendario de cursos ya iniciados
+  await course.save({ validateModifiedOnly: true });
+
+  res.status(201).json({
+    success: true,
+    message: 'Sesión creada exitosamente',
+    data: course.sesiones.id(nuevaSesion._id)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/courses/{id}/sessions/{sessionId}:
+ *   put:
+ *     summary: Actualizar una sesión del curso (solo admin)
+ *     tags: [Cursos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la sesión
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CourseSession'
+ *     responses:
+ *       200:
+ *         description: Sesión actualizada exitosamente
+ *       400:
+ *         description: Datos inválidos o sesión fuera del rango del curso
+ *       404:
+ *         description: Curso o sesión no encontrados
+ */
+router.put('/:id/sessions/:sessionId', [
+  authenticateToken,
+  requireAdmin,
+  body('fecha')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha de la sesión debe ser válida'),
+  body('horaInicio')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('La hora de inicio debe tener formato HH:mm'),
+  body('horaFin')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('La hora de fin debe tener formato HH:mm'),
+  body('sala')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La sala no puede exceder 100 caracteres'),
+  body('instructor')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('El instructor no puede exceder 100 caracteres')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const course = await Course.findById(req.params.id);
+  const sesion = course && course.sesiones.id(req.params.sessionId);
+
+  if (!sesion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sesión no encontrada'
+    });
+  }
+
+  const { fecha, horaInicio, horaFin, sala, instructor } = req.body;
+  if (fecha) sesion.fecha = new Date(fecha);
+  if (horaInicio) sesion.horaInicio = horaInicio;
+  if (horaFin) sesion.horaFin = horaFin;
+  if (sala !== undefined) sesion.sala = sala;
+  if (instructor !== undefined) sesion.instructor = instructor;
+
+  if (!course.sesionDentroDelRango(sesion)) {
+    return res.status(400).json({
+      success: false,
+      message: 'La sesión debe estar dentro del rango de fechas del curso'
+    });
+  }
+
+  course.markModified('sesiones');
+  await course.save({ validateModifiedOnly: true });
+
+  res.json({
+    success: true,
+    message: 'Sesión actualizada exitosamente',
+    data: course.sesiones.id(req.params.sessionId)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/courses/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Eliminar una sesión del curso (solo admin)
+ *     tags: [Cursos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la sesión
+ *     responses:
+ *       200:
+ *         description: Sesión eliminada exitosamente
+ *       404:
+ *         description: Curso o sesión no encontrados
+ */
+router.delete('/:id/sessions/:sessionId', [
+  authenticateToken,
+  requireAdmin
+], asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  const sesion = course && course.sesiones.id(req.params.sessionId);
+
+  if (!sesion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sesión no encontrada'
+    });
+  }
+
+  sesion.deleteOne();
+  await course.save({ validateModifiedOnly: true });
+
+  res.json({
+    success: true,
+    message: 'Sesión eliminada exitosamente'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/courses/{id}/invitations:
+ *   get:
+ *     summary: Obtener las invitaciones de un curso (solo admin)
+ *     tags: [Cursos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     responses:
+ *       200:
+ *         description: Invitaciones del curso, las más recientes primero
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CourseInvitation'
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/:id/invitations', [
+  authenticateToken,
+  requireAdmin,
+  param('id')
+    .isMongoId()
+    .withMessage('ID de curso inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const invitaciones = await obtenerInvitaciones(req.params.id);
+
+  res.json({
+    success: true,
+    data: invitaciones
+  });
+}));
+
+/**
+ * @swagger
+ * /api/courses/{id}/invitations:
+ *   post:
+ *     summary: Generar una invitación para un curso (solo admin)
+ *     description: >
+ *       Genera un código aleatorio que da acceso al curso. Si se indica un correo, solo esa
+ *       persona puede usarlo y se le envía por correo con el enlace al curso.
+ *     tags: [Cursos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 format: email
+ *               descripcion:
+ *                 type: string
+ *                 maxLength: 200
+ *               usosMaximos:
+ *                 type: integer
+ *                 minimum: 1
+ *               expiraEn:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Invitación generada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CourseInvitation'
+ *       400:
+ *         description: Datos inválidos
+ *       403:
+ *         description: Se requieren permisos de administrador
+ *       404:
+ *         description: Curso no encontrado
+ */
+router.post('/:id/invitations', [
+  authenticateToken,
+  requireAdmin,
+  param('id')
+    .isMongoId()
+    .withMessage('ID de curso inválido'),
+  body('correo')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Debe proporcionar un correo válido'),
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La descripción no puede exceder 200 caracteres'),
+  body('usosMaximos')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('El límite de usos debe ser un número entre 1 y 1000')
+    .toInt(),
+  body('expiraEn')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('La fecha de caducidad debe ser una fecha válida')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { correo, descripcion, usosMaximos, expiraEn } = req.body;
+
+  const invitacion = await generarInvitacion({
+    cursoId: req.params.id,
+    correo,
+    descripcion,
+    usosMaximos,
+    expiraEn,
+    creadoPor: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: invitacion.correo
+      ? `Invitación generada y enviada a ${invitacion.correo}`
+      : 'Invitación generada exitosamente',
+    data: invitacion
+  });
+}));
+
+/**
+ * @swagger
+ * /api/courses/{id}/invitations/{invitationId}/revoke:
+ *   put:
+ *     summary: Revocar una invitación (solo admin)
+ *     description: La invitación deja de dar acceso; las reservas ya hechas con ella se mantienen.
+ *     tags: [Cursos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la invitación
+ *     responses:
+ *       200:
+ *         description: Invitación revocada exitosamente
+ *       400:
+ *         description: La invitación ya estaba revocada
+ *       403:
+ *         description: Se requieren permisos de administrador
+ *       404:
+ *         description: Invitación no encontrada
+ */
+router.put('/:id/invitations/:invitationId/revoke', [
+  authenticateToken,
+  requireAdmin,
+  param('id')
+    .isMongoId()
+    .withMessage('ID de curso inválido'),
+  param('invitationId')
+    .isMongoId()
+    .withMessage('ID de invitación inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const invitacion = await revocarInvitacion({
+    cursoId: req.params.id,
+    invitacionId: req.params.invitationId
+  });
+
+  res.json({
+    success: true,
+    message: 'Invitación revocada exitosamente',
+    data: invitacion
+  });
+}));
+
 /**
  * @swagger
  * /api/courses/active:
@@ -625,6 +1446,44 @@ router.get('/active', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/courses/admin/at-risk:
+ *   get:
+ *     summary: Obtener cursos activos que aún no alcanzan su cupo mínimo (solo admin)
+ *     tags: [Cursos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cursos en riesgo ordenados por fecha de decisión
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Course'
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/admin/at-risk', [
+  authenticateToken,
+  requireAdmin
+], asyncHandler(async (req, res) => {
+  const courses = await Course.findEnRiesgo()
+    .select('titulo fechaInicio fechaDecision cupoMinimo cupoMaximo cupoDisponible estado decision');
+
+  res.json({
+    success: true,
+    data: courses
+  });
+}));
+
 /**
  * @swagger
  * /api/courses/categories:
@@ -636,7 +1495,7 @@ router.get('/active', asyncHandler(async (req, res) => {
  *         description: Lista de categorías
  */
 router.get('/categories', asyncHandler(async (req, res) => {
-  const categories = await Course.distinct('categoria', { estado: 'activo' });
+  const categories = await Course.distinct('categoria', { estado: 'activo', visibilidad: 'publico' });
   
   res.json({
     success: true,
@@ -0,0 +1,503 @@
+/**
+ * Rutas de Códigos de Descuento
+ * Validación de un código antes de reservar y CRUD de códigos con sus estadísticas de canje
+ */
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const DiscountCode = require('../models/DiscountCode');
+const DiscountCodeUsage = require('../models/DiscountCodeUsage');
+const Course = require('../models/Course');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { evaluarCodigo, estadisticasCanje } = require('../services/discountService');
+
+const router = express.Router();
+
+// Validaciones comunes a creación y edición
+const discountCodeValidators = [
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La descripción no puede exceder 200 caracteres'),
+  body('valor')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('El valor del descuento debe ser mayor que 0'),
+  body('cursos')
+    .optional()
+    .isArray()
+    .withMessage('Los cursos deben ser una lista'),
+  body('cursos.*')
+    .isMongoId()
+    .withMessage('ID de curso inválido'),
+  body('categorias')
+    .optional()
+    .isArray()
+    .withMessage('Las categorías deben ser una lista'),
+  body('categorias.*')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Cada categoría debe tener entre 1 y 50 caracteres'),
+  body('fechaInicio')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La fecha de inicio debe ser válida'),
+  body('fechaFin')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La fecha de fin debe ser válida'),
+  body('usosMaximos')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('El límite de usos debe ser un entero mayor que 0'),
+  body('usosPorUsuario')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El límite de usos por usuario debe ser un entero mayor que 0'),
+  body('activo')
+    .optional()
+    .isBoolean()
+    .withMessage('activo debe ser verdadero o falso')
+];
+
+/**
+ * Añadir a cada código sus estadísticas de canje
+ */
+const conEstadisticas = async (codes) => {
+  const estadisticas = await estadisticasCanje(codes.map(code => code._id));
+  const vacias = { reservas: 0, canceladas: 0, totalDescontado: 0, importeCobrado: 0, usuarios: 0 };
+
+  return codes.map(code => ({
+    ...code.toJSON(),
+    estadisticas: estadisticas[code._id.toString()] || vacias
+  }));
+};
+
+/**
+ * @swagger
+ * /api/discount-codes/validate:
+ *   post:
+ *     summary: Comprobar un código de descuento para un curso antes de reservar
+ *     tags: [Descuentos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - codigo
+ *               - cursoId
+ *             properties:
+ *               codigo:
+ *                 type: string
+ *               cursoId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Código válido con el descuento y el precio final
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     codigo:
+ *                       type: string
+ *                     tipo:
+ *                       type: string
+ *                     valor:
+ *                       type: number
+ *                     descuento:
+ *                       type: number
+ *                     precioFinal:
+ *                       type: number
+ *       400:
+ *         description: El código no es válido, caducó, se agotó o no aplica al curso
+ *       404:
+ *         description: Curso no encontrado
+ */
+router.post('/validate', [
+  authenticateToken,
+  body('codigo')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('El código es obligatorio'),
+  body('cursoId')
+    .isMongoId()
+    .withMessage('ID de curso inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const course = await Course.findById(req.body.cursoId).select('precio tramosPrecio cupoMaximo cupoDisponible categoria estado');
+
+  if (!course || course.estado !== 'activo') {
+    return res.status(404).json({
+      success: false,
+      message: 'Curso no encontrado'
+    });
+  }
+
+  const precio = course.precioActual;
+  const { cupon, descuento } = await evaluarCodigo({
+    codigo: req.body.codigo,
+    course,
+    precio,
+    usuarioId: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Código de descuento aplicado',
+    data: {
+      codigo: cupon.codigo,
+      descripcion: cupon.descripcion,
+      tipo: cupon.tipo,
+      valor: cupon.valor,
+      descuento,
+      precioFinal: Math.round((precio - descuento) * 100) / 100
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/discount-codes/admin:
+ *   get:
+ *     summary: Obtener códigos de descuento con sus estadísticas de canje (solo admin)
+ *     tags: [Descuentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: activo
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Buscar por código o descripción
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Lista paginada de códigos; cada uno incluye `estadisticas` (reservas, canceladas, totalDescontado, importeCobrado, usuarios)
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/admin', [
+  authenticateToken,
+  requireAdmin,
+  query('activo').optional().isBoolean(),
+  query('search').optional().trim().isLength({ max: 100 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { activo, search, page = 1, limit = 20 } = req.query;
+  const filters = {};
+  if (activo !== undefined) filters.activo = activo === 'true';
+  if (search) {
+    const patron = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filters.$or = [{ codigo: patron }, { descripcion: patron }];
+  }
+
+  // Calcular paginación
+  const skip = (page - 1) * limit;
+
+  const codes = await DiscountCode.find(filters)
+    .populate('cursos', 'titulo fechaInicio')
+    .populate('creadoPor', 'nombre')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await DiscountCode.countDocuments(filters);
+  const pages = Math.ceil(total / limit);
+
+  res.json({
+    success: true,
+    data: await conEstadisticas(codes),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/discount-codes/admin/{id}:
+ *   get:
+ *     summary: Obtener un código de descuento con sus estadísticas de canje (solo admin)
+ *     tags: [Descuentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del código
+ *     responses:
+ *       200:
+ *         description: Código encontrado
+ *       404:
+ *         description: Código no encontrado
+ */
+router.get('/admin/:id', [
+  authenticateToken,
+  requireAdmin
+], asyncHandler(async (req, res) => {
+  const code = await DiscountCode.findById(req.params.id)
+    .populate('cursos', 'titulo fechaInicio')
+    .populate('creadoPor', 'nombre');
+
+  if (!code) {
+    return res.status(404).json({
+      success: false,
+      message: 'Código de descuento no encontrado'
+    });
+  }
+
+  const [data] = await conEstadisticas([code]);
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+/**
+ * @swagger
+ * /api/discount-codes/admin:
+ *   post:
+ *     summary: Crear código de descuento (solo admin)
+ *     tags: [Descuentos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DiscountCode'
+ *     responses:
+ *       201:
+ *         description: Código creado exitosamente
+ *       400:
+ *         description: Datos inválidos
+ *       409:
+ *         description: Ya existe un código con ese nombre
+ */
+router.post('/admin', [
+  authenticateToken,
+  requireAdmin,
+  body('codigo')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('El código debe tener entre 3 y 30 letras, números, guiones o guiones bajos'),
+  body('tipo')
+    .isIn(['porcentaje', 'fijo'])
+    .withMessage('El tipo debe ser porcentaje o fijo'),
+  body('valor')
+    .exists()
+    .withMessage('El valor del descuento es obligatorio'),
+  ...discountCodeValidators
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { usos, ...datos } = req.body;
+
+  if (await DiscountCode.findByCodigo(datos.codigo)) {
+    return res.status(409).json({
+      success: false,
+      message: 'Ya existe un código de descuento con ese nombre'
+    });
+  }
+
+  const code = new DiscountCode({
+    ...datos,
+    creadoPor: req.user._id
+  });
+
+  await code.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Código de descuento creado exitosamente',
+    data: code
+  });
+}));
+
+/**
+ * @swagger
+ * /api/discount-codes/admin/{id}:
+ *   put:
+ *     summary: Actualizar código de descuento (solo admin)
+ *     description: El código en sí y los usos consumidos no se pueden modificar
+ *     tags: [Descuentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del código
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DiscountCode'
+ *     responses:
+ *       200:
+ *         description: Código actualizado exitosamente
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Código no encontrado
+ */
+router.put('/admin/:id', [
+  authenticateToken,
+  requireAdmin,
+  body('tipo')
+    .optional()
+    .isIn(['porcentaje', 'fijo'])
+    .withMessage('El tipo debe ser porcentaje o fijo'),
+  ...discountCodeValidators
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const code = await DiscountCode.findById(req.params.id);
+
+  if (!code) {
+    return res.status(404).json({
+      success: false,
+      message: 'Código de descuento no encontrado'
+    });
+  }
+
+  // Las reservas guardan el código canjeado: no se renombra ni se tocan sus usos
+  const { codigo, usos, creadoPor, ...cambios } = req.body;
+  Object.assign(code, cambios);
+  await code.save();
+
+  res.json({
+    success: true,
+    message: 'Código de descuento actualizado exitosamente',
+    data: code
+  });
+}));
+
+/**
+ * @swagger
+ * /api/discount-codes/admin/{id}:
+ *   delete:
+ *     summary: Eliminar código de descuento (solo admin)
+ *     description: Un código ya canjeado no se elimina para conservar sus estadísticas; se puede desactivar
+ *     tags: [Descuentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del código
+ *     responses:
+ *       200:
+ *         description: Código eliminado exitosamente
+ *       400:
+ *         description: El código ya se ha canjeado
+ *       404:
+ *         description: Código no encontrado
+ */
+router.delete('/admin/:id', [
+  authenticateToken,
+  requireAdmin
+], asyncHandler(async (req, res) => {
+  const code = await DiscountCode.findById(req.params.id);
+
+  if (!code) {
+    return res.status(404).json({
+      success: false,
+      message: 'Código de descuento no encontrado'
+    });
+  }
+
+  if (code.usos > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'El código ya se ha canjeado: desactívalo en lugar de eliminarlo'
+    });
+  }
+
+  await DiscountCode.findByIdAndDelete(req.params.id);
+  // Contadores por usuario que quedaron a cero tras un canje que no llegó a aplicarse
+  await DiscountCodeUsage.deleteMany({ cupon: code._id });
+
+  res.json({
+    success: true,
+    message: 'Código de descuento eliminado exitosamente'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,672 @@
+/**
+ * Rutas de Reservas de Grupo
+ * Reserva de varias plazas de un curso por un organizador, gestión de los asistentes
+ * hasta el plazo de cambios y administración de los grupos
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const GroupBooking = require('../models/GroupBooking');
+const { authenticateToken, requireAdmin, requireVerifiedEmail } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  crearReservaGrupo,
+  agregarAsistentes,
+  quitarAsistente,
+  sustituirAsistente,
+  confirmarGrupo,
+  cancelarGrupo,
+  obtenerGruposOrganizador
+} = require('../services/groupBookingService');
+
+const router = express.Router();
+
+// Datos del grupo que se devuelven en cada respuesta
+const poblarGrupo = (grupo) => grupo.populate([
+  { path: 'curso', select: 'titulo fechaInicio fechaFin instructor modalidad ubicacion' },
+  { path: 'organizador', select: 'nombre correo' },
+  { path: 'asistentes.usuario', select: 'nombre correo' }
+]);
+
+/**
+ * @swagger
+ * /api/group-bookings:
+ *   post:
+ *     summary: Reservar varias plazas de un curso para un grupo
+ *     description: >
+ *       Toma todas las plazas de una vez o ninguna. Cada plaza se cobra al precio del tramo
+ *       que le corresponde. Los asistentes se pueden indicar ya o asignar más tarde; los
+ *       correos sin cuenta reciben una invitación y ocupan la plaza al registrarse.
+ *     tags: [Reservas de grupo]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cursoId
+ *               - plazas
+ *             properties:
+ *               cursoId:
+ *                 type: string
+ *               plazas:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 100
+ *               metodoPago:
+ *                 type: string
+ *                 enum: [efectivo, transferencia, gratuito]
+ *                 default: gratuito
+ *               notas:
+ *                 type: string
+ *                 maxLength: 1000
+ *               asistentes:
+ *                 type: array
+ *                 description: Correos de los asistentes a los que asignar plaza
+ *                 items:
+ *                   type: string
+ *                   format: email
+ *     responses:
+ *       201:
+ *         description: Reserva de grupo creada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/GroupBooking'
+ *       400:
+ *         description: Datos inválidos, curso no disponible o plazas insuficientes
+ *       403:
+ *         description: Las reservas exigen un correo verificado (`codigo` CORREO_NO_VERIFICADO)
+ *       409:
+ *         description: Algún asistente ya tiene una reserva para este curso
+ */
+router.post('/', [
+  authenticateToken,
+  requireVerifiedEmail,
+  body('cursoId')
+    .isMongoId()
+    .withMessage('ID de curso inválido'),
+  body('plazas')
+    .isInt({ min: 2, max: 100 })
+    .withMessage('Una reserva de grupo debe tener entre 2 y 100 plazas')
+    .toInt(),
+  body('metodoPago')
+    .optional()
+    .isIn(['efectivo', 'transferencia', 'gratuito'])
+    .withMessage('El método de pago de un grupo debe ser efectivo, transferencia o gratuito'),
+  body('notas')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres'),
+  body('asistentes')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Los asistentes deben ser una lista de correos'),
+  body('asistentes.*')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Cada asistente debe ser un correo válido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { cursoId, plazas, metodoPago = 'gratuito', notas, asistentes = [] } = req.body;
+
+  const grupo = await crearReservaGrupo({
+    organizadorId: req.user._id,
+    cursoId,
+    plazas,
+    metodoPago,
+    notas,
+    correos: asistentes
+  });
+
+  await poblarGrupo(grupo);
+
+  res.status(201).json({
+    success: true,
+    message: 'Reserva de grupo creada exitosamente',
+    data: grupo
+  });
+}));
+
+/**
+ * @swagger
+ * /api/group-bookings:
+ *   get:
+ *     summary: Obtener las reservas de grupo del usuario autenticado como organizador
+ *     tags: [Reservas de grupo]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reservas de grupo del organizador
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GroupBooking'
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const grupos = await obtenerGruposOrganizador(req.user._id);
+
+  res.json({
+    success: true,
+    data: grupos
+  });
+}));
+
+/**
+ * @swagger
+ * /api/group-bookings/admin/all:
+ *   get:
+ *     summary: Obtener todas las reservas de grupo (solo admin)
+ *     tags: [Reservas de grupo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, confirmada, cancelada]
+ *       - in: query
+ *         name: cursoId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Lista paginada de reservas de grupo con sus asistentes
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/admin/all', [
+  authenticateToken,
+  requireAdmin,
+  query('estado').optional().isIn(['pendiente', 'confirmada', 'cancelada']),
+  query('cursoId').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { estado, cursoId, page = 1, limit = 20 } = req.query;
+
+  // Construir filtros
+  const filters = {};
+  if (estado) filters.estado = estado;
+  if (cursoId) filters.curso = cursoId;
+
+  // Calcular paginación
+  const skip = (page - 1) * limit;
+
+  const grupos = await GroupBooking.find(filters)
+    .populate('organizador', 'nombre correo')
+    .populate('curso', 'titulo fechaInicio fechaFin instructor')
+    .populate('asistentes.usuario', 'nombre correo')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await GroupBooking.countDocuments(filters);
+  const pages = Math.ceil(total / limit);
+
+  res.json({
+    success: true,
+    data: grupos,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/group-bookings/admin/{id}/confirm:
+ *   put:
+ *     summary: Confirmar una reserva de grupo dando por recibido su pago (solo admin)
+ *     description: Las reservas pendientes de sus asistentes pasan a confirmada
+ *     tags: [Reservas de grupo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reserva de grupo confirmada exitosamente
+ *       400:
+ *         description: El grupo no está pendiente
+ *       403:
+ *         description: Se requieren permisos de administrador
+ *       404:
+ *         description: Reserva de grupo no encontrada
+ */
+router.put('/admin/:id/confirm', [
+  authenticateToken,
+  requireAdmin,
+  param('id')
+    .isMongoId()
+    .withMessage('ID de reserva de grupo inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const grupo = await confirmarGrupo(req.params.id);
+  await poblarGrupo(grupo);
+
+  res.json({
+    success: true,
+    message: 'Reserva de grupo confirmada exitosamente',
+    data: grupo
+  });
+}));
+
+/**
+ * @swagger
+ * /api/group-bookings/{id}:
+ *   get:
+ *     summary: Obtener una reserva de grupo
+ *     tags: [Reservas de grupo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reserva de grupo con sus asistentes
+ *       403:
+ *         description: No tienes permisos para ver esta reserva de grupo
+ *       404:
+ *         description: Reserva de grupo no encontrada
+ */
+router.get('/:id', [
+  authenticateToken,
+  param('id')
+    .isMongoId()
+    .withMessage('ID de reserva de grupo inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const grupo = await GroupBooking.findById(req.params.id);
+
+  if (!grupo) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reserva de grupo no encontrada'
+    });
+  }
+
+  // Verificar que el usuario sea el organizador o admin
+  if (!grupo.organizador.equals(req.user._id) && req.user.rol !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'No tienes permisos para ver esta reserva de grupo'
+    });
+  }
+
+  await poblarGrupo(grupo);
+
+  res.json({
+    success: true,
+    data: grupo
+  });
+}));
+
+/**
+ * @swagger
+ * /api/group-bookings/{id}/attendees:
+ *   post:
+ *     summary: Asignar plazas libres del grupo a nuevos asistentes
+ *     description: Solo hasta el plazo de cambios (GROUP_CHANGES_CUTOFF_HOURS antes del inicio); un administrador no tiene plazo
+ *     tags: [Reservas de grupo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correos
+ *             properties:
+ *               correos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: email
+ *     responses:
+ *       200:
+ *         description: Asistentes asignados exitosamente
+ *       400:
+ *         description: Plazo vencido o no quedan plazas libres
+ *       403:
+ *         description: No tienes permisos para gestionar esta reserva de grupo
+ *       409:
+ *         description: El asistente ya está en el grupo o tiene otra reserva para el curso
+ */
+router.post('/:id/attendees', [
+  authenticateToken,
+  param('id')
+    .isMongoId()
+    .withMessage('ID de reserva de grupo inválido'),
+  body('correos')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Indica al menos un correo'),
+  body('correos.*')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Cada asistente debe ser un correo válido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const grupo = await agregarAsistentes({
+    grupoId: req.params.id,
+    usuario: req.user,
+    correos: req.body.correos
+  });
+  await poblarGrupo(grupo);
+
+  res.json({
+    success: true,
+    message: 'Asistentes asignados exitosamente',
+    data: grupo
+  });
+}));
+
+/**
+ * @swagger
+ * /api/group-bookings/{id}/attendees:
+ *   put:
+ *     summary: Sustituir a un asistente del grupo por otra persona
+ *     tags: [Reservas de grupo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correo
+ *               - nuevoCorreo
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 format: email
+ *                 description: Asistente actual
+ *               nuevoCorreo:
+ *                 type: string
+ *                 format: email
+ *                 description: Persona que ocupa su plaza
+ *     responses:
+ *       200:
+ *         description: Asistente sustituido exitosamente
+ *       400:
+ *         description: Plazo vencido o grupo cancelado
+ *       404:
+ *         description: El asistente no está en el grupo
+ *       409:
+ *         description: El nuevo asistente ya está en el grupo o tiene otra reserva para el curso
+ */
+router.put('/:id/attendees', [
+  authenticateToken,
+  param('id')
+    .isMongoId()
+    .withMessage('ID de reserva de grupo inválido'),
+  body('correo')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Ingresa el correo del asistente actual'),
+  body('nuevoCorreo')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Ingresa un correo válido para el nuevo asistente')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const grupo = await sustituirAsistente({
+    grupoId: req.params.id,
+    usuario: req.user,
+    correo: req.body.correo,
+    nuevoCorreo: req.body.nuevoCorreo
+  });
+  await poblarGrupo(grupo);
+
+  res.json({
+    success: true,
+    message: 'Asistente sustituido exitosamente',
+    data: grupo
+  });
+}));
+
+/**
+ * @swagger
+ * /api/group-bookings/{id}/attendees/{correo}:
+ *   delete:
+ *     summary: Quitar a un asistente del grupo dejando su plaza libre
+ *     tags: [Reservas de grupo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: correo
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: email
+ *     responses:
+ *       200:
+ *         description: Asistente retirado exitosamente
+ *       400:
+ *         description: Plazo vencido o grupo cancelado
+ *       404:
+ *         description: El asistente no está en el grupo
+ */
+router.delete('/:id/attendees/:correo', [
+  authenticateToken,
+  param('id')
+    .isMongoId()
+    .withMessage('ID de reserva de grupo inválido'),
+  param('correo')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Correo de asistente inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const grupo = await quitarAsistente({
+    grupoId: req.params.id,
+    usuario: req.user,
+    correo: req.params.correo
+  });
+  await poblarGrupo(grupo);
+
+  res.json({
+    success: true,
+    message: 'Asistente retirado exitosamente',
+    data: grupo
+  });
+}));
+
+/**
+ * @swagger
+ * /api/group-bookings/{id}/cancel:
+ *   put:
+ *     summary: Cancelar una reserva de grupo aún no pagada
+ *     description: Se cancelan las reservas de sus asistentes y todas las plazas vuelven al curso
+ *     tags: [Reservas de grupo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Reserva de grupo cancelada exitosamente
+ *       400:
+ *         description: El grupo ya está pagado, cancelado o el curso comenzó
+ *       403:
+ *         description: No tienes permisos para gestionar esta reserva de grupo
+ *       404:
+ *         description: Reserva de grupo no encontrada
+ */
+router.put('/:id/cancel', [
+  authenticateToken,
+  param('id')
+    .isMongoId()
+    .withMessage('ID de reserva de grupo inválido'),
+  body('motivo')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const grupo = await cancelarGrupo({
+    grupoId: req.params.id,
+    usuario: req.user,
+    motivo: req.body.motivo
+  });
+  await poblarGrupo(grupo);
+
+  res.json({
+    success: true,
+    message: 'Reserva de grupo cancelada exitosamente',
+    data: grupo
+  });
+}));
+
+module.exports = router;
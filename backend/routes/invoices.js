@@ -0,0 +1,350 @@
+/**
+ * Rutas de Facturas
+ * Consulta y descarga en PDF de las facturas por su titular, y listado
+ * y exportación de las facturas emitidas por parte de un administrador
+ */
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Reservation = require('../models/Reservation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { emitirFactura, generarPdf, exportarCsv } = require('../services/invoiceService');
+
+const router = express.Router();
+
+// Filtros comunes al listado y la exportación de administración
+const adminFilterValidators = [
+  query('serie').optional().isInt({ min: 2000, max: 9999 }),
+  query('desde').optional().isISO8601().toDate(),
+  query('hasta').optional().isISO8601().toDate(),
+  query('search').optional().trim().isLength({ max: 100 })
+];
+
+/**
+ * Construir el filtro de facturas a partir de la consulta
+ */
+const filtrosAdmin = ({ serie, desde, hasta, search }) => {
+  const filters = {};
+  if (serie) filters.serie = parseInt(serie);
+  if (desde || hasta) {
+    filters.fechaEmision = {};
+    if (desde) filters.fechaEmision.$gte = desde;
+    if (hasta) filters.fechaEmision.$lte = hasta;
+  }
+  if (search) {
+    const patron = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filters.$or = [
+      { 'comprador.nombre': patron },
+      { 'comprador.nif': patron },
+      { 'comprador.correo': patron },
+      { tituloCurso: patron }
+    ];
+  }
+  return filters;
+};
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: Obtener las facturas del usuario autenticado
+ *     tags: [Facturas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Facturas del usuario, de la más reciente a la más antigua
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const invoices = await Invoice.findByUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: invoices
+  });
+}));
+
+/**
+ * @swagger
+ * /api/invoices/reservation/{reservaId}:
+ *   get:
+ *     summary: Descargar la factura en PDF de una reserva pagada
+ *     description: Si la reserva está pagada y aún no tiene factura, se emite en ese momento
+ *     tags: [Facturas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reservaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Factura en PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: La reserva no tiene pagos que facturar
+ *       403:
+ *         description: No tienes permisos para ver esta factura
+ *       404:
+ *         description: Reserva no encontrada
+ */
+router.get('/reservation/:reservaId', [
+  authenticateToken,
+  param('reservaId')
+    .isMongoId()
+    .withMessage('ID de reserva inválido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  // La factura queda a nombre de quien pagó aunque la reserva se transfiriera después
+  const invoice = await Invoice.findOne({ reserva: req.params.reservaId });
+  const reservation = invoice
+    ? null
+    : await Reservation.findById(req.params.reservaId).select('usuario');
+
+  if (!invoice && !reservation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reserva no encontrada'
+    });
+  }
+
+  // Verificar que el usuario sea propietario o admin
+  const propietario = invoice ? invoice.usuario : reservation.usuario;
+  if (propietario.toString() !== req.user._id.toString() && req.user.rol !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'No tienes permisos para ver esta factura'
+    });
+  }
+
+  // Las reservas pagadas cuya factura no llegó a emitirse la obtienen aquí
+  const factura = invoice || await emitirFactura(reservation._id);
+  const pdf = await generarPdf(factura);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="factura-${factura.numero}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+}));
+
+/**
+ * @swagger
+ * /api/invoices/admin:
+ *   get:
+ *     summary: Obtener las facturas emitidas (solo admin)
+ *     tags: [Facturas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: serie
+ *         schema:
+ *           type: integer
+ *         description: Año de la serie
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Buscar por cliente, NIF, correo o curso
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Lista paginada de facturas con los totales del filtro
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *                 totales:
+ *                   type: object
+ *                   properties:
+ *                     baseImponible:
+ *                       type: number
+ *                     impuesto:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/admin', [
+  authenticateToken,
+  requireAdmin,
+  ...adminFilterValidators,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const filters = filtrosAdmin(req.query);
+
+  // Calcular paginación
+  const skip = (page - 1) * limit;
+
+  const invoices = await Invoice.find(filters)
+    .sort({ serie: -1, secuencia: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Invoice.countDocuments(filters);
+  const pages = Math.ceil(total / limit);
+
+  const [sumas] = await Invoice.aggregate([
+    { $match: filters },
+    {
+      $group: {
+        _id: null,
+        baseImponible: { $sum: '$baseImponible' },
+        impuesto: { $sum: '$impuesto' },
+        total: { $sum: '$total' }
+      }
+    }
+  ]);
+
+  res.json({
+    success: true,
+    data: invoices,
+    totales: {
+      baseImponible: Math.round((sumas?.baseImponible || 0) * 100) / 100,
+      impuesto: Math.round((sumas?.impuesto || 0) * 100) / 100,
+      total: Math.round((sumas?.total || 0) * 100) / 100
+    },
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/invoices/admin/export:
+ *   get:
+ *     summary: Exportar a CSV las facturas emitidas (solo admin)
+ *     description: Admite los mismos filtros que el listado y exporta todas las facturas en orden de numeración
+ *     tags: [Facturas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: serie
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fichero CSV
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/admin/export', [
+  authenticateToken,
+  requireAdmin,
+  ...adminFilterValidators
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const invoices = await Invoice.find(filtrosAdmin(req.query)).sort({ serie: 1, secuencia: 1 });
+  const csv = exportarCsv(invoices);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="facturas${req.query.serie ? `-${req.query.serie}` : ''}.csv"`
+  });
+  res.send(csv);
+}));
+
+module.exports = router;
@@ -0,0 +1,157 @@
+/**
+ * Rutas del Ciclo de Vida
+ * Historial de transiciones automáticas de cursos y reservas y ejecución manual del ciclo (solo admin)
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const StateTransition = require('../models/StateTransition');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { ejecutarCicloVida } = require('../services/courseLifecycleService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/lifecycle/transitions:
+ *   get:
+ *     summary: Obtener el historial de transiciones automáticas de estado (solo admin)
+ *     tags: [Ciclo de Vida]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entidad
+ *         schema:
+ *           type: string
+ *           enum: [curso, reserva]
+ *         description: Filtrar por tipo de entidad
+ *       - in: query
+ *         name: cursoId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por curso
+ *       - in: query
+ *         name: estadoNuevo
+ *         schema:
+ *           type: string
+ *         description: Filtrar por estado resultante
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Elementos por página
+ *     responses:
+ *       200:
+ *         description: Lista de transiciones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StateTransition'
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/transitions', [
+  authenticateToken,
+  requireAdmin,
+  query('entidad').optional().isIn(['curso', 'reserva']),
+  query('cursoId').optional().isMongoId(),
+  query('estadoNuevo').optional().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { entidad, cursoId, estadoNuevo, page = 1, limit = 20 } = req.query;
+
+  // Construir filtros
+  const filters = {};
+  if (entidad) filters.entidad = entidad;
+  if (cursoId) filters.curso = cursoId;
+  if (estadoNuevo) filters.estadoNuevo = estadoNuevo;
+
+  // Calcular paginación
+  const skip = (page - 1) * limit;
+
+  const transitions = await StateTransition.find(filters)
+    .populate('curso', 'titulo')
+    .sort({ fecha: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await StateTransition.countDocuments(filters);
+  const pages = Math.ceil(total / limit);
+
+  res.json({
+    success: true,
+    data: transitions,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/lifecycle/run:
+ *   post:
+ *     summary: Ejecutar ahora el ciclo de vida de cursos y reservas (solo admin)
+ *     tags: [Ciclo de Vida]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Resumen de las transiciones aplicadas
+ *       409:
+ *         description: Ya hay un ciclo en ejecución
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.post('/run', [
+  authenticateToken,
+  requireAdmin
+], asyncHandler(async (req, res) => {
+  const resumen = await ejecutarCicloVida();
+
+  if (!resumen) {
+    return res.status(409).json({
+      success: false,
+      message: 'Ya hay un ciclo de vida en ejecución'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Ciclo de vida ejecutado exitosamente',
+    data: resumen
+  });
+}));
+
+module.exports = router;
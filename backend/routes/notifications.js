@@ -0,0 +1,186 @@
+/**
+ * Rutas de Notificaciones
+ * Consulta de la bandeja de salida de correos y reintento manual (solo admin)
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { procesarPendientes } = require('../services/notificationService');
+const { tipos } = require('../services/notificationTemplates');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications/admin:
+ *   get:
+ *     summary: Obtener las notificaciones enviadas y pendientes (solo admin)
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, enviando, enviada, fallida]
+ *         description: Filtrar por estado
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [registro, reserva_creada, reserva_confirmada, reserva_cancelada, reserva_reprogramada, comprobante_rechazado, reembolso_procesado, curso_cancelado, recordatorio_curso, transferencia_solicitada, transferencia_aceptada, plaza_grupo_asignada, invitacion_curso, restablecer_contraseña, verificar_correo]
+ *         description: Filtrar por tipo de notificación
+ *       - in: query
+ *         name: destinatario
+ *         schema:
+ *           type: string
+ *         description: Buscar por correo del destinatario
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Elementos por página
+ *     responses:
+ *       200:
+ *         description: Lista de notificaciones con el resumen por estado
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/admin', [
+  authenticateToken,
+  requireAdmin,
+  query('estado').optional().isIn(['pendiente', 'enviando', 'enviada', 'fallida']),
+  query('tipo').optional().isIn(tipos),
+  query('destinatario').optional().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { estado, tipo, destinatario, page = 1, limit = 20 } = req.query;
+
+  // Construir filtros
+  const filters = {};
+  if (estado) filters.estado = estado;
+  if (tipo) filters.tipo = tipo;
+  if (destinatario) {
+    const escapado = destinatario.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filters.destinatario = { $regex: escapado, $options: 'i' };
+  }
+
+  // Calcular paginación
+  const skip = (page - 1) * limit;
+
+  const notifications = await Notification.find(filters)
+    .select('-html')
+    .populate('usuario', 'nombre')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Notification.countDocuments(filters);
+  const pages = Math.ceil(total / limit);
+
+  // Resumen global por estado
+  const porEstado = await Notification.aggregate([
+    { $group: { _id: '$estado', total: { $sum: 1 } } }
+  ]);
+  const resumen = porEstado.reduce((acc, item) => ({ ...acc, [item._id]: item.total }), {
+    pendiente: 0,
+    enviando: 0,
+    enviada: 0,
+    fallida: 0
+  });
+
+  res.json({
+    success: true,
+    data: notifications,
+    resumen,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/notifications/admin/{id}/retry:
+ *   post:
+ *     summary: Reintentar el envío de una notificación fallida (solo admin)
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la notificación
+ *     responses:
+ *       200:
+ *         description: Notificación encolada de nuevo
+ *       400:
+ *         description: La notificación no está fallida
+ *       404:
+ *         description: Notificación no encontrada
+ */
+router.post('/admin/:id/retry', [
+  authenticateToken,
+  requireAdmin
+], asyncHandler(async (req, res) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notificación no encontrada'
+    });
+  }
+
+  try {
+    await notification.reintentar();
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  // Intentar el envío sin esperar al siguiente ciclo del procesador
+  await procesarPendientes();
+  const actualizada = await Notification.findById(notification._id).select('-html');
+
+  res.json({
+    success: true,
+    message: actualizada.estado === 'enviada'
+      ? 'Notificación enviada exitosamente'
+      : 'Notificación encolada para reintento',
+    data: actualizada
+  });
+}));
+
+module.exports = router;
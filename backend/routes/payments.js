@@ -0,0 +1,662 @@
+/**
+ * Rutas de Pagos
+ * Intentos de pago de reservas, webhooks de las pasarelas, pasarela simulada de desarrollo
+ * y comprobantes de transferencia bancaria con su cola de revisión, más el resumen de ingresos
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const PaymentReceipt = require('../models/PaymentReceipt');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  crearIntentoPago,
+  procesarEventoPago,
+  simularPago,
+  obtenerPagosReserva,
+  resumenIngresos
+} = require('../services/paymentService');
+const {
+  TAMANO_MAXIMO_COMPROBANTE,
+  subirComprobante,
+  aprobarComprobante,
+  rechazarComprobante,
+  obtenerArchivoComprobante
+} = require('../services/receiptService');
+
+const router = express.Router();
+
+// Los comprobantes se validan en memoria antes de pasar al almacenamiento
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: TAMANO_MAXIMO_COMPROBANTE, files: 1 }
+});
+
+/**
+ * Recibir el archivo del comprobante y responder 400 si multer lo rechaza
+ */
+const subirArchivo = (req, res, next) => {
+  upload.single('comprobante')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `El comprobante no puede superar ${Math.round(TAMANO_MAXIMO_COMPROBANTE / (1024 * 1024))} MB`
+          : 'No se pudo procesar el archivo enviado'
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * @swagger
+ * /api/payments/reservations/{reservaId}/intent:
+ *   post:
+ *     summary: Iniciar el pago con tarjeta de una reserva pendiente
+ *     description: Si la reserva ya tiene un intento abierto se devuelve ese mismo intento
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reservaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Intento de pago con la URL donde completarlo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: La reserva no tiene pagos pendientes o su plazo de pago venció
+ *       403:
+ *         description: No tienes permisos para pagar esta reserva
+ *       404:
+ *         description: Reserva no encontrada
+ */
+router.post('/reservations/:reservaId/intent', authenticateToken, asyncHandler(async (req, res) => {
+  const payment = await crearIntentoPago({
+    reservaId: req.params.reservaId,
+    usuarioId: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Intento de pago creado. Completa el pago en la pasarela',
+    data: payment
+  });
+}));
+
+/**
+ * @swagger
+ * /api/payments/reservations/{reservaId}:
+ *   get:
+ *     summary: Obtener el historial de pagos de una reserva (titular o admin)
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reservaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Lista de pagos de la reserva
+ *       403:
+ *         description: No tienes permisos para ver los pagos de esta reserva
+ *       404:
+ *         description: Reserva no encontrada
+ */
+router.get('/reservations/:reservaId', authenticateToken, asyncHandler(async (req, res) => {
+  const payments = await obtenerPagosReserva({
+    reservaId: req.params.reservaId,
+    usuario: req.user
+  });
+
+  res.json({
+    success: true,
+    data: payments
+  });
+}));
+
+/**
+ * @swagger
+ * /api/payments/webhook/{proveedor}:
+ *   post:
+ *     summary: Recibir un evento de la pasarela de pagos
+ *     description: >
+ *       La firma se verifica sobre el cuerpo sin parsear. Los eventos repetidos
+ *       se aceptan sin volver a aplicarse.
+ *     tags: [Pagos]
+ *     parameters:
+ *       - in: path
+ *         name: proveedor
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre de la pasarela (por ejemplo, mock)
+ *     responses:
+ *       200:
+ *         description: Evento procesado
+ *       400:
+ *         description: Firma o contenido del evento inválidos
+ *       404:
+ *         description: Proveedor o pago desconocido
+ */
+router.post('/webhook/:proveedor', asyncHandler(async (req, res) => {
+  // La pasarela simulada nunca confirma pagos en producción
+  if (req.params.proveedor === 'mock' && process.env.NODE_ENV === 'production') {
+    return res.status(404).json({
+      success: false,
+      message: 'Proveedor de pagos desconocido: mock'
+    });
+  }
+
+  if (!req.rawBody) {
+    return res.status(400).json({
+      success: false,
+      message: 'Evento de pago inválido'
+    });
+  }
+
+  const payment = await procesarEventoPago(req.params.proveedor, req.rawBody.toString('utf8'), req.headers);
+
+  res.json({
+    success: true,
+    message: 'Evento procesado',
+    data: { estado: payment.estado }
+  });
+}));
+
+/**
+ * Las rutas de la pasarela simulada solo existen fuera de producción
+ */
+const soloDesarrollo = (req, res, next) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({
+      success: false,
+      message: 'Ruta no encontrada'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/payments/mock/{referencia}:
+ *   get:
+ *     summary: Obtener un intento de la pasarela simulada (solo desarrollo)
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: referencia
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Referencia del intento en la pasarela simulada
+ *     responses:
+ *       200:
+ *         description: Datos del intento de pago
+ *       404:
+ *         description: Pago no encontrado
+ */
+router.get('/mock/:referencia', [
+  soloDesarrollo,
+  authenticateToken
+], asyncHandler(async (req, res) => {
+  const payment = await Payment.findOne({
+    proveedor: 'mock',
+    referenciaExterna: req.params.referencia,
+    usuario: req.user._id
+  }).populate('curso', 'titulo fechaInicio');
+
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pago no encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: payment
+  });
+}));
+
+/**
+ * @swagger
+ * /api/payments/mock/{referencia}/simulate:
+ *   post:
+ *     summary: Simular el resultado de un pago en la pasarela simulada (solo desarrollo)
+ *     description: Genera el webhook firmado de la pasarela simulada y lo procesa
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: referencia
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Referencia del intento en la pasarela simulada
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resultado
+ *             properties:
+ *               resultado:
+ *                 type: string
+ *                 enum: [exito, rechazo]
+ *     responses:
+ *       200:
+ *         description: Pago procesado con el resultado simulado
+ *       400:
+ *         description: El pago ya no está pendiente
+ *       404:
+ *         description: Pago no encontrado
+ */
+router.post('/mock/:referencia/simulate', [
+  soloDesarrollo,
+  authenticateToken,
+  body('resultado')
+    .isIn(['exito', 'rechazo'])
+    .withMessage('El resultado debe ser exito o rechazo')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const payment = await simularPago({
+    referenciaExterna: req.params.referencia,
+    usuarioId: req.user._id,
+    resultado: req.body.resultado
+  });
+
+  let message = 'El pago fue rechazado';
+  if (payment.estado === 'completado') {
+    message = payment.requiereReembolso
+      ? 'El pago llegó cuando la reserva ya no estaba pendiente; se te reembolsará'
+      : 'Pago completado. Tu reserva está confirmada';
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: payment
+  });
+}));
+
+/**
+ * @swagger
+ * /api/payments/reservations/{reservaId}/receipt:
+ *   post:
+ *     summary: Subir el comprobante de transferencia de una reserva pendiente
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reservaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comprobante
+ *             properties:
+ *               comprobante:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF o imagen (JPG, PNG, WEBP)
+ *     responses:
+ *       201:
+ *         description: Comprobante recibido y pendiente de revisión
+ *       400:
+ *         description: Archivo inválido o la reserva no admite comprobantes
+ *       403:
+ *         description: No tienes permisos para subir comprobantes de esta reserva
+ *       404:
+ *         description: Reserva no encontrada
+ *       409:
+ *         description: Ya hay un comprobante pendiente de revisión
+ */
+router.post('/reservations/:reservaId/receipt', [
+  authenticateToken,
+  subirArchivo
+], asyncHandler(async (req, res) => {
+  const receipt = await subirComprobante({
+    reservaId: req.params.reservaId,
+    usuarioId: req.user._id,
+    archivo: req.file
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Comprobante recibido. Lo revisaremos en breve',
+    data: receipt
+  });
+}));
+
+/**
+ * @swagger
+ * /api/payments/receipts/{id}/file:
+ *   get:
+ *     summary: Descargar el archivo de un comprobante (titular o admin)
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del comprobante
+ *     responses:
+ *       200:
+ *         description: Archivo del comprobante
+ *       403:
+ *         description: No tienes permisos para ver este comprobante
+ *       404:
+ *         description: Comprobante no encontrado
+ */
+router.get('/receipts/:id/file', authenticateToken, asyncHandler(async (req, res) => {
+  const { receipt, contenido } = await obtenerArchivoComprobante({
+    comprobanteId: req.params.id,
+    usuario: req.user
+  });
+
+  res.setHeader('Content-Type', receipt.tipoMime);
+  res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(receipt.nombreOriginal || 'comprobante')}"`);
+  res.send(contenido);
+}));
+
+/**
+ * @swagger
+ * /api/payments/admin/revenue:
+ *   get:
+ *     summary: Resumen de ingresos y reembolsos de un periodo (solo admin)
+ *     description: >
+ *       Los ingresos se cuentan por la fecha de pago de cada reserva y los reembolsos por la
+ *       fecha en que se resolvieron. El neto descuenta los reembolsos devueltos por el medio
+ *       de pago original y los abonados como saldo a favor. Sin fechas, abarca todo el histórico.
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Ingresos brutos por método de pago, reembolsos e ingresos netos
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/admin/revenue', [
+  authenticateToken,
+  requireAdmin,
+  query('desde').optional().isISO8601().toDate(),
+  query('hasta').optional().isISO8601().toDate()
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const resumen = await resumenIngresos({ desde: req.query.desde, hasta: req.query.hasta });
+
+  res.json({
+    success: true,
+    data: resumen
+  });
+}));
+
+/**
+ * @swagger
+ * /api/payments/receipts/admin:
+ *   get:
+ *     summary: Obtener la cola de comprobantes de transferencia (solo admin)
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, aprobado, rechazado]
+ *           default: pendiente
+ *         description: Filtrar por estado de revisión
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Elementos por página
+ *     responses:
+ *       200:
+ *         description: Lista de comprobantes (los pendientes, del más antiguo al más reciente)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PaymentReceipt'
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/receipts/admin', [
+  authenticateToken,
+  requireAdmin,
+  query('estado').optional().isIn(['pendiente', 'aprobado', 'rechazado']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { estado = 'pendiente', page = 1, limit = 20 } = req.query;
+  const filters = { estado };
+
+  // Calcular paginación
+  const skip = (page - 1) * limit;
+
+  const receipts = await PaymentReceipt.find(filters)
+    .populate('usuario', 'nombre correo')
+    .populate('curso', 'titulo fechaInicio')
+    .populate('reserva', 'precioPagado estado')
+    .populate('revisadoPor', 'nombre')
+    // La cola se atiende por orden de llegada
+    .sort({ createdAt: estado === 'pendiente' ? 1 : -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await PaymentReceipt.countDocuments(filters);
+  const pages = Math.ceil(total / limit);
+
+  res.json({
+    success: true,
+    data: receipts,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/payments/receipts/admin/{id}/approve:
+ *   put:
+ *     summary: Aprobar un comprobante y confirmar la reserva (solo admin)
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del comprobante
+ *     responses:
+ *       200:
+ *         description: Comprobante aprobado y reserva confirmada
+ *       400:
+ *         description: El comprobante ya fue revisado o la reserva ya no está pendiente
+ *       404:
+ *         description: Comprobante no encontrado
+ */
+router.put('/receipts/admin/:id/approve', [
+  authenticateToken,
+  requireAdmin
+], asyncHandler(async (req, res) => {
+  const receipt = await aprobarComprobante({
+    comprobanteId: req.params.id,
+    adminId: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Comprobante aprobado. La reserva ha quedado confirmada',
+    data: receipt
+  });
+}));
+
+/**
+ * @swagger
+ * /api/payments/receipts/admin/{id}/reject:
+ *   put:
+ *     summary: Rechazar un comprobante indicando el motivo (solo admin)
+ *     tags: [Pagos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del comprobante
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Motivo que verá el usuario en sus reservas
+ *     responses:
+ *       200:
+ *         description: Comprobante rechazado
+ *       400:
+ *         description: Falta el motivo o el comprobante ya fue revisado
+ *       404:
+ *         description: Comprobante no encontrado
+ */
+router.put('/receipts/admin/:id/reject', [
+  authenticateToken,
+  requireAdmin,
+  body('motivo')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('El motivo del rechazo es obligatorio y no puede exceder 500 caracteres')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const receipt = await rechazarComprobante({
+    comprobanteId: req.params.id,
+    adminId: req.user._id,
+    motivo: req.body.motivo
+  });
+
+  res.json({
+    success: true,
+    message: 'Comprobante rechazado',
+    data: receipt
+  });
+}));
+
+module.exports = router;
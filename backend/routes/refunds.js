@@ -0,0 +1,349 @@
+/**
+ * Rutas de Reembolsos
+ * Consulta de reembolsos por su titular, conversión en saldo a favor y
+ * resolución de los reembolsos pendientes por parte de un administrador
+ */
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Refund = require('../models/Refund');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  procesarReembolso,
+  rechazarReembolso,
+  convertirEnCredito
+} = require('../services/refundService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/refunds:
+ *   get:
+ *     summary: Obtener los reembolsos del usuario autenticado
+ *     tags: [Reembolsos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reembolsos del usuario, del más reciente al más antiguo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Refund'
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const refunds = await Refund.findByUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: refunds
+  });
+}));
+
+/**
+ * @swagger
+ * /api/refunds/{id}/credit:
+ *   put:
+ *     summary: Recibir un reembolso pendiente como saldo a favor
+ *     description: El importe se abona al instante en la cuenta y se puede usar en reservas futuras
+ *     tags: [Reembolsos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del reembolso
+ *     responses:
+ *       200:
+ *         description: Reembolso abonado como saldo a favor
+ *       400:
+ *         description: El reembolso ya fue resuelto
+ *       403:
+ *         description: No tienes permisos para modificar este reembolso
+ *       404:
+ *         description: Reembolso no encontrado
+ */
+router.put('/:id/credit', authenticateToken, asyncHandler(async (req, res) => {
+  const refund = await convertirEnCredito({
+    reembolsoId: req.params.id,
+    usuarioId: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'El reembolso se ha abonado como saldo a favor',
+    data: refund
+  });
+}));
+
+/**
+ * @swagger
+ * /api/refunds/admin:
+ *   get:
+ *     summary: Obtener reembolsos por estado (solo admin)
+ *     description: Los pendientes se ordenan del más antiguo al más reciente
+ *     tags: [Reembolsos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, procesado, rechazado]
+ *           default: pendiente
+ *       - in: query
+ *         name: origen
+ *         schema:
+ *           type: string
+ *           enum: [cancelacion, pago_tardio, cancelacion_grupo]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Lista paginada de reembolsos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Refund'
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/admin', [
+  authenticateToken,
+  requireAdmin,
+  query('estado').optional().isIn(['pendiente', 'procesado', 'rechazado']),
+  query('origen').optional().isIn(['cancelacion', 'pago_tardio', 'cancelacion_grupo']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parámetros de consulta inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { estado = 'pendiente', origen, page = 1, limit = 20 } = req.query;
+  const filters = { estado };
+  if (origen) filters.origen = origen;
+
+  // Calcular paginación
+  const skip = (page - 1) * limit;
+
+  const refunds = await Refund.find(filters)
+    .populate('usuario', 'nombre correo')
+    .populate('curso', 'titulo fechaInicio')
+    .populate('reserva', 'metodoPago comprobantePago fechaCancelacion')
+    .populate('grupo', 'metodoPago plazas fechaCancelacion')
+    .populate('procesadoPor', 'nombre')
+    // Los pendientes se atienden por orden de llegada
+    .sort({ createdAt: estado === 'pendiente' ? 1 : -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Refund.countDocuments(filters);
+  const pages = Math.ceil(total / limit);
+
+  res.json({
+    success: true,
+    data: refunds,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/refunds/admin/{id}/process:
+ *   put:
+ *     summary: Marcar un reembolso como procesado (solo admin)
+ *     description: >
+ *       Con el método original se registra la devolución hecha por el medio de pago de la
+ *       reserva; con credito el importe se abona como saldo a favor del usuario.
+ *     tags: [Reembolsos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del reembolso
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - metodo
+ *             properties:
+ *               metodo:
+ *                 type: string
+ *                 enum: [original, credito]
+ *               referenciaExterna:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: Referencia de la devolución en el banco o la pasarela
+ *               notas:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Reembolso procesado
+ *       400:
+ *         description: Datos inválidos o el reembolso ya fue resuelto
+ *       404:
+ *         description: Reembolso no encontrado
+ */
+router.put('/admin/:id/process', [
+  authenticateToken,
+  requireAdmin,
+  body('metodo')
+    .isIn(['original', 'credito'])
+    .withMessage('El método debe ser original o credito'),
+  body('referenciaExterna')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La referencia no puede exceder 200 caracteres'),
+  body('notas')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las notas no pueden exceder 500 caracteres')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { metodo, referenciaExterna, notas } = req.body;
+
+  const refund = await procesarReembolso({
+    reembolsoId: req.params.id,
+    metodo,
+    referenciaExterna,
+    notas,
+    procesadoPor: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: metodo === 'credito'
+      ? 'Reembolso abonado como saldo a favor'
+      : 'Reembolso marcado como procesado',
+    data: refund
+  });
+}));
+
+/**
+ * @swagger
+ * /api/refunds/admin/{id}/reject:
+ *   put:
+ *     summary: Rechazar un reembolso pendiente (solo admin)
+ *     tags: [Reembolsos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del reembolso
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notas
+ *             properties:
+ *               notas:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Motivo del rechazo
+ *     responses:
+ *       200:
+ *         description: Reembolso rechazado
+ *       400:
+ *         description: Falta el motivo o el reembolso ya fue resuelto
+ *       404:
+ *         description: Reembolso no encontrado
+ */
+router.put('/admin/:id/reject', [
+  authenticateToken,
+  requireAdmin,
+  body('notas')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('El motivo del rechazo es obligatorio y no puede exceder 500 caracteres')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const refund = await rechazarReembolso({
+    reembolsoId: req.params.id,
+    notas: req.body.notas,
+    procesadoPor: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Reembolso rechazado',
+    data: refund
+  });
+}));
+
+module.exports = router;
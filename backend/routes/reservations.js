@@ -6,9 +6,24 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Reservation = require('../models/Reservation');
-const Course = require('../models/Course');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireVerifiedEmail } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  crearReserva,
+  cancelarReserva,
+  unirseListaEspera,
+  salirListaEspera,
+  reprogramarReserva,
+  obtenerEdicionesAlternativas,
+  solicitarTransferencia,
+  aceptarTransferencia,
+  anularTransferencia,
+  obtenerTransferenciasRecibidas
+} = require('../services/reservationService');
+const { emitirCertificado } = require('../services/certificateService');
+const { emitirFacturaSiPagada } = require('../services/invoiceService');
+const { notificar } = require('../services/notificationService');
+const { generarTokenAsistencia } = require('../utils/checkinToken');
 
 const router = express.Router();
 
@@ -25,9 +40,14 @@ const router = express.Router();
  *         name: estado
  *         schema:
  *           type: string
- *           enum: [confirmada, cancelada, pendiente, completada]
+ *           enum: [confirmada, cancelada, pendiente, completada, en_espera, no_asistio]
  *         description: Filtrar por estado
  *       - in: query
+ *         name: cursoId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por curso
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -48,7 +68,8 @@ const router = express.Router();
  */
 router.get('/', [
   authenticateToken,
-  query('estado').optional().isIn(['confirmada', 'cancelada', 'pendiente', 'completada']),
+  query('estado').optional().isIn(['confirmada', 'cancelada', 'pendiente', 'completada', 'en_espera', 'no_asistio']),
+  query('cursoId').optional().isMongoId(),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 })
 ], asyncHandler(async (req, res) => {
@@ -62,10 +83,10 @@ router.get('/', [
     });
   }
 
-  const { estado, page = 1, limit = 10 } = req.query;
+  const { estado, cursoId, page = 1, limit = 10 } = req.query;
 
   // Obtener reservas del usuario
-  const reservations = await Reservation.findByUser(req.user._id, estado);
+  const reservations = await Reservation.findByUser(req.user._id, estado, cursoId);
   
   // Calcular paginación
   const skip = (page - 1) * limit;
@@ -112,7 +133,7 @@ router.get('/', [
  */
 router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
   const reservation = await Reservation.findById(req.params.id)
-    .populate('curso', 'titulo fechaInicio fechaFin instructor modalidad')
+    .populate('curso', 'titulo fechaInicio fechaFin instructor modalidad ubicacion politicaCancelacion sesiones asistenciaMinima')
     .populate('usuario', 'nombre correo');
 
   if (!reservation) {
@@ -136,6 +157,68 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/reservations/{id}/checkin-token:
+ *   get:
+ *     summary: Obtener el código de asistencia (QR) de una reserva confirmada
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Token firmado para mostrar como código QR
+ *       400:
+ *         description: La reserva no está confirmada
+ *       403:
+ *         description: No tienes permisos para ver esta reserva
+ *       404:
+ *         description: Reserva no encontrada
+ */
+router.get('/:id/checkin-token', authenticateToken, asyncHandler(async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id)
+    .populate('curso', 'titulo fechaFin');
+
+  if (!reservation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reserva no encontrada'
+    });
+  }
+
+  // Solo el propietario puede obtener su código de asistencia
+  if (reservation.usuario.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'No tienes permisos para ver esta reserva'
+    });
+  }
+
+  if (reservation.estado !== 'confirmada') {
+    return res.status(400).json({
+      success: false,
+      message: 'El código de asistencia solo está disponible para reservas confirmadas'
+    });
+  }
+
+  const { token, expiraEn } = generarTokenAsistencia(reservation, reservation.curso);
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      expiraEn
+    }
+  });
+}));
+
 /**
  * @swagger
  * /api/reservations:
@@ -164,16 +247,45 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
  *                 type: string
  *                 enum: [efectivo, tarjeta, transferencia, gratuito]
  *                 default: gratuito
+ *               codigoDescuento:
+ *                 type: string
+ *                 description: Código de descuento a aplicar sobre el precio del curso
+ *               usarCredito:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Descontar del precio el saldo a favor del usuario
+ *               codigoInvitacion:
+ *                 type: string
+ *                 description: Invitación para reservar un curso privado sin estar en su lista de acceso
  *     responses:
  *       201:
  *         description: Reserva creada exitosamente
  *       400:
- *         description: Datos inválidos o curso no disponible
+ *         description: >
+ *           Datos inválidos o curso no disponible. Fuera de la ventana de inscripción la
+ *           respuesta incluye `codigo`: INSCRIPCION_NO_ABIERTA o INSCRIPCION_CERRADA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 codigo:
+ *                   type: string
+ *                   enum: [INSCRIPCION_NO_ABIERTA, INSCRIPCION_CERRADA]
+ *       403:
+ *         description: >
+ *           Curso privado sin acceso o invitación no válida. Si las reservas exigen un correo
+ *           verificado y el usuario no lo tiene, la respuesta incluye `codigo` CORREO_NO_VERIFICADO
  *       409:
  *         description: Ya tienes una reserva para este curso
  */
 router.post('/', [
   authenticateToken,
+  requireVerifiedEmail,
   body('cursoId')
     .notEmpty()
     .withMessage('El ID del curso es requerido'),
@@ -185,7 +297,22 @@ router.post('/', [
   body('metodoPago')
     .optional()
     .isIn(['efectivo', 'tarjeta', 'transferencia', 'gratuito'])
-    .withMessage('Método de pago inválido')
+    .withMessage('Método de pago inválido'),
+  body('codigoDescuento')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('El código de descuento no puede exceder 30 caracteres'),
+  body('usarCredito')
+    .optional()
+    .isBoolean()
+    .withMessage('usarCredito debe ser verdadero o falso')
+    .toBoolean(),
+  body('codigoInvitacion')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('El código de invitación no puede exceder 30 caracteres')
 ], asyncHandler(async (req, res) => {
   // Verificar errores de validación
   const errors = validationResult(req);
@@ -197,57 +324,21 @@ router.post('/', [
     });
   }
 
-  const { cursoId, notas, metodoPago = 'gratuito' } = req.body;
-
-  // Verificar que el curso existe y está activo
-  const course = await Course.findById(cursoId);
-  if (!course) {
-    return res.status(404).json({
-      success: false,
-      message: 'Curso no encontrado'
-    });
-  }
-
-  if (course.estado !== 'activo') {
-    return res.status(400).json({
-      success: false,
-      message: 'El curso no está disponible para reservas'
-    });
-  }
-
-  // Verificar que se puede reservar
-  if (!course.sePuedeReservar()) {
-    return res.status(400).json({
-      success: false,
-      message: 'No se puede reservar este curso (cupo lleno o fecha pasada)'
-    });
-  }
-
-  // Verificar que el usuario no tenga ya una reserva para este curso
-  const existingReservation = await Reservation.userHasReservation(req.user._id, cursoId);
-  if (existingReservation) {
-    return res.status(409).json({
-      success: false,
-      message: 'Ya tienes una reserva activa para este curso'
-    });
-  }
+  const { cursoId, notas, metodoPago = 'gratuito', codigoDescuento, usarCredito = false, codigoInvitacion } = req.body;
 
-  // Crear reserva
-  const reservation = new Reservation({
-    usuario: req.user._id,
-    curso: cursoId,
+  // Crear reserva y descontar cupo de forma atómica
+  const reservation = await crearReserva({
+    usuarioId: req.user._id,
+    cursoId,
     notas,
     metodoPago,
-    precioPagado: course.precio
+    codigoDescuento,
+    usarCredito,
+    codigoInvitacion
   });
 
-  await reservation.save();
-
-  // Reservar cupo en el curso
-  await course.reservarCupo();
-
   // Poblar datos para la respuesta
-  await reservation.populate('curso', 'titulo fechaInicio fechaFin instructor modalidad');
+  await reservation.populate('curso', 'titulo fechaInicio fechaFin instructor modalidad ubicacion politicaCancelacion sesiones');
 
   res.status(201).json({
     success: true,
@@ -283,9 +374,9 @@ router.post('/', [
  *                 description: Motivo de la cancelación
  *     responses:
  *       200:
- *         description: Reserva cancelada exitosamente
+ *         description: Reserva cancelada exitosamente (incluye el porcentaje de reembolso aplicado)
  *       400:
- *         description: No se puede cancelar esta reserva
+ *         description: La política de cancelación del curso no permite cancelar esta reserva
  *       404:
  *         description: Reserva no encontrada
  *       403:
@@ -311,10 +402,9 @@ router.put('/:id/cancel', [
 
   const { motivo } = req.body;
 
-  const reservation = await Reservation.findById(req.params.id)
-    .populate('curso');
+  const existing = await Reservation.findById(req.params.id);
 
-  if (!reservation) {
+  if (!existing) {
     return res.status(404).json({
       success: false,
       message: 'Reserva no encontrada'
@@ -322,31 +412,479 @@ router.put('/:id/cancel', [
   }
 
   // Verificar que el usuario sea propietario o admin
-  if (reservation.usuario.toString() !== req.user._id.toString() && req.user.rol !== 'admin') {
+  if (existing.usuario.toString() !== req.user._id.toString() && req.user.rol !== 'admin') {
     return res.status(403).json({
       success: false,
       message: 'No tienes permisos para cancelar esta reserva'
     });
   }
 
-  try {
-    // Cancelar reserva
-    await reservation.cancelar(motivo);
+  // Cancelar reserva y liberar cupo de forma atómica
+  const reservation = await cancelarReserva(req.params.id, motivo);
 
-    // Liberar cupo en el curso
-    await reservation.curso.liberarCupo();
+  res.json({
+    success: true,
+    message: 'Reserva cancelada exitosamente',
+    data: reservation
+  });
+}));
 
-    res.json({
-      success: true,
-      message: 'Reserva cancelada exitosamente',
-      data: reservation
+/**
+ * @swagger
+ * /api/reservations/{id}/reschedule:
+ *   put:
+ *     summary: Cambiar la reserva a otra edición del mismo curso
+ *     description: >
+ *       Toma el cupo de la nueva edición, mueve la reserva conservando el pago y libera
+ *       el cupo de la anterior en un solo paso. El titular solo puede elegir ediciones de la
+ *       misma plantilla (o categoría) dentro del plazo de cancelación; un administrador puede
+ *       saltarse ambas restricciones.
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cursoId
+ *             properties:
+ *               cursoId:
+ *                 type: string
+ *                 description: ID de la nueva edición
+ *               motivo:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Motivo del cambio
+ *     responses:
+ *       200:
+ *         description: Reserva cambiada de edición exitosamente
+ *       400:
+ *         description: La reserva no se puede cambiar a esa edición (plazo vencido, sin cupos, otro curso...)
+ *       403:
+ *         description: No tienes permisos para cambiar esta reserva
+ *       404:
+ *         description: Reserva o curso no encontrado
+ *       409:
+ *         description: El usuario ya tiene una reserva para la edición elegida
+ */
+router.put('/:id/reschedule', [
+  authenticateToken,
+  body('cursoId')
+    .isMongoId()
+    .withMessage('ID de curso inválido'),
+  body('motivo')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
     });
-  } catch (error) {
+  }
+
+  const { cursoId, motivo } = req.body;
+
+  const reservation = await reprogramarReserva({
+    reservaId: req.params.id,
+    cursoId,
+    usuario: req.user,
+    motivo
+  });
+
+  res.json({
+    success: true,
+    message: 'Reserva cambiada de edición exitosamente',
+    data: reservation
+  });
+}));
+
+/**
+ * @swagger
+ * /api/reservations/{id}/reschedule/options:
+ *   get:
+ *     summary: Obtener las ediciones con cupo a las que se puede cambiar la reserva
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Lista de ediciones alternativas
+ *       403:
+ *         description: No tienes permisos para cambiar esta reserva
+ *       404:
+ *         description: Reserva no encontrada
+ */
+router.get('/:id/reschedule/options', authenticateToken, asyncHandler(async (req, res) => {
+  const courses = await obtenerEdicionesAlternativas({
+    reservaId: req.params.id,
+    usuario: req.user
+  });
+
+  res.json({
+    success: true,
+    data: courses
+  });
+}));
+
+/**
+ * @swagger
+ * /api/reservations/{id}/transfer:
+ *   post:
+ *     summary: Proponer la transferencia de la reserva a otro usuario
+ *     description: El destinatario debe aceptarla dentro del plazo (por defecto 48 horas y nunca después del inicio del curso). El cupo del curso no cambia.
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correo
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 format: email
+ *                 description: Correo del usuario que recibirá la plaza
+ *     responses:
+ *       200:
+ *         description: Transferencia propuesta; se avisa al destinatario
+ *       400:
+ *         description: La reserva no se puede transferir
+ *       403:
+ *         description: No eres el titular de la reserva
+ *       404:
+ *         description: Reserva o destinatario no encontrado
+ *       409:
+ *         description: El destinatario ya tiene una reserva activa para el curso
+ *   delete:
+ *     summary: Retirar (titular) o rechazar (destinatario) la transferencia pendiente
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Transferencia descartada
+ *       403:
+ *         description: No eres el titular ni el destinatario
+ *       404:
+ *         description: No hay transferencia pendiente
+ */
+router.post('/:id/transfer', [
+  authenticateToken,
+  body('correo')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Debe proporcionar un correo válido')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      message: error.message
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
     });
   }
+
+  const reservation = await solicitarTransferencia({
+    reservaId: req.params.id,
+    usuarioId: req.user._id,
+    correo: req.body.correo
+  });
+
+  res.json({
+    success: true,
+    message: 'Transferencia propuesta. El destinatario debe aceptarla para completarla',
+    data: reservation
+  });
+}));
+
+router.delete('/:id/transfer', authenticateToken, asyncHandler(async (req, res) => {
+  const reservation = await anularTransferencia({
+    reservaId: req.params.id,
+    usuarioId: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Transferencia descartada',
+    data: reservation
+  });
+}));
+
+/**
+ * @swagger
+ * /api/reservations/{id}/transfer/accept:
+ *   post:
+ *     summary: Aceptar la transferencia de una reserva dirigida al usuario autenticado
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: La reserva pasa a nombre del usuario
+ *       400:
+ *         description: La transferencia venció o el curso ya comenzó
+ *       404:
+ *         description: No hay transferencia pendiente para el usuario
+ *       409:
+ *         description: El usuario ya tiene una reserva para el curso
+ */
+router.post('/:id/transfer/accept', authenticateToken, asyncHandler(async (req, res) => {
+  const reservation = await aceptarTransferencia({
+    reservaId: req.params.id,
+    usuarioId: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Transferencia aceptada. La reserva ahora está a tu nombre',
+    data: reservation
+  });
+}));
+
+/**
+ * @swagger
+ * /api/reservations/transfers/incoming:
+ *   get:
+ *     summary: Obtener las transferencias de reservas pendientes de aceptar por el usuario
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reservas que otros usuarios quieren transferir al usuario autenticado
+ */
+router.get('/transfers/incoming', authenticateToken, asyncHandler(async (req, res) => {
+  const reservations = await obtenerTransferenciasRecibidas(req.user._id);
+
+  res.json({
+    success: true,
+    data: reservations
+  });
+}));
+
+/**
+ * @swagger
+ * /api/reservations/waitlist:
+ *   post:
+ *     summary: Unirse a la lista de espera de un curso sin cupos
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cursoId
+ *             properties:
+ *               cursoId:
+ *                 type: string
+ *                 description: ID del curso
+ *               notas:
+ *                 type: string
+ *                 maxLength: 1000
+ *               metodoPago:
+ *                 type: string
+ *                 enum: [efectivo, tarjeta, transferencia, gratuito]
+ *               codigoInvitacion:
+ *                 type: string
+ *                 description: Invitación para un curso privado (se canjea al entrar en la lista)
+ *     responses:
+ *       201:
+ *         description: Agregado a la lista de espera
+ *       400:
+ *         description: >
+ *           El curso tiene cupos o no admite reservas (fuera de la ventana de inscripción,
+ *           con `codigo` INSCRIPCION_NO_ABIERTA o INSCRIPCION_CERRADA)
+ *       403:
+ *         description: >
+ *           Curso privado sin acceso o invitación no válida. Si las reservas exigen un correo
+ *           verificado y el usuario no lo tiene, la respuesta incluye `codigo` CORREO_NO_VERIFICADO
+ *       409:
+ *         description: Ya tienes una reserva o estás en la lista de espera
+ */
+router.post('/waitlist', [
+  authenticateToken,
+  requireVerifiedEmail,
+  body('cursoId')
+    .isMongoId()
+    .withMessage('El ID del curso es requerido'),
+  body('notas')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres'),
+  body('metodoPago')
+    .optional()
+    .isIn(['efectivo', 'tarjeta', 'transferencia', 'gratuito'])
+    .withMessage('Método de pago inválido'),
+  body('codigoInvitacion')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('El código de invitación no puede exceder 30 caracteres')
+], asyncHandler(async (req, res) => {
+  // Verificar errores de validación
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de entrada inválidos',
+      errors: errors.array().map(error => error.msg)
+    });
+  }
+
+  const { cursoId, notas, metodoPago, codigoInvitacion } = req.body;
+
+  const reservation = await unirseListaEspera({
+    usuarioId: req.user._id,
+    cursoId,
+    notas,
+    metodoPago,
+    codigoInvitacion
+  });
+
+  const posicion = await reservation.obtenerPosicionEspera();
+
+  res.status(201).json({
+    success: true,
+    message: reservation.estado === 'en_espera'
+      ? 'Te has unido a la lista de espera'
+      : 'Se liberó un cupo y tu reserva fue creada',
+    data: {
+      reserva: reservation,
+      posicion
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/reservations/waitlist/{cursoId}:
+ *   get:
+ *     summary: Obtener la posición del usuario en la lista de espera
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cursoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     responses:
+ *       200:
+ *         description: Posición en la lista de espera
+ *       404:
+ *         description: No estás en la lista de espera
+ */
+router.get('/waitlist/:cursoId', authenticateToken, asyncHandler(async (req, res) => {
+  const reservation = await Reservation.findOne({
+    usuario: req.user._id,
+    curso: req.params.cursoId,
+    estado: 'en_espera'
+  });
+
+  if (!reservation) {
+    return res.status(404).json({
+      success: false,
+      message: 'No estás en la lista de espera de este curso'
+    });
+  }
+
+  const posicion = await reservation.obtenerPosicionEspera();
+  const total = await Reservation.countDocuments({ curso: req.params.cursoId, estado: 'en_espera' });
+
+  res.json({
+    success: true,
+    data: {
+      reserva: reservation,
+      posicion,
+      total
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/reservations/waitlist/{cursoId}:
+ *   delete:
+ *     summary: Salir de la lista de espera
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cursoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     responses:
+ *       200:
+ *         description: Has salido de la lista de espera
+ *       404:
+ *         description: No estás en la lista de espera
+ */
+router.delete('/waitlist/:cursoId', authenticateToken, asyncHandler(async (req, res) => {
+  await salirListaEspera(req.user._id, req.params.cursoId);
+
+  res.json({
+    success: true,
+    message: 'Has salido de la lista de espera'
+  });
 }));
 
 /**
@@ -460,7 +998,7 @@ router.put('/:id/rate', [
  *         name: estado
  *         schema:
  *           type: string
- *           enum: [confirmada, cancelada, pendiente, completada]
+ *           enum: [confirmada, cancelada, pendiente, completada, en_espera, no_asistio]
  *         description: Filtrar por estado
  *       - in: query
  *         name: cursoId
@@ -489,7 +1027,7 @@ router.put('/:id/rate', [
 router.get('/admin/all', [
   authenticateToken,
   requireAdmin,
-  query('estado').optional().isIn(['confirmada', 'cancelada', 'pendiente', 'completada']),
+  query('estado').optional().isIn(['confirmada', 'cancelada', 'pendiente', 'completada', 'en_espera', 'no_asistio']),
   query('cursoId').optional().trim(),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 })
@@ -515,9 +1053,15 @@ router.get('/admin/all', [
   const skip = (page - 1) * limit;
 
   // Obtener reservas con población
+  // Las plazas de grupo llevan su grupo para mostrarse juntas
   const reservations = await Reservation.find(filters)
     .populate('usuario', 'nombre correo')
     .populate('curso', 'titulo fechaInicio fechaFin instructor')
+    .populate({
+      path: 'grupo',
+      select: 'organizador plazas estado estadoPago precioTotal',
+      populate: { path: 'organizador', select: 'nombre correo' }
+    })
     .sort({ fechaReserva: -1 })
     .skip(skip)
     .limit(parseInt(limit));
@@ -538,6 +1082,42 @@ router.get('/admin/all', [
   });
 }));
 
+/**
+ * @swagger
+ * /api/reservations/admin/waitlist/{cursoId}:
+ *   get:
+ *     summary: Obtener la lista de espera de un curso (solo admin)
+ *     tags: [Reservas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cursoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     responses:
+ *       200:
+ *         description: Lista de espera ordenada por llegada
+ *       403:
+ *         description: Se requieren permisos de administrador
+ */
+router.get('/admin/waitlist/:cursoId', [
+  authenticateToken,
+  requireAdmin
+], asyncHandler(async (req, res) => {
+  const waitlist = await Reservation.findWaitlist(req.params.cursoId);
+
+  res.json({
+    success: true,
+    data: waitlist.map((reservation, index) => ({
+      ...reservation.toJSON(),
+      posicion: index + 1
+    }))
+  });
+}));
+
 /**
  * @swagger
  * /api/reservations/admin/{id}/confirm:
@@ -556,6 +1136,8 @@ router.get('/admin/all', [
  *     responses:
  *       200:
  *         description: Reserva confirmada exitosamente
+ *       400:
+ *         description: La reserva no se puede confirmar (no está pendiente o pertenece a un grupo)
  *       404:
  *         description: Reserva no encontrada
  *       403:
@@ -574,9 +1156,26 @@ router.put('/admin/:id/confirm', [
     });
   }
 
+  // Las plazas de un grupo se confirman junto con el grupo al recibir su pago
+  if (reservation.grupo) {
+    return res.status(400).json({
+      success: false,
+      message: 'Esta plaza pertenece a una reserva de grupo: confirma el grupo completo'
+    });
+  }
+
   try {
     await reservation.confirmar();
 
+    await notificar('reserva_confirmada', {
+      usuario: reservation.usuario,
+      curso: reservation.curso,
+      referencia: reservation._id
+    });
+
+    // Confirmar a mano un pago en efectivo o transferencia lo da por cobrado
+    await emitirFacturaSiPagada(reservation);
+
     res.json({
       success: true,
       message: 'Reserva confirmada exitosamente',
@@ -608,6 +1207,8 @@ router.put('/admin/:id/confirm', [
  *     responses:
  *       200:
  *         description: Reserva marcada como completada
+ *       400:
+ *         description: La reserva no está confirmada o no alcanza la asistencia mínima del curso
  *       404:
  *         description: Reserva no encontrada
  *       403:
@@ -617,7 +1218,8 @@ router.put('/admin/:id/complete', [
   authenticateToken,
   requireAdmin
 ], asyncHandler(async (req, res) => {
-  const reservation = await Reservation.findById(req.params.id);
+  const reservation = await Reservation.findById(req.params.id)
+    .populate('curso', 'titulo sesiones asistenciaMinima');
 
   if (!reservation) {
     return res.status(404).json({
@@ -629,6 +1231,11 @@ router.put('/admin/:id/complete', [
   try {
     await reservation.completar();
 
+    // El certificado también se emite al descargarlo si aquí fallara
+    await emitirCertificado(reservation._id).catch(error => {
+      console.error('Error emitiendo certificado:', error);
+    });
+
     res.json({
       success: true,
       message: 'Reserva marcada como completada',
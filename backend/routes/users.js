@@ -8,6 +8,7 @@ const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { solicitarCambioCorreo } = require('../services/emailVerificationService');
 
 const router = express.Router();
 
@@ -53,6 +54,14 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
  *               correo:
  *                 type: string
  *                 format: email
+ *                 description: >
+ *                   Correo nuevo. Queda en correoPendiente y solo se aplica al confirmarlo con
+ *                   el enlace enviado a esa dirección; indicar el correo actual cancela el cambio
+ *               idioma:
+ *                 type: string
+ *                 enum: [es, en]
+ *               datosFacturacion:
+ *                 $ref: '#/components/schemas/User/properties/datosFacturacion'
  *     responses:
  *       200:
  *         description: Perfil actualizado exitosamente
@@ -60,6 +69,8 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
  *         description: Datos inválidos
  *       409:
  *         description: Correo ya existe
+ *       429:
+ *         description: Se pidió otro cambio de correo hace muy poco
  */
 router.put('/profile', [
   authenticateToken,
@@ -72,7 +83,26 @@ router.put('/profile', [
     .optional()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Ingresa un correo válido')
+    .withMessage('Ingresa un correo válido'),
+  body('idioma')
+    .optional()
+    .isIn(['es', 'en'])
+    .withMessage('El idioma debe ser es o en'),
+  body('datosFacturacion.nif')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('El NIF no puede exceder 20 caracteres'),
+  body('datosFacturacion.razonSocial')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La razón social no puede exceder 100 caracteres'),
+  body('datosFacturacion.direccion')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La dirección no puede exceder 200 caracteres')
 ], asyncHandler(async (req, res) => {
   // Verificar errores de validación
   const errors = validationResult(req);
@@ -84,28 +114,31 @@ router.put('/profile', [
     });
   }
 
-  const { nombre, correo } = req.body;
+  const { nombre, correo, idioma, datosFacturacion } = req.body;
 
-  // Verificar si el correo ya existe (si se está cambiando)
-  if (correo && correo !== req.user.correo) {
-    const existingUser = await User.findByEmail(correo);
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'El correo ya está registrado'
-      });
-    }
-  }
+  // El correo nuevo no se aplica hasta confirmarlo desde esa dirección
+  const cambioCorreo = correo ? await solicitarCambioCorreo(req.user, correo) : false;
 
   // Actualizar usuario
   if (nombre) req.user.nombre = nombre;
-  if (correo) req.user.correo = correo;
+  if (idioma) req.user.idioma = idioma;
+
+  // Un campo de facturación vacío lo borra; los no enviados se conservan
+  if (datosFacturacion) {
+    ['nif', 'razonSocial', 'direccion'].forEach(campo => {
+      if (datosFacturacion[campo] !== undefined) {
+        req.user.datosFacturacion[campo] = datosFacturacion[campo] || undefined;
+      }
+    });
+  }
 
   await req.user.save();
 
   res.json({
     success: true,
-    message: 'Perfil actualizado exitosamente',
+    message: cambioCorreo
+      ? `Perfil actualizado. Te hemos enviado un enlace a ${correo} para confirmar el cambio de correo.`
+      : 'Perfil actualizado exitosamente',
     data: req.user.toPublicJSON()
   });
 }));
@@ -334,8 +367,9 @@ router.put('/admin/:id', [
     }
   }
 
-  // Actualizar usuario
-  Object.assign(user, req.body);
+  // Actualizar usuario (el saldo a favor solo cambia con reembolsos y reservas)
+  const { saldoCredito, ...cambios } = req.body;
+  Object.assign(user, cambios);
   await user.save();
 
   res.json({
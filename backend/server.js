@@ -19,11 +19,27 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const courseRoutes = require('./routes/courses');
 const reservationRoutes = require('./routes/reservations');
+const courseTemplateRoutes = require('./routes/courseTemplates');
+const attendanceRoutes = require('./routes/attendance');
+const certificateRoutes = require('./routes/certificates');
+const notificationRoutes = require('./routes/notifications');
+const lifecycleRoutes = require('./routes/lifecycle');
+const paymentRoutes = require('./routes/payments');
+const refundRoutes = require('./routes/refunds');
+const discountCodeRoutes = require('./routes/discountCodes');
+const invoiceRoutes = require('./routes/invoices');
+const groupBookingRoutes = require('./routes/groupBookings');
 
 // Importar middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
 
+// Importar servicios en segundo plano
+const { iniciarProcesador } = require('./services/notificationService');
+const { iniciarPlanificador } = require('./services/jobScheduler');
+const { registrarTareasRecordatorio, sincronizarRecordatorios } = require('./services/reminderService');
+const { iniciarCicloVida } = require('./services/courseLifecycleService');
+
 // Configuración de Swagger
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
@@ -99,7 +115,15 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Las pasarelas de pago firman el cuerpo original de sus webhooks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Ruta de salud del servidor
@@ -124,6 +148,16 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/reservations', reservationRoutes);
+app.use('/api/course-templates', courseTemplateRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/lifecycle', lifecycleRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/discount-codes', discountCodeRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/group-bookings', groupBookingRoutes);
 
 // Middleware de manejo de errores
 app.use(notFound);
@@ -148,6 +182,17 @@ const connectDB = async () => {
 const startServer = async () => {
   try {
     await connectDB();
+
+    // Envío periódico de la bandeja de salida de correos
+    iniciarProcesador();
+
+    // Tareas programadas (recordatorios antes del inicio de cada curso)
+    registrarTareasRecordatorio();
+    await sincronizarRecordatorios();
+    iniciarPlanificador();
+
+    // Transiciones automáticas de estado de cursos y reservas
+    iniciarCicloVida();
     
     app.listen(PORT, () => {
       console.log(`🚀 Servidor corriendo en puerto ${PORT}`);
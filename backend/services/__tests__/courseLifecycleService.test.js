@@ -0,0 +1,188 @@
+/**
+ * Pruebas de la decisión de viabilidad de los cursos con cupo mínimo y de la
+ * cancelación de las reservas con el pago vencido
+ */
+
+jest.mock('../notificationService', () => ({
+  ...jest.requireActual('../notificationService'),
+  notificar: jest.fn()
+}));
+
+const Course = require('../../models/Course');
+const Reservation = require('../../models/Reservation');
+const GroupBooking = require('../../models/GroupBooking');
+const Refund = require('../../models/Refund');
+const User = require('../../models/User');
+const { ejecutarCicloVida } = require('../courseLifecycleService');
+const { crearReserva, unirseListaEspera } = require('../reservationService');
+const { crearReservaGrupo, confirmarGrupo } = require('../groupBookingService');
+const { notificar } = require('../notificationService');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { crearUsuario, crearCurso, ocupacion } = require('../../test/fixtures');
+
+beforeAll(conectar);
+afterEach(async () => {
+  notificar.mockClear();
+  await limpiar();
+});
+afterEach(() => jest.restoreAllMocks());
+afterAll(desconectar);
+
+// Curso de pago con cupo mínimo cuya fecha de decisión ya venció
+const crearCursoPorDecidir = async (datos = {}) => {
+  const course = await crearCurso({ cupoMaximo: 10, cupoMinimo: 5, precio: 100, ...datos });
+  await Course.updateOne({ _id: course._id }, { $set: { fechaDecision: new Date(Date.now() - 60000) } });
+  return course;
+};
+
+describe('cancelación por cupo mínimo', () => {
+  it('cancela los grupos pagados con reembolso íntegro y devuelve sus cupos', async () => {
+    const course = await crearCursoPorDecidir();
+    const alumno = await crearUsuario();
+    const organizador = await crearUsuario();
+    const asistente = await crearUsuario();
+
+    const individual = await crearReserva({ usuarioId: alumno._id, cursoId: course._id, metodoPago: 'transferencia' });
+    const grupo = await crearReservaGrupo({
+      organizadorId: organizador._id,
+      cursoId: course._id,
+      plazas: 2,
+      metodoPago: 'transferencia',
+      correos: [asistente.correo]
+    });
+    await confirmarGrupo(grupo._id);
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(7);
+
+    const resultado = await ejecutarCicloVida();
+    expect(resultado.cursosCancelados).toBe(1);
+
+    const cursoFinal = await Course.findById(course._id);
+    expect(cursoFinal.estado).toBe('cancelado');
+    expect(cursoFinal.cupoDisponible).toBe(10);
+
+    expect((await GroupBooking.findById(grupo._id)).estado).toBe('cancelada');
+    expect((await Reservation.findById(individual._id)).estado).toBe('cancelada');
+    const reservaAsistente = await Reservation.findOne({ usuario: asistente._id, curso: course._id });
+    expect(reservaAsistente.estado).toBe('cancelada');
+
+    const reembolsos = await Refund.find({ grupo: grupo._id });
+    expect(reembolsos).toHaveLength(1);
+    expect(reembolsos[0].origen).toBe('cancelacion_grupo');
+    expect(reembolsos[0].usuario.equals(organizador._id)).toBe(true);
+    expect(reembolsos[0].importe).toBe(grupo.precioTotal);
+    expect(reembolsos[0].estado).toBe('pendiente');
+  });
+
+  it('no registra reembolso de un grupo sin pagar', async () => {
+    const course = await crearCursoPorDecidir();
+    const organizador = await crearUsuario();
+
+    const grupo = await crearReservaGrupo({
+      organizadorId: organizador._id,
+      cursoId: course._id,
+      plazas: 2,
+      metodoPago: 'efectivo'
+    });
+
+    await ejecutarCicloVida();
+
+    expect((await GroupBooking.findById(grupo._id)).estado).toBe('cancelada');
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(10);
+    expect(await Refund.countDocuments({ grupo: grupo._id })).toBe(0);
+  });
+});
+
+describe('viabilidad con reservas de grupo', () => {
+  it('cuenta todas las plazas de un grupo, también las de invitados sin cuenta', async () => {
+    const course = await crearCursoPorDecidir({ cupoMinimo: 3 });
+    const alumno = await crearUsuario();
+    const organizador = await crearUsuario();
+
+    await crearReserva({ usuarioId: alumno._id, cursoId: course._id, metodoPago: 'transferencia' });
+    await crearReservaGrupo({
+      organizadorId: organizador._id,
+      cursoId: course._id,
+      plazas: 2,
+      metodoPago: 'transferencia',
+      correos: ['invitado.sin.cuenta@ejemplo.com']
+    });
+
+    const resultado = await ejecutarCicloVida();
+
+    expect(resultado.cursosConfirmados).toBe(1);
+    const cursoFinal = await Course.findById(course._id);
+    expect(cursoFinal.estado).toBe('activo');
+    expect(cursoFinal.decision.resultado).toBe('confirmado');
+    expect(cursoFinal.decision.inscritos).toBe(3);
+  });
+
+  it('avisa al organizador y a los invitados sin cuenta de la cancelación', async () => {
+    const course = await crearCursoPorDecidir();
+    const organizador = await crearUsuario();
+
+    const grupo = await crearReservaGrupo({
+      organizadorId: organizador._id,
+      cursoId: course._id,
+      plazas: 2,
+      metodoPago: 'efectivo',
+      correos: ['invitado.sin.cuenta@ejemplo.com']
+    });
+    notificar.mockClear();
+
+    await ejecutarCicloVida();
+
+    const avisos = notificar.mock.calls.filter(([tipo]) => tipo === 'curso_cancelado');
+    expect(avisos).toHaveLength(2);
+    const [[, alOrganizador], [, alInvitado]] = avisos;
+    expect(alOrganizador.usuario.equals(organizador._id)).toBe(true);
+    expect(alOrganizador.datos).toMatchObject({ causa: 'inscripcion_insuficiente', grupo: true });
+    expect(alInvitado.correo).toBe('invitado.sin.cuenta@ejemplo.com');
+    expect(alInvitado.referencia.equals(grupo._id)).toBe(true);
+  });
+});
+
+describe('reservas con el pago vencido', () => {
+  // Reserva con tarjeta pagada en parte con saldo a favor, con el plazo de pago ya vencido
+  const crearReservaVencida = async (course) => {
+    const titular = await crearUsuario({ saldoCredito: 30 });
+    const reserva = await crearReserva({
+      usuarioId: titular._id,
+      cursoId: course._id,
+      metodoPago: 'tarjeta',
+      usarCredito: true
+    });
+    await Reservation.updateOne({ _id: reserva._id }, { $set: { fechaLimitePago: new Date(Date.now() - 60000) } });
+    return { titular, reserva };
+  };
+
+  it('cancela la reserva, devuelve el saldo a favor y pasa el cupo al primero en espera', async () => {
+    const course = await crearCurso({ cupoMaximo: 1, precio: 100 });
+    const { titular, reserva } = await crearReservaVencida(course);
+    const enEspera = await crearUsuario();
+    await unirseListaEspera({ usuarioId: enEspera._id, cursoId: course._id });
+
+    const resultado = await ejecutarCicloVida();
+
+    expect(resultado.reservasExpiradas).toBe(1);
+    expect((await Reservation.findById(reserva._id)).estado).toBe('cancelada');
+    expect((await User.findById(titular._id)).saldoCredito).toBe(30);
+    expect((await Reservation.findOne({ usuario: enEspera._id, curso: course._id })).estado).toBe('pendiente');
+
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(0);
+    const { segunCupos, segunReservas } = await ocupacion(course._id);
+    expect(segunCupos).toBe(segunReservas);
+  });
+
+  it('si falla la devolución del saldo no cancela la reserva ni libera su cupo', async () => {
+    const course = await crearCurso({ cupoMaximo: 2, precio: 100 });
+    const { titular, reserva } = await crearReservaVencida(course);
+    jest.spyOn(Refund, 'create').mockRejectedValueOnce(new Error('Fallo al registrar el reembolso'));
+
+    await expect(ejecutarCicloVida()).rejects.toThrow('Fallo al registrar el reembolso');
+
+    expect((await Reservation.findById(reserva._id)).estado).toBe('pendiente');
+    expect((await User.findById(titular._id)).saldoCredito).toBe(0);
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(1);
+    expect(await Refund.countDocuments({ reserva: reserva._id })).toBe(0);
+  });
+});
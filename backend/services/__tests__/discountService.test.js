@@ -0,0 +1,80 @@
+/**
+ * Pruebas del límite de usos por usuario de los códigos de descuento
+ */
+
+const DiscountCode = require('../../models/DiscountCode');
+const Reservation = require('../../models/Reservation');
+const { crearReserva } = require('../reservationService');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { crearUsuario, crearCurso } = require('../../test/fixtures');
+
+beforeAll(conectar);
+afterEach(limpiar);
+afterAll(desconectar);
+
+const crearCodigo = (datos = {}) => DiscountCode.create({
+  codigo: 'PRUEBA10',
+  tipo: 'porcentaje',
+  valor: 10,
+  usosPorUsuario: 1,
+  ...datos
+});
+
+describe('límite de usos por usuario', () => {
+  it('no deja que reservas simultáneas del mismo usuario superen el límite', async () => {
+    const user = await crearUsuario();
+    const cursos = await Promise.all(Array.from({ length: 5 }, () => crearCurso({ precio: 100 })));
+    const cupon = await crearCodigo({ usosPorUsuario: 2 });
+
+    const resultados = await Promise.allSettled(cursos.map(course => crearReserva({
+      usuarioId: user._id,
+      cursoId: course._id,
+      metodoPago: 'transferencia',
+      codigoDescuento: 'PRUEBA10'
+    })));
+
+    expect(resultados.filter(r => r.status === 'fulfilled')).toHaveLength(2);
+    for (const { reason } of resultados.filter(r => r.status === 'rejected')) {
+      expect(reason.statusCode).toBe(400);
+    }
+    expect(await Reservation.countDocuments({ 'descuento.cupon': cupon._id })).toBe(2);
+    expect((await DiscountCode.findById(cupon._id)).usos).toBe(2);
+  });
+
+  it('los usos de un usuario no cuentan para el límite de otro', async () => {
+    const [ana, luis] = [await crearUsuario(), await crearUsuario()];
+    const course = await crearCurso({ precio: 100 });
+    await crearCodigo();
+
+    for (const user of [ana, luis]) {
+      const reserva = await crearReserva({
+        usuarioId: user._id,
+        cursoId: course._id,
+        metodoPago: 'transferencia',
+        codigoDescuento: 'PRUEBA10'
+      });
+      expect(reserva.descuento.importe).toBe(10);
+    }
+  });
+
+  it('no gasta el uso de una reserva que falla', async () => {
+    const user = await crearUsuario();
+    const course = await crearCurso({ precio: 100 });
+    const cupon = await crearCodigo();
+
+    // Sin método de pago la reserva de un curso de pago falla tras validar el código
+    await expect(crearReserva({
+      usuarioId: user._id,
+      cursoId: course._id,
+      codigoDescuento: 'PRUEBA10'
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    const reserva = await crearReserva({
+      usuarioId: user._id,
+      cursoId: course._id,
+      metodoPago: 'transferencia',
+      codigoDescuento: 'PRUEBA10'
+    });
+    expect(reserva.descuento.cupon.equals(cupon._id)).toBe(true);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Pruebas de la verificación de correo: el registro queda sin verificar hasta abrir el
+ * enlace y un cambio de correo no se aplica hasta confirmarlo desde la nueva dirección
+ */
+
+jest.mock('../notificationService', () => ({
+  ...jest.requireActual('../notificationService'),
+  notificar: jest.fn()
+}));
+
+const User = require('../../models/User');
+const { notificar } = require('../notificationService');
+const {
+  enviarVerificacion,
+  reenviarVerificacion,
+  solicitarCambioCorreo,
+  confirmarVerificacion
+} = require('../emailVerificationService');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { crearUsuario } = require('../../test/fixtures');
+
+beforeAll(conectar);
+afterEach(async () => {
+  notificar.mockClear();
+  await limpiar();
+});
+afterAll(desconectar);
+
+// Token en claro del último enlace enviado
+const ultimoToken = () => notificar.mock.calls.at(-1)[1].datos.token;
+
+describe('verificación de correo', () => {
+  it('una cuenta nueva queda verificada al abrir el enlace, que solo vale una vez', async () => {
+    const user = await crearUsuario({ correoVerificado: false });
+
+    await enviarVerificacion(user);
+    expect(notificar).toHaveBeenCalledWith('verificar_correo', expect.objectContaining({ correo: user.correo }));
+    const token = ultimoToken();
+
+    const verificado = await confirmarVerificacion(token);
+    expect(verificado.correoVerificado).toBe(true);
+    expect((await User.findById(user._id)).correoVerificado).toBe(true);
+
+    await expect(confirmarVerificacion(token)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('rechaza un enlace caducado y deja el correo sin verificar', async () => {
+    const user = await crearUsuario({ correoVerificado: false });
+    await enviarVerificacion(user);
+    await User.updateOne({ _id: user._id }, { $set: { tokenVerificacionExpira: new Date(Date.now() - 1000) } });
+
+    await expect(confirmarVerificacion(ultimoToken())).rejects.toMatchObject({ statusCode: 400 });
+    expect((await User.findById(user._id)).correoVerificado).toBe(false);
+  });
+
+  it('rechaza un enlace que no existe', async () => {
+    await expect(confirmarVerificacion('a'.repeat(64))).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('el correo nuevo queda pendiente y solo sustituye al actual al confirmarlo', async () => {
+    const user = await crearUsuario();
+    const correoAnterior = user.correo;
+
+    expect(await solicitarCambioCorreo(user, 'nuevo.correo@ejemplo.com')).toBe(true);
+    expect(notificar).toHaveBeenCalledWith('verificar_correo', expect.objectContaining({ correo: 'nuevo.correo@ejemplo.com' }));
+
+    const pendiente = await User.findById(user._id);
+    expect(pendiente.correo).toBe(correoAnterior);
+    expect(pendiente.correoPendiente).toBe('nuevo.correo@ejemplo.com');
+
+    await confirmarVerificacion(ultimoToken());
+
+    const confirmado = await User.findById(user._id);
+    expect(confirmado.correo).toBe('nuevo.correo@ejemplo.com');
+    expect(confirmado.correoPendiente).toBeNull();
+  });
+
+  it('no deja cambiar a un correo de otra cuenta', async () => {
+    const user = await crearUsuario();
+    const otro = await crearUsuario();
+
+    await expect(solicitarCambioCorreo(user, otro.correo)).rejects.toMatchObject({ statusCode: 409 });
+    expect((await User.findById(user._id)).correoPendiente).toBeNull();
+  });
+
+  it('no confirma el cambio si el correo nuevo se registró mientras tanto', async () => {
+    const user = await crearUsuario();
+    await solicitarCambioCorreo(user, 'disputado@ejemplo.com');
+    const token = ultimoToken();
+    await crearUsuario({ correo: 'disputado@ejemplo.com' });
+
+    await expect(confirmarVerificacion(token)).rejects.toMatchObject({ statusCode: 409 });
+
+    const actual = await User.findById(user._id);
+    expect(actual.correo).toBe(user.correo);
+    expect(actual.correoPendiente).toBeNull();
+  });
+
+  it('hay que esperar para reenviar y el enlace nuevo invalida el anterior', async () => {
+    const user = await crearUsuario({ correoVerificado: false });
+    await enviarVerificacion(user);
+    const anterior = ultimoToken();
+
+    await expect(reenviarVerificacion(user)).rejects.toMatchObject({ statusCode: 429 });
+
+    // Pasada la espera entre envíos
+    user.ultimoEnvioVerificacion = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await reenviarVerificacion(user);
+    const nuevo = ultimoToken();
+
+    await expect(confirmarVerificacion(anterior)).rejects.toMatchObject({ statusCode: 400 });
+    expect((await confirmarVerificacion(nuevo)).correoVerificado).toBe(true);
+  });
+
+  it('no reenvía el enlace a un correo ya verificado', async () => {
+    const user = await crearUsuario();
+
+    await expect(reenviarVerificacion(user)).rejects.toMatchObject({ statusCode: 400 });
+    expect(notificar).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Pruebas de la numeración de facturas y de su exportación a CSV
+ */
+
+const Invoice = require('../../models/Invoice');
+const Reservation = require('../../models/Reservation');
+const { emitirFactura, exportarCsv } = require('../invoiceService');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { crearUsuarios, crearCurso } = require('../../test/fixtures');
+
+const factura = (datos = {}) => ({
+  numero: '2026-000001',
+  fechaEmision: new Date('2026-03-01T10:00:00Z'),
+  comprador: { nombre: 'Ana Pérez', nif: '12345678Z' },
+  tituloCurso: 'Curso de prueba',
+  baseImponible: 82.64,
+  tipoImpuesto: 21,
+  impuesto: 17.36,
+  total: 100,
+  metodoPago: 'tarjeta',
+  importeCobrado: 100,
+  creditoAplicado: 0,
+  moneda: 'USD',
+  ...datos
+});
+
+const celdas = (csv) => csv.split('\n')[1];
+
+describe('exportarCsv', () => {
+  it.each(['=HYPERLINK("http://x")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'])(
+    'neutraliza la celda que empieza una fórmula: %j',
+    (nombre) => {
+      const csv = exportarCsv([factura({ comprador: { nombre } })]);
+      const fila = celdas(csv);
+
+      expect(fila).toContain(`'${nombre.replace(/"/g, '""')}`);
+      expect(fila).not.toMatch(/,[=+\-@\t\r]/);
+    }
+  );
+
+  it('entrecomilla las celdas con comas, comillas o saltos de línea', () => {
+    const csv = exportarCsv([factura({ tituloCurso: 'Curso "avanzado", nivel 2' })]);
+    expect(celdas(csv)).toContain('"Curso ""avanzado"", nivel 2"');
+  });
+
+  it('deja los importes y los textos normales tal cual', () => {
+    const fila = celdas(exportarCsv([factura()]));
+    expect(fila).toBe('2026-000001,2026-03-01T10:00:00.000Z,Ana Pérez,12345678Z,Curso de prueba,82.64,21,17.36,100.00,tarjeta,100.00,0.00,USD');
+  });
+});
+
+describe('emitirFactura', () => {
+  beforeAll(conectar);
+  afterEach(limpiar);
+  afterAll(desconectar);
+
+  const crearReservasPagadas = async (cantidad) => {
+    const users = await crearUsuarios(cantidad);
+    const course = await crearCurso({ cupoMaximo: cantidad, precio: 100 });
+    return Reservation.insertMany(users.map(user => ({
+      usuario: user._id,
+      curso: course._id,
+      estado: 'confirmada',
+      metodoPago: 'transferencia',
+      estadoPago: 'pagado',
+      precioPagado: 100,
+      fechaPago: new Date()
+    })));
+  };
+
+  it('numera sin huecos ni repeticiones las facturas emitidas a la vez', async () => {
+    const reservas = await crearReservasPagadas(20);
+
+    const facturas = await Promise.all(reservas.map(reserva => emitirFactura(reserva._id)));
+
+    const secuencias = facturas.map(factura => factura.secuencia).sort((a, b) => a - b);
+    expect(secuencias).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+  });
+
+  it('emite una sola factura por reserva aunque se pida dos veces a la vez', async () => {
+    const [reserva] = await crearReservasPagadas(1);
+
+    const [primera, segunda] = await Promise.all([emitirFactura(reserva._id), emitirFactura(reserva._id)]);
+
+    expect(primera._id.equals(segunda._id)).toBe(true);
+    expect(await Invoice.countDocuments({ reserva: reserva._id })).toBe(1);
+  });
+
+  it('continúa la serie de las facturas emitidas antes de existir el contador', async () => {
+    const [anterior, nueva] = await crearReservasPagadas(2);
+    const primera = await emitirFactura(anterior._id);
+    // Simular una serie sin contador cuya última factura es la 7
+    await Invoice.updateOne({ _id: primera._id }, { $set: { secuencia: 7 } });
+    await Invoice.db.collection('counters').deleteMany({});
+
+    const factura = await emitirFactura(nueva._id);
+
+    expect(factura.secuencia).toBe(8);
+  });
+});
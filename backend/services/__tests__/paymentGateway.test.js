@@ -0,0 +1,66 @@
+/**
+ * Pruebas del registro de pasarelas y de la firma de la pasarela simulada
+ */
+
+const entornoOriginal = { ...process.env };
+
+const cargarPasarelas = () => {
+  let modulo;
+  jest.isolateModules(() => {
+    modulo = require('../paymentGateway');
+  });
+  return modulo;
+};
+
+afterEach(() => {
+  process.env = { ...entornoOriginal };
+});
+
+describe('registro de pasarelas', () => {
+  it('no registra la pasarela simulada en producción', () => {
+    process.env.NODE_ENV = 'production';
+    const { obtenerProveedor } = cargarPasarelas();
+
+    expect(() => obtenerProveedor('mock')).toThrow('Proveedor de pagos desconocido: mock');
+  });
+
+  it('registra la pasarela simulada fuera de producción', () => {
+    process.env.NODE_ENV = 'development';
+    const { obtenerProveedor } = cargarPasarelas();
+
+    expect(obtenerProveedor('mock').nombre).toBe('mock');
+  });
+});
+
+describe('pasarela simulada', () => {
+  const mock = require('../mockPaymentGateway');
+
+  it('no firma ni acepta eventos sin PAYMENT_WEBHOOK_SECRET', () => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+    expect(() => mock.simularEvento('mock_ref', 'exito')).toThrow(expect.objectContaining({
+      statusCode: 500,
+      codigo: 'PAGOS_NO_CONFIGURADOS'
+    }));
+    expect(() => mock.verificarEvento('{}', { 'x-mock-signature': 'firma' })).toThrow('PAYMENT_WEBHOOK_SECRET');
+  });
+
+  it('acepta un evento firmado con el secreto configurado', () => {
+    process.env.PAYMENT_WEBHOOK_SECRET = 'secreto_de_prueba';
+    const { cuerpo, cabeceras } = mock.simularEvento('mock_ref', 'exito');
+
+    expect(mock.verificarEvento(cuerpo, cabeceras)).toEqual({
+      referenciaExterna: 'mock_ref',
+      resultado: 'completado',
+      motivo: null
+    });
+  });
+
+  it('rechaza un evento firmado con otro secreto', () => {
+    process.env.PAYMENT_WEBHOOK_SECRET = 'secreto_publico';
+    const { cuerpo, cabeceras } = mock.simularEvento('mock_ref', 'exito');
+
+    process.env.PAYMENT_WEBHOOK_SECRET = 'secreto_de_prueba';
+    expect(() => mock.verificarEvento(cuerpo, cabeceras)).toThrow('Firma del evento de pago inválida');
+  });
+});
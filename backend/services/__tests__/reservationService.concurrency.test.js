@@ -0,0 +1,67 @@
+/**
+ * Pruebas de concurrencia de reservas: cientos de reservas en paralelo contra un
+ * curso con cupo reducido no deben vender más plazas de las que hay
+ */
+
+const Course = require('../../models/Course');
+const Reservation = require('../../models/Reservation');
+const { crearReserva } = require('../reservationService');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { crearUsuarios, crearCurso, ocupacion } = require('../../test/fixtures');
+
+const TOTAL_RESERVAS = 300;
+const CUPO_MAXIMO = 5;
+
+beforeAll(conectar);
+afterEach(limpiar);
+afterAll(desconectar);
+
+describe('crearReserva en paralelo', () => {
+  it('no vende más plazas que el cupo del curso', async () => {
+    const users = await crearUsuarios(TOTAL_RESERVAS);
+    const course = await crearCurso({ cupoMaximo: CUPO_MAXIMO });
+
+    const resultados = await Promise.allSettled(
+      users.map(user => crearReserva({ usuarioId: user._id, cursoId: course._id }))
+    );
+
+    const exitosas = resultados.filter(r => r.status === 'fulfilled');
+    const rechazadas = resultados.filter(r => r.status === 'rejected');
+    expect(exitosas).toHaveLength(CUPO_MAXIMO);
+    // Las que no consiguen plaza fallan con un error de negocio, no con uno inesperado
+    for (const { reason } of rechazadas) {
+      expect(reason.statusCode).toBe(400);
+    }
+
+    // Lo que queda en la base de datos, no solo las respuestas: el curso gratuito
+    // confirma cada reserva al crearla y ninguna rechazada deja rastro
+    const cursoFinal = await Course.findById(course._id);
+    expect(cursoFinal.cupoDisponible).toBe(0);
+
+    const reservas = await Reservation.find({ curso: course._id });
+    expect(reservas).toHaveLength(CUPO_MAXIMO);
+    expect(reservas.every(r => r.estado === 'confirmada')).toBe(true);
+    expect(reservas.map(r => r._id.toString()).sort())
+      .toEqual(exitosas.map(r => r.value._id.toString()).sort());
+
+    const { segunCupos, segunReservas } = await ocupacion(course._id);
+    expect(segunCupos).toBe(segunReservas);
+  }, 120000);
+
+  it('no admite dos reservas simultáneas del mismo usuario', async () => {
+    const [user] = await crearUsuarios(1);
+    const course = await crearCurso({ cupoMaximo: CUPO_MAXIMO });
+
+    const resultados = await Promise.allSettled(
+      Array.from({ length: 10 }, () => crearReserva({ usuarioId: user._id, cursoId: course._id }))
+    );
+
+    expect(resultados.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    for (const { reason } of resultados.filter(r => r.status === 'rejected')) {
+      expect(reason.statusCode).toBe(409);
+    }
+    const cursoFinal = await Course.findById(course._id);
+    expect(cursoFinal.cupoDisponible).toBe(CUPO_MAXIMO - 1);
+    expect(await Reservation.countDocuments({ curso: course._id })).toBe(1);
+  });
+});
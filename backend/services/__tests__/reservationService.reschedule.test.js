@@ -0,0 +1,96 @@
+/**
+ * Pruebas del cambio de edición: la reserva toma un cupo de la nueva edición y libera
+ * el de la anterior, que pasa a la lista de espera si la hay
+ */
+
+const Course = require('../../models/Course');
+const Reservation = require('../../models/Reservation');
+const {
+  crearReserva,
+  unirseListaEspera,
+  reprogramarReserva
+} = require('../reservationService');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { DIA, crearUsuarios, crearCurso, ocupacion } = require('../../test/fixtures');
+
+beforeAll(conectar);
+afterEach(limpiar);
+afterAll(desconectar);
+
+// Otra edición del mismo curso (misma categoría y sin plantilla) una semana más tarde
+const crearOtraEdicion = (datos = {}) => crearCurso({
+  fechaInicio: new Date(Date.now() + 14 * DIA),
+  fechaFin: new Date(Date.now() + 15 * DIA),
+  ...datos
+});
+
+describe('cambio de edición', () => {
+  it('mueve el cupo de una edición a la otra', async () => {
+    const [user] = await crearUsuarios(1);
+    const anterior = await crearCurso({ cupoMaximo: 2 });
+    const nueva = await crearOtraEdicion({ cupoMaximo: 2 });
+    const reserva = await crearReserva({ usuarioId: user._id, cursoId: anterior._id });
+
+    await reprogramarReserva({ reservaId: reserva._id, cursoId: nueva._id, usuario: user });
+
+    expect((await Reservation.findById(reserva._id)).curso.equals(nueva._id)).toBe(true);
+    expect((await Course.findById(anterior._id)).cupoDisponible).toBe(2);
+    expect((await Course.findById(nueva._id)).cupoDisponible).toBe(1);
+    for (const course of [anterior, nueva]) {
+      const { segunCupos, segunReservas } = await ocupacion(course._id);
+      expect(segunCupos).toBe(segunReservas);
+    }
+  });
+
+  it('el cupo liberado pasa al primero en espera de la edición anterior', async () => {
+    const [user, enEspera] = await crearUsuarios(2);
+    const anterior = await crearCurso({ cupoMaximo: 1 });
+    const nueva = await crearOtraEdicion({ cupoMaximo: 1 });
+    const reserva = await crearReserva({ usuarioId: user._id, cursoId: anterior._id });
+    await unirseListaEspera({ usuarioId: enEspera._id, cursoId: anterior._id });
+
+    await reprogramarReserva({ reservaId: reserva._id, cursoId: nueva._id, usuario: user });
+
+    const promovida = await Reservation.findOne({ usuario: enEspera._id, curso: anterior._id });
+    expect(promovida.estado).toBe('pendiente');
+    expect((await Course.findById(anterior._id)).cupoDisponible).toBe(0);
+    expect((await Course.findById(nueva._id)).cupoDisponible).toBe(0);
+  });
+
+  it('no cambia nada si la nueva edición está llena', async () => {
+    const [user, otro] = await crearUsuarios(2);
+    const anterior = await crearCurso({ cupoMaximo: 1 });
+    const nueva = await crearOtraEdicion({ cupoMaximo: 1 });
+    const reserva = await crearReserva({ usuarioId: user._id, cursoId: anterior._id });
+    await crearReserva({ usuarioId: otro._id, cursoId: nueva._id });
+
+    await expect(reprogramarReserva({ reservaId: reserva._id, cursoId: nueva._id, usuario: user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect((await Reservation.findById(reserva._id)).curso.equals(anterior._id)).toBe(true);
+    expect((await Course.findById(anterior._id)).cupoDisponible).toBe(0);
+    expect((await Course.findById(nueva._id)).cupoDisponible).toBe(0);
+  });
+
+  it('dos cambios simultáneos a la última plaza solo mueven una reserva', async () => {
+    const usuarios = await crearUsuarios(2);
+    const anterior = await crearCurso({ cupoMaximo: 2 });
+    const nueva = await crearOtraEdicion({ cupoMaximo: 1 });
+    const reservas = [];
+    for (const user of usuarios) {
+      reservas.push(await crearReserva({ usuarioId: user._id, cursoId: anterior._id }));
+    }
+
+    const resultados = await Promise.allSettled(reservas.map((reserva, i) =>
+      reprogramarReserva({ reservaId: reserva._id, cursoId: nueva._id, usuario: usuarios[i] })
+    ));
+
+    expect(resultados.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    for (const course of [anterior, nueva]) {
+      const { segunCupos, segunReservas } = await ocupacion(course._id);
+      expect(segunCupos).toBe(segunReservas);
+    }
+    expect((await Course.findById(nueva._id)).cupoDisponible).toBe(0);
+    expect((await Course.findById(anterior._id)).cupoDisponible).toBe(1);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Pruebas de la transferencia de reservas: la plaza cambia de titular sin que el curso
+ * gane ni pierda cupos
+ */
+
+const Course = require('../../models/Course');
+const Reservation = require('../../models/Reservation');
+const {
+  crearReserva,
+  solicitarTransferencia,
+  aceptarTransferencia,
+  anularTransferencia
+} = require('../reservationService');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { crearUsuarios, crearCurso, ocupacion } = require('../../test/fixtures');
+
+beforeAll(conectar);
+afterEach(limpiar);
+afterAll(desconectar);
+
+describe('transferencia de reservas', () => {
+  it('pasa la plaza al destinatario sin tocar los cupos', async () => {
+    const [titular, destinatario] = await crearUsuarios(2);
+    const course = await crearCurso({ cupoMaximo: 3 });
+    const reserva = await crearReserva({ usuarioId: titular._id, cursoId: course._id });
+
+    await solicitarTransferencia({ reservaId: reserva._id, usuarioId: titular._id, correo: destinatario.correo });
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(2);
+
+    await aceptarTransferencia({ reservaId: reserva._id, usuarioId: destinatario._id });
+
+    const transferida = await Reservation.findById(reserva._id);
+    expect(transferida.usuario.equals(destinatario._id)).toBe(true);
+    expect(transferida.transferenciaPendiente).toBeFalsy();
+    expect(await Reservation.exists({ usuario: titular._id, curso: course._id })).toBeNull();
+
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(2);
+    const { segunCupos, segunReservas } = await ocupacion(course._id);
+    expect(segunCupos).toBe(1);
+    expect(segunReservas).toBe(1);
+  });
+
+  it('no deja aceptar la transferencia a quien no es el destinatario', async () => {
+    const [titular, destinatario, otro] = await crearUsuarios(3);
+    const course = await crearCurso();
+    const reserva = await crearReserva({ usuarioId: titular._id, cursoId: course._id });
+    await solicitarTransferencia({ reservaId: reserva._id, usuarioId: titular._id, correo: destinatario.correo });
+
+    await expect(aceptarTransferencia({ reservaId: reserva._id, usuarioId: otro._id }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect((await Reservation.findById(reserva._id)).usuario.equals(titular._id)).toBe(true);
+  });
+
+  it('rechaza transferir a quien ya tiene reserva en el curso y deja ambas plazas como estaban', async () => {
+    const [titular, destinatario] = await crearUsuarios(2);
+    const course = await crearCurso({ cupoMaximo: 3 });
+    const reserva = await crearReserva({ usuarioId: titular._id, cursoId: course._id });
+    await crearReserva({ usuarioId: destinatario._id, cursoId: course._id });
+
+    await expect(solicitarTransferencia({ reservaId: reserva._id, usuarioId: titular._id, correo: destinatario.correo }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    const { segunCupos, segunReservas } = await ocupacion(course._id);
+    expect(segunCupos).toBe(2);
+    expect(segunReservas).toBe(2);
+  });
+
+  it('una transferencia anulada deja la reserva con su titular', async () => {
+    const [titular, destinatario] = await crearUsuarios(2);
+    const course = await crearCurso();
+    const reserva = await crearReserva({ usuarioId: titular._id, cursoId: course._id });
+    await solicitarTransferencia({ reservaId: reserva._id, usuarioId: titular._id, correo: destinatario.correo });
+
+    await anularTransferencia({ reservaId: reserva._id, usuarioId: destinatario._id });
+
+    await expect(aceptarTransferencia({ reservaId: reserva._id, usuarioId: destinatario._id }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect((await Reservation.findById(reserva._id)).usuario.equals(titular._id)).toBe(true);
+  });
+});
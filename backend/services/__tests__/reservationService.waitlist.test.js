@@ -0,0 +1,95 @@
+/**
+ * Pruebas de la lista de espera: el cupo que se libera pasa al primero en espera sin
+ * descuadrar los cupos del curso
+ */
+
+const Course = require('../../models/Course');
+const Reservation = require('../../models/Reservation');
+const {
+  crearReserva,
+  cancelarReserva,
+  unirseListaEspera,
+  salirListaEspera
+} = require('../reservationService');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { crearUsuarios, crearCurso, ocupacion } = require('../../test/fixtures');
+
+beforeAll(conectar);
+afterEach(limpiar);
+afterAll(desconectar);
+
+describe('lista de espera', () => {
+  it('solo admite la espera cuando el curso está lleno', async () => {
+    const [titular, interesado] = await crearUsuarios(2);
+    const course = await crearCurso({ cupoMaximo: 2 });
+    await crearReserva({ usuarioId: titular._id, cursoId: course._id });
+
+    await expect(unirseListaEspera({ usuarioId: interesado._id, cursoId: course._id }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('promueve al primero en espera al cancelarse una reserva, sin liberar el cupo', async () => {
+    const [titular, primero, segundo] = await crearUsuarios(3);
+    const course = await crearCurso({ cupoMaximo: 1 });
+
+    const reserva = await crearReserva({ usuarioId: titular._id, cursoId: course._id });
+    await unirseListaEspera({ usuarioId: primero._id, cursoId: course._id });
+    await unirseListaEspera({ usuarioId: segundo._id, cursoId: course._id });
+
+    await cancelarReserva(reserva._id, 'No puedo asistir');
+
+    const promovida = await Reservation.findOne({ usuario: primero._id, curso: course._id });
+    const enEspera = await Reservation.findOne({ usuario: segundo._id, curso: course._id });
+    expect(promovida.estado).toBe('pendiente');
+    expect(promovida.fechaPromocion).not.toBeNull();
+    expect(enEspera.estado).toBe('en_espera');
+
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(0);
+    const { segunCupos, segunReservas } = await ocupacion(course._id);
+    expect(segunCupos).toBe(segunReservas);
+  });
+
+  it('devuelve el cupo al curso si nadie espera', async () => {
+    const [titular] = await crearUsuarios(1);
+    const course = await crearCurso({ cupoMaximo: 1 });
+
+    const reserva = await crearReserva({ usuarioId: titular._id, cursoId: course._id });
+    await cancelarReserva(reserva._id);
+
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(1);
+  });
+
+  it('salir de la lista de espera no toca los cupos', async () => {
+    const [titular, interesado] = await crearUsuarios(2);
+    const course = await crearCurso({ cupoMaximo: 1 });
+    const reserva = await crearReserva({ usuarioId: titular._id, cursoId: course._id });
+    await unirseListaEspera({ usuarioId: interesado._id, cursoId: course._id });
+
+    await salirListaEspera(interesado._id, course._id);
+    await cancelarReserva(reserva._id);
+
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(1);
+    expect(await Reservation.countDocuments({ curso: course._id, estado: 'pendiente' })).toBe(0);
+  });
+
+  it('cancelaciones simultáneas promueven a personas distintas sin pasarse del cupo', async () => {
+    const usuarios = await crearUsuarios(6);
+    const course = await crearCurso({ cupoMaximo: 3 });
+
+    const reservas = [];
+    for (const user of usuarios.slice(0, 3)) {
+      reservas.push(await crearReserva({ usuarioId: user._id, cursoId: course._id }));
+    }
+    for (const user of usuarios.slice(3)) {
+      await unirseListaEspera({ usuarioId: user._id, cursoId: course._id });
+    }
+
+    await Promise.all(reservas.map(reserva => cancelarReserva(reserva._id)));
+
+    expect(await Reservation.countDocuments({ curso: course._id, estado: 'en_espera' })).toBe(0);
+    expect((await Course.findById(course._id)).cupoDisponible).toBe(0);
+    const { segunCupos, segunReservas } = await ocupacion(course._id);
+    expect(segunReservas).toBe(3);
+    expect(segunCupos).toBe(segunReservas);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Pruebas de la rotación de los tokens de renovación
+ */
+
+const RefreshToken = require('../../models/RefreshToken');
+const User = require('../../models/User');
+const { iniciarSesion, renovarSesion } = require('../sessionService');
+const { conectar, limpiar, desconectar } = require('../../test/db');
+const { crearUsuario } = require('../../test/fixtures');
+
+beforeAll(conectar);
+afterEach(async () => {
+  delete process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS;
+  await limpiar();
+});
+afterAll(desconectar);
+
+// Respuesta mínima que recuerda la cookie que se deja en el navegador
+const crearRespuesta = () => {
+  const res = { cookieRenovacion: null };
+  res.cookie = (nombre, valor) => { res.cookieRenovacion = valor; };
+  res.clearCookie = () => { res.cookieRenovacion = null; };
+  return res;
+};
+
+const crearPeticion = (token, { dispositivo = 'jest', ip = '127.0.0.1' } = {}) => ({
+  headers: { cookie: token ? `refreshToken=${encodeURIComponent(token)}` : '' },
+  get: () => dispositivo,
+  ip
+});
+
+// Iniciar sesión y devolver la cookie de renovación emitida
+const iniciar = async (user) => {
+  const res = crearRespuesta();
+  await iniciarSesion(user, crearPeticion(), res);
+  return res.cookieRenovacion;
+};
+
+const renovar = async (token, origen) => {
+  const res = crearRespuesta();
+  const resultado = await renovarSesion(crearPeticion(token, origen), res);
+  return { ...resultado, cookie: res.cookieRenovacion };
+};
+
+describe('renovarSesion', () => {
+  it('rota el token: emite uno nuevo de la misma familia y marca el anterior como usado', async () => {
+    const user = await crearUsuario();
+    const inicial = await iniciar(user);
+
+    const { token, cookie } = await renovar(inicial);
+
+    expect(token).toEqual(expect.any(String));
+    expect(cookie).toEqual(expect.any(String));
+    expect(cookie).not.toBe(inicial);
+
+    const anterior = await RefreshToken.findByToken(inicial);
+    const nuevo = await RefreshToken.findByToken(cookie);
+    expect(anterior.fechaUso).not.toBeNull();
+    expect(nuevo.familia).toBe(anterior.familia);
+    expect(nuevo.estaVigente()).toBe(true);
+
+    // El token nuevo se puede canjear a su vez
+    await expect(renovar(cookie)).resolves.toMatchObject({ token: expect.any(String) });
+  });
+
+  it('revoca la familia entera si se reutiliza un token ya canjeado', async () => {
+    const user = await crearUsuario();
+    const inicial = await iniciar(user);
+    const { cookie: rotado } = await renovar(inicial);
+
+    await expect(renovar(inicial)).rejects.toMatchObject({ statusCode: 401 });
+
+    const familia = (await RefreshToken.findByToken(inicial)).familia;
+    const vigentes = await RefreshToken.countDocuments({ familia, fechaRevocacion: null });
+    expect(vigentes).toBe(0);
+    expect((await RefreshToken.findByToken(rotado)).motivoRevocacion).toBe('reutilizacion');
+
+    // Quien tuviera el token rotado también pierde la sesión
+    await expect(renovar(rotado)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('con margen de gracia, admite la reutilización desde el mismo dispositivo', async () => {
+    process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS = '10';
+    const user = await crearUsuario();
+    const inicial = await iniciar(user);
+
+    const resultados = await Promise.all([renovar(inicial), renovar(inicial)]);
+
+    for (const { token } of resultados) {
+      expect(token).toEqual(expect.any(String));
+    }
+    const familia = (await RefreshToken.findByToken(inicial)).familia;
+    expect(await RefreshToken.countDocuments({ familia, fechaRevocacion: { $ne: null } })).toBe(0);
+  });
+
+  it('con margen de gracia, revoca la familia si el token se reutiliza desde otro dispositivo', async () => {
+    process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS = '10';
+    const user = await crearUsuario();
+    const inicial = await iniciar(user);
+    const { cookie: rotado } = await renovar(inicial);
+
+    await expect(renovar(inicial, { dispositivo: 'otro navegador', ip: '203.0.113.7' }))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    expect((await RefreshToken.findByToken(rotado)).motivoRevocacion).toBe('reutilizacion');
+  });
+
+  it('rechaza el token cuando se invalidan los tokens del usuario', async () => {
+    const user = await crearUsuario();
+    const inicial = await iniciar(user);
+
+    await (await User.findById(user._id)).invalidarTokens();
+
+    await expect(renovar(inicial)).rejects.toMatchObject({ statusCode: 401 });
+    expect((await RefreshToken.findByToken(inicial)).motivoRevocacion).toBe('logout_global');
+  });
+
+  it('rechaza una petición sin cookie o con un token desconocido', async () => {
+    await expect(renovar(null)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(renovar('desconocido')).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
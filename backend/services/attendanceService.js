@@ -0,0 +1,156 @@
+/**
+ * Servicio de Asistencia
+ * Registro de asistencia por sesión mediante código QR o de forma manual
+ */
+
+const Course = require('../models/Course');
+const Reservation = require('../models/Reservation');
+const { createError } = require('../middleware/errorHandler');
+const { verificarTokenAsistencia } = require('../utils/checkinToken');
+
+// Se admite el registro desde este margen antes del inicio de la sesión
+const MARGEN_APERTURA_MS = 30 * 60 * 1000;
+
+/**
+ * Determinar la sesión del curso a la que corresponde el registro.
+ * Sin `sesionId` se usa la sesión en curso; los cursos sin sesiones usan una sesión implícita (null).
+ */
+const resolverSesion = (curso, sesionId = null, ahora = new Date()) => {
+  if (!curso.sesiones || curso.sesiones.length === 0) {
+    if (sesionId) {
+      throw createError('El curso no tiene sesiones programadas', 400);
+    }
+    return null;
+  }
+
+  if (sesionId) {
+    const sesion = curso.sesiones.id(sesionId);
+    if (!sesion) {
+      throw createError('Sesión no encontrada', 404);
+    }
+    return sesion;
+  }
+
+  const enCurso = curso.sesiones.find(sesion =>
+    ahora >= new Date(sesion.fechaHoraInicio.getTime() - MARGEN_APERTURA_MS) &&
+    ahora <= sesion.fechaHoraFin
+  );
+
+  if (!enCurso) {
+    throw createError('No hay ninguna sesión en curso; indica la sesión explícitamente', 400);
+  }
+
+  return enCurso;
+};
+
+/**
+ * Registrar la asistencia a partir del token del código QR
+ */
+const registrarPorToken = async ({ token, sesionId = null, registradoPor }) => {
+  let datos;
+  try {
+    datos = verificarTokenAsistencia(token);
+  } catch (error) {
+    throw createError(
+      error.name === 'TokenExpiredError' ? 'El código de asistencia ha expirado' : 'Código de asistencia inválido',
+      400
+    );
+  }
+
+  const reservation = await Reservation.findById(datos.reservaId)
+    .populate('usuario', 'nombre correo')
+    .populate('curso', 'titulo sesiones asistenciaMinima');
+
+  if (!reservation || !reservation.curso || reservation.curso._id.toString() !== datos.cursoId) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  // Los códigos emitidos antes de una transferencia pertenecen al titular anterior
+  if (datos.usuarioId && reservation.usuario._id.toString() !== datos.usuarioId) {
+    throw createError('El código de asistencia ya no corresponde al titular de la reserva', 400);
+  }
+
+  const sesion = resolverSesion(reservation.curso, sesionId);
+
+  try {
+    await reservation.registrarAsistencia(sesion ? sesion._id : null, { metodo: 'qr', registradoPor });
+  } catch (error) {
+    throw createError(error.message, reservation.estado === 'confirmada' ? 409 : 400);
+  }
+
+  return { reservation, sesion };
+};
+
+/**
+ * Marcar o desmarcar manualmente la asistencia de una reserva a una sesión
+ */
+const marcarAsistencia = async ({ reservaId, cursoId, sesionId = null, presente, registradoPor }) => {
+  const reservation = await Reservation.findOne({ _id: reservaId, curso: cursoId })
+    .populate('curso', 'titulo sesiones asistenciaMinima');
+
+  if (!reservation) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  const sesion = resolverSesion(reservation.curso, sesionId);
+  const idSesion = sesion ? sesion._id : null;
+
+  // Operación idempotente: si ya está en el estado pedido no se modifica
+  if (reservation.tieneAsistencia(idSesion) === presente) {
+    return reservation;
+  }
+
+  try {
+    if (presente) {
+      await reservation.registrarAsistencia(idSesion, { metodo: 'manual', registradoPor });
+    } else {
+      await reservation.anularAsistencia(idSesion);
+    }
+  } catch (error) {
+    throw createError(error.message, 400);
+  }
+
+  return reservation;
+};
+
+/**
+ * Obtener la lista de asistencia de un curso: reservas confirmadas o completadas
+ * con la asistencia a cada sesión y el porcentaje acumulado
+ */
+const obtenerListaAsistencia = async (cursoId) => {
+  const curso = await Course.findById(cursoId).select('titulo fechaInicio fechaFin sesiones asistenciaMinima');
+
+  if (!curso) {
+    throw createError('Curso no encontrado', 404);
+  }
+
+  const reservas = await Reservation.find({
+    curso: cursoId,
+    estado: { $in: ['confirmada', 'completada'] }
+  })
+    .populate('usuario', 'nombre correo')
+    .sort({ fechaReserva: 1 });
+
+  const sesiones = curso.sesiones.length > 0 ? curso.sesiones : [null];
+
+  const participantes = reservas.map(reserva => ({
+    reservaId: reserva._id,
+    usuario: reserva.usuario,
+    estado: reserva.estado,
+    asistencias: sesiones.map(sesion => ({
+      sesion: sesion ? sesion._id : null,
+      presente: reserva.tieneAsistencia(sesion ? sesion._id : null)
+    })),
+    porcentajeAsistencia: reserva.calcularPorcentajeAsistencia(curso),
+    cumpleMinimo: reserva.calcularPorcentajeAsistencia(curso) >= (curso.asistenciaMinima || 0)
+  }));
+
+  return { curso, participantes };
+};
+
+module.exports = {
+  resolverSesion,
+  registrarPorToken,
+  marcarAsistencia,
+  obtenerListaAsistencia
+};
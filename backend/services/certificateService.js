@@ -0,0 +1,159 @@
+/**
+ * Servicio de Certificados
+ * Emite los certificados de finalización y genera su versión en PDF
+ */
+
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/Certificate');
+const Reservation = require('../models/Reservation');
+const { createError } = require('../middleware/errorHandler');
+
+const MAX_INTENTOS_CODIGO = 3;
+
+/**
+ * URL pública en la que se puede verificar un certificado
+ */
+const urlVerificacion = (codigo) => {
+  const base = process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
+  return `${base.replace(/\/$/, '')}/api/certificates/verify/${codigo}`;
+};
+
+/**
+ * Emitir el certificado de una reserva completada (idempotente: si ya existe lo devuelve)
+ */
+const emitirCertificado = async (reservaId) => {
+  const existente = await Certificate.findOne({ reserva: reservaId });
+  if (existente) return existente;
+
+  const reservation = await Reservation.findById(reservaId)
+    .populate('usuario', 'nombre')
+    .populate('curso', 'titulo instructor fechaInicio fechaFin sesiones');
+
+  if (!reservation) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  if (reservation.estado !== 'completada') {
+    throw createError('Solo las reservas completadas tienen certificado', 400);
+  }
+
+  const { usuario, curso } = reservation;
+
+  for (let intento = 0; intento < MAX_INTENTOS_CODIGO; intento++) {
+    try {
+      return await Certificate.create({
+        codigo: Certificate.generarCodigo(),
+        reserva: reservation._id,
+        usuario: usuario._id,
+        curso: curso._id,
+        nombreParticipante: usuario.nombre,
+        tituloCurso: curso.titulo,
+        instructor: curso.instructor,
+        fechaInicio: curso.fechaInicio,
+        fechaFin: curso.fechaFin,
+        duracion: curso.duracion,
+        unidadDuracion: curso.unidadDuracion
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Otra petición emitió el certificado a la vez: devolver ese
+      const emitido = await Certificate.findOne({ reserva: reservation._id });
+      if (emitido) return emitido;
+      // Si no, colisionó el código; se reintenta con uno nuevo
+    }
+  }
+
+  throw createError('No se pudo generar un código de verificación único', 500);
+};
+
+/**
+ * Generar el PDF del certificado y devolverlo como Buffer
+ */
+const generarPdf = (certificate) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+    const partes = [];
+
+    doc.on('data', parte => partes.push(parte));
+    doc.on('end', () => resolve(Buffer.concat(partes)));
+    doc.on('error', reject);
+
+    const formatearFecha = (fecha) => new Date(fecha).toLocaleDateString('es-ES', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+
+    const { width, height } = doc.page;
+
+    // Marco
+    doc.lineWidth(3)
+      .strokeColor('#0d6efd')
+      .rect(25, 25, width - 50, height - 50)
+      .stroke();
+
+    doc.moveDown(3)
+      .fillColor('#0d6efd')
+      .font('Helvetica-Bold')
+      .fontSize(34)
+      .text('CERTIFICADO DE FINALIZACIÓN', { align: 'center' });
+
+    doc.moveDown(1.5)
+      .fillColor('#333333')
+      .font('Helvetica')
+      .fontSize(16)
+      .text('Se certifica que', { align: 'center' });
+
+    doc.moveDown(0.5)
+      .font('Helvetica-Bold')
+      .fontSize(28)
+      .text(certificate.nombreParticipante, { align: 'center' });
+
+    doc.moveDown(0.5)
+      .font('Helvetica')
+      .fontSize(16)
+      .text('ha completado satisfactoriamente el curso', { align: 'center' });
+
+    doc.moveDown(0.5)
+      .font('Helvetica-Bold')
+      .fontSize(22)
+      .text(certificate.tituloCurso, { align: 'center' });
+
+    const duracion = certificate.duracion
+      ? ` (${certificate.duracion} ${certificate.unidadDuracion === 'horas' ? 'horas' : 'días'})`
+      : '';
+
+    doc.moveDown(1)
+      .font('Helvetica')
+      .fontSize(14)
+      .text(
+        `Del ${formatearFecha(certificate.fechaInicio)} al ${formatearFecha(certificate.fechaFin)}${duracion}`,
+        { align: 'center' }
+      );
+
+    if (certificate.instructor) {
+      doc.moveDown(0.5)
+        .text(`Instructor: ${certificate.instructor}`, { align: 'center' });
+    }
+
+    // Pie con el código de verificación
+    doc.fontSize(10)
+      .fillColor('#666666')
+      .text(`Emitido el ${formatearFecha(certificate.fechaEmision)}`, 50, height - 110, {
+        width: width - 100,
+        align: 'center'
+      })
+      .text(`Código de verificación: ${certificate.codigo}`, { width: width - 100, align: 'center' })
+      .text(`Verificar en: ${urlVerificacion(certificate.codigo)}`, { width: width - 100, align: 'center' });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  emitirCertificado,
+  generarPdf,
+  urlVerificacion
+};
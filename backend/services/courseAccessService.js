@@ -0,0 +1,170 @@
+/**
+ * Servicio de Acceso a Cursos
+ * Visibilidad de los cursos privados: quién puede verlos y reservarlos por estar en su
+ * lista de acceso o por presentar una invitación, y gestión de esas invitaciones
+ */
+
+const Course = require('../models/Course');
+const CourseInvitation = require('../models/CourseInvitation');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const { createError } = require('../middleware/errorHandler');
+const { notificar } = require('./notificationService');
+
+/**
+ * Comprobar que una invitación de un curso se puede usar ahora
+ */
+const evaluarInvitacion = async ({ course, codigo, usuario, session = null }) => {
+  const invitacion = await CourseInvitation.findByCodigo(course._id, codigo).session(session);
+  const ahora = new Date();
+
+  if (!invitacion || invitacion.revocada) {
+    throw createError('La invitación no es válida', 403);
+  }
+
+  if (invitacion.expiraEn && ahora >= invitacion.expiraEn) {
+    throw createError('La invitación ha caducado', 403);
+  }
+
+  if (!invitacion.estaVigente(ahora)) {
+    throw createError('La invitación ya no tiene usos disponibles', 403);
+  }
+
+  if (!invitacion.admiteUsuario(usuario)) {
+    throw createError('Esta invitación es para otra persona', 403);
+  }
+
+  return invitacion;
+};
+
+/**
+ * Comprobar que un usuario puede reservar un curso. En un curso privado sin estar en
+ * la lista de acceso hace falta una invitación válida, que se devuelve para canjearla
+ * al crear la reserva. `course` debe traer `accesoPrivado`.
+ */
+const comprobarAccesoReserva = async ({ course, usuarioId, codigoInvitacion, session = null }) => {
+  if (course.visibilidad !== 'privado') return null;
+
+  const usuario = await User.findById(usuarioId).select('correo correoVerificado rol').session(session);
+  if (course.permiteAcceso(usuario)) return null;
+
+  if (!codigoInvitacion) {
+    throw createError('Este curso es privado: necesitas una invitación para reservarlo', 403);
+  }
+
+  return evaluarInvitacion({ course, codigo: codigoInvitacion, usuario, session });
+};
+
+/**
+ * Consumir un uso de la invitación; falla si otra reserva simultánea agotó los usos
+ */
+const canjearInvitacion = async (invitacionId, session = null) => {
+  const canjeada = await CourseInvitation.canjearAtomico(invitacionId, session);
+  if (!canjeada) {
+    throw createError('La invitación ya no tiene usos disponibles', 403);
+  }
+  return canjeada;
+};
+
+/**
+ * Saber si un usuario (o un visitante anónimo) puede ver la ficha de un curso.
+ * Además de la lista de acceso y las invitaciones, quien ya tiene una reserva en el
+ * curso lo sigue viendo aunque su invitación se haya agotado o revocado.
+ */
+const puedeVerCurso = async ({ course, usuario, codigoInvitacion }) => {
+  if (course.permiteAcceso(usuario)) return true;
+
+  if (usuario && await Reservation.exists({ usuario: usuario._id, curso: course._id })) {
+    return true;
+  }
+
+  if (!codigoInvitacion) return false;
+
+  const invitacion = await CourseInvitation.findByCodigo(course._id, codigoInvitacion);
+  // Sin sesión no se puede saber a quién va dirigida: basta con que siga vigente
+  return !!invitacion && invitacion.estaVigente() && (!usuario || invitacion.admiteUsuario(usuario));
+};
+
+/**
+ * Generar una invitación para un curso y, si va dirigida a un correo, enviársela
+ */
+const generarInvitacion = async ({ cursoId, correo, descripcion, usosMaximos, expiraEn, creadoPor }) => {
+  const course = await Course.findById(cursoId).select('titulo fechaInicio ubicacion visibilidad');
+  if (!course) {
+    throw createError('Curso no encontrado', 404);
+  }
+
+  if (expiraEn && new Date(expiraEn) <= new Date()) {
+    throw createError('La fecha de caducidad debe ser futura', 400);
+  }
+
+  // Los códigos son aleatorios: una colisión es improbable, pero se reintenta
+  let invitacion;
+  for (let intento = 0; !invitacion; intento++) {
+    try {
+      invitacion = await CourseInvitation.create({
+        curso: course._id,
+        codigo: CourseInvitation.generarCodigo(),
+        correo: correo || null,
+        descripcion,
+        usosMaximos: usosMaximos || null,
+        expiraEn: expiraEn ? new Date(expiraEn) : null,
+        creadoPor
+      });
+    } catch (error) {
+      if (error.code !== 11000 || intento >= 2) throw error;
+    }
+  }
+
+  if (invitacion.correo) {
+    const destinatario = await User.findByEmail(invitacion.correo);
+    await notificar('invitacion_curso', {
+      usuario: destinatario && destinatario.activo ? destinatario : null,
+      correo: invitacion.correo,
+      curso: course,
+      datos: { codigo: invitacion.codigo, expiraEn: invitacion.expiraEn },
+      referencia: invitacion._id
+    });
+  }
+
+  return invitacion;
+};
+
+/**
+ * Revocar una invitación: deja de dar acceso, pero las reservas ya hechas se mantienen
+ */
+const revocarInvitacion = async ({ cursoId, invitacionId }) => {
+  const invitacion = await CourseInvitation.findOneAndUpdate(
+    { _id: invitacionId, curso: cursoId, fechaRevocacion: null },
+    { fechaRevocacion: new Date() },
+    { new: true }
+  );
+
+  if (!invitacion) {
+    const existe = await CourseInvitation.exists({ _id: invitacionId, curso: cursoId });
+    throw existe
+      ? createError('La invitación ya estaba revocada', 400)
+      : createError('Invitación no encontrada', 404);
+  }
+
+  return invitacion;
+};
+
+/**
+ * Invitaciones de un curso, las más recientes primero
+ */
+const obtenerInvitaciones = (cursoId) => {
+  return CourseInvitation.find({ curso: cursoId })
+    .populate('creadoPor', 'nombre')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = {
+  evaluarInvitacion,
+  comprobarAccesoReserva,
+  canjearInvitacion,
+  puedeVerCurso,
+  generarInvitacion,
+  revocarInvitacion,
+  obtenerInvitaciones
+};
@@ -0,0 +1,435 @@
+/**
+ * Servicio de Ciclo de Vida de Cursos
+ * Aplica periódicamente las transiciones automáticas de estado:
+ * - Cursos activos cuya fecha de fin pasó -> completado, y sus reservas se cierran según la asistencia
+ * - Cursos con cupo mínimo cuya fecha de decisión venció -> confirmados (sus reservas pendientes
+ *   pasan a confirmada) o cancelados (se cancelan sus reservas y se avisa a los inscritos)
+ * - Reservas pendientes de pago cuyo plazo venció -> canceladas, liberando su cupo
+ * Cada cambio es condicional sobre el estado leído, por lo que varias instancias pueden
+ * ejecutar el ciclo a la vez sin aplicar dos veces la misma transición. Cancelar una
+ * reserva, devolver su cupo y su saldo a favor se hace en una sola transacción.
+ */
+
+const Course = require('../models/Course');
+const Reservation = require('../models/Reservation');
+const GroupBooking = require('../models/GroupBooking');
+const StateTransition = require('../models/StateTransition');
+const { emitirCertificado } = require('./certificateService');
+const { notificar, notificarCancelacionCurso } = require('./notificationService');
+const { cancelarRecordatorios } = require('./reminderService');
+const { promoverListaEspera } = require('./reservationService');
+const { cerrarIntentosPendientes } = require('./paymentService');
+const { registrarReembolsoCancelacion } = require('./refundService');
+const { cancelarGrupoPorCurso } = require('./groupBookingService');
+const { withTransaction } = require('../utils/transaction');
+
+const ESTADOS_ABIERTOS = ['pendiente', 'confirmada', 'en_espera'];
+
+let procesando = false;
+
+/**
+ * Cambiar el estado de un curso solo si sigue en el estado leído y registrar la transición
+ */
+const transicionarCurso = async (course, estadoNuevo, motivo, cambios = {}) => {
+  const actualizado = await Course.findOneAndUpdate(
+    { _id: course._id, estado: course.estado },
+    { $set: { estado: estadoNuevo, ...cambios } },
+    { new: true }
+  );
+
+  // Otra instancia o un administrador ya lo cambió
+  if (!actualizado) return null;
+
+  await StateTransition.registrar({
+    entidad: 'curso',
+    referencia: course._id,
+    curso: course._id,
+    estadoAnterior: course.estado,
+    estadoNuevo,
+    motivo
+  });
+
+  return actualizado;
+};
+
+/**
+ * Cambiar el estado de una reserva solo si sigue en el estado leído y registrar la transición
+ */
+const transicionarReserva = async (reserva, estadoNuevo, motivo, cambios = {}, session = null) => {
+  const { modifiedCount } = await Reservation.updateOne(
+    { _id: reserva._id, estado: reserva.estado },
+    { $set: { estado: estadoNuevo, ...cambios } },
+    { session }
+  );
+
+  if (modifiedCount === 0) return false;
+
+  await StateTransition.registrar({
+    entidad: 'reserva',
+    referencia: reserva._id,
+    curso: reserva.curso,
+    estadoAnterior: reserva.estado,
+    estadoNuevo,
+    motivo
+  }, session);
+
+  return true;
+};
+
+/**
+ * Cancelar una reserva abierta en una transacción junto a la devolución de su cupo y
+ * de su saldo a favor, y a los pasos de `despues(session)`. Devuelve false si otra
+ * instancia ya la cambió. Sin replica set, las escrituras hechas se compensan si un
+ * paso posterior falla, igual que al crear una reserva.
+ */
+const cancelarReservaAbierta = (reserva, motivo, cambios, despues = async () => {}) => {
+  return withTransaction(async (session) => {
+    const compensaciones = [];
+    const deshacer = async () => {
+      if (session) return;
+      for (const compensar of compensaciones.reverse()) {
+        await compensar();
+      }
+    };
+
+    const cancelada = await transicionarReserva(reserva, 'cancelada', motivo, {
+      fechaCancelacion: new Date(),
+      motivoCancelacion: motivo,
+      ...cambios
+    }, session);
+    if (!cancelada) return false;
+    compensaciones.push(() => Reservation.updateOne(
+      { _id: reserva._id, estado: 'cancelada' },
+      {
+        $set: {
+          estado: reserva.estado,
+          fechaCancelacion: null,
+          motivoCancelacion: null,
+          porcentajeReembolso: reserva.porcentajeReembolso ?? null
+        }
+      }
+    ));
+
+    try {
+      // Las reservas de la lista de espera no ocupan cupo
+      if (reserva.estado !== 'en_espera' && await Course.liberarCupoAtomico(reserva.curso, session)) {
+        compensaciones.push(() => Course.reservarCupoAtomico(reserva.curso));
+      }
+
+      // Sin pago no hay dinero que devolver, pero sí el saldo a favor aplicado
+      await registrarReembolsoCancelacion(reserva, 100, session);
+    } catch (error) {
+      await deshacer();
+      throw error;
+    }
+
+    // Con la cancelación ya completa, un fallo sin transacción deja el cupo libre
+    await despues(session);
+    return true;
+  });
+};
+
+/**
+ * Cerrar las reservas abiertas de un curso ya completado:
+ * las confirmadas pasan a completada o no_asistio según la asistencia,
+ * las pendientes y en espera se cancelan
+ */
+const cerrarReservasCurso = async (course) => {
+  const resultado = { completadas: 0, noAsistio: 0, canceladas: 0 };
+  const reservas = await Reservation.find({ curso: course._id, estado: { $in: ESTADOS_ABIERTOS } });
+
+  for (const reserva of reservas) {
+    if (reserva.estado === 'confirmada') {
+      const estadoFinal = reserva.estadoAlFinalizar(course);
+      const motivo = estadoFinal === 'completada'
+        ? 'Curso finalizado con la asistencia mínima cumplida'
+        : 'Curso finalizado sin alcanzar la asistencia mínima';
+
+      if (!await transicionarReserva(reserva, estadoFinal, motivo)) continue;
+
+      if (estadoFinal === 'completada') {
+        resultado.completadas += 1;
+        // El certificado también se emite al descargarlo si aquí fallara
+        await emitirCertificado(reserva._id).catch(error => {
+          console.error('Error emitiendo certificado:', error);
+        });
+      } else {
+        resultado.noAsistio += 1;
+      }
+      continue;
+    }
+
+    const motivo = 'El curso finalizó sin que la reserva llegara a confirmarse';
+    const cancelada = await transicionarReserva(reserva, 'cancelada', motivo, {
+      fechaCancelacion: new Date(),
+      motivoCancelacion: motivo
+    });
+    if (!cancelada) continue;
+
+    // Si llegó a pagarse sin confirmarse, se devuelve íntegro
+    await registrarReembolsoCancelacion(reserva, 100);
+    resultado.canceladas += 1;
+  }
+
+  return resultado;
+};
+
+/**
+ * Pasar a completado los cursos activos cuya fecha de fin ya pasó
+ */
+const finalizarCursos = async () => {
+  const cursos = await Course.find({ estado: 'activo', fechaFin: { $lte: new Date() } })
+    .select('estado fechaFin');
+
+  let finalizados = 0;
+  for (const course of cursos) {
+    if (await transicionarCurso(course, 'completado', 'Fecha de fin alcanzada')) {
+      finalizados += 1;
+    }
+  }
+
+  return finalizados;
+};
+
+/**
+ * Cerrar las reservas que siguen abiertas en cursos completados.
+ * Se calcula a partir de las reservas para recuperar también los cursos que una
+ * ejecución anterior dejó a medias.
+ */
+const cerrarReservasPendientes = async () => {
+  const resultado = { completadas: 0, noAsistio: 0, canceladas: 0 };
+  const cursoIds = await Reservation.distinct('curso', { estado: { $in: ESTADOS_ABIERTOS } });
+
+  const cursos = await Course.find({ _id: { $in: cursoIds }, estado: 'completado' })
+    .select('titulo sesiones asistenciaMinima');
+
+  for (const course of cursos) {
+    const parcial = await cerrarReservasCurso(course);
+    resultado.completadas += parcial.completadas;
+    resultado.noAsistio += parcial.noAsistio;
+    resultado.canceladas += parcial.canceladas;
+  }
+
+  return resultado;
+};
+
+/**
+ * Cancelar una reserva abierta de un curso cancelado por el ciclo de vida,
+ * devolviendo su cupo (las de la lista de espera no ocupan ninguno)
+ */
+const cancelarReservaPorCurso = (reserva, motivo) => {
+  return cancelarReservaAbierta(reserva, motivo, { porcentajeReembolso: 100 });
+};
+
+/**
+ * Confirmar un curso que alcanzó su cupo mínimo: las reservas pendientes pasan a confirmada
+ */
+const confirmarCurso = async (course) => {
+  // Las reservas con el pago pendiente se confirman al recibir el pago; las de un grupo,
+  // al confirmarse el grupo
+  const reservas = await Reservation.find({
+    curso: course._id,
+    estado: 'pendiente',
+    estadoPago: { $ne: 'pendiente' },
+    grupo: null
+  })
+    .populate('usuario', 'nombre correo idioma');
+
+  let confirmadas = 0;
+  for (const reserva of reservas) {
+    if (!await transicionarReserva(reserva, 'confirmada', 'Curso confirmado al alcanzar el cupo mínimo')) {
+      continue;
+    }
+
+    await notificar('reserva_confirmada', {
+      usuario: reserva.usuario,
+      curso: course,
+      referencia: reserva._id
+    });
+    confirmadas += 1;
+  }
+
+  return confirmadas;
+};
+
+/**
+ * Cancelar un curso que no alcanzó su cupo mínimo: se avisa a los inscritos, se
+ * cancelan sus reservas y sus grupos con reembolso íntegro y se liberan los cupos
+ */
+const cancelarCursoPorCupoMinimo = async (course) => {
+  // Avisar antes de cancelar las reservas: el aviso se envía a los inscritos activos
+  await notificarCancelacionCurso(course, {
+    causa: 'inscripcion_insuficiente',
+    reservaCancelada: true
+  });
+
+  const motivo = 'Curso cancelado por no alcanzar el cupo mínimo';
+
+  // Las reservas de los asistentes de un grupo se cancelan con su grupo
+  const reservas = await Reservation.find({
+    curso: course._id,
+    estado: { $in: ESTADOS_ABIERTOS },
+    grupo: null
+  });
+
+  let canceladas = 0;
+  for (const reserva of reservas) {
+    if (await cancelarReservaPorCurso(reserva, motivo)) {
+      canceladas += 1;
+    }
+  }
+
+  const grupos = await GroupBooking.find({
+    curso: course._id,
+    estado: { $in: ['pendiente', 'confirmada'] }
+  }).select('_id');
+
+  for (const { _id } of grupos) {
+    await cancelarGrupoPorCurso({ grupoId: _id, motivo, causa: 'inscripcion_insuficiente' });
+  }
+
+  await cancelarRecordatorios(course._id);
+  return canceladas;
+};
+
+/**
+ * Tomar la decisión de viabilidad de los cursos con cupo mínimo cuya fecha de decisión venció
+ */
+const decidirViabilidad = async () => {
+  const resultado = { confirmados: 0, cancelados: 0, reservasConfirmadas: 0, reservasCanceladas: 0 };
+
+  const cursos = await Course.find({
+    estado: 'activo',
+    cupoMinimo: { $gt: 0 },
+    decision: null,
+    fechaDecision: { $lte: new Date() }
+  });
+
+  for (const course of cursos) {
+    // Cada grupo cuenta con todas sus plazas, tengan o no asistente; las reservas de
+    // sus asistentes ya están dentro de esas plazas
+    const inscritos = await Reservation.countDocuments({
+      curso: course._id,
+      estado: { $in: ['pendiente', 'confirmada'] },
+      grupo: null
+    }) + await GroupBooking.contarPlazas(course._id);
+
+    if (inscritos >= course.cupoMinimo) {
+      // Marcar la decisión solo si nadie la tomó antes (otra instancia)
+      const confirmado = await Course.findOneAndUpdate(
+        { _id: course._id, estado: 'activo', decision: null },
+        { $set: { decision: { resultado: 'confirmado', inscritos, fecha: new Date() } } },
+        { new: true }
+      );
+      if (!confirmado) continue;
+
+      await StateTransition.registrar({
+        entidad: 'curso',
+        referencia: course._id,
+        curso: course._id,
+        estadoAnterior: course.estado,
+        estadoNuevo: course.estado,
+        motivo: `Curso confirmado: ${inscritos} de ${course.cupoMinimo} participantes mínimos`
+      });
+
+      resultado.confirmados += 1;
+      resultado.reservasConfirmadas += await confirmarCurso(confirmado);
+      continue;
+    }
+
+    const cancelado = await transicionarCurso(
+      course,
+      'cancelado',
+      `Cupo mínimo no alcanzado: ${inscritos} de ${course.cupoMinimo} participantes`,
+      { decision: { resultado: 'cancelado', inscritos, fecha: new Date() } }
+    );
+    if (!cancelado) continue;
+
+    resultado.cancelados += 1;
+    resultado.reservasCanceladas += await cancelarCursoPorCupoMinimo(cancelado);
+  }
+
+  return resultado;
+};
+
+/**
+ * Cancelar las reservas con tarjeta que no se pagaron dentro de su plazo y liberar sus cupos
+ */
+const expirarReservasImpagas = async () => {
+  const reservas = await Reservation.find({
+    estado: 'pendiente',
+    estadoPago: 'pendiente',
+    fechaLimitePago: { $lte: new Date() }
+  });
+
+  let expiradas = 0;
+  for (const reserva of reservas) {
+    const cancelada = await cancelarReservaAbierta(
+      reserva,
+      'Plazo de pago vencido',
+      {},
+      session => promoverListaEspera(reserva.curso, session)
+    );
+    if (!cancelada) continue;
+
+    // El intento se anula en la pasarela fuera de la transacción; si el cobro llega
+    // igualmente, se reembolsa como pago tardío
+    await cerrarIntentosPendientes(reserva._id, 'expirado');
+
+    await notificar('reserva_cancelada', {
+      usuario: reserva.usuario,
+      curso: reserva.curso,
+      referencia: reserva._id
+    });
+    expiradas += 1;
+  }
+
+  return expiradas;
+};
+
+/**
+ * Ejecutar un ciclo completo de transiciones automáticas
+ */
+const ejecutarCicloVida = async () => {
+  // Evitar ciclos solapados dentro del mismo proceso
+  if (procesando) return null;
+  procesando = true;
+
+  try {
+    const reservasExpiradas = await expirarReservasImpagas();
+    const viabilidad = await decidirViabilidad();
+    const cursosFinalizados = await finalizarCursos();
+    const reservas = await cerrarReservasPendientes();
+
+    return {
+      cursosConfirmados: viabilidad.confirmados,
+      cursosCancelados: viabilidad.cancelados,
+      cursosFinalizados,
+      reservasConfirmadas: viabilidad.reservasConfirmadas,
+      reservasCompletadas: reservas.completadas,
+      reservasNoAsistio: reservas.noAsistio,
+      reservasCanceladas: viabilidad.reservasCanceladas + reservas.canceladas,
+      reservasExpiradas
+    };
+  } finally {
+    procesando = false;
+  }
+};
+
+/**
+ * Iniciar la ejecución periódica del ciclo de vida
+ */
+const iniciarCicloVida = (intervaloMs = parseInt(process.env.LIFECYCLE_INTERVAL_MS) || 300000) => {
+  const timer = setInterval(() => {
+    ejecutarCicloVida().catch(error => console.error('Error en el ciclo de vida de cursos:', error));
+  }, intervaloMs);
+
+  // No mantener vivo el proceso solo por el ciclo de vida
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ejecutarCicloVida,
+  iniciarCicloVida
+};
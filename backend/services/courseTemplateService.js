@@ -0,0 +1,173 @@
+/**
+ * Servicio de Plantillas de Cursos
+ * Calcula las fechas de una regla de recurrencia, genera ediciones y propaga cambios
+ */
+
+const Course = require('../models/Course');
+const Reservation = require('../models/Reservation');
+const { createError } = require('../middleware/errorHandler');
+const { programarRecordatorios } = require('./reminderService');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+const MAX_EDICIONES = 52;
+const MAX_ITERACIONES = 1000;
+
+/**
+ * Calcular las fechas de inicio de las ediciones futuras de una plantilla.
+ * `repeticiones` cuenta la serie completa desde la primera edición (fechaInicio de la plantilla),
+ * `hasta` corta la serie y solo se devuelven fechas posteriores a `desde`.
+ */
+const calcularFechasEdiciones = (template, { desde = new Date(), maximo = MAX_EDICIONES } = {}) => {
+  const regla = template.recurrencia;
+  const inicio = new Date(template.fechaInicio);
+  const fechas = [];
+  let ocurrencias = 0;
+
+  // Registra una ocurrencia; devuelve false cuando la serie terminó
+  const agregar = (fecha) => {
+    if (regla.hasta && fecha > regla.hasta) return false;
+    ocurrencias += 1;
+    if (regla.repeticiones && ocurrencias > regla.repeticiones) return false;
+    if (fecha > desde) fechas.push(fecha);
+    return fechas.length < maximo;
+  };
+
+  if (regla.frecuencia === 'personalizada') {
+    const personalizadas = [...regla.fechas]
+      .map(fecha => new Date(fecha))
+      .sort((a, b) => a - b);
+    for (const fecha of personalizadas) {
+      if (!agregar(fecha)) break;
+    }
+    return fechas;
+  }
+
+  const intervalo = regla.intervalo || 1;
+
+  if (regla.frecuencia === 'semanal') {
+    const dias = regla.diasSemana.length > 0
+      ? [...new Set(regla.diasSemana)].sort((a, b) => a - b)
+      : [inicio.getUTCDay()];
+    const inicioSemana = inicio.getTime() - inicio.getUTCDay() * DIA_MS;
+
+    for (let i = 0; i < MAX_ITERACIONES; i++) {
+      const semana = i * intervalo;
+      for (const dia of dias) {
+        const fecha = new Date(inicioSemana + (semana * 7 + dia) * DIA_MS);
+        if (fecha < inicio) continue;
+        if (!agregar(fecha)) return fechas;
+      }
+    }
+    return fechas;
+  }
+
+  // Mensual: mismo día del mes; los meses sin ese día se omiten (como en RRULE)
+  const dia = inicio.getUTCDate();
+  for (let i = 0; i < MAX_ITERACIONES; i++) {
+    const fecha = new Date(Date.UTC(
+      inicio.getUTCFullYear(),
+      inicio.getUTCMonth() + i * intervalo,
+      dia,
+      inicio.getUTCHours(),
+      inicio.getUTCMinutes(),
+      inicio.getUTCSeconds()
+    ));
+    if (fecha.getUTCDate() !== dia) continue;
+    if (!agregar(fecha)) break;
+  }
+  return fechas;
+};
+
+/**
+ * Previsualizar las ediciones que generaría la plantilla, marcando las ya existentes
+ */
+const previsualizarEdiciones = async (template) => {
+  const fechas = calcularFechasEdiciones(template);
+  const existentes = await Course.find({ plantilla: template._id }).select('fechaInicio');
+  const porFecha = new Map(existentes.map(curso => [curso.fechaInicio.getTime(), curso._id]));
+
+  return fechas.map(fechaInicio => ({
+    fechaInicio,
+    fechaFin: new Date(fechaInicio.getTime() + template.duracionEdicionMs),
+    existente: porFecha.has(fechaInicio.getTime()),
+    cursoId: porFecha.get(fechaInicio.getTime()) || null
+  }));
+};
+
+/**
+ * Generar las ediciones pendientes de la plantilla.
+ * Si se indican `fechasSeleccionadas`, solo se crean las que coincidan con la previsualización.
+ */
+const generarEdiciones = async (template, usuarioId, fechasSeleccionadas = null) => {
+  if (!template.activa) {
+    throw createError('La plantilla está desactivada', 400);
+  }
+
+  const previsualizacion = await previsualizarEdiciones(template);
+  let pendientes = previsualizacion.filter(edicion => !edicion.existente);
+
+  if (fechasSeleccionadas) {
+    const seleccion = new Set(fechasSeleccionadas.map(fecha => new Date(fecha).getTime()));
+    pendientes = pendientes.filter(edicion => seleccion.has(edicion.fechaInicio.getTime()));
+  }
+
+  if (pendientes.length === 0) {
+    throw createError('No hay ediciones nuevas para generar', 400);
+  }
+
+  // create() ejecuta los hooks de guardado (orden de sesiones, cupo inicial)
+  const ediciones = await Course.create(
+    pendientes.map(edicion => ({
+      ...template.construirEdicion(edicion.fechaInicio),
+      creadoPor: usuarioId
+    }))
+  );
+
+  for (const edicion of ediciones) {
+    await programarRecordatorios(edicion);
+  }
+
+  return ediciones;
+};
+
+/**
+ * Propagar los campos de la plantilla a las ediciones futuras que aún no tienen reservas
+ */
+const propagarCambios = async (template) => {
+  const ediciones = await Course.find({
+    plantilla: template._id,
+    estado: { $in: ['borrador', 'activo'] },
+    fechaInicio: { $gt: new Date() }
+  });
+
+  const resultado = { actualizadas: [], omitidas: [] };
+
+  for (const edicion of ediciones) {
+    const tieneReservas = await Reservation.exists({ curso: edicion._id });
+    if (tieneReservas) {
+      resultado.omitidas.push(edicion._id);
+      continue;
+    }
+
+    const datos = template.construirEdicion(edicion.fechaInicio);
+    template.constructor.camposEdicion().forEach(campo => {
+      edicion.set(campo, datos[campo]);
+    });
+    edicion.cupoDisponible = datos.cupoDisponible;
+    edicion.fechaFin = datos.fechaFin;
+    edicion.fechaDecision = datos.fechaDecision;
+    edicion.sesiones = datos.sesiones;
+
+    await edicion.save();
+    resultado.actualizadas.push(edicion._id);
+  }
+
+  return resultado;
+};
+
+module.exports = {
+  calcularFechasEdiciones,
+  previsualizarEdiciones,
+  generarEdiciones,
+  propagarCambios
+};
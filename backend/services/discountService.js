@@ -0,0 +1,117 @@
+/**
+ * Servicio de Códigos de Descuento
+ * Validación de un código contra un curso y un usuario, canje atómico de sus usos
+ * (totales y por usuario) y estadísticas de canje a partir de las reservas que lo aplicaron
+ */
+
+const DiscountCode = require('../models/DiscountCode');
+const DiscountCodeUsage = require('../models/DiscountCodeUsage');
+const Reservation = require('../models/Reservation');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Comprobar que un código se puede aplicar a la reserva de un usuario en un curso
+ * y calcular el importe que descuenta sobre `precio` (por defecto, el precio actual)
+ */
+const evaluarCodigo = async ({ codigo, course, precio = course.precioActual, usuarioId, session = null }) => {
+  const cupon = await DiscountCode.findByCodigo(codigo).session(session);
+  const ahora = new Date();
+
+  if (!cupon || !cupon.activo) {
+    throw createError('El código de descuento no es válido', 400);
+  }
+
+  if (cupon.fechaInicio && ahora < cupon.fechaInicio) {
+    throw createError('El código de descuento todavía no está disponible', 400);
+  }
+
+  if (cupon.fechaFin && ahora > cupon.fechaFin) {
+    throw createError('El código de descuento ha caducado', 400);
+  }
+
+  if (!cupon.estaVigente(ahora)) {
+    throw createError('El código de descuento ya no tiene usos disponibles', 400);
+  }
+
+  if (!(precio > 0)) {
+    throw createError('Este curso es gratuito: no admite códigos de descuento', 400);
+  }
+
+  if (!cupon.aplicaA(course)) {
+    throw createError('El código de descuento no es válido para este curso', 400);
+  }
+
+  // Cada reserva que aplicó el código cuenta como un uso, aunque luego se cancelara
+  const usosUsuario = await Reservation.countDocuments({ 'descuento.cupon': cupon._id, usuario: usuarioId })
+    .session(session);
+  if (usosUsuario >= cupon.usosPorUsuario) {
+    throw createError('Ya has usado este código de descuento el máximo de veces permitido', 400);
+  }
+
+  return { cupon, descuento: cupon.calcularDescuento(precio) };
+};
+
+/**
+ * Consumir un uso del código para un usuario. Ambos límites se aplican con incrementos
+ * condicionales, así que fallan si otra reserva simultánea agotó los usos del código o
+ * los del usuario entre la validación y el canje.
+ */
+const canjearCodigo = async (cupon, usuarioId, session = null) => {
+  const usoUsuario = await DiscountCodeUsage.canjearAtomico(cupon._id, usuarioId, cupon.usosPorUsuario, session);
+  if (!usoUsuario) {
+    throw createError('Ya has usado este código de descuento el máximo de veces permitido', 400);
+  }
+
+  const canjeado = await DiscountCode.canjearAtomico(cupon._id, session);
+  if (!canjeado) {
+    await DiscountCodeUsage.liberarAtomico(cupon._id, usuarioId, session);
+    throw createError('El código de descuento ya no tiene usos disponibles', 400);
+  }
+  return canjeado;
+};
+
+/**
+ * Devolver el uso de un código que no llegó a aplicarse
+ */
+const liberarCodigo = async (cuponId, usuarioId) => {
+  await DiscountCode.liberarUsoAtomico(cuponId);
+  await DiscountCodeUsage.liberarAtomico(cuponId, usuarioId);
+};
+
+/**
+ * Estadísticas de canje de un conjunto de códigos, indexadas por id
+ */
+const estadisticasCanje = async (cuponIds) => {
+  const grupos = await Reservation.aggregate([
+    { $match: { 'descuento.cupon': { $in: cuponIds } } },
+    {
+      $group: {
+        _id: '$descuento.cupon',
+        reservas: { $sum: 1 },
+        canceladas: { $sum: { $cond: [{ $eq: ['$estado', 'cancelada'] }, 1, 0] } },
+        totalDescontado: { $sum: '$descuento.importe' },
+        importeCobrado: { $sum: '$precioPagado' },
+        usuarios: { $addToSet: '$usuario' }
+      }
+    }
+  ]);
+
+  const estadisticas = {};
+  grupos.forEach(grupo => {
+    estadisticas[grupo._id.toString()] = {
+      reservas: grupo.reservas,
+      canceladas: grupo.canceladas,
+      totalDescontado: Math.round(grupo.totalDescontado * 100) / 100,
+      importeCobrado: Math.round(grupo.importeCobrado * 100) / 100,
+      usuarios: grupo.usuarios.length
+    };
+  });
+  return estadisticas;
+};
+
+module.exports = {
+  evaluarCodigo,
+  canjearCodigo,
+  liberarCodigo,
+  estadisticasCanje
+};
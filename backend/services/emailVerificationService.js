@@ -0,0 +1,119 @@
+/**
+ * Servicio de Verificación de Correo
+ * Envío y confirmación de los enlaces que verifican el correo de una cuenta, tanto al
+ * registrarse como al cambiar de correo desde el perfil (el nuevo no se aplica hasta
+ * confirmarlo)
+ */
+
+const User = require('../models/User');
+const { createError } = require('../middleware/errorHandler');
+const { notificar } = require('./notificationService');
+const { reclamarInvitaciones } = require('./groupBookingService');
+
+/**
+ * Generar un token de verificación y enviarlo al correo pendiente o, si no hay, al
+ * correo de la cuenta. Cualquier enlace enviado antes deja de valer.
+ */
+const enviarVerificacion = async (user) => {
+  const token = user.generarTokenVerificacion();
+  await user.save({ validateModifiedOnly: true });
+
+  const destino = user.correoPendiente || user.correo;
+  await notificar('verificar_correo', {
+    usuario: user,
+    correo: destino,
+    datos: {
+      token,
+      horas: Math.round((user.tokenVerificacionExpira - Date.now()) / 3600000),
+      cambio: !!user.correoPendiente
+    },
+    referencia: user._id
+  });
+};
+
+/**
+ * Reenviar el enlace de verificación respetando la espera mínima entre envíos
+ */
+const reenviarVerificacion = async (user) => {
+  if (user.correoVerificado && !user.correoPendiente) {
+    throw createError('Tu correo ya está verificado', 400);
+  }
+
+  const minutos = user.minutosParaReenviarVerificacion();
+  if (minutos > 0) {
+    throw createError(
+      `Espera ${minutos} minuto${minutos === 1 ? '' : 's'} antes de pedir otro correo de verificación`,
+      429
+    );
+  }
+
+  await enviarVerificacion(user);
+};
+
+/**
+ * Pedir el cambio de correo de una cuenta: el nuevo queda pendiente hasta que se
+ * confirme desde esa dirección. Indicar el correo actual cancela un cambio pendiente.
+ */
+const solicitarCambioCorreo = async (user, correo) => {
+  if (correo === user.correo) {
+    if (user.correoPendiente) {
+      user.correoPendiente = null;
+      await user.save({ validateModifiedOnly: true });
+    }
+    return false;
+  }
+
+  if (correo === user.correoPendiente) {
+    await reenviarVerificacion(user);
+    return true;
+  }
+
+  if (await User.existsByEmail(correo)) {
+    throw createError('El correo ya está registrado', 409);
+  }
+
+  const minutos = user.minutosParaReenviarVerificacion();
+  if (minutos > 0) {
+    throw createError(
+      `Espera ${minutos} minuto${minutos === 1 ? '' : 's'} antes de volver a cambiar el correo`,
+      429
+    );
+  }
+
+  user.correoPendiente = correo;
+  await enviarVerificacion(user);
+  return true;
+};
+
+/**
+ * Confirmar un correo con el token del enlace. El token se consume aunque el cambio
+ * falle después, porque el correo nuevo puede haberse registrado mientras tanto.
+ */
+const confirmarVerificacion = async (token) => {
+  const user = await User.consumirTokenVerificacion(token);
+  if (!user) {
+    throw createError('El enlace de verificación no es válido o ha caducado', 400);
+  }
+
+  if (user.correoPendiente && await User.existsByEmail(user.correoPendiente)) {
+    user.correoPendiente = null;
+    await user.save({ validateModifiedOnly: true });
+    throw createError('El correo ya está registrado en otra cuenta', 409);
+  }
+
+  await user.aplicarVerificacion();
+
+  // Las plazas de grupo asignadas a este correo pasan a ser reservas del usuario
+  await reclamarInvitaciones(user).catch(error => {
+    console.error('Error reclamando invitaciones de grupo:', error);
+  });
+
+  return user;
+};
+
+module.exports = {
+  enviarVerificacion,
+  reenviarVerificacion,
+  solicitarCambioCorreo,
+  confirmarVerificacion
+};
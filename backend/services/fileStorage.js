@@ -0,0 +1,39 @@
+/**
+ * Almacenamiento de Archivos
+ * Registro de adaptadores de almacenamiento intercambiables. Cada adaptador expone:
+ * - nombre: identificador que se guarda junto a cada archivo
+ * - guardar({ carpeta, contenido, extension }) -> { clave }
+ * - leer(clave) -> Buffer
+ * - eliminar(clave)
+ * El adaptador para los archivos nuevos se elige con STORAGE_DRIVER (por defecto, disco local);
+ * los ya guardados se leen siempre con el adaptador con el que se escribieron
+ */
+
+const localFileStorage = require('./localFileStorage');
+
+const adaptadores = {
+  [localFileStorage.nombre]: localFileStorage
+};
+
+/**
+ * Registrar un adaptador adicional (por ejemplo, un almacenamiento de objetos en la nube)
+ */
+const registrarAdaptador = (adaptador) => {
+  adaptadores[adaptador.nombre] = adaptador;
+};
+
+/**
+ * Obtener un adaptador por nombre; sin nombre, el configurado en el entorno
+ */
+const obtenerAdaptador = (nombre = process.env.STORAGE_DRIVER || localFileStorage.nombre) => {
+  const adaptador = adaptadores[nombre];
+  if (!adaptador) {
+    throw new Error(`Almacenamiento de archivos desconocido: ${nombre}`);
+  }
+  return adaptador;
+};
+
+module.exports = {
+  registrarAdaptador,
+  obtenerAdaptador
+};
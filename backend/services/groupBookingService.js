@@ -0,0 +1,597 @@
+/**
+ * Servicio de Reservas de Grupo
+ * El organizador toma varias plazas de un curso en un solo paso y las asigna por correo.
+ * Cada asistente con cuenta recibe su propia reserva dentro del grupo; los correos sin
+ * cuenta quedan como invitación y la reserva se crea cuando esa persona se registra.
+ * Los cupos pertenecen al grupo: quitar o sustituir a un asistente no los devuelve al
+ * curso, solo cancelar el grupo entero.
+ */
+
+const GroupBooking = require('../models/GroupBooking');
+const Reservation = require('../models/Reservation');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { withTransaction } = require('../utils/transaction');
+const { createError } = require('../middleware/errorHandler');
+const { notificar } = require('./notificationService');
+const { promoverListaEspera, comprobarVentanaInscripcion } = require('./reservationService');
+const { registrarReembolsoGrupo } = require('./refundService');
+
+const redondear = (importe) => Math.round(importe * 100) / 100;
+
+const normalizarCorreo = (correo) => String(correo).toLowerCase().trim();
+
+/**
+ * Sin transacción no hay rollback: deshacer a mano, en orden inverso, lo ya aplicado
+ */
+const deshacer = async (session, compensaciones) => {
+  if (session) return;
+  for (const compensar of compensaciones.reverse()) {
+    await compensar();
+  }
+};
+
+/**
+ * Cargar un grupo con su curso comprobando que el usuario sea el organizador o un admin
+ */
+const cargarGrupo = async (grupoId, usuario, session = null) => {
+  const grupo = await GroupBooking.findById(grupoId)
+    .populate('curso')
+    .session(session);
+
+  if (!grupo) {
+    throw createError('Reserva de grupo no encontrada', 404);
+  }
+
+  if (usuario.rol !== 'admin' && !grupo.organizador.equals(usuario._id)) {
+    throw createError('No tienes permisos para gestionar esta reserva de grupo', 403);
+  }
+
+  return grupo;
+};
+
+/**
+ * Comprobar que el organizador aún puede cambiar los asistentes (un admin no tiene plazo)
+ */
+const comprobarPlazoCambios = (grupo, usuario) => {
+  if (grupo.estado === 'cancelada') {
+    throw createError('La reserva de grupo está cancelada', 400);
+  }
+
+  if (usuario.rol !== 'admin' && !grupo.admiteCambios(grupo.curso)) {
+    throw createError('El plazo para cambiar los asistentes del grupo ha vencido', 400);
+  }
+};
+
+/**
+ * Asignar una plaza libre del grupo a un correo. Si el correo tiene cuenta se crea su
+ * reserva dentro del grupo; si no, la plaza queda reservada a su nombre como invitación.
+ * Devuelve la persona a notificar.
+ */
+const asignarPlaza = async (grupo, correo, session, compensaciones) => {
+  const correoNormalizado = normalizarCorreo(correo);
+
+  if (grupo.buscarAsistente(correoNormalizado)) {
+    throw createError(`${correoNormalizado} ya tiene una plaza en este grupo`, 409);
+  }
+
+  if (grupo.plazasLibres <= 0) {
+    throw createError('No quedan plazas libres en el grupo', 400);
+  }
+
+  const cursoId = grupo.populated('curso') || grupo.curso;
+  const usuario = await User.findOne({ correo: correoNormalizado, activo: true })
+    .select('nombre correo idioma')
+    .session(session);
+
+  let reserva = null;
+  if (usuario) {
+    const existingReservation = await Reservation.userHasReservation(usuario._id, cursoId).session(session);
+    if (existingReservation) {
+      throw createError(`${correoNormalizado} ya tiene una reserva activa para este curso`, 409);
+    }
+
+    // La plaza ya está pagada (o pendiente de pago) en el grupo: la reserva no cobra nada
+    reserva = new Reservation({
+      usuario: usuario._id,
+      curso: cursoId,
+      grupo: grupo._id,
+      estado: grupo.estado === 'confirmada' ? 'confirmada' : 'pendiente'
+    });
+
+    try {
+      await reserva.save({ session });
+    } catch (error) {
+      // El índice único (usuario, curso) también cuenta las reservas canceladas
+      if (error.code === 11000) {
+        throw createError(`${correoNormalizado} ya tiene una reserva registrada para este curso`, 409);
+      }
+      throw createError(error.message, 400);
+    }
+    compensaciones.push(() => Reservation.deleteOne({ _id: reserva._id }));
+  }
+
+  grupo.asistentes.push({
+    correo: correoNormalizado,
+    usuario: usuario ? usuario._id : null,
+    reserva: reserva ? reserva._id : null
+  });
+
+  return { correo: correoNormalizado, usuario };
+};
+
+/**
+ * Eliminar la reserva de un asistente que deja el grupo (su plaza sigue siendo del grupo)
+ */
+const eliminarReservaAsistente = (asistente, session) => {
+  if (!asistente.reserva) return null;
+  return Reservation.deleteOne({
+    _id: asistente.reserva,
+    estado: { $in: ['pendiente', 'confirmada'] }
+  }).session(session);
+};
+
+/**
+ * Buscar la plaza de un correo en el grupo
+ */
+const obtenerAsistente = (grupo, correo) => {
+  const asistente = grupo.buscarAsistente(correo);
+  if (!asistente) {
+    throw createError('Ese correo no tiene ninguna plaza en el grupo', 404);
+  }
+  return asistente;
+};
+
+/**
+ * Avisar a los asistentes recién asignados; a los que no tienen cuenta se les invita a registrarse
+ */
+const notificarAsignaciones = async (grupo, asignados, organizadorId) => {
+  if (asignados.length === 0) return;
+
+  const organizador = await User.findById(organizadorId).select('nombre');
+  for (const { correo, usuario } of asignados) {
+    await notificar('plaza_grupo_asignada', {
+      usuario,
+      correo,
+      curso: grupo.curso,
+      datos: { nombreOrganizador: organizador.nombre, registrado: !!usuario },
+      referencia: grupo._id
+    });
+  }
+};
+
+/**
+ * Crear una reserva de grupo tomando todas las plazas del curso de una vez.
+ * Cada plaza se cobra al precio del tramo que le corresponde por su número de plaza.
+ * Opcionalmente se asignan ya algunos asistentes.
+ */
+const crearReservaGrupo = async ({ organizadorId, cursoId, plazas, metodoPago = 'gratuito', notas, correos = [] }) => {
+  if (correos.length > plazas) {
+    throw createError('Hay más asistentes que plazas en el grupo', 400);
+  }
+
+  let asignados = [];
+
+  const grupo = await withTransaction(async (session) => {
+    const compensaciones = [];
+
+    const course = await Course.findById(cursoId).session(session);
+    if (!course) {
+      throw createError('Curso no encontrado', 404);
+    }
+
+    if (course.estado !== 'activo' || course.fechaInicio <= new Date()) {
+      throw createError('El curso no está disponible para reservas', 400);
+    }
+
+    comprobarVentanaInscripcion(course);
+
+    // El organizador asigna las plazas a cualquier correo: saltaría la lista de acceso
+    if (course.visibilidad === 'privado') {
+      throw createError('Los cursos privados no admiten reservas de grupo', 400);
+    }
+
+    if (new Date() >= GroupBooking.calcularLimiteCambios(course)) {
+      throw createError('Ya no se admiten reservas de grupo para este curso', 400);
+    }
+
+    // Todas las plazas o ninguna: el $inc condicional falla si no quedan suficientes
+    const actualizado = await Course.reservarCuposAtomico(cursoId, plazas, session);
+    if (!actualizado) {
+      throw createError(`No quedan ${plazas} plazas libres en este curso`, 400);
+    }
+    compensaciones.push(() => Course.liberarCuposAtomico(cursoId, plazas));
+
+    try {
+      // Con los cupos ya tomados, las plazas del grupo son las últimas `plazas` inscritas
+      const primeraPlaza = actualizado.inscritos - plazas + 1;
+      const ahora = new Date();
+      const preciosPlazas = Array.from({ length: plazas }, (_, i) =>
+        actualizado.calcularPrecio(ahora, primeraPlaza + i)
+      );
+      const precioTotal = redondear(preciosPlazas.reduce((total, precio) => total + precio, 0));
+
+      if (precioTotal > 0 && metodoPago === 'gratuito') {
+        throw createError('Este curso es de pago: elige un método de pago', 400);
+      }
+
+      const grupo = new GroupBooking({
+        organizador: organizadorId,
+        curso: cursoId,
+        plazas,
+        preciosPlazas,
+        precioTotal,
+        metodoPago: precioTotal > 0 ? metodoPago : 'gratuito',
+        estado: precioTotal > 0 ? 'pendiente' : 'confirmada',
+        estadoPago: precioTotal > 0 ? 'pendiente' : 'no_requerido',
+        notas
+      });
+
+      // Primero los asistentes (necesitan el _id del grupo) y después el grupo
+      grupo.curso = actualizado;
+      asignados = [];
+      for (const correo of correos) {
+        asignados.push(await asignarPlaza(grupo, correo, session, compensaciones));
+      }
+
+      await grupo.save({ session });
+      return grupo;
+    } catch (error) {
+      await deshacer(session, compensaciones);
+      throw error;
+    }
+  });
+
+  grupo.$session(null);
+  grupo.curso.$session(null);
+
+  await notificarAsignaciones(grupo, asignados, organizadorId);
+
+  return grupo;
+};
+
+/**
+ * Asignar plazas libres del grupo a nuevos asistentes
+ */
+const agregarAsistentes = async ({ grupoId, usuario, correos }) => {
+  let asignados = [];
+
+  const grupo = await withTransaction(async (session) => {
+    const compensaciones = [];
+
+    const grupo = await cargarGrupo(grupoId, usuario, session);
+    comprobarPlazoCambios(grupo, usuario);
+
+    if (correos.length > grupo.plazasLibres) {
+      throw createError(`Solo quedan ${grupo.plazasLibres} plazas libres en el grupo`, 400);
+    }
+
+    try {
+      asignados = [];
+      for (const correo of correos) {
+        asignados.push(await asignarPlaza(grupo, correo, session, compensaciones));
+      }
+      await grupo.save({ session });
+    } catch (error) {
+      await deshacer(session, compensaciones);
+      throw error;
+    }
+
+    return grupo;
+  });
+
+  grupo.$session(null);
+  grupo.curso.$session(null);
+
+  await notificarAsignaciones(grupo, asignados, grupo.organizador);
+
+  return grupo;
+};
+
+/**
+ * Quitar a un asistente del grupo dejando su plaza libre para otra persona
+ */
+const quitarAsistente = async ({ grupoId, usuario, correo }) => {
+  const grupo = await withTransaction(async (session) => {
+    const grupo = await cargarGrupo(grupoId, usuario, session);
+    comprobarPlazoCambios(grupo, usuario);
+
+    const asistente = obtenerAsistente(grupo, correo);
+    grupo.asistentes.pull(asistente);
+    await eliminarReservaAsistente(asistente, session);
+    await grupo.save({ session });
+
+    return grupo;
+  });
+
+  grupo.$session(null);
+  grupo.curso.$session(null);
+
+  return grupo;
+};
+
+/**
+ * Sustituir a un asistente por otra persona en un solo paso
+ */
+const sustituirAsistente = async ({ grupoId, usuario, correo, nuevoCorreo }) => {
+  let asignado;
+
+  const grupo = await withTransaction(async (session) => {
+    const compensaciones = [];
+
+    const grupo = await cargarGrupo(grupoId, usuario, session);
+    comprobarPlazoCambios(grupo, usuario);
+
+    if (normalizarCorreo(correo) === normalizarCorreo(nuevoCorreo)) {
+      throw createError('El nuevo asistente debe ser una persona distinta', 400);
+    }
+
+    // La plaza del saliente queda libre para el nuevo asistente; su reserva solo se
+    // elimina si la nueva asignación sale bien
+    const saliente = obtenerAsistente(grupo, correo);
+    grupo.asistentes.pull(saliente);
+
+    try {
+      asignado = await asignarPlaza(grupo, nuevoCorreo, session, compensaciones);
+    } catch (error) {
+      await deshacer(session, compensaciones);
+      throw error;
+    }
+
+    await eliminarReservaAsistente(saliente, session);
+    await grupo.save({ session });
+    return grupo;
+  });
+
+  grupo.$session(null);
+  grupo.curso.$session(null);
+
+  await notificarAsignaciones(grupo, [asignado], grupo.organizador);
+
+  return grupo;
+};
+
+/**
+ * Crear las reservas de las invitaciones de grupo dirigidas al correo de un usuario recién
+ * registrado. La plaza se reclama con una actualización condicional para no asignarla dos veces.
+ */
+const reclamarInvitaciones = async (user) => {
+  const grupos = await GroupBooking.findInvitaciones(user.correo);
+
+  let reclamadas = 0;
+  for (const grupo of grupos) {
+    if (!grupo.curso || grupo.curso.estado !== 'activo' || grupo.curso.fechaInicio <= new Date()) {
+      continue;
+    }
+
+    const existingReservation = await Reservation.userHasReservation(user._id, grupo.curso._id);
+    if (existingReservation) continue;
+
+    const reserva = new Reservation({
+      usuario: user._id,
+      curso: grupo.curso._id,
+      grupo: grupo._id,
+      estado: grupo.estado === 'confirmada' ? 'confirmada' : 'pendiente'
+    });
+
+    try {
+      await reserva.save();
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    const { modifiedCount } = await GroupBooking.updateOne(
+      {
+        _id: grupo._id,
+        estado: { $in: ['pendiente', 'confirmada'] },
+        asistentes: { $elemMatch: { correo: user.correo, usuario: null } }
+      },
+      { $set: { 'asistentes.$.usuario': user._id, 'asistentes.$.reserva': reserva._id } }
+    );
+
+    // La invitación se retiró o el grupo se canceló mientras tanto
+    if (modifiedCount === 0) {
+      await Reservation.deleteOne({ _id: reserva._id });
+      continue;
+    }
+
+    reclamadas += 1;
+  }
+
+  return reclamadas;
+};
+
+/**
+ * Confirmar un grupo dando por recibido su pago; sus reservas pendientes pasan a confirmada
+ */
+const confirmarGrupo = async (grupoId) => {
+  const ahora = new Date();
+
+  const grupo = await GroupBooking.findOne({ _id: grupoId });
+  if (!grupo) {
+    throw createError('Reserva de grupo no encontrada', 404);
+  }
+
+  const confirmado = await GroupBooking.findOneAndUpdate(
+    { _id: grupoId, estado: 'pendiente' },
+    {
+      $set: {
+        estado: 'confirmada',
+        ...(grupo.estadoPago === 'pendiente' ? { estadoPago: 'pagado', fechaPago: ahora } : {})
+      }
+    },
+    { new: true }
+  ).populate('curso', 'titulo fechaInicio ubicacion');
+
+  if (!confirmado) {
+    throw createError('Solo se pueden confirmar reservas de grupo pendientes', 400);
+  }
+
+  await Reservation.updateMany(
+    { grupo: confirmado._id, estado: 'pendiente' },
+    { $set: { estado: 'confirmada' } }
+  );
+
+  await notificar('reserva_confirmada', {
+    usuario: confirmado.organizador,
+    curso: confirmado.curso,
+    referencia: confirmado._id
+  });
+
+  for (const asistente of confirmado.asistentes.filter(a => a.usuario && !a.usuario.equals(confirmado.organizador))) {
+    await notificar('reserva_confirmada', {
+      usuario: asistente.usuario,
+      curso: confirmado.curso,
+      referencia: asistente.reserva
+    });
+  }
+
+  return confirmado;
+};
+
+/**
+ * Cancelar un grupo que aún no se ha pagado: se cancelan las reservas de sus asistentes,
+ * todas sus plazas vuelven al curso y pasan a la lista de espera
+ */
+const cancelarGrupo = async ({ grupoId, usuario, motivo }) => {
+  let canceladas = [];
+
+  const grupo = await withTransaction(async (session) => {
+    const grupo = await cargarGrupo(grupoId, usuario, session);
+
+    if (grupo.estado === 'cancelada') {
+      throw createError('La reserva de grupo ya está cancelada', 400);
+    }
+
+    // El cobro del grupo no se reparte entre reservas: su devolución la gestiona un administrador
+    if (grupo.estadoPago === 'pagado') {
+      throw createError('Un grupo ya pagado no se puede cancelar en línea; contacta con administración', 400);
+    }
+
+    if (usuario.rol !== 'admin' && grupo.curso.fechaInicio <= new Date()) {
+      throw createError('No se puede cancelar un grupo de un curso que ya comenzó', 400);
+    }
+
+    const ahora = new Date();
+    const actualizado = await GroupBooking.findOneAndUpdate(
+      { _id: grupo._id, estado: grupo.estado },
+      { $set: { estado: 'cancelada', fechaCancelacion: ahora, motivoCancelacion: motivo } },
+      { new: true, session }
+    ).populate('curso', 'titulo fechaInicio ubicacion');
+
+    if (!actualizado) {
+      throw createError('La reserva de grupo cambió mientras se cancelaba, vuelve a intentarlo', 409);
+    }
+
+    canceladas = await Reservation.find({
+      grupo: grupo._id,
+      estado: { $in: ['pendiente', 'confirmada'] }
+    }).select('usuario').session(session);
+
+    await Reservation.updateMany(
+      { grupo: grupo._id, estado: { $in: ['pendiente', 'confirmada'] } },
+      { $set: { estado: 'cancelada', fechaCancelacion: ahora, motivoCancelacion: motivo } },
+      { session }
+    );
+
+    await Course.liberarCuposAtomico(grupo.curso._id, grupo.plazas, session);
+
+    // Cada plaza liberada pasa al siguiente de la lista de espera
+    for (let i = 0; i < grupo.plazas; i++) {
+      if (!await promoverListaEspera(grupo.curso._id, session)) break;
+    }
+
+    return actualizado;
+  });
+
+  grupo.$session(null);
+
+  for (const reserva of canceladas) {
+    await notificar('reserva_cancelada', {
+      usuario: reserva.usuario,
+      curso: grupo.curso,
+      datos: { porcentajeReembolso: null },
+      referencia: reserva._id
+    });
+  }
+
+  return grupo;
+};
+
+/**
+ * Cancelar un grupo porque se cancela su curso: se cancelan las reservas de sus
+ * asistentes, sus plazas vuelven al curso y, si estaba pagado, se registra la devolución
+ * íntegra al organizador. Se avisa al organizador y a los invitados sin cuenta; los
+ * asistentes con reserva reciben el aviso de cancelación del curso.
+ * Devuelve el grupo cancelado, o null si ya no estaba activo.
+ */
+const cancelarGrupoPorCurso = async ({ grupoId, motivo, causa }) => {
+  const grupo = await withTransaction(async (session) => {
+    const ahora = new Date();
+
+    // Condicional sobre el estado: otra instancia del ciclo de vida puede estar cancelándolo
+    const cancelado = await GroupBooking.findOneAndUpdate(
+      { _id: grupoId, estado: { $in: ['pendiente', 'confirmada'] } },
+      { $set: { estado: 'cancelada', fechaCancelacion: ahora, motivoCancelacion: motivo } },
+      { new: true, session }
+    );
+    if (!cancelado) return null;
+
+    await Reservation.updateMany(
+      { grupo: cancelado._id, estado: { $in: ['pendiente', 'confirmada'] } },
+      {
+        $set: {
+          estado: 'cancelada',
+          fechaCancelacion: ahora,
+          motivoCancelacion: motivo,
+          porcentajeReembolso: 100
+        }
+      },
+      { session }
+    );
+
+    await Course.liberarCuposAtomico(cancelado.curso, cancelado.plazas, session);
+    await registrarReembolsoGrupo(cancelado, session);
+
+    return cancelado;
+  });
+
+  if (!grupo) return null;
+  grupo.$session(null);
+
+  await notificar('curso_cancelado', {
+    usuario: grupo.organizador,
+    curso: grupo.curso,
+    datos: { causa, reservaCancelada: true, grupo: true },
+    referencia: grupo._id
+  });
+
+  for (const invitacion of grupo.asistentes.filter(asistente => !asistente.usuario)) {
+    await notificar('curso_cancelado', {
+      correo: invitacion.correo,
+      curso: grupo.curso,
+      datos: { causa, reservaCancelada: true },
+      referencia: grupo._id
+    });
+  }
+
+  return grupo;
+};
+
+/**
+ * Grupos de un organizador
+ */
+const obtenerGruposOrganizador = (usuarioId) => GroupBooking.findByOrganizer(usuarioId);
+
+module.exports = {
+  crearReservaGrupo,
+  agregarAsistentes,
+  quitarAsistente,
+  sustituirAsistente,
+  reclamarInvitaciones,
+  confirmarGrupo,
+  cancelarGrupo,
+  cancelarGrupoPorCurso,
+  obtenerGruposOrganizador
+};
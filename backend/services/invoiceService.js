@@ -0,0 +1,275 @@
+/**
+ * Servicio de Facturas
+ * Emite la factura de una reserva pagada con numeración anual sin huecos,
+ * genera su PDF y exporta listados para contabilidad
+ */
+
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Reservation = require('../models/Reservation');
+const { withTransaction } = require('../utils/transaction');
+const { createError } = require('../middleware/errorHandler');
+
+// Los precios de los cursos incluyen impuestos; este es el porcentaje que se desglosa
+const TIPO_IMPUESTO = process.env.INVOICE_TAX_RATE !== undefined
+  ? parseFloat(process.env.INVOICE_TAX_RATE)
+  : 21;
+
+const MONEDA = process.env.PAYMENT_CURRENCY || 'USD';
+
+const redondear = (importe) => Math.round(importe * 100) / 100;
+
+/**
+ * Datos fiscales del emisor, tomados de la configuración
+ */
+const datosEmisor = () => ({
+  nombre: process.env.INVOICE_ISSUER_NAME || 'Sistema de Reservas',
+  nif: process.env.INVOICE_ISSUER_TAX_ID,
+  direccion: process.env.INVOICE_ISSUER_ADDRESS
+});
+
+/**
+ * Importe facturable de una reserva: lo cobrado más el saldo a favor aplicado
+ */
+const importeFacturable = (reservation) => {
+  if (reservation.estadoPago !== 'pagado') return 0;
+  return redondear((reservation.precioPagado || 0) + (reservation.creditoAplicado || 0));
+};
+
+/**
+ * Emitir la factura de una reserva pagada (idempotente: si ya existe la devuelve).
+ * El número se toma del contador anual dentro de la misma transacción que guarda la
+ * factura: si el guardado falla, el número vuelve al contador y la serie no tiene huecos.
+ */
+const emitirFactura = async (reservaId) => {
+  const existente = await Invoice.findOne({ reserva: reservaId });
+  if (existente) return existente;
+
+  const reservation = await Reservation.findById(reservaId)
+    .populate('usuario', 'nombre correo datosFacturacion')
+    .populate('curso', 'titulo fechaInicio');
+
+  if (!reservation) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  const total = importeFacturable(reservation);
+  if (!(total > 0)) {
+    throw createError('La reserva no tiene pagos que facturar', 400);
+  }
+
+  const { usuario, curso, descuento } = reservation;
+  const facturacion = usuario.datosFacturacion || {};
+
+  const lineas = [{
+    concepto: `Curso: ${curso.titulo}`,
+    importe: redondear(total + (descuento ? descuento.importe : 0))
+  }];
+  if (descuento) {
+    lineas.push({ concepto: `Descuento (${descuento.codigo})`, importe: -descuento.importe });
+  }
+
+  const baseImponible = redondear(total / (1 + TIPO_IMPUESTO / 100));
+  const fechaEmision = new Date();
+  const serie = fechaEmision.getUTCFullYear();
+
+  try {
+    const invoice = await withTransaction(async (session) => {
+      const [invoice] = await Invoice.create([{
+        serie,
+        secuencia: await Invoice.siguienteSecuencia(serie, session),
+        reserva: reservation._id,
+        usuario: usuario._id,
+        curso: curso._id,
+        emisor: datosEmisor(),
+        comprador: {
+          nombre: facturacion.razonSocial || usuario.nombre,
+          nif: facturacion.nif,
+          direccion: facturacion.direccion,
+          correo: usuario.correo
+        },
+        tituloCurso: curso.titulo,
+        fechaInicioCurso: curso.fechaInicio,
+        lineas,
+        baseImponible,
+        tipoImpuesto: TIPO_IMPUESTO,
+        impuesto: redondear(total - baseImponible),
+        total,
+        metodoPago: reservation.metodoPago,
+        importeCobrado: reservation.precioPagado || 0,
+        creditoAplicado: reservation.creditoAplicado || 0,
+        moneda: MONEDA,
+        fechaEmision
+      }], { session });
+      return invoice;
+    });
+    invoice.$session(null);
+    return invoice;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Otra petición emitió la factura de esta reserva a la vez: devolver esa
+    const emitida = await Invoice.findOne({ reserva: reservation._id });
+    if (emitida) return emitida;
+    throw createError('No se pudo asignar un número de factura, vuelve a intentarlo', 503);
+  }
+};
+
+/**
+ * Emitir la factura tras registrar un pago sin que un fallo afecte al pago;
+ * la factura también se emite al descargarla si aquí fallara
+ */
+const emitirFacturaSiPagada = async (reservation) => {
+  if (!(importeFacturable(reservation) > 0)) return null;
+  return emitirFactura(reservation._id).catch(error => {
+    console.error('Error emitiendo factura:', error);
+    return null;
+  });
+};
+
+/**
+ * Generar el PDF de la factura y devolverlo como Buffer
+ */
+const generarPdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const partes = [];
+
+    doc.on('data', parte => partes.push(parte));
+    doc.on('end', () => resolve(Buffer.concat(partes)));
+    doc.on('error', reject);
+
+    const formatearFecha = (fecha) => new Date(fecha).toLocaleDateString('es-ES', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+    const formatearImporte = (importe) => `${importe.toFixed(2)} ${invoice.moneda}`;
+
+    const { width } = doc.page;
+    const anchoUtil = width - 100;
+    const columnaImporte = width - 200;
+
+    const imprimirParte = (titulo, parte, x, y) => {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#666666').text(titulo, x, y);
+      doc.font('Helvetica').fontSize(11).fillColor('#333333').text(parte.nombre, { width: 230 });
+      if (parte.nif) doc.text(`NIF: ${parte.nif}`, { width: 230 });
+      if (parte.direccion) doc.text(parte.direccion, { width: 230 });
+      if (parte.correo) doc.text(parte.correo, { width: 230 });
+    };
+
+    // Cabecera
+    doc.fillColor('#0d6efd')
+      .font('Helvetica-Bold')
+      .fontSize(26)
+      .text('FACTURA', 50, 50);
+
+    doc.fillColor('#333333')
+      .font('Helvetica')
+      .fontSize(11)
+      .text(`Número: ${invoice.numero}`, 50, 50, { width: anchoUtil, align: 'right' })
+      .text(`Fecha: ${formatearFecha(invoice.fechaEmision)}`, { width: anchoUtil, align: 'right' });
+
+    imprimirParte('EMISOR', invoice.emisor, 50, 120);
+    imprimirParte('CLIENTE', invoice.comprador, 320, 120);
+
+    // Líneas
+    let y = 230;
+    doc.moveTo(50, y).lineTo(width - 50, y).strokeColor('#cccccc').stroke();
+    doc.font('Helvetica-Bold').fontSize(11)
+      .text('Concepto', 50, y + 8)
+      .text('Importe', columnaImporte, y + 8, { width: 150, align: 'right' });
+    y += 30;
+
+    doc.font('Helvetica');
+    invoice.lineas.forEach(linea => {
+      doc.text(linea.concepto, 50, y, { width: columnaImporte - 60 })
+        .text(formatearImporte(linea.importe), columnaImporte, y, { width: 150, align: 'right' });
+      y += 22;
+    });
+
+    if (invoice.fechaInicioCurso) {
+      doc.fontSize(9).fillColor('#666666')
+        .text(`Inicio del curso: ${formatearFecha(invoice.fechaInicioCurso)}`, 50, y);
+      y += 20;
+    }
+
+    // Totales
+    doc.moveTo(50, y).lineTo(width - 50, y).strokeColor('#cccccc').stroke();
+    y += 10;
+    const imprimirTotal = (etiqueta, importe, negrita = false) => {
+      doc.font(negrita ? 'Helvetica-Bold' : 'Helvetica').fontSize(11).fillColor('#333333')
+        .text(etiqueta, 50, y, { width: columnaImporte - 60, align: 'right' })
+        .text(formatearImporte(importe), columnaImporte, y, { width: 150, align: 'right' });
+      y += 20;
+    };
+    imprimirTotal('Base imponible', invoice.baseImponible);
+    imprimirTotal(`Impuestos (${invoice.tipoImpuesto}%)`, invoice.impuesto);
+    imprimirTotal('Total', invoice.total, true);
+
+    // Forma de pago
+    y += 20;
+    doc.font('Helvetica').fontSize(10).fillColor('#666666');
+    if (invoice.importeCobrado > 0) {
+      doc.text(`Pagado mediante ${invoice.metodoPago}: ${formatearImporte(invoice.importeCobrado)}`, 50, y);
+      y += 15;
+    }
+    if (invoice.creditoAplicado > 0) {
+      doc.text(`Pagado con saldo a favor: ${formatearImporte(invoice.creditoAplicado)}`, 50, y);
+    }
+
+    doc.end();
+  });
+};
+
+// Una hoja de cálculo interpreta como fórmula la celda que empieza por estos caracteres
+const INICIO_FORMULA = /^[=+\-@\t\r]/;
+const NUMERO = /^-?\d+(\.\d+)?$/;
+
+// Escapa un valor para una celda CSV. Los textos que empezarían una fórmula (el nombre
+// del cliente o el título del curso los escribe cualquiera) se anteponen con un
+// apóstrofo para que se muestren como texto; los importes negativos se dejan como número.
+const celdaCsv = (valor) => {
+  if (valor === null || valor === undefined) return '';
+  let texto = valor instanceof Date ? valor.toISOString() : String(valor);
+  if (INICIO_FORMULA.test(texto) && !NUMERO.test(texto)) {
+    texto = `'${texto}`;
+  }
+  return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Exportar facturas a CSV para contabilidad
+ */
+const exportarCsv = (invoices) => {
+  const columnas = [
+    'numero', 'fechaEmision', 'cliente', 'nif', 'curso', 'baseImponible',
+    'tipoImpuesto', 'impuesto', 'total', 'metodoPago', 'importeCobrado', 'creditoAplicado', 'moneda'
+  ];
+
+  const filas = invoices.map(invoice => [
+    invoice.numero,
+    invoice.fechaEmision,
+    invoice.comprador.nombre,
+    invoice.comprador.nif,
+    invoice.tituloCurso,
+    invoice.baseImponible.toFixed(2),
+    invoice.tipoImpuesto,
+    invoice.impuesto.toFixed(2),
+    invoice.total.toFixed(2),
+    invoice.metodoPago,
+    invoice.importeCobrado.toFixed(2),
+    invoice.creditoAplicado.toFixed(2),
+    invoice.moneda
+  ].map(celdaCsv).join(','));
+
+  return [columnas.join(','), ...filas].join('\n');
+};
+
+module.exports = {
+  emitirFactura,
+  emitirFacturaSiPagada,
+  generarPdf,
+  exportarCsv
+};
@@ -0,0 +1,151 @@
+/**
+ * Planificador de Tareas
+ * Ejecuta tareas persistidas en MongoDB cuando llega su fecha
+ * Cada tarea se reclama con un bloqueo atómico, por lo que varias instancias pueden
+ * compartir la misma base de datos sin ejecutar dos veces la misma tarea
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+// Identificador de esta instancia del backend (se guarda en el bloqueo)
+const INSTANCIA = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const DURACION_BLOQUEO_MS = 5 * 60 * 1000;
+const ESPERA_REINTENTO_MS = 5 * 60 * 1000;
+const LOTE_MAXIMO = 20;
+
+const manejadores = new Map();
+let ejecutando = false;
+
+/**
+ * Registrar la función que ejecuta las tareas de un tipo
+ */
+const registrarManejador = (tipo, manejador) => {
+  manejadores.set(tipo, manejador);
+};
+
+/**
+ * Programar una tarea. La clave la hace idempotente: si ya existe una tarea pendiente
+ * con esa clave se actualiza su fecha; si ya se ejecutó no se vuelve a crear salvo `reiniciar`.
+ */
+const programar = async ({ tipo, clave, ejecutarEn, referencia = null, datos = {}, reiniciar = false }) => {
+  const filtro = reiniciar ? { clave } : { clave, estado: 'pendiente' };
+
+  try {
+    return await Job.findOneAndUpdate(
+      filtro,
+      {
+        $set: { tipo, ejecutarEn, referencia, datos, estado: 'pendiente', ultimoError: null },
+        $setOnInsert: { clave },
+        ...(reiniciar ? { $unset: { bloqueadoPor: 1, bloqueadoHasta: 1 } } : {})
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Ya existe con otro estado (completada, en ejecución) u otra instancia la creó a la vez
+    if (error.code === 11000) {
+      return Job.findOne({ clave });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Eliminar las tareas pendientes que cumplan el filtro (p. ej. las de un curso cancelado)
+ */
+const cancelarTareas = (filtro) => {
+  return Job.deleteMany({ ...filtro, estado: 'pendiente' });
+};
+
+/**
+ * Ejecutar una tarea reclamada y registrar el resultado
+ */
+const ejecutarTarea = async (job) => {
+  const manejador = manejadores.get(job.tipo);
+
+  try {
+    if (!manejador) {
+      throw new Error(`No hay manejador registrado para las tareas "${job.tipo}"`);
+    }
+
+    await manejador(job);
+
+    // Solo se marca si la tarea sigue bloqueada por esta instancia
+    await Job.updateOne(
+      { _id: job._id, bloqueadoPor: INSTANCIA },
+      {
+        $set: { estado: 'completada', fechaFinalizacion: new Date(), ultimoError: null },
+        $unset: { bloqueadoPor: 1, bloqueadoHasta: 1 }
+      }
+    );
+    return true;
+  } catch (error) {
+    const agotada = job.intentos >= job.maxIntentos;
+    await Job.updateOne(
+      { _id: job._id, bloqueadoPor: INSTANCIA },
+      {
+        $set: {
+          estado: agotada ? 'fallida' : 'pendiente',
+          ejecutarEn: new Date(Date.now() + ESPERA_REINTENTO_MS),
+          ultimoError: error.message,
+          fechaFinalizacion: agotada ? new Date() : null
+        },
+        $unset: { bloqueadoPor: 1, bloqueadoHasta: 1 }
+      }
+    );
+    console.error(`Error ejecutando la tarea ${job.clave}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Reclamar y ejecutar las tareas vencidas
+ */
+const ejecutarPendientes = async ({ limite = LOTE_MAXIMO } = {}) => {
+  // Evitar ciclos solapados dentro del mismo proceso
+  if (ejecutando) return { completadas: 0, fallidas: 0 };
+  ejecutando = true;
+
+  const resultado = { completadas: 0, fallidas: 0 };
+
+  try {
+    for (let i = 0; i < limite; i++) {
+      const job = await Job.reclamarSiguiente(INSTANCIA, DURACION_BLOQUEO_MS);
+      if (!job) break;
+
+      if (await ejecutarTarea(job)) {
+        resultado.completadas += 1;
+      } else {
+        resultado.fallidas += 1;
+      }
+    }
+  } finally {
+    ejecutando = false;
+  }
+
+  return resultado;
+};
+
+/**
+ * Iniciar el ciclo periódico del planificador
+ */
+const iniciarPlanificador = (intervaloMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60000) => {
+  const timer = setInterval(() => {
+    ejecutarPendientes().catch(error => console.error('Error en el planificador de tareas:', error));
+  }, intervaloMs);
+
+  // No mantener vivo el proceso solo por el planificador
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  INSTANCIA,
+  registrarManejador,
+  programar,
+  cancelarTareas,
+  ejecutarPendientes,
+  iniciarPlanificador
+};
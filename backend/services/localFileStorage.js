@@ -0,0 +1,56 @@
+/**
+ * Almacenamiento Local de Archivos
+ * Guarda los archivos subidos en disco bajo UPLOADS_DIR (por defecto, backend/uploads)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const nombre = 'local';
+
+const directorioBase = () => path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'));
+
+/**
+ * Ruta absoluta de una clave, sin permitir salir del directorio base
+ */
+const rutaDe = (clave) => {
+  const base = directorioBase();
+  const ruta = path.resolve(base, clave);
+  if (!ruta.startsWith(base + path.sep)) {
+    throw new Error('Clave de archivo inválida');
+  }
+  return ruta;
+};
+
+/**
+ * Guardar un archivo y devolver la clave con la que se recupera
+ */
+const guardar = async ({ carpeta, contenido, extension }) => {
+  const clave = path.posix.join(carpeta, `${crypto.randomBytes(16).toString('hex')}${extension}`);
+  const ruta = rutaDe(clave);
+
+  await fs.mkdir(path.dirname(ruta), { recursive: true });
+  await fs.writeFile(ruta, contenido);
+
+  return { clave };
+};
+
+/**
+ * Leer el contenido de un archivo guardado
+ */
+const leer = (clave) => fs.readFile(rutaDe(clave));
+
+/**
+ * Eliminar un archivo guardado (no falla si ya no existe)
+ */
+const eliminar = async (clave) => {
+  await fs.rm(rutaDe(clave), { force: true });
+};
+
+module.exports = {
+  nombre,
+  guardar,
+  leer,
+  eliminar
+};
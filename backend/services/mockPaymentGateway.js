@@ -0,0 +1,97 @@
+/**
+ * Pasarela de Pagos Simulada
+ * Proveedor local para desarrollo y pruebas: no cobra nada, genera intentos con una
+ * página de pago propia del frontend y firma sus eventos con HMAC igual que lo haría
+ * una pasarela real, de modo que el webhook se ejercita con la misma verificación.
+ * No se registra en producción, y sus eventos se firman con PAYMENT_WEBHOOK_SECRET,
+ * que es obligatorio.
+ */
+
+const crypto = require('crypto');
+const { createError } = require('../middleware/errorHandler');
+
+const nombre = 'mock';
+
+const CABECERA_FIRMA = 'x-mock-signature';
+
+const EVENTOS = {
+  exito: 'payment.succeeded',
+  rechazo: 'payment.failed'
+};
+
+// Sin secreto configurado no se firma ni se acepta ningún evento
+const secreto = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw createError('Los pagos no están configurados: falta PAYMENT_WEBHOOK_SECRET', 500, 'PAGOS_NO_CONFIGURADOS');
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const firmar = (cuerpo) => crypto.createHmac('sha256', secreto()).update(cuerpo).digest('hex');
+
+const urlFrontend = (ruta) => {
+  const base = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  return `${base.replace(/\/$/, '')}${ruta}`;
+};
+
+/**
+ * Crear un intento de pago; el usuario lo completa en la página simulada del frontend
+ */
+const crearIntento = async () => {
+  const referenciaExterna = `mock_${crypto.randomBytes(12).toString('hex')}`;
+  return {
+    referenciaExterna,
+    urlPago: urlFrontend(`/payments/mock/${referenciaExterna}`)
+  };
+};
+
+/**
+ * Anular un intento: la pasarela simulada no guarda estado, no hay nada que hacer
+ */
+const cancelarIntento = async () => {};
+
+/**
+ * Verificar la firma de un evento y traducirlo al formato común
+ */
+const verificarEvento = (cuerpo, cabeceras = {}) => {
+  const firma = Buffer.from(String(cabeceras[CABECERA_FIRMA] || ''));
+  const esperada = Buffer.from(firmar(cuerpo));
+
+  if (firma.length !== esperada.length || !crypto.timingSafeEqual(firma, esperada)) {
+    throw new Error('Firma del evento de pago inválida');
+  }
+
+  const evento = JSON.parse(cuerpo);
+  return {
+    referenciaExterna: evento.intento,
+    resultado: evento.tipo === EVENTOS.exito ? 'completado' : 'fallido',
+    motivo: evento.motivo || null
+  };
+};
+
+/**
+ * Construir el webhook firmado que enviaría la pasarela al terminar el pago.
+ * `resultado` es "exito" o "rechazo"
+ */
+const simularEvento = (referenciaExterna, resultado) => {
+  const cuerpo = JSON.stringify({
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    tipo: EVENTOS[resultado],
+    intento: referenciaExterna,
+    motivo: resultado === 'rechazo' ? 'Tarjeta rechazada (pago simulado)' : null,
+    fecha: new Date().toISOString()
+  });
+
+  return {
+    cuerpo,
+    cabeceras: { [CABECERA_FIRMA]: firmar(cuerpo) }
+  };
+};
+
+module.exports = {
+  nombre,
+  crearIntento,
+  cancelarIntento,
+  verificarEvento,
+  simularEvento
+};
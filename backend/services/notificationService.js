@@ -0,0 +1,173 @@
+/**
+ * Servicio de Notificaciones
+ * Encola correos en la bandeja de salida persistente y los envía por SMTP con reintentos
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Reservation = require('../models/Reservation');
+const { renderizar } = require('./notificationTemplates');
+const { enviarCorreo } = require('../utils/mailer');
+
+// Las notificaciones "enviando" más antiguas que esto se consideran huérfanas (proceso caído)
+const TIEMPO_MAXIMO_ENVIO_MS = 10 * 60 * 1000;
+const LOTE_MAXIMO = 50;
+
+let procesando = false;
+
+const notificacionesActivas = () => process.env.NOTIFICATIONS_ENABLED !== 'false';
+
+/**
+ * Encolar una notificación para un usuario. Nunca lanza: un fallo al notificar
+ * no debe afectar a la operación que la origina.
+ * `usuario` y `curso` pueden ser documentos o IDs. Sin `usuario`, se envía a `correo`
+ * (personas que aún no tienen cuenta, como los invitados a un grupo). Con ambos, se
+ * envía a `correo` con el nombre e idioma del usuario (p. ej. para confirmar un correo nuevo).
+ */
+const notificar = async (tipo, { usuario = null, correo = null, curso = null, datos = {}, referencia = null }) => {
+  if (!notificacionesActivas()) return null;
+
+  try {
+    let destinatario;
+    if (usuario instanceof mongoose.Model) {
+      destinatario = usuario;
+    } else if (usuario) {
+      destinatario = await User.findById(usuario).select('nombre correo idioma');
+    } else if (correo) {
+      destinatario = { _id: null, nombre: null, correo, idioma: 'es' };
+    }
+
+    if (!destinatario) return null;
+
+    if (correo && destinatario.correo !== correo) {
+      destinatario = { _id: destinatario._id, nombre: destinatario.nombre, correo, idioma: destinatario.idioma };
+    }
+
+    const datosCurso = curso && !(curso instanceof mongoose.Model)
+      ? await Course.findById(curso).select('titulo fechaInicio ubicacion')
+      : curso;
+
+    const idioma = destinatario.idioma || 'es';
+    const contenido = renderizar(tipo, idioma, {
+      ...datos,
+      nombre: destinatario.nombre,
+      curso: datosCurso
+    });
+
+    const notification = await Notification.create({
+      tipo,
+      usuario: destinatario._id,
+      destinatario: destinatario.correo,
+      idioma,
+      referencia,
+      ...contenido
+    });
+
+    // Intentar el envío en segundo plano sin esperar al SMTP
+    setImmediate(() => {
+      procesarPendientes().catch(error => console.error('Error procesando notificaciones:', error));
+    });
+
+    return notification;
+  } catch (error) {
+    console.error(`Error encolando notificación "${tipo}":`, error);
+    return null;
+  }
+};
+
+/**
+ * Notificar a todos los inscritos (incluida la lista de espera) que el curso se canceló.
+ * `datos` admite { causa, reservaCancelada } para explicar la cancelación en el correo.
+ */
+const notificarCancelacionCurso = async (course, datos = {}) => {
+  const reservas = await Reservation.find({
+    curso: course._id,
+    estado: { $in: ['pendiente', 'confirmada', 'en_espera'] }
+  }).populate('usuario', 'nombre correo idioma');
+
+  for (const reserva of reservas) {
+    await notificar('curso_cancelado', {
+      usuario: reserva.usuario,
+      curso: course,
+      datos,
+      referencia: reserva._id
+    });
+  }
+
+  return reservas.length;
+};
+
+/**
+ * Devolver a la cola las notificaciones que quedaron "enviando" tras una caída
+ */
+const recuperarHuerfanas = () => {
+  return Notification.updateMany(
+    {
+      estado: 'enviando',
+      updatedAt: { $lt: new Date(Date.now() - TIEMPO_MAXIMO_ENVIO_MS) }
+    },
+    { $set: { estado: 'pendiente', proximoIntento: new Date() } }
+  );
+};
+
+/**
+ * Enviar las notificaciones pendientes cuyo próximo intento ya venció
+ */
+const procesarPendientes = async ({ limite = LOTE_MAXIMO } = {}) => {
+  // Evitar ejecuciones solapadas dentro del mismo proceso
+  if (procesando) return { enviadas: 0, fallidas: 0 };
+  procesando = true;
+
+  const resultado = { enviadas: 0, fallidas: 0 };
+
+  try {
+    await recuperarHuerfanas();
+
+    for (let i = 0; i < limite; i++) {
+      const notification = await Notification.reclamarSiguiente();
+      if (!notification) break;
+
+      try {
+        await enviarCorreo({
+          para: notification.destinatario,
+          asunto: notification.asunto,
+          texto: notification.texto,
+          html: notification.html
+        });
+        await notification.marcarEnviada();
+        resultado.enviadas += 1;
+      } catch (error) {
+        await notification.marcarFallo(error);
+        resultado.fallidas += 1;
+      }
+    }
+  } finally {
+    procesando = false;
+  }
+
+  return resultado;
+};
+
+/**
+ * Iniciar el procesamiento periódico de la bandeja de salida
+ */
+const iniciarProcesador = (intervaloMs = parseInt(process.env.NOTIFICATIONS_INTERVAL_MS) || 60000) => {
+  if (!notificacionesActivas()) return null;
+
+  const timer = setInterval(() => {
+    procesarPendientes().catch(error => console.error('Error procesando notificaciones:', error));
+  }, intervaloMs);
+
+  // No mantener vivo el proceso solo por el procesador
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  notificar,
+  notificarCancelacionCurso,
+  procesarPendientes,
+  iniciarProcesador
+};
@@ -0,0 +1,433 @@
+/**
+ * Plantillas de Notificaciones
+ * Asunto y cuerpo de cada correo en español e inglés
+ * Cada plantilla recibe los datos del evento y devuelve { asunto, lineas }
+ */
+
+const IDIOMAS = ['es', 'en'];
+
+const urlFrontend = (ruta = '') => {
+  const base = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  return `${base.replace(/\/$/, '')}${ruta}`;
+};
+
+const formatearFecha = (fecha, idioma) => {
+  return new Date(fecha).toLocaleDateString(idioma === 'en' ? 'en-GB' : 'es-ES', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'UTC'
+  });
+};
+
+// Causas de cancelación automática de un curso
+const CAUSAS_CANCELACION = {
+  inscripcion_insuficiente: {
+    es: 'no se alcanzó el número mínimo de participantes',
+    en: 'the minimum number of participants was not reached'
+  }
+};
+
+// "en 7 días", "en 1 hora"... a partir de la antelación del recordatorio
+const antelacion = (horas, idioma) => {
+  const enDias = horas >= 24 && horas % 24 === 0;
+  const cantidad = enDias ? horas / 24 : horas;
+
+  if (idioma === 'en') {
+    const unidad = enDias ? 'day' : 'hour';
+    return `in ${cantidad} ${unidad}${cantidad === 1 ? '' : 's'}`;
+  }
+
+  const unidad = enDias ? 'día' : 'hora';
+  return `en ${cantidad} ${unidad}${cantidad === 1 ? '' : 's'}`;
+};
+
+const plantillas = {
+  registro: {
+    es: ({ nombre }) => ({
+      asunto: 'Bienvenido al Sistema de Reservas',
+      lineas: [
+        `Hola ${nombre},`,
+        'Tu cuenta se ha creado correctamente. Ya puedes explorar los cursos disponibles y hacer tus reservas.',
+        urlFrontend('/courses')
+      ]
+    }),
+    en: ({ nombre }) => ({
+      asunto: 'Welcome to the Booking System',
+      lineas: [
+        `Hi ${nombre},`,
+        'Your account has been created. You can now browse the available courses and make your bookings.',
+        urlFrontend('/courses')
+      ]
+    })
+  },
+
+  reserva_creada: {
+    es: ({ nombre, curso }) => ({
+      asunto: `Hemos recibido tu reserva para ${curso.titulo}`,
+      lineas: [
+        `Hola ${nombre},`,
+        `Hemos registrado tu reserva para "${curso.titulo}", que comienza el ${formatearFecha(curso.fechaInicio, 'es')}.`,
+        'Te avisaremos cuando quede confirmada.',
+        urlFrontend('/reservations')
+      ]
+    }),
+    en: ({ nombre, curso }) => ({
+      asunto: `We received your booking for ${curso.titulo}`,
+      lineas: [
+        `Hi ${nombre},`,
+        `Your booking for "${curso.titulo}", starting on ${formatearFecha(curso.fechaInicio, 'en')}, has been registered.`,
+        'We will let you know once it is confirmed.',
+        urlFrontend('/reservations')
+      ]
+    })
+  },
+
+  reserva_confirmada: {
+    es: ({ nombre, curso }) => ({
+      asunto: `Tu reserva para ${curso.titulo} está confirmada`,
+      lineas: [
+        `Hola ${nombre},`,
+        `Tu plaza en "${curso.titulo}" está confirmada. El curso comienza el ${formatearFecha(curso.fechaInicio, 'es')}` +
+          (curso.ubicacion ? ` en ${curso.ubicacion}.` : '.'),
+        'Recuerda llevar el código QR de tu reserva para registrar la asistencia.',
+        urlFrontend('/reservations')
+      ]
+    }),
+    en: ({ nombre, curso }) => ({
+      asunto: `Your booking for ${curso.titulo} is confirmed`,
+      lineas: [
+        `Hi ${nombre},`,
+        `Your seat in "${curso.titulo}" is confirmed. The course starts on ${formatearFecha(curso.fechaInicio, 'en')}` +
+          (curso.ubicacion ? ` at ${curso.ubicacion}.` : '.'),
+        'Remember to bring your booking QR code to check in.',
+        urlFrontend('/reservations')
+      ]
+    })
+  },
+
+  reserva_cancelada: {
+    es: ({ nombre, curso, porcentajeReembolso }) => ({
+      asunto: `Tu reserva para ${curso.titulo} ha sido cancelada`,
+      lineas: [
+        `Hola ${nombre},`,
+        `Hemos cancelado tu reserva para "${curso.titulo}".`,
+        porcentajeReembolso != null
+          ? `Se te reembolsará el ${porcentajeReembolso}% del importe pagado.`
+          : null,
+        urlFrontend('/courses')
+      ]
+    }),
+    en: ({ nombre, curso, porcentajeReembolso }) => ({
+      asunto: `Your booking for ${curso.titulo} has been cancelled`,
+      lineas: [
+        `Hi ${nombre},`,
+        `Your booking for "${curso.titulo}" has been cancelled.`,
+        porcentajeReembolso != null
+          ? `${porcentajeReembolso}% of the amount paid will be refunded.`
+          : null,
+        urlFrontend('/courses')
+      ]
+    })
+  },
+
+  comprobante_rechazado: {
+    es: ({ nombre, curso, motivo }) => ({
+      asunto: `Hemos rechazado tu comprobante de pago para ${curso.titulo}`,
+      lineas: [
+        `Hola ${nombre},`,
+        `No hemos podido validar el comprobante de transferencia de tu reserva para "${curso.titulo}".`,
+        `Motivo: ${motivo}`,
+        'Tu reserva sigue pendiente: puedes subir un nuevo comprobante desde tus reservas.',
+        urlFrontend('/reservations')
+      ]
+    }),
+    en: ({ nombre, curso, motivo }) => ({
+      asunto: `Your payment receipt for ${curso.titulo} was rejected`,
+      lineas: [
+        `Hi ${nombre},`,
+        `We could not validate the bank transfer receipt for your booking of "${curso.titulo}".`,
+        `Reason: ${motivo}`,
+        'Your booking is still pending: you can upload a new receipt from your bookings.',
+        urlFrontend('/reservations')
+      ]
+    })
+  },
+
+  reembolso_procesado: {
+    es: ({ nombre, curso, importe, metodo }) => ({
+      asunto: `Reembolso de tu reserva para ${curso.titulo}`,
+      lineas: [
+        `Hola ${nombre},`,
+        metodo === 'credito'
+          ? `Hemos abonado $${importe.toFixed(2)} como saldo a favor en tu cuenta por tu reserva de "${curso.titulo}".`
+          : `Hemos procesado la devolución de $${importe.toFixed(2)} de tu reserva para "${curso.titulo}" por el mismo medio con el que pagaste.`,
+        metodo === 'credito'
+          ? 'Podrás usar el saldo al hacer tu próxima reserva.'
+          : 'Según tu banco, el importe puede tardar unos días en reflejarse.',
+        urlFrontend('/reservations')
+      ]
+    }),
+    en: ({ nombre, curso, importe, metodo }) => ({
+      asunto: `Refund for your booking of ${curso.titulo}`,
+      lineas: [
+        `Hi ${nombre},`,
+        metodo === 'credito'
+          ? `We have added $${importe.toFixed(2)} of account credit for your booking of "${curso.titulo}".`
+          : `We have processed a refund of $${importe.toFixed(2)} for your booking of "${curso.titulo}" to your original payment method.`,
+        metodo === 'credito'
+          ? 'You can apply the credit when making your next booking.'
+          : 'Depending on your bank, it may take a few days to show up.',
+        urlFrontend('/reservations')
+      ]
+    })
+  },
+
+  reserva_reprogramada: {
+    es: ({ nombre, curso, cursoAnterior }) => ({
+      asunto: `Tu reserva ha cambiado a la edición del ${formatearFecha(curso.fechaInicio, 'es')}`,
+      lineas: [
+        `Hola ${nombre},`,
+        `Tu reserva de "${cursoAnterior.titulo}" del ${formatearFecha(cursoAnterior.fechaInicio, 'es')} se ha trasladado a "${curso.titulo}", que comienza el ${formatearFecha(curso.fechaInicio, 'es')}` +
+          (curso.ubicacion ? ` en ${curso.ubicacion}.` : '.'),
+        'Conservas el pago realizado. El código QR de asistencia anterior ya no es válido: descarga el nuevo desde tus reservas.',
+        urlFrontend('/reservations')
+      ]
+    }),
+    en: ({ nombre, curso, cursoAnterior }) => ({
+      asunto: `Your booking has moved to the ${formatearFecha(curso.fechaInicio, 'en')} edition`,
+      lineas: [
+        `Hi ${nombre},`,
+        `Your booking for "${cursoAnterior.titulo}" on ${formatearFecha(cursoAnterior.fechaInicio, 'en')} has been moved to "${curso.titulo}", starting on ${formatearFecha(curso.fechaInicio, 'en')}` +
+          (curso.ubicacion ? ` at ${curso.ubicacion}.` : '.'),
+        'Your payment is kept. Your previous check-in QR code is no longer valid: get the new one from your bookings.',
+        urlFrontend('/reservations')
+      ]
+    })
+  },
+
+  curso_cancelado: {
+    es: ({ nombre, curso, causa, reservaCancelada, grupo }) => ({
+      asunto: `El curso ${curso.titulo} ha sido cancelado`,
+      lineas: [
+        nombre ? `Hola ${nombre},` : 'Hola,',
+        `Lamentamos informarte de que el curso "${curso.titulo}", previsto para el ${formatearFecha(curso.fechaInicio, 'es')}, ha sido cancelado.`,
+        CAUSAS_CANCELACION[causa] ? `Motivo: ${CAUSAS_CANCELACION[causa].es}.` : null,
+        grupo
+          ? 'Tu reserva de grupo ha quedado cancelada junto con las plazas de sus asistentes y, si la pagaste, se te reembolsará íntegramente. Puedes consultar otros cursos disponibles en:'
+          : (reservaCancelada
+            ? 'Tu reserva ha quedado cancelada y, si realizaste algún pago, se te reembolsará íntegramente. Puedes consultar otros cursos disponibles en:'
+            : 'Nos pondremos en contacto contigo para gestionar tu reserva. Puedes consultar otros cursos disponibles en:'),
+        urlFrontend('/courses')
+      ]
+    }),
+    en: ({ nombre, curso, causa, reservaCancelada, grupo }) => ({
+      asunto: `The course ${curso.titulo} has been cancelled`,
+      lineas: [
+        nombre ? `Hi ${nombre},` : 'Hi,',
+        `We are sorry to let you know that "${curso.titulo}", scheduled for ${formatearFecha(curso.fechaInicio, 'en')}, has been cancelled.`,
+        CAUSAS_CANCELACION[causa] ? `Reason: ${CAUSAS_CANCELACION[causa].en}.` : null,
+        grupo
+          ? 'Your group booking has been cancelled along with its attendees\' seats and, if you paid for it, it will be fully refunded. You can find other available courses at:'
+          : (reservaCancelada
+            ? 'Your booking has been cancelled and any payment you made will be fully refunded. You can find other available courses at:'
+            : 'We will contact you about your booking. You can find other available courses at:'),
+        urlFrontend('/courses')
+      ]
+    })
+  },
+
+  transferencia_solicitada: {
+    es: ({ nombre, curso, nombreTitular, expiraEn }) => ({
+      asunto: `${nombreTitular} quiere transferirte su plaza en ${curso.titulo}`,
+      lineas: [
+        `Hola ${nombre},`,
+        `${nombreTitular} quiere cederte su plaza en "${curso.titulo}", que comienza el ${formatearFecha(curso.fechaInicio, 'es')}.`,
+        `Puedes aceptarla o rechazarla desde tus reservas hasta el ${formatearFecha(expiraEn, 'es')}.`,
+        urlFrontend('/reservations')
+      ]
+    }),
+    en: ({ nombre, curso, nombreTitular, expiraEn }) => ({
+      asunto: `${nombreTitular} wants to transfer their seat in ${curso.titulo} to you`,
+      lineas: [
+        `Hi ${nombre},`,
+        `${nombreTitular} would like to hand you their seat in "${curso.titulo}", starting on ${formatearFecha(curso.fechaInicio, 'en')}.`,
+        `You can accept or decline it from your bookings until ${formatearFecha(expiraEn, 'en')}.`,
+        urlFrontend('/reservations')
+      ]
+    })
+  },
+
+  transferencia_aceptada: {
+    es: ({ nombre, curso, nombreDestinatario }) => ({
+      asunto: `Tu plaza en ${curso.titulo} ha sido transferida`,
+      lineas: [
+        `Hola ${nombre},`,
+        `${nombreDestinatario} ha aceptado tu plaza en "${curso.titulo}". La reserva ya no figura a tu nombre.`,
+        urlFrontend('/reservations')
+      ]
+    }),
+    en: ({ nombre, curso, nombreDestinatario }) => ({
+      asunto: `Your seat in ${curso.titulo} has been transferred`,
+      lineas: [
+        `Hi ${nombre},`,
+        `${nombreDestinatario} has accepted your seat in "${curso.titulo}". The booking is no longer under your name.`,
+        urlFrontend('/reservations')
+      ]
+    })
+  },
+
+  plaza_grupo_asignada: {
+    es: ({ nombre, curso, nombreOrganizador, registrado }) => ({
+      asunto: `${nombreOrganizador} te ha reservado una plaza en ${curso.titulo}`,
+      lineas: [
+        nombre ? `Hola ${nombre},` : 'Hola,',
+        `${nombreOrganizador} te ha asignado una plaza de su reserva de grupo en "${curso.titulo}", que comienza el ${formatearFecha(curso.fechaInicio, 'es')}.`,
+        registrado
+          ? 'La plaza ya figura en tus reservas.'
+          : 'Crea tu cuenta con esta dirección de correo y, en cuanto la confirmes, la plaza aparecerá en tus reservas.',
+        urlFrontend(registrado ? '/reservations' : '/register')
+      ]
+    }),
+    en: ({ nombre, curso, nombreOrganizador, registrado }) => ({
+      asunto: `${nombreOrganizador} has booked you a seat in ${curso.titulo}`,
+      lineas: [
+        nombre ? `Hi ${nombre},` : 'Hi,',
+        `${nombreOrganizador} has assigned you a seat from their group booking in "${curso.titulo}", starting on ${formatearFecha(curso.fechaInicio, 'en')}.`,
+        registrado
+          ? 'The seat is already listed in your bookings.'
+          : 'Sign up with this email address and, once you confirm it, the seat will appear in your bookings.',
+        urlFrontend(registrado ? '/reservations' : '/register')
+      ]
+    })
+  },
+
+  invitacion_curso: {
+    es: ({ nombre, curso, codigo, expiraEn }) => ({
+      asunto: `Invitación al curso ${curso.titulo}`,
+      lineas: [
+        nombre ? `Hola ${nombre},` : 'Hola,',
+        `Te han invitado al curso privado "${curso.titulo}", que comienza el ${formatearFecha(curso.fechaInicio, 'es')}.`,
+        `Tu código de invitación es ${codigo}` +
+          (expiraEn ? ` y es válido hasta el ${formatearFecha(expiraEn, 'es')}.` : '.'),
+        urlFrontend(`/courses/${curso._id}?invitacion=${codigo}`)
+      ]
+    }),
+    en: ({ nombre, curso, codigo, expiraEn }) => ({
+      asunto: `Invitation to ${curso.titulo}`,
+      lineas: [
+        nombre ? `Hi ${nombre},` : 'Hi,',
+        `You have been invited to the private course "${curso.titulo}", starting on ${formatearFecha(curso.fechaInicio, 'en')}.`,
+        `Your invitation code is ${codigo}` +
+          (expiraEn ? ` and is valid until ${formatearFecha(expiraEn, 'en')}.` : '.'),
+        urlFrontend(`/courses/${curso._id}?invitacion=${codigo}`)
+      ]
+    })
+  },
+
+  verificar_correo: {
+    es: ({ nombre, token, horas, cambio }) => ({
+      asunto: cambio ? 'Confirma tu nuevo correo' : 'Confirma tu correo',
+      lineas: [
+        `Hola ${nombre},`,
+        cambio
+          ? 'Has pedido usar esta dirección en tu cuenta. No la aplicaremos hasta que la confirmes con este enlace.'
+          : 'Confirma tu dirección de correo abriendo este enlace.',
+        `El enlace es válido durante ${horas} horas. Si no has sido tú, ignora este correo.`,
+        urlFrontend(`/verify-email?token=${token}`)
+      ]
+    }),
+    en: ({ nombre, token, horas, cambio }) => ({
+      asunto: cambio ? 'Confirm your new email address' : 'Confirm your email address',
+      lineas: [
+        `Hi ${nombre},`,
+        cambio
+          ? 'You asked to use this address on your account. We will not apply it until you confirm it with this link.'
+          : 'Please confirm your email address by opening this link.',
+        `The link is valid for ${horas} hours. If this was not you, ignore this email.`,
+        urlFrontend(`/verify-email?token=${token}`)
+      ]
+    })
+  },
+
+  restablecer_contraseña: {
+    es: ({ nombre, token, minutos }) => ({
+      asunto: 'Restablece tu contraseña',
+      lineas: [
+        `Hola ${nombre},`,
+        `Hemos recibido una solicitud para restablecer tu contraseña. El enlace es válido durante ${minutos} minutos y solo se puede usar una vez.`,
+        'Si no lo has solicitado tú, ignora este correo: tu contraseña no cambiará.',
+        urlFrontend(`/reset-password?token=${token}`)
+      ]
+    }),
+    en: ({ nombre, token, minutos }) => ({
+      asunto: 'Reset your password',
+      lineas: [
+        `Hi ${nombre},`,
+        `We received a request to reset your password. The link is valid for ${minutos} minutes and can only be used once.`,
+        'If you did not request it, ignore this email: your password will not change.',
+        urlFrontend(`/reset-password?token=${token}`)
+      ]
+    })
+  },
+
+  recordatorio_curso: {
+    es: ({ nombre, curso, horasAntes }) => ({
+      asunto: `Recordatorio: ${curso.titulo} comienza ${antelacion(horasAntes, 'es')}`,
+      lineas: [
+        `Hola ${nombre},`,
+        `Te recordamos que el curso "${curso.titulo}" comienza el ${formatearFecha(curso.fechaInicio, 'es')}` +
+          (curso.ubicacion ? ` en ${curso.ubicacion}.` : '.'),
+        'Recuerda llevar el código QR de tu reserva para registrar la asistencia.',
+        urlFrontend('/reservations')
+      ]
+    }),
+    en: ({ nombre, curso, horasAntes }) => ({
+      asunto: `Reminder: ${curso.titulo} starts ${antelacion(horasAntes, 'en')}`,
+      lineas: [
+        `Hi ${nombre},`,
+        `This is a reminder that "${curso.titulo}" starts on ${formatearFecha(curso.fechaInicio, 'en')}` +
+          (curso.ubicacion ? ` at ${curso.ubicacion}.` : '.'),
+        'Remember to bring your booking QR code to check in.',
+        urlFrontend('/reservations')
+      ]
+    })
+  }
+};
+
+const escaparHtml = (texto) => String(texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Renderizar una plantilla en texto plano y HTML
+ */
+const renderizar = (tipo, idioma, datos) => {
+  const plantilla = plantillas[tipo];
+  if (!plantilla) {
+    throw new Error(`No existe la plantilla de notificación "${tipo}"`);
+  }
+
+  const { asunto, lineas } = plantilla[IDIOMAS.includes(idioma) ? idioma : 'es'](datos);
+  const parrafos = lineas.filter(Boolean);
+
+  return {
+    asunto,
+    texto: parrafos.join('\n\n'),
+    html: parrafos
+      .map(parrafo => /^https?:\/\//.test(parrafo)
+        ? `<p><a href="${escaparHtml(parrafo)}">${escaparHtml(parrafo)}</a></p>`
+        : `<p>${escaparHtml(parrafo)}</p>`)
+      .join('\n')
+  };
+};
+
+module.exports = {
+  renderizar,
+  tipos: Object.keys(plantillas)
+};
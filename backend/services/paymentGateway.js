@@ -0,0 +1,44 @@
+/**
+ * Pasarelas de Pago
+ * Registro de proveedores de pago intercambiables. Cada proveedor expone:
+ * - nombre: identificador usado en la ruta del webhook (/api/payments/webhook/:proveedor)
+ * - crearIntento({ importe, moneda, descripcion, referencia }) -> { referenciaExterna, urlPago }
+ * - cancelarIntento(referenciaExterna): anula un intento que ya no se va a pagar
+ * - verificarEvento(cuerpo, cabeceras) -> { referenciaExterna, resultado, motivo }
+ *   valida la firma del webhook (cuerpo sin parsear) y lanza error si no es auténtico;
+ *   `resultado` es "completado" o "fallido"
+ * El proveedor activo se elige con PAYMENT_PROVIDER (por defecto, la pasarela simulada)
+ * La pasarela simulada no se registra en producción: cualquiera podría dar por pagada
+ * una reserva con un evento suyo
+ */
+
+const mockPaymentGateway = require('./mockPaymentGateway');
+
+const proveedores = {};
+
+if (process.env.NODE_ENV !== 'production') {
+  proveedores[mockPaymentGateway.nombre] = mockPaymentGateway;
+}
+
+/**
+ * Registrar un proveedor adicional (por ejemplo, una pasarela real)
+ */
+const registrarProveedor = (proveedor) => {
+  proveedores[proveedor.nombre] = proveedor;
+};
+
+/**
+ * Obtener un proveedor por nombre; sin nombre, el configurado en el entorno
+ */
+const obtenerProveedor = (nombre = process.env.PAYMENT_PROVIDER || mockPaymentGateway.nombre) => {
+  const proveedor = proveedores[nombre];
+  if (!proveedor) {
+    throw new Error(`Proveedor de pagos desconocido: ${nombre}`);
+  }
+  return proveedor;
+};
+
+module.exports = {
+  registrarProveedor,
+  obtenerProveedor
+};
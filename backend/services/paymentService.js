@@ -0,0 +1,354 @@
+/**
+ * Servicio de Pagos
+ * Intentos de cobro de reservas pendientes y procesamiento de los eventos de la pasarela
+ * Un pago completado confirma la reserva con una actualización condicional sobre su estado,
+ * de modo que nunca compite con la expiración de las reservas impagas.
+ */
+
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Reservation = require('../models/Reservation');
+const StateTransition = require('../models/StateTransition');
+const { obtenerProveedor } = require('./paymentGateway');
+const { createError } = require('../middleware/errorHandler');
+const { notificar } = require('./notificationService');
+const { registrarReembolsoPagoTardio } = require('./refundService');
+const { emitirFacturaSiPagada } = require('./invoiceService');
+
+// Minutos que tiene el usuario para pagar una reserva con tarjeta
+const MINUTOS_PLAZO_PAGO = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 30;
+
+const MONEDA = process.env.PAYMENT_CURRENCY || 'USD';
+
+/**
+ * Calcular el estado de pago inicial de una reserva de `importe` en un curso.
+ * Solo las reservas con tarjeta se pagan en línea y tienen plazo; el resto
+ * (efectivo, transferencia) las sigue confirmando un administrador.
+ */
+const condicionesPago = (course, metodoPago, desde = new Date(), importe = course.precioActual) => {
+  if (!(importe > 0)) {
+    return { estadoPago: 'no_requerido', fechaLimitePago: null };
+  }
+
+  if (metodoPago !== 'tarjeta') {
+    return { estadoPago: 'pendiente', fechaLimitePago: null };
+  }
+
+  // El plazo de pago nunca pasa del inicio del curso
+  const fechaLimitePago = new Date(Math.min(
+    desde.getTime() + MINUTOS_PLAZO_PAGO * 60 * 1000,
+    course.fechaInicio.getTime()
+  ));
+
+  return { estadoPago: 'pendiente', fechaLimitePago };
+};
+
+/**
+ * Crear (o recuperar el abierto) intento de pago de una reserva pendiente
+ */
+const crearIntentoPago = async ({ reservaId, usuarioId }) => {
+  const reservation = await Reservation.findById(reservaId).populate('curso', 'titulo');
+
+  if (!reservation) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  if (!reservation.usuario.equals(usuarioId)) {
+    throw createError('No tienes permisos para pagar esta reserva', 403);
+  }
+
+  if (reservation.estado !== 'pendiente' || reservation.estadoPago !== 'pendiente') {
+    throw createError('La reserva no tiene pagos pendientes', 400);
+  }
+
+  if (reservation.metodoPago !== 'tarjeta') {
+    throw createError('El pago en línea solo está disponible para reservas con tarjeta', 400);
+  }
+
+  if (reservation.fechaLimitePago && reservation.fechaLimitePago <= new Date()) {
+    throw createError('El plazo de pago de esta reserva ha vencido', 400);
+  }
+
+  const existente = await Payment.findPendiente(reservation._id);
+  if (existente) return existente;
+
+  let proveedor;
+  try {
+    proveedor = obtenerProveedor();
+  } catch (error) {
+    console.error('Error obteniendo el proveedor de pagos:', error.message);
+    throw createError('El pago con tarjeta no está disponible en este momento', 503, 'PAGOS_NO_CONFIGURADOS');
+  }
+
+  const intento = await proveedor.crearIntento({
+    importe: reservation.precioPagado,
+    moneda: MONEDA,
+    descripcion: reservation.curso.titulo,
+    referencia: reservation._id.toString()
+  });
+
+  try {
+    return await Payment.create({
+      reserva: reservation._id,
+      usuario: reservation.usuario,
+      curso: reservation.curso._id,
+      proveedor: proveedor.nombre,
+      referenciaExterna: intento.referenciaExterna,
+      urlPago: intento.urlPago,
+      importe: reservation.precioPagado,
+      moneda: MONEDA
+    });
+  } catch (error) {
+    // Otra petición simultánea abrió el intento primero
+    if (error.code === 11000) {
+      await proveedor.cancelarIntento(intento.referenciaExterna);
+      return Payment.findPendiente(reservation._id);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Registrar un cobro completado y confirmar la reserva si sigue pendiente
+ */
+const registrarPagoCompletado = async (payment) => {
+  const completado = await Payment.findOneAndUpdate(
+    { _id: payment._id, estado: { $in: ['pendiente', 'cancelado', 'expirado'] } },
+    { $set: { estado: 'completado', fechaPago: new Date(), motivoFallo: null } },
+    { new: true }
+  );
+
+  // Evento repetido: ya se aplicó
+  if (!completado) return Payment.findById(payment._id);
+
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: completado.reserva, estado: 'pendiente' },
+    {
+      $set: {
+        estado: 'confirmada',
+        estadoPago: 'pagado',
+        fechaPago: completado.fechaPago,
+        fechaLimitePago: null,
+        precioPagado: completado.importe,
+        comprobantePago: completado.referenciaExterna
+      }
+    },
+    { new: true }
+  ).populate('usuario', 'nombre correo idioma');
+
+  if (!reservation) {
+    // La reserva expiró o se canceló mientras el usuario pagaba
+    completado.requiereReembolso = true;
+    await completado.save();
+    await registrarReembolsoPagoTardio(completado);
+    console.warn(`Pago ${completado._id} recibido para una reserva que ya no está pendiente`);
+    return completado;
+  }
+
+  await StateTransition.registrar({
+    entidad: 'reserva',
+    referencia: reservation._id,
+    curso: reservation.curso,
+    estadoAnterior: 'pendiente',
+    estadoNuevo: 'confirmada',
+    motivo: `Pago recibido (${completado.proveedor} ${completado.referenciaExterna})`
+  });
+
+  await notificar('reserva_confirmada', {
+    usuario: reservation.usuario,
+    curso: reservation.curso,
+    referencia: reservation._id
+  });
+
+  await emitirFacturaSiPagada(reservation);
+
+  return completado;
+};
+
+/**
+ * Registrar un cobro rechazado; la reserva sigue pendiente hasta su plazo de pago
+ */
+const registrarPagoFallido = async (payment, motivo) => {
+  const fallido = await Payment.findOneAndUpdate(
+    { _id: payment._id, estado: 'pendiente' },
+    { $set: { estado: 'fallido', motivoFallo: motivo || 'Pago rechazado por la pasarela' } },
+    { new: true }
+  );
+
+  return fallido || Payment.findById(payment._id);
+};
+
+/**
+ * Procesar un evento (webhook) de una pasarela: se verifica la firma sobre el cuerpo
+ * sin parsear y se aplica al pago correspondiente. Los eventos repetidos no tienen efecto.
+ */
+const procesarEventoPago = async (nombreProveedor, cuerpo, cabeceras) => {
+  let proveedor;
+  try {
+    proveedor = obtenerProveedor(nombreProveedor);
+  } catch (error) {
+    throw createError(error.message, 404);
+  }
+
+  let evento;
+  try {
+    evento = proveedor.verificarEvento(cuerpo, cabeceras);
+  } catch (error) {
+    if (error.codigo === 'PAGOS_NO_CONFIGURADOS') throw error;
+    throw createError('Evento de pago inválido', 400);
+  }
+
+  const payment = await Payment.findOne({
+    proveedor: proveedor.nombre,
+    referenciaExterna: evento.referenciaExterna
+  });
+
+  if (!payment) {
+    throw createError('Pago no encontrado', 404);
+  }
+
+  return evento.resultado === 'completado'
+    ? registrarPagoCompletado(payment)
+    : registrarPagoFallido(payment, evento.motivo);
+};
+
+/**
+ * Simular el resultado de un pago de la pasarela simulada: genera el webhook firmado
+ * y lo procesa igual que si lo hubiera enviado la pasarela
+ */
+const simularPago = async ({ referenciaExterna, usuarioId, resultado }) => {
+  const proveedor = obtenerProveedor('mock');
+  const payment = await Payment.findOne({ proveedor: proveedor.nombre, referenciaExterna });
+
+  if (!payment || !payment.usuario.equals(usuarioId)) {
+    throw createError('Pago no encontrado', 404);
+  }
+
+  if (payment.estado !== 'pendiente') {
+    throw createError('Este pago ya no está pendiente', 400);
+  }
+
+  const { cuerpo, cabeceras } = proveedor.simularEvento(referenciaExterna, resultado);
+  return procesarEventoPago(proveedor.nombre, cuerpo, cabeceras);
+};
+
+/**
+ * Cerrar los intentos abiertos de una reserva que ya no se va a pagar
+ */
+const cerrarIntentosPendientes = async (reservaId, estado = 'cancelado') => {
+  const payment = await Payment.findOneAndUpdate(
+    { reserva: reservaId, estado: 'pendiente' },
+    { $set: { estado } },
+    { new: true }
+  );
+
+  if (payment) {
+    try {
+      await obtenerProveedor(payment.proveedor).cancelarIntento(payment.referenciaExterna);
+    } catch (error) {
+      console.error('Error anulando intento de pago:', error);
+    }
+  }
+
+  return payment;
+};
+
+/**
+ * Obtener los pagos de una reserva (titular o admin)
+ */
+const obtenerPagosReserva = async ({ reservaId, usuario }) => {
+  const reservation = await Reservation.findById(reservaId).select('usuario');
+
+  if (!reservation) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  if (usuario.rol !== 'admin' && !reservation.usuario.equals(usuario._id)) {
+    throw createError('No tienes permisos para ver los pagos de esta reserva', 403);
+  }
+
+  return Payment.find({ reserva: reservaId }).sort({ createdAt: -1 });
+};
+
+/**
+ * Resumen de ingresos de un periodo: lo cobrado por reservas (y los cobros tardíos),
+ * los reembolsos resueltos en el periodo y el neto resultante.
+ * Los reembolsos en saldo a favor también restan: ese dinero ya no es un ingreso.
+ */
+const resumenIngresos = async ({ desde, hasta } = {}) => {
+  const rango = (campo) => {
+    const filtro = {};
+    if (desde) filtro.$gte = desde;
+    if (hasta) filtro.$lte = hasta;
+    return Object.keys(filtro).length > 0 ? { [campo]: filtro } : {};
+  };
+
+  const porMetodoPago = await Reservation.aggregate([
+    { $match: { estadoPago: 'pagado', ...rango('fechaPago') } },
+    {
+      $group: {
+        _id: '$metodoPago',
+        total: { $sum: '$precioPagado' },
+        creditoCanjeado: { $sum: '$creditoAplicado' },
+        reservas: { $sum: 1 }
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
+  const [cobrosTardios] = await Payment.aggregate([
+    { $match: { estado: 'completado', requiereReembolso: true, ...rango('fechaPago') } },
+    { $group: { _id: null, total: { $sum: '$importe' }, pagos: { $sum: 1 } } }
+  ]);
+
+  const reembolsosProcesados = await Refund.aggregate([
+    { $match: { estado: 'procesado', ...rango('fechaProceso') } },
+    { $group: { _id: '$metodo', total: { $sum: '$importe' }, reembolsos: { $sum: 1 } } }
+  ]);
+
+  const [pendientes] = await Refund.aggregate([
+    { $match: { estado: 'pendiente' } },
+    { $group: { _id: null, total: { $sum: '$importe' }, reembolsos: { $sum: 1 } } }
+  ]);
+
+  const redondear = (importe) => Math.round(importe * 100) / 100;
+  const totalMetodo = (metodo) => {
+    const grupo = reembolsosProcesados.find(item => item._id === metodo);
+    return grupo ? grupo.total : 0;
+  };
+
+  const ingresosBrutos = porMetodoPago.reduce((suma, item) => suma + item.total, 0) +
+    (cobrosTardios ? cobrosTardios.total : 0);
+  const reembolsado = totalMetodo('original') + totalMetodo('credito');
+
+  return {
+    periodo: { desde: desde || null, hasta: hasta || null },
+    ingresosBrutos: redondear(ingresosBrutos),
+    porMetodoPago: porMetodoPago.map(item => ({
+      metodoPago: item._id,
+      total: redondear(item.total),
+      reservas: item.reservas
+    })),
+    cobrosTardios: redondear(cobrosTardios ? cobrosTardios.total : 0),
+    creditoCanjeado: redondear(porMetodoPago.reduce((suma, item) => suma + item.creditoCanjeado, 0)),
+    reembolsos: {
+      total: redondear(reembolsado),
+      original: redondear(totalMetodo('original')),
+      credito: redondear(totalMetodo('credito')),
+      cantidad: reembolsosProcesados.reduce((suma, item) => suma + item.reembolsos, 0),
+      pendiente: redondear(pendientes ? pendientes.total : 0),
+      cantidadPendiente: pendientes ? pendientes.reembolsos : 0
+    },
+    ingresosNetos: redondear(ingresosBrutos - reembolsado)
+  };
+};
+
+module.exports = {
+  condicionesPago,
+  crearIntentoPago,
+  procesarEventoPago,
+  simularPago,
+  cerrarIntentosPendientes,
+  obtenerPagosReserva,
+  resumenIngresos
+};
@@ -0,0 +1,216 @@
+/**
+ * Servicio de Comprobantes de Pago
+ * Subida de justificantes de transferencia bancaria y su revisión por un administrador
+ * Aprobar un comprobante confirma la reserva; rechazarlo deja la reserva pendiente
+ * para que el usuario suba uno nuevo.
+ */
+
+const PaymentReceipt = require('../models/PaymentReceipt');
+const Reservation = require('../models/Reservation');
+const StateTransition = require('../models/StateTransition');
+const { obtenerAdaptador } = require('./fileStorage');
+const { createError } = require('../middleware/errorHandler');
+const { notificar } = require('./notificationService');
+const { emitirFacturaSiPagada } = require('./invoiceService');
+
+const TAMANO_MAXIMO_COMPROBANTE = (parseFloat(process.env.RECEIPT_MAX_SIZE_MB) || 5) * 1024 * 1024;
+
+// Tipos admitidos con su extensión y la firma con la que empieza el archivo
+const TIPOS_PERMITIDOS = {
+  'application/pdf': { extension: '.pdf', esValido: (buf) => buf.subarray(0, 4).toString('latin1') === '%PDF' },
+  'image/jpeg': { extension: '.jpg', esValido: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  'image/png': { extension: '.png', esValido: (buf) => buf.subarray(0, 4).toString('hex') === '89504e47' },
+  'image/webp': {
+    extension: '.webp',
+    esValido: (buf) => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+};
+
+/**
+ * Subir el comprobante de transferencia de una reserva pendiente
+ */
+const subirComprobante = async ({ reservaId, usuarioId, archivo }) => {
+  const reservation = await Reservation.findById(reservaId);
+
+  if (!reservation) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  if (!reservation.usuario.equals(usuarioId)) {
+    throw createError('No tienes permisos para subir comprobantes de esta reserva', 403);
+  }
+
+  if (reservation.metodoPago !== 'transferencia') {
+    throw createError('Solo las reservas pagadas por transferencia admiten comprobantes', 400);
+  }
+
+  if (reservation.estado !== 'pendiente' || reservation.estadoPago !== 'pendiente') {
+    throw createError('La reserva no tiene pagos pendientes', 400);
+  }
+
+  if (!archivo) {
+    throw createError('Debe adjuntar el comprobante (PDF o imagen)', 400);
+  }
+
+  const tipo = TIPOS_PERMITIDOS[archivo.mimetype];
+  if (!tipo || !tipo.esValido(archivo.buffer)) {
+    throw createError('El comprobante debe ser un PDF o una imagen JPG, PNG o WEBP', 400);
+  }
+
+  const almacenamiento = obtenerAdaptador();
+  const { clave } = await almacenamiento.guardar({
+    carpeta: `comprobantes/${new Date().getFullYear()}`,
+    contenido: archivo.buffer,
+    extension: tipo.extension
+  });
+
+  let receipt;
+  try {
+    receipt = await PaymentReceipt.create({
+      reserva: reservation._id,
+      usuario: reservation.usuario,
+      curso: reservation.curso,
+      almacenamiento: almacenamiento.nombre,
+      clave,
+      nombreOriginal: archivo.originalname,
+      tipoMime: archivo.mimetype,
+      tamano: archivo.size
+    });
+  } catch (error) {
+    await almacenamiento.eliminar(clave);
+    if (error.code === 11000) {
+      throw createError('Ya tienes un comprobante pendiente de revisión para esta reserva', 409);
+    }
+    throw error;
+  }
+
+  reservation.comprobantePago = receipt._id.toString();
+  reservation.estadoComprobante = 'pendiente';
+  reservation.motivoRechazoComprobante = null;
+  await reservation.save();
+
+  return receipt;
+};
+
+/**
+ * Marcar como revisado un comprobante pendiente. El cambio es condicional para que
+ * dos administradores no puedan revisar a la vez el mismo comprobante.
+ */
+const revisar = async (comprobanteId, cambios) => {
+  const receipt = await PaymentReceipt.findOneAndUpdate(
+    { _id: comprobanteId, estado: 'pendiente' },
+    { $set: { ...cambios, fechaRevision: new Date() } },
+    { new: true }
+  );
+
+  if (!receipt) {
+    const existe = await PaymentReceipt.exists({ _id: comprobanteId });
+    throw existe
+      ? createError('El comprobante ya fue revisado', 400)
+      : createError('Comprobante no encontrado', 404);
+  }
+
+  return receipt;
+};
+
+/**
+ * Aprobar un comprobante: el pago se da por recibido y la reserva queda confirmada
+ */
+const aprobarComprobante = async ({ comprobanteId, adminId }) => {
+  const receipt = await revisar(comprobanteId, { estado: 'aprobado', revisadoPor: adminId });
+
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: receipt.reserva, estado: 'pendiente', comprobantePago: receipt._id.toString() },
+    {
+      $set: {
+        estado: 'confirmada',
+        estadoPago: 'pagado',
+        fechaPago: new Date(),
+        estadoComprobante: 'aprobado',
+        motivoRechazoComprobante: null
+      }
+    },
+    { new: true }
+  ).populate('usuario', 'nombre correo idioma');
+
+  if (!reservation) {
+    // La reserva se canceló o se confirmó por otra vía: el comprobante sale de la cola
+    const motivo = 'La reserva ya no está pendiente de pago';
+    await PaymentReceipt.updateOne(
+      { _id: receipt._id },
+      { $set: { estado: 'rechazado', motivoRechazo: motivo } }
+    );
+    throw createError(motivo, 400);
+  }
+
+  await StateTransition.registrar({
+    entidad: 'reserva',
+    referencia: reservation._id,
+    curso: reservation.curso,
+    estadoAnterior: 'pendiente',
+    estadoNuevo: 'confirmada',
+    motivo: 'Comprobante de transferencia aprobado'
+  });
+
+  await notificar('reserva_confirmada', {
+    usuario: reservation.usuario,
+    curso: reservation.curso,
+    referencia: reservation._id
+  });
+
+  await emitirFacturaSiPagada(reservation);
+
+  return receipt;
+};
+
+/**
+ * Rechazar un comprobante indicando el motivo, que el usuario ve en sus reservas
+ */
+const rechazarComprobante = async ({ comprobanteId, adminId, motivo }) => {
+  const receipt = await revisar(comprobanteId, {
+    estado: 'rechazado',
+    motivoRechazo: motivo,
+    revisadoPor: adminId
+  });
+
+  // Solo se refleja en la reserva si sigue siendo su último comprobante
+  await Reservation.updateOne(
+    { _id: receipt.reserva, comprobantePago: receipt._id.toString() },
+    { $set: { estadoComprobante: 'rechazado', motivoRechazoComprobante: motivo } }
+  );
+
+  await notificar('comprobante_rechazado', {
+    usuario: receipt.usuario,
+    curso: receipt.curso,
+    datos: { motivo },
+    referencia: receipt.reserva
+  });
+
+  return receipt;
+};
+
+/**
+ * Obtener el archivo de un comprobante (titular o admin)
+ */
+const obtenerArchivoComprobante = async ({ comprobanteId, usuario }) => {
+  const receipt = await PaymentReceipt.findById(comprobanteId);
+
+  if (!receipt) {
+    throw createError('Comprobante no encontrado', 404);
+  }
+
+  if (usuario.rol !== 'admin' && !receipt.usuario.equals(usuario._id)) {
+    throw createError('No tienes permisos para ver este comprobante', 403);
+  }
+
+  const contenido = await obtenerAdaptador(receipt.almacenamiento).leer(receipt.clave);
+  return { receipt, contenido };
+};
+
+module.exports = {
+  TAMANO_MAXIMO_COMPROBANTE,
+  subirComprobante,
+  aprobarComprobante,
+  rechazarComprobante,
+  obtenerArchivoComprobante
+};
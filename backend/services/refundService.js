@@ -0,0 +1,186 @@
+/**
+ * Servicio de Reembolsos
+ * Registra lo que hay que devolver al cancelarse una reserva pagada (o al llegar un cobro
+ * tardío) y permite a un administrador resolverlo por el medio de pago original o como
+ * saldo a favor. El saldo a favor que se usó en la reserva vuelve a la cuenta de inmediato.
+ */
+
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const { createError } = require('../middleware/errorHandler');
+const { notificar } = require('./notificationService');
+
+const redondear = (importe) => Math.round(importe * 100) / 100;
+
+/**
+ * Registrar el reembolso de una reserva recién cancelada aplicando el porcentaje de la
+ * política de cancelación. Solo se devuelve dinero si la reserva llegó a pagarse.
+ * No hace nada si no hay nada que devolver o si la reserva ya tiene su reembolso.
+ */
+const registrarReembolsoCancelacion = async (reservation, porcentaje = reservation.porcentajeReembolso, session = null) => {
+  const importePagado = reservation.estadoPago === 'pagado' ? reservation.precioPagado : 0;
+  const creditoAplicado = reservation.creditoAplicado || 0;
+  const pct = porcentaje || 0;
+
+  const importe = redondear(importePagado * pct / 100);
+  const creditoDevuelto = redondear(creditoAplicado * pct / 100);
+  if (importe === 0 && creditoDevuelto === 0) return null;
+
+  // Sin dinero que devolver, el reembolso queda resuelto al abonar el saldo
+  const soloCredito = importe === 0;
+  const usuarioId = reservation.usuario._id || reservation.usuario;
+  const cursoId = reservation.curso._id || reservation.curso;
+
+  let refund;
+  try {
+    [refund] = await Refund.create([{
+      reserva: reservation._id,
+      usuario: usuarioId,
+      curso: cursoId,
+      origen: 'cancelacion',
+      importePagado,
+      porcentaje: pct,
+      importe,
+      creditoDevuelto,
+      metodo: soloCredito ? 'credito' : 'original',
+      estado: soloCredito ? 'procesado' : 'pendiente',
+      fechaProceso: soloCredito ? new Date() : null
+    }], { session });
+  } catch (error) {
+    // Otra instancia ya registró el reembolso de esta cancelación
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (creditoDevuelto > 0) {
+    await User.abonarCredito(usuarioId, creditoDevuelto, session);
+  }
+
+  return refund;
+};
+
+/**
+ * Registrar la devolución íntegra de un cobro que llegó con la reserva ya cerrada
+ */
+const registrarReembolsoPagoTardio = async (payment) => {
+  try {
+    return await Refund.create({
+      reserva: payment.reserva,
+      usuario: payment.usuario,
+      curso: payment.curso,
+      pago: payment._id,
+      origen: 'pago_tardio',
+      importePagado: payment.importe,
+      porcentaje: 100,
+      importe: payment.importe
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Registrar la devolución íntegra de un grupo pagado cuyo curso se canceló. El cobro es
+ * del organizador, así que el reembolso es suyo.
+ */
+const registrarReembolsoGrupo = async (grupo, session = null) => {
+  if (grupo.estadoPago !== 'pagado' || !grupo.precioTotal) return null;
+
+  try {
+    const [refund] = await Refund.create([{
+      grupo: grupo._id,
+      usuario: grupo.organizador,
+      curso: grupo.curso._id || grupo.curso,
+      origen: 'cancelacion_grupo',
+      importePagado: grupo.precioTotal,
+      porcentaje: 100,
+      importe: grupo.precioTotal
+    }], { session });
+    return refund;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Resolver un reembolso pendiente. Es condicional sobre el estado para que dos
+ * administradores no puedan resolverlo (ni abonar el saldo) dos veces.
+ */
+const resolver = async (reembolsoId, cambios) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: reembolsoId, estado: 'pendiente' },
+    { $set: { ...cambios, fechaProceso: new Date() } },
+    { new: true }
+  );
+
+  if (!refund) {
+    const existe = await Refund.exists({ _id: reembolsoId });
+    throw existe
+      ? createError('El reembolso ya fue resuelto', 400)
+      : createError('Reembolso no encontrado', 404);
+  }
+
+  return refund;
+};
+
+/**
+ * Marcar un reembolso como procesado. Con el método credito el importe se abona
+ * como saldo a favor; con original se registra la referencia de la devolución.
+ */
+const procesarReembolso = async ({ reembolsoId, metodo, referenciaExterna, notas, procesadoPor }) => {
+  const refund = await resolver(reembolsoId, {
+    estado: 'procesado',
+    metodo,
+    referenciaExterna: metodo === 'original' ? referenciaExterna || null : null,
+    notas: notas || null,
+    procesadoPor
+  });
+
+  if (metodo === 'credito') {
+    await User.abonarCredito(refund.usuario, refund.importe);
+  }
+
+  await notificar('reembolso_procesado', {
+    usuario: refund.usuario,
+    curso: refund.curso,
+    datos: { importe: refund.importe, metodo },
+    referencia: refund.reserva || refund.grupo
+  });
+
+  return refund;
+};
+
+/**
+ * Rechazar un reembolso pendiente indicando el motivo
+ */
+const rechazarReembolso = ({ reembolsoId, notas, procesadoPor }) => {
+  return resolver(reembolsoId, { estado: 'rechazado', notas, procesadoPor });
+};
+
+/**
+ * El titular elige recibir un reembolso pendiente como saldo a favor
+ */
+const convertirEnCredito = async ({ reembolsoId, usuarioId }) => {
+  const refund = await Refund.findById(reembolsoId);
+
+  if (!refund) {
+    throw createError('Reembolso no encontrado', 404);
+  }
+
+  if (!refund.usuario.equals(usuarioId)) {
+    throw createError('No tienes permisos para modificar este reembolso', 403);
+  }
+
+  return procesarReembolso({ reembolsoId, metodo: 'credito', procesadoPor: usuarioId });
+};
+
+module.exports = {
+  registrarReembolsoCancelacion,
+  registrarReembolsoPagoTardio,
+  registrarReembolsoGrupo,
+  procesarReembolso,
+  rechazarReembolso,
+  convertirEnCredito
+};
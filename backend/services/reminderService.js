@@ -0,0 +1,138 @@
+/**
+ * Servicio de Recordatorios
+ * Programa avisos antes del inicio de cada curso para los titulares de reservas confirmadas
+ * Las antelaciones se configuran con REMINDER_OFFSETS_HOURS (por defecto 7 días, 24 horas y 1 hora)
+ */
+
+const Course = require('../models/Course');
+const Reservation = require('../models/Reservation');
+const { programar, cancelarTareas, registrarManejador } = require('./jobScheduler');
+const { notificar } = require('./notificationService');
+
+const TIPO_TAREA = 'recordatorio_curso';
+const HORA_MS = 60 * 60 * 1000;
+
+/**
+ * Antelaciones configuradas, en horas y de mayor a menor
+ */
+const obtenerAntelaciones = () => {
+  const valor = process.env.REMINDER_OFFSETS_HOURS || '168,24,1';
+  return [...new Set(
+    valor.split(',')
+      .map(horas => parseFloat(horas))
+      .filter(horas => horas > 0)
+  )].sort((a, b) => b - a);
+};
+
+const claveTarea = (cursoId, horas) => `${TIPO_TAREA}:${cursoId}:${horas}`;
+
+/**
+ * Programar (o reprogramar) los recordatorios de un curso.
+ * Con `reiniciar` (cambio de fecha) se descartan los ya enviados y se vuelven a programar todos.
+ */
+const programarRecordatorios = async (course, { reiniciar = false } = {}) => {
+  if (course.estado !== 'activo') {
+    await cancelarTareas({ tipo: TIPO_TAREA, referencia: course._id });
+    return [];
+  }
+
+  if (reiniciar) {
+    await cancelarTareas({ tipo: TIPO_TAREA, referencia: course._id });
+    await Reservation.updateMany({ curso: course._id }, { $set: { recordatoriosEnviados: [] } });
+  }
+
+  const ahora = Date.now();
+  const programadas = [];
+
+  for (const horas of obtenerAntelaciones()) {
+    const ejecutarEn = new Date(course.fechaInicio.getTime() - horas * HORA_MS);
+
+    // No se envían avisos de antelaciones que ya pasaron
+    if (ejecutarEn.getTime() <= ahora) continue;
+
+    programadas.push(await programar({
+      tipo: TIPO_TAREA,
+      clave: claveTarea(course._id, horas),
+      referencia: course._id,
+      datos: { horasAntes: horas },
+      ejecutarEn,
+      reiniciar
+    }));
+  }
+
+  return programadas;
+};
+
+/**
+ * Cancelar los recordatorios pendientes de un curso (p. ej. al eliminarlo)
+ */
+const cancelarRecordatorios = (cursoId) => {
+  return cancelarTareas({ tipo: TIPO_TAREA, referencia: cursoId });
+};
+
+/**
+ * Asegurar que todos los cursos activos futuros tienen sus recordatorios programados
+ * (se ejecuta al arrancar; es idempotente)
+ */
+const sincronizarRecordatorios = async () => {
+  const cursos = await Course.find({ estado: 'activo', fechaInicio: { $gt: new Date() } })
+    .select('estado fechaInicio');
+
+  for (const course of cursos) {
+    await programarRecordatorios(course);
+  }
+
+  return cursos.length;
+};
+
+/**
+ * Manejador de la tarea: avisa a cada reserva confirmada una única vez por antelación
+ */
+const enviarRecordatorios = async (job) => {
+  const horas = job.datos.horasAntes;
+  const course = await Course.findById(job.referencia).select('titulo fechaInicio ubicacion estado');
+
+  // Curso eliminado, cancelado o ya empezado: no hay nada que recordar
+  if (!course || course.estado !== 'activo' || course.fechaInicio <= new Date()) {
+    return 0;
+  }
+
+  const reservas = await Reservation.find({ curso: course._id, estado: 'confirmada' }).select('usuario');
+  let enviados = 0;
+
+  for (const reserva of reservas) {
+    // Marcar antes de notificar: si la tarea se reejecuta (otra instancia, reintento) no se duplica el aviso
+    const { modifiedCount } = await Reservation.updateOne(
+      { _id: reserva._id, estado: 'confirmada', recordatoriosEnviados: { $ne: horas } },
+      { $addToSet: { recordatoriosEnviados: horas } }
+    );
+
+    if (modifiedCount === 0) continue;
+
+    await notificar('recordatorio_curso', {
+      usuario: reserva.usuario,
+      curso: course,
+      datos: { horasAntes: horas },
+      referencia: reserva._id
+    });
+    enviados += 1;
+  }
+
+  return enviados;
+};
+
+/**
+ * Registrar el manejador de recordatorios en el planificador
+ */
+const registrarTareasRecordatorio = () => {
+  registrarManejador(TIPO_TAREA, enviarRecordatorios);
+};
+
+module.exports = {
+  obtenerAntelaciones,
+  programarRecordatorios,
+  cancelarRecordatorios,
+  sincronizarRecordatorios,
+  enviarRecordatorios,
+  registrarTareasRecordatorio
+};
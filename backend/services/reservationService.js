@@ -0,0 +1,675 @@
+/**
+ * Servicio de Reservas
+ * Lógica de negocio compartida para crear y cancelar reservas
+ * Toda operación que modifica cupos se ejecuta junto a la reserva en una transacción
+ */
+
+const Reservation = require('../models/Reservation');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const GroupBooking = require('../models/GroupBooking');
+const CourseInvitation = require('../models/CourseInvitation');
+const { withTransaction } = require('../utils/transaction');
+const { createError } = require('../middleware/errorHandler');
+const { notificar } = require('./notificationService');
+const { condicionesPago, cerrarIntentosPendientes } = require('./paymentService');
+const { registrarReembolsoCancelacion } = require('./refundService');
+const { evaluarCodigo, canjearCodigo, liberarCodigo } = require('./discountService');
+const { emitirFacturaSiPagada } = require('./invoiceService');
+const { comprobarAccesoReserva, canjearInvitacion } = require('./courseAccessService');
+
+// Plazo (en horas) que tiene el destinatario para aceptar una transferencia
+const HORAS_ACEPTACION_TRANSFERENCIA = parseFloat(process.env.TRANSFER_ACCEPT_HOURS) || 48;
+
+/**
+ * Desvincula el documento de la sesión ya finalizada para poder seguir usándolo
+ */
+const liberarSesion = (reservation) => {
+  reservation.$session(null);
+  if (reservation.populated('curso')) {
+    reservation.curso.$session(null);
+  }
+  return reservation;
+};
+
+/**
+ * Comprobar que la ventana de inscripción del curso está abierta.
+ * El `codigo` del error permite al cliente distinguir si aún no abre o si ya cerró.
+ */
+const comprobarVentanaInscripcion = (course, fecha = new Date()) => {
+  const estado = course.calcularEstadoInscripcion(fecha);
+  if (estado === 'proxima') {
+    throw createError('Las inscripciones para este curso aún no están abiertas', 400, 'INSCRIPCION_NO_ABIERTA');
+  }
+  if (estado === 'cerrada') {
+    throw createError('Las inscripciones para este curso ya están cerradas', 400, 'INSCRIPCION_CERRADA');
+  }
+};
+
+/**
+ * Crear una reserva descontando el cupo del curso de forma atómica.
+ * El precio es el del tramo vigente para la plaza tomada; a él se le resta primero
+ * el código de descuento y después, con usarCredito, el saldo a favor del usuario.
+ * Si no queda nada por pagar, la reserva queda pagada y confirmada.
+ * Un curso privado exige estar en su lista de acceso o una invitación (`codigoInvitacion`).
+ */
+const crearReserva = async ({ usuarioId, cursoId, notas, metodoPago = 'gratuito', codigoDescuento, usarCredito = false, codigoInvitacion }) => {
+  const reservation = await withTransaction(async (session) => {
+    // Sin transacción no hay rollback: se deshace a mano lo ya aplicado
+    const compensaciones = [];
+    const deshacer = async () => {
+      if (session) return;
+      for (const compensar of compensaciones.reverse()) {
+        await compensar();
+      }
+    };
+
+    const course = await Course.findById(cursoId).select('+accesoPrivado').session(session);
+    if (!course) {
+      throw createError('Curso no encontrado', 404);
+    }
+
+    // Un curso privado no se revela a quien no tiene acceso
+    const invitacion = await comprobarAccesoReserva({ course, usuarioId, codigoInvitacion, session });
+
+    if (course.estado !== 'activo') {
+      throw createError('El curso no está disponible para reservas', 400);
+    }
+
+    comprobarVentanaInscripcion(course);
+
+    if (!course.sePuedeReservar()) {
+      throw createError('No se puede reservar este curso (cupo lleno o fecha pasada)', 400);
+    }
+
+    const existingReservation = await Reservation.userHasReservation(usuarioId, cursoId).session(session);
+    if (existingReservation) {
+      throw createError('Ya tienes una reserva activa para este curso', 409);
+    }
+
+    // El $inc condicional falla si otro usuario tomó el último cupo entre la lectura y la escritura
+    try {
+      await course.reservarCupo(session);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+    compensaciones.push(() => Course.liberarCupoAtomico(cursoId));
+
+    try {
+      if (invitacion) {
+        await canjearInvitacion(invitacion._id, session);
+        compensaciones.push(() => CourseInvitation.liberarUsoAtomico(invitacion._id));
+      }
+
+      // Con el cupo ya tomado, `inscritos` es el número de esta plaza: dos reservas
+      // simultáneas nunca obtienen la misma plaza de un tramo por cupos
+      const precio = course.calcularPrecio(new Date(), course.inscritos);
+
+      let cupon = null;
+      let descuento = null;
+      if (codigoDescuento) {
+        const evaluacion = await evaluarCodigo({
+          codigo: codigoDescuento,
+          course,
+          precio,
+          usuarioId,
+          session
+        });
+        cupon = evaluacion.cupon;
+        descuento = { cupon: cupon._id, codigo: cupon.codigo, importe: evaluacion.descuento };
+      }
+      const precioFinal = Math.round((precio - (descuento ? descuento.importe : 0)) * 100) / 100;
+
+      let creditoAplicado = 0;
+      if (usarCredito && precioFinal > 0) {
+        const user = await User.findById(usuarioId).select('saldoCredito').session(session);
+        creditoAplicado = Math.min(user.saldoCredito, precioFinal);
+      }
+      const importe = Math.round((precioFinal - creditoAplicado) * 100) / 100;
+
+      if (importe > 0 && metodoPago === 'gratuito') {
+        throw createError('Este curso es de pago: elige un método de pago', 400);
+      }
+
+      // El uso del código también se consume de forma condicional, en total y por usuario
+      if (cupon) {
+        await canjearCodigo(cupon, usuarioId, session);
+        compensaciones.push(() => liberarCodigo(cupon._id, usuarioId));
+      }
+
+      // Descontar el saldo solo si sigue alcanzando (otra reserva simultánea pudo gastarlo)
+      if (creditoAplicado > 0) {
+        const descontado = await User.descontarCreditoAtomico(usuarioId, creditoAplicado, session);
+        if (!descontado) {
+          throw createError('Tu saldo a favor ha cambiado, vuelve a intentarlo', 409);
+        }
+        compensaciones.push(() => User.abonarCredito(usuarioId, creditoAplicado));
+      }
+
+      const pago = importe > 0
+        ? condicionesPago(course, metodoPago, new Date(), importe)
+        : { estado: 'confirmada', estadoPago: 'pagado', fechaPago: new Date() };
+
+      const reservation = new Reservation({
+        usuario: usuarioId,
+        curso: cursoId,
+        notas,
+        metodoPago,
+        precioPagado: importe,
+        descuento,
+        creditoAplicado,
+        ...pago
+      });
+
+      await reservation.save({ session });
+      return reservation;
+    } catch (error) {
+      await deshacer();
+      if (error.code === 11000) {
+        throw createError('Ya tienes una reserva activa para este curso', 409);
+      }
+      throw error;
+    }
+  });
+
+  // Notificar solo cuando la transacción ya se confirmó
+  await notificar(reservation.estado === 'confirmada' ? 'reserva_confirmada' : 'reserva_creada', {
+    usuario: usuarioId,
+    curso: cursoId,
+    referencia: reservation._id
+  });
+
+  // Pagada del todo con saldo a favor: se factura al momento
+  await emitirFacturaSiPagada(reservation);
+
+  return liberarSesion(reservation);
+};
+
+/**
+ * Cancelar una reserva y liberar su cupo en la misma transacción.
+ * Si la plaza es de un grupo, el cupo sigue siendo del grupo: solo queda libre
+ * para que el organizador se la asigne a otra persona.
+ */
+const cancelarReserva = async (reservationId, motivo) => {
+  const reservation = await withTransaction(async (session) => {
+    const reservation = await Reservation.findById(reservationId)
+      .populate('curso')
+      .session(session);
+
+    if (!reservation) {
+      throw createError('Reserva no encontrada', 404);
+    }
+
+    try {
+      await reservation.cancelar(motivo);
+      if (!reservation.grupo) {
+        await reservation.curso.liberarCupo(session);
+      }
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+
+    if (reservation.grupo) {
+      await GroupBooking.updateOne(
+        { _id: reservation.grupo },
+        { $pull: { asistentes: { reserva: reservation._id } } },
+        { session }
+      );
+      return reservation;
+    }
+
+    // El cupo liberado pasa al primero de la lista de espera
+    await promoverListaEspera(reservation.curso._id, session);
+
+    return reservation;
+  });
+
+  liberarSesion(reservation);
+
+  // Un intento de pago abierto ya no se va a completar
+  await cerrarIntentosPendientes(reservation._id);
+
+  // Registrar lo que hay que devolver según la política de cancelación
+  await registrarReembolsoCancelacion(reservation);
+
+  await notificar('reserva_cancelada', {
+    usuario: reservation.usuario,
+    curso: reservation.curso,
+    datos: {
+      porcentajeReembolso: reservation.precioPagado + reservation.creditoAplicado > 0
+        ? reservation.porcentajeReembolso
+        : null
+    },
+    referencia: reservation._id
+  });
+
+  return reservation;
+};
+
+/**
+ * Mover una reserva a otra edición del mismo curso en un solo paso: se toma el cupo
+ * de la nueva edición, se cambia la reserva y se libera el cupo de la anterior.
+ * Los administradores pueden saltarse el plazo y elegir cualquier curso.
+ */
+const reprogramarReserva = async ({ reservaId, cursoId, usuario, motivo }) => {
+  const esAdmin = usuario.rol === 'admin';
+  let cursoAnterior;
+
+  const reservation = await withTransaction(async (session) => {
+    const reservation = await Reservation.findById(reservaId)
+      .populate('curso')
+      .session(session);
+
+    if (!reservation) {
+      throw createError('Reserva no encontrada', 404);
+    }
+
+    if (!esAdmin && !reservation.usuario.equals(usuario._id)) {
+      throw createError('No tienes permisos para cambiar esta reserva', 403);
+    }
+
+    if (!['pendiente', 'confirmada'].includes(reservation.estado)) {
+      throw createError('Solo se pueden cambiar de edición las reservas pendientes o confirmadas', 400);
+    }
+
+    if (reservation.grupo) {
+      throw createError('Las plazas de un grupo no se pueden cambiar de edición', 400);
+    }
+
+    cursoAnterior = reservation.curso;
+
+    const course = await Course.findById(cursoId).select('+accesoPrivado').session(session);
+    if (!course) {
+      throw createError('Curso no encontrado', 404);
+    }
+
+    if (course.estado !== 'activo' || course.fechaInicio <= new Date()) {
+      throw createError('La edición elegida no está disponible para reservas', 400);
+    }
+
+    if (!esAdmin) {
+      if (!cursoAnterior.esEdicionEquivalente(course)) {
+        throw createError('Solo puedes cambiar a otra edición del mismo curso', 400);
+      }
+
+      if (!course.permiteAcceso(usuario)) {
+        throw createError('La edición elegida es privada y no tienes acceso a ella', 403);
+      }
+
+      comprobarVentanaInscripcion(course);
+
+      // Dejar libre la plaza tiene el mismo plazo que una cancelación
+      const { fechaLimite } = cursoAnterior.evaluarCancelacion(reservation.estado);
+      if (new Date() >= fechaLimite) {
+        throw createError('El plazo para cambiar de edición ha vencido', 400);
+      }
+    }
+
+    const existingReservation = await Reservation.userHasReservation(reservation.usuario, course._id)
+      .session(session);
+    if (existingReservation) {
+      throw createError('El usuario ya tiene una reserva activa para la edición elegida', 409);
+    }
+
+    // Tomar primero el cupo nuevo para no perder la plaza si la edición se llena
+    const reservado = await Course.reservarCupoAtomico(course._id, session);
+    if (!reservado) {
+      throw createError('No quedan cupos en la edición elegida', 400);
+    }
+
+    try {
+      await reservation.reprogramar(course._id, {
+        realizadoPor: usuario._id,
+        porAdministrador: esAdmin,
+        motivo
+      }, session);
+    } catch (error) {
+      // Sin transacción no hay rollback: devolver el cupo manualmente
+      if (!session) {
+        await Course.liberarCupoAtomico(course._id);
+      }
+      if (error.code === 11000) {
+        throw createError('El usuario ya tiene una reserva registrada para la edición elegida', 409);
+      }
+      throw createError(error.message, 400);
+    }
+
+    await Course.liberarCupoAtomico(cursoAnterior._id, session);
+
+    // El cupo liberado pasa al primero de la lista de espera de la edición anterior
+    await promoverListaEspera(cursoAnterior._id, session);
+
+    return reservation;
+  });
+
+  reservation.$session(null);
+  cursoAnterior.$session(null);
+  await reservation.populate('curso');
+
+  await notificar('reserva_reprogramada', {
+    usuario: reservation.usuario,
+    curso: reservation.curso,
+    datos: { cursoAnterior },
+    referencia: reservation._id
+  });
+
+  return reservation;
+};
+
+/**
+ * Obtener las ediciones a las que se puede mover una reserva
+ */
+const obtenerEdicionesAlternativas = async ({ reservaId, usuario }) => {
+  const reservation = await Reservation.findById(reservaId).populate('curso');
+
+  if (!reservation) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  if (usuario.rol !== 'admin' && !reservation.usuario.equals(usuario._id)) {
+    throw createError('No tienes permisos para cambiar esta reserva', 403);
+  }
+
+  const ediciones = await Course.findEdicionesAlternativas(reservation.curso)
+    .select('titulo fechaInicio fechaFin ubicacion modalidad instructor cupoMaximo cupoDisponible precio tramosPrecio visibilidad');
+
+  // Las ediciones privadas solo se ofrecen a quien está en su lista de acceso
+  const privadas = ediciones.filter(edicion => edicion.visibilidad === 'privado');
+  if (usuario.rol === 'admin' || privadas.length === 0) return ediciones;
+
+  const accesos = await Course.find({ _id: { $in: privadas.map(edicion => edicion._id) } })
+    .select('visibilidad accesoPrivado');
+  const permitidas = new Set(accesos
+    .filter(acceso => acceso.permiteAcceso(usuario))
+    .map(acceso => acceso._id.toString()));
+
+  return ediciones.filter(edicion => edicion.visibilidad !== 'privado' || permitidas.has(edicion._id.toString()));
+};
+
+/**
+ * Agregar al usuario a la lista de espera de un curso sin cupos.
+ * En un curso privado la invitación se canjea al entrar en la lista.
+ */
+const unirseListaEspera = async ({ usuarioId, cursoId, notas, metodoPago = 'gratuito', codigoInvitacion }) => {
+  const course = await Course.findById(cursoId).select('+accesoPrivado');
+  if (!course) {
+    throw createError('Curso no encontrado', 404);
+  }
+
+  const invitacion = await comprobarAccesoReserva({ course, usuarioId, codigoInvitacion });
+
+  if (course.estado !== 'activo' || course.fechaInicio <= new Date()) {
+    throw createError('El curso no está disponible para reservas', 400);
+  }
+
+  comprobarVentanaInscripcion(course);
+
+  if (course.cupoDisponible > 0) {
+    throw createError('El curso tiene cupos disponibles, puedes reservar directamente', 400);
+  }
+
+  if (course.esDePago() && metodoPago === 'gratuito') {
+    throw createError('Este curso es de pago: elige un método de pago', 400);
+  }
+
+  const existingReservation = await Reservation.userHasReservation(usuarioId, cursoId);
+  if (existingReservation) {
+    throw createError('Ya tienes una reserva activa para este curso', 409);
+  }
+
+  const reservation = new Reservation({
+    usuario: usuarioId,
+    curso: cursoId,
+    estado: 'en_espera',
+    notas,
+    metodoPago
+  });
+
+  if (invitacion) {
+    await canjearInvitacion(invitacion._id);
+  }
+
+  try {
+    await reservation.save();
+  } catch (error) {
+    if (invitacion) {
+      await CourseInvitation.liberarUsoAtomico(invitacion._id);
+    }
+    if (error.code === 11000) {
+      throw createError('Ya tienes una reserva activa para este curso', 409);
+    }
+    throw error;
+  }
+
+  // Si se liberó un cupo mientras se registraba, promover de inmediato
+  await promoverListaEspera(cursoId);
+
+  return Reservation.findById(reservation._id);
+};
+
+/**
+ * Retirar al usuario de la lista de espera de un curso
+ */
+const salirListaEspera = async (usuarioId, cursoId) => {
+  const reservation = await Reservation.findOneAndDelete({
+    usuario: usuarioId,
+    curso: cursoId,
+    estado: 'en_espera'
+  });
+
+  if (!reservation) {
+    throw createError('No estás en la lista de espera de este curso', 404);
+  }
+
+  return reservation;
+};
+
+/**
+ * Promover al primero de la lista de espera si el curso tiene un cupo libre.
+ * Primero se toma el cupo con el $inc condicional y luego se reclama al siguiente
+ * en espera con una actualización atómica, de modo que dos liberaciones simultáneas
+ * nunca promueven a la misma persona ni consumen el mismo cupo.
+ */
+const promoverListaEspera = async (cursoId, session = null) => {
+  const hayEspera = await Reservation.exists({ curso: cursoId, estado: 'en_espera' }).session(session);
+  if (!hayEspera) return null;
+
+  const course = await Course.reservarCupoAtomico(cursoId, session);
+  if (!course) return null;
+
+  // Se paga el precio vigente al promover, para la plaza recién tomada
+  const precio = course.calcularPrecio(new Date(), course.inscritos);
+
+  const promovida = await Reservation.findOneAndUpdate(
+    { curso: cursoId, estado: 'en_espera' },
+    {
+      $set: {
+        estado: 'pendiente',
+        fechaPromocion: new Date(),
+        precioPagado: precio
+      }
+    },
+    { sort: { fechaReserva: 1, _id: 1 }, new: true, session }
+  );
+
+  // Nadie quedaba en espera: devolver el cupo tomado
+  if (!promovida) {
+    await Course.liberarCupoAtomico(cursoId, session);
+    return null;
+  }
+
+  // El plazo de pago empieza a contar desde la promoción
+  const pago = condicionesPago(course, promovida.metodoPago, new Date(), precio);
+  promovida.estadoPago = pago.estadoPago;
+  promovida.fechaLimitePago = pago.fechaLimitePago;
+  await Reservation.updateOne({ _id: promovida._id }, { $set: pago }, { session });
+
+  return promovida;
+};
+
+/**
+ * Proponer la transferencia de una reserva a otro usuario identificado por su correo.
+ * El cupo no se toca: la plaza sigue ocupada por la misma reserva.
+ */
+const solicitarTransferencia = async ({ reservaId, usuarioId, correo }) => {
+  const reservation = await Reservation.findById(reservaId)
+    .populate('curso', 'titulo fechaInicio ubicacion');
+
+  if (!reservation) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  if (!reservation.usuario.equals(usuarioId)) {
+    throw createError('No tienes permisos para transferir esta reserva', 403);
+  }
+
+  // En un grupo es el organizador quien sustituye al asistente
+  if (reservation.grupo) {
+    throw createError('Las plazas de un grupo no se transfieren: pide al organizador que te sustituya', 400);
+  }
+
+  if (reservation.curso.fechaInicio <= new Date()) {
+    throw createError('No se puede transferir una reserva de un curso que ya comenzó', 400);
+  }
+
+  const destinatario = await User.findByEmail(correo);
+  if (!destinatario || !destinatario.activo) {
+    throw createError('No existe ningún usuario activo con ese correo', 404);
+  }
+
+  // Quien recibe una plaza de un curso privado debe estar en su lista de acceso
+  const acceso = await Course.findById(reservation.curso._id).select('visibilidad accesoPrivado');
+  if (!acceso.permiteAcceso(destinatario)) {
+    throw createError('El destinatario no tiene acceso a este curso privado', 403);
+  }
+
+  const existingReservation = await Reservation.userHasReservation(destinatario._id, reservation.curso._id);
+  if (existingReservation) {
+    throw createError('El destinatario ya tiene una reserva activa para este curso', 409);
+  }
+
+  // El plazo de aceptación nunca pasa del inicio del curso
+  const expiraEn = new Date(Math.min(
+    Date.now() + HORAS_ACEPTACION_TRANSFERENCIA * 60 * 60 * 1000,
+    reservation.curso.fechaInicio.getTime()
+  ));
+
+  try {
+    await reservation.solicitarTransferencia(destinatario._id, expiraEn);
+  } catch (error) {
+    throw createError(error.message, 400);
+  }
+
+  const titular = await User.findById(usuarioId).select('nombre');
+  await notificar('transferencia_solicitada', {
+    usuario: destinatario,
+    curso: reservation.curso,
+    datos: { nombreTitular: titular.nombre, expiraEn },
+    referencia: reservation._id
+  });
+
+  return reservation;
+};
+
+/**
+ * Aceptar una transferencia: la reserva pasa al destinatario en una sola escritura
+ */
+const aceptarTransferencia = async ({ reservaId, usuarioId }) => {
+  let titularAnterior;
+
+  const reservation = await withTransaction(async (session) => {
+    const reservation = await Reservation.findById(reservaId)
+      .populate('curso', 'titulo fechaInicio ubicacion')
+      .session(session);
+
+    const pendiente = reservation && reservation.transferenciaPendiente;
+    if (!pendiente || !pendiente.destinatario.equals(usuarioId)) {
+      throw createError('No tienes ninguna transferencia pendiente para esta reserva', 404);
+    }
+
+    if (reservation.curso.fechaInicio <= new Date()) {
+      throw createError('No se puede transferir una reserva de un curso que ya comenzó', 400);
+    }
+
+    const existingReservation = await Reservation.userHasReservation(usuarioId, reservation.curso._id)
+      .session(session);
+    if (existingReservation) {
+      throw createError('Ya tienes una reserva activa para este curso', 409);
+    }
+
+    titularAnterior = reservation.usuario;
+
+    try {
+      await reservation.aceptarTransferencia(usuarioId, session);
+    } catch (error) {
+      // El índice único (usuario, curso) también cuenta las reservas canceladas
+      if (error.code === 11000) {
+        throw createError('Ya tienes una reserva registrada para este curso', 409);
+      }
+      throw createError(error.message, 400);
+    }
+
+    return reservation;
+  });
+
+  liberarSesion(reservation);
+
+  const nuevoTitular = await User.findById(usuarioId).select('nombre');
+  await notificar('transferencia_aceptada', {
+    usuario: titularAnterior,
+    curso: reservation.curso,
+    datos: { nombreDestinatario: nuevoTitular.nombre },
+    referencia: reservation._id
+  });
+
+  return reservation;
+};
+
+/**
+ * Descartar la transferencia pendiente: la retira el titular o la rechaza el destinatario
+ */
+const anularTransferencia = async ({ reservaId, usuarioId }) => {
+  const reservation = await Reservation.findById(reservaId);
+
+  if (!reservation || !reservation.transferenciaPendiente) {
+    throw createError('No hay ninguna transferencia pendiente para esta reserva', 404);
+  }
+
+  const esTitular = reservation.usuario.equals(usuarioId);
+  const esDestinatario = reservation.transferenciaPendiente.destinatario.equals(usuarioId);
+  if (!esTitular && !esDestinatario) {
+    throw createError('No tienes permisos para modificar esta transferencia', 403);
+  }
+
+  await reservation.anularTransferencia();
+  return reservation;
+};
+
+/**
+ * Transferencias vigentes dirigidas a un usuario
+ */
+const obtenerTransferenciasRecibidas = (usuarioId) => {
+  return Reservation.find({
+    'transferenciaPendiente.destinatario': usuarioId,
+    'transferenciaPendiente.expiraEn': { $gt: new Date() },
+    estado: { $in: ['pendiente', 'confirmada'] }
+  })
+    .populate('curso', 'titulo fechaInicio fechaFin instructor modalidad ubicacion')
+    .populate('usuario', 'nombre correo')
+    .sort({ 'transferenciaPendiente.expiraEn': 1 });
+};
+
+module.exports = {
+  comprobarVentanaInscripcion,
+  crearReserva,
+  cancelarReserva,
+  unirseListaEspera,
+  salirListaEspera,
+  promoverListaEspera,
+  reprogramarReserva,
+  obtenerEdicionesAlternativas,
+  solicitarTransferencia,
+  aceptarTransferencia,
+  anularTransferencia,
+  obtenerTransferenciasRecibidas
+};
@@ -0,0 +1,183 @@
+/**
+ * Servicio de Sesiones
+ * Emisión de tokens de acceso de corta duración y de tokens de renovación por
+ * dispositivo, que viajan en una cookie httpOnly y se rotan en cada uso
+ */
+
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { generateToken } = require('../middleware/auth');
+const { createError } = require('../middleware/errorHandler');
+
+const NOMBRE_COOKIE = 'refreshToken';
+
+const diasRenovacion = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Margen en que un token ya canjeado aún se acepta; desactivado salvo que se configure
+const segundosGracia = () => parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 0;
+
+const dispositivoPeticion = (req) => (req.get('user-agent') || '').slice(0, 300) || null;
+
+/**
+ * Un token canjeado hace un instante que vuelve a llegar desde el mismo dispositivo
+ * suele ser otra pestaña que renovó con la misma cookie a la vez, no un robo: dentro
+ * del margen no se revoca. Desde otro dispositivo o IP se trata siempre como robo.
+ */
+const dentroDeGracia = (registro, req) => {
+  return !registro.fechaRevocacion &&
+    !!registro.fechaUso &&
+    Date.now() - registro.fechaUso.getTime() <= segundosGracia() * 1000 &&
+    registro.dispositivo === dispositivoPeticion(req) &&
+    registro.ip === (req.ip || null);
+};
+
+const revocarPorReutilizacion = async (registro) => {
+  await RefreshToken.revocarFamilia(registro.familia, 'reutilizacion');
+  throw createError('La sesión se ha cerrado por seguridad. Inicia sesión de nuevo', 401);
+};
+
+// Opciones de la cookie; solo se envía a las rutas de autenticación
+const opcionesCookie = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'strict',
+  path: '/api/auth'
+});
+
+/**
+ * Leer el token de renovación de la cookie de la petición
+ */
+const leerRefreshToken = (req) => {
+  const cabecera = req.headers.cookie || '';
+  for (const parte of cabecera.split(';')) {
+    const [clave, ...valor] = parte.trim().split('=');
+    if (clave === NOMBRE_COOKIE) {
+      return decodeURIComponent(valor.join('='));
+    }
+  }
+  return null;
+};
+
+const guardarCookie = (res, token, expiraEn) => {
+  res.cookie(NOMBRE_COOKIE, token, { ...opcionesCookie(), expires: expiraEn });
+};
+
+/**
+ * Borrar la cookie de renovación del navegador
+ */
+const borrarCookie = (res) => {
+  res.clearCookie(NOMBRE_COOKIE, opcionesCookie());
+};
+
+/**
+ * Crear un token de renovación para el dispositivo de la petición. Sin `familia`
+ * empieza una sesión nueva; con ella, continúa la sesión rotada.
+ */
+const crearRefreshToken = async (user, req, familia = null) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiraEn = new Date(Date.now() + diasRenovacion() * 24 * 60 * 60 * 1000);
+
+  await RefreshToken.create({
+    usuario: user._id,
+    tokenHash: RefreshToken.hashToken(token),
+    familia: familia || crypto.randomUUID(),
+    tokenVersion: user.tokenVersion,
+    dispositivo: dispositivoPeticion(req),
+    ip: req.ip || null,
+    expiraEn
+  });
+
+  return { token, expiraEn };
+};
+
+/**
+ * Iniciar sesión en un dispositivo: deja la cookie de renovación en la respuesta y
+ * devuelve el token de acceso
+ */
+const iniciarSesion = async (user, req, res) => {
+  const { token, expiraEn } = await crearRefreshToken(user, req);
+  guardarCookie(res, token, expiraEn);
+  return generateToken(user._id, user.tokenVersion);
+};
+
+/**
+ * Canjear el token de renovación de la cookie por un token de acceso nuevo, rotando
+ * la cookie. Presentar un token revocado, o uno ya canjeado fuera del margen de
+ * gracia o desde otro dispositivo, revoca toda su familia.
+ */
+const renovarSesion = async (req, res) => {
+  const tokenPlano = leerRefreshToken(req);
+  if (!tokenPlano) {
+    throw createError('Sesión no encontrada', 401);
+  }
+
+  const registro = await RefreshToken.findByToken(tokenPlano);
+  if (!registro) {
+    throw createError('Sesión no válida', 401);
+  }
+
+  if ((registro.fechaUso || registro.fechaRevocacion) && !dentroDeGracia(registro, req)) {
+    await revocarPorReutilizacion(registro);
+  }
+
+  if (registro.expiraEn <= new Date()) {
+    throw createError('La sesión ha caducado', 401);
+  }
+
+  const user = await User.findById(registro.usuario);
+  if (!user || !user.activo || user.tokenVersion !== registro.tokenVersion) {
+    await RefreshToken.revocarFamilia(registro.familia, 'logout_global');
+    throw createError('Sesión cerrada', 401);
+  }
+
+  // Dos peticiones con el mismo token: solo una lo marca como usado; la otra recibe
+  // también un token de la familia si llega dentro del margen de gracia desde el
+  // mismo dispositivo, y si no, se revoca la familia
+  if (!registro.fechaUso) {
+    const usado = await RefreshToken.marcarUsadoAtomico(registro._id);
+    if (!usado) {
+      const actual = await RefreshToken.findById(registro._id);
+      if (!actual || !dentroDeGracia(actual, req)) {
+        await revocarPorReutilizacion(registro);
+      }
+    }
+  }
+
+  const { token, expiraEn } = await crearRefreshToken(user, req, registro.familia);
+  guardarCookie(res, token, expiraEn);
+
+  return { user, token: generateToken(user._id, user.tokenVersion) };
+};
+
+/**
+ * Cerrar la sesión del dispositivo de la petición
+ */
+const cerrarSesion = async (req, res) => {
+  const tokenPlano = leerRefreshToken(req);
+  if (tokenPlano) {
+    const registro = await RefreshToken.findByToken(tokenPlano);
+    if (registro) {
+      await RefreshToken.revocarFamilia(registro.familia, 'logout');
+    }
+  }
+  borrarCookie(res);
+};
+
+/**
+ * Cerrar todas las sesiones de un usuario: los tokens de acceso dejan de valer y
+ * los de renovación se revocan
+ */
+const cerrarTodasLasSesiones = async (user) => {
+  await user.invalidarTokens();
+  await RefreshToken.revocarDeUsuario(user._id, 'logout_global');
+};
+
+module.exports = {
+  leerRefreshToken,
+  borrarCookie,
+  iniciarSesion,
+  renovarSesion,
+  cerrarSesion,
+  cerrarTodasLasSesiones
+};
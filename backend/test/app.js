@@ -0,0 +1,19 @@
+/**
+ * Aplicación mínima para probar un router con supertest: el router montado en su ruta
+ * y el manejador de errores común, sin el resto de middleware del servidor
+ */
+
+const express = require('express');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const crearApp = (ruta, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(ruta, router);
+  app.use(errorHandler);
+  return app;
+};
+
+module.exports = {
+  crearApp
+};
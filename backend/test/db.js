@@ -0,0 +1,49 @@
+/**
+ * Base de datos de las pruebas
+ * Réplica de un solo nodo en memoria: a diferencia de un servidor independiente,
+ * admite transacciones, así que las pruebas recorren el mismo camino que producción
+ */
+
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let replSet;
+
+/**
+ * Arrancar la réplica, conectar mongoose y crear los índices de todos los modelos
+ * (los índices únicos forman parte de lo que se prueba)
+ */
+const conectar = async () => {
+  replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: 'wiredTiger' }
+  });
+  await mongoose.connect(replSet.getUri());
+  await Promise.all(Object.values(mongoose.models).map(modelo => modelo.init()));
+};
+
+/**
+ * Vaciar todas las colecciones entre pruebas
+ */
+const limpiar = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+  const colecciones = Object.values(mongoose.connection.collections);
+  await Promise.all(colecciones.map(coleccion => coleccion.deleteMany({})));
+};
+
+/**
+ * Cerrar la conexión y parar la réplica
+ */
+const desconectar = async () => {
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+  }
+};
+
+module.exports = {
+  conectar,
+  limpiar,
+  desconectar
+};
@@ -0,0 +1,75 @@
+/**
+ * Datos de prueba comunes: usuarios y cursos mínimos válidos
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Reservation = require('../models/Reservation');
+
+const DIA = 24 * 60 * 60 * 1000;
+
+let contador = 0;
+
+/**
+ * Crear `cantidad` usuarios sin pasar por el hook de hash para no penalizar el tiempo
+ */
+const crearUsuarios = async (cantidad, datos = {}) => {
+  const contraseña = await bcrypt.hash('password123', 4);
+  const lote = ++contador;
+  return User.insertMany(
+    Array.from({ length: cantidad }, (_, i) => ({
+      nombre: `Usuario Prueba ${i}`,
+      correo: `prueba.${lote}.${i}@ejemplo.com`,
+      contraseña,
+      ...datos
+    }))
+  );
+};
+
+const crearUsuario = async (datos = {}) => {
+  const [user] = await crearUsuarios(1, datos);
+  return user;
+};
+
+/**
+ * Crear un curso activo que empieza dentro de una semana
+ */
+const crearCurso = (datos = {}) => {
+  const cupoMaximo = datos.cupoMaximo || 5;
+  return Course.create({
+    titulo: `Curso de prueba ${++contador}`,
+    descripcion: 'Curso temporal para las pruebas automáticas',
+    cupoMaximo,
+    cupoDisponible: cupoMaximo,
+    fechaInicio: new Date(Date.now() + 7 * DIA),
+    fechaFin: new Date(Date.now() + 8 * DIA),
+    estado: 'activo',
+    categoria: 'Pruebas',
+    instructor: 'Sistema',
+    creadoPor: new mongoose.Types.ObjectId(),
+    ...datos
+  });
+};
+
+/**
+ * Ocupación de un curso vista desde su contador de cupos y desde sus reservas activas;
+ * si la contabilidad de cupos es correcta, ambas coinciden
+ */
+const ocupacion = async (cursoId) => {
+  const course = await Course.findById(cursoId);
+  const reservas = await Reservation.countDocuments({
+    curso: cursoId,
+    estado: { $in: ['pendiente', 'confirmada'] }
+  });
+  return { segunCupos: course.cupoMaximo - course.cupoDisponible, segunReservas: reservas };
+};
+
+module.exports = {
+  DIA,
+  crearUsuarios,
+  crearUsuario,
+  crearCurso,
+  ocupacion
+};
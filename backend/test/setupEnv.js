@@ -0,0 +1,7 @@
+/**
+ * Entorno común de las pruebas: secretos de prueba y sin envío de notificaciones
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto_de_pruebas';
+process.env.NOTIFICATIONS_ENABLED = 'false';
@@ -0,0 +1,45 @@
+/**
+ * Utilidades de Tokens de Asistencia
+ * Firma y verifica los tokens que se muestran como código QR para registrar asistencia
+ */
+
+const jwt = require('jsonwebtoken');
+
+// Audiencia propia para que un token de asistencia nunca sirva como token de sesión
+const AUDIENCIA = 'asistencia';
+
+// Margen tras el fin del curso durante el que el token sigue siendo válido
+const MARGEN_EXPIRACION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Genera el token de asistencia de una reserva; expira un día después del fin del curso.
+ * Incluye al titular para que el código deje de valer si la reserva se transfiere.
+ */
+const generarTokenAsistencia = (reservation, curso) => {
+  const expiraEn = new Date(new Date(curso.fechaFin).getTime() + MARGEN_EXPIRACION_MS);
+
+  const token = jwt.sign(
+    {
+      reservaId: reservation._id.toString(),
+      cursoId: curso._id.toString(),
+      usuarioId: reservation.usuario.toString(),
+      exp: Math.floor(expiraEn.getTime() / 1000)
+    },
+    process.env.JWT_SECRET,
+    { audience: AUDIENCIA }
+  );
+
+  return { token, expiraEn };
+};
+
+/**
+ * Verifica un token de asistencia y devuelve su contenido (lanza error si no es válido)
+ */
+const verificarTokenAsistencia = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET, { audience: AUDIENCIA });
+};
+
+module.exports = {
+  generarTokenAsistencia,
+  verificarTokenAsistencia
+};
@@ -0,0 +1,47 @@
+/**
+ * Utilidades de Correo
+ * Transporte SMTP configurado por variables de entorno
+ * En desarrollo puede apuntarse a un capturador local tipo MailHog (SMTP_HOST=localhost, SMTP_PORT=1025)
+ */
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Obtener (y crear la primera vez) el transporte SMTP
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Enviar un correo con el transporte configurado
+ */
+const enviarCorreo = ({ para, asunto, texto, html }) => {
+  return getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'Sistema de Reservas <no-reply@reservas.local>',
+    to: para,
+    subject: asunto,
+    text: texto,
+    html
+  });
+};
+
+module.exports = {
+  getTransporter,
+  enviarCorreo
+};
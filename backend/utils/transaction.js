@@ -0,0 +1,47 @@
+/**
+ * Utilidades de Transacciones
+ * Ejecuta operaciones de varios documentos de forma atómica usando sesiones de MongoDB
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Verifica si el error indica que el servidor no soporta transacciones
+ * (por ejemplo, una instancia standalone sin replica set)
+ */
+const esErrorSinTransacciones = (error) => {
+  return error && (
+    error.code === 20 ||
+    error.codeName === 'IllegalOperation' ||
+    /Transaction numbers are only allowed/.test(error.message)
+  );
+};
+
+/**
+ * Ejecuta `fn(session)` dentro de una transacción.
+ * Los errores transitorios (conflictos de escritura) se reintentan automáticamente.
+ * Si el servidor no soporta transacciones, ejecuta `fn(null)` sin sesión; en ese caso
+ * el llamador es responsable de compensar las escrituras parciales.
+ */
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let resultado;
+    await session.withTransaction(async () => {
+      resultado = await fn(session);
+    });
+    return resultado;
+  } catch (error) {
+    if (esErrorSinTransacciones(error)) {
+      return fn(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction
+};
@@ -11,19 +11,33 @@ import Footer from './components/layout/Footer';
 // Componentes de autenticación
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
 
 // Componentes de usuario
 import Dashboard from './components/user/Dashboard';
 import CourseList from './components/courses/CourseList';
 import CourseDetail from './components/courses/CourseDetail';
 import ReservationList from './components/reservations/ReservationList';
+import GroupBookingList from './components/reservations/GroupBookingList';
 import Profile from './components/user/Profile';
+import MockCheckout from './components/payments/MockCheckout';
 
 // Componentes de administrador
 import AdminDashboard from './components/admin/AdminDashboard';
 import CourseManagement from './components/admin/CourseManagement';
 import UserManagement from './components/admin/UserManagement';
 import ReservationManagement from './components/admin/ReservationManagement';
+import CourseTemplates from './components/admin/CourseTemplates';
+import AttendanceRoster from './components/admin/AttendanceRoster';
+import CourseAccess from './components/admin/CourseAccess';
+import NotificationLog from './components/admin/NotificationLog';
+import ReceiptReview from './components/admin/ReceiptReview';
+import RefundManagement from './components/admin/RefundManagement';
+import DiscountCodeManagement from './components/admin/DiscountCodeManagement';
+import InvoiceManagement from './components/admin/InvoiceManagement';
+import GroupBookingManagement from './components/admin/GroupBookingManagement';
 
 // Componentes públicos
 import Home from './components/public/Home';
@@ -54,6 +68,9 @@ function App() {
             {/* Rutas de autenticación */}
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
             
             {/* Rutas protegidas de usuario */}
             <Route 
@@ -84,6 +101,15 @@ function App() {
               } 
             />
             
+            <Route 
+              path="/group-bookings" 
+              element={
+                <ProtectedRoute>
+                  <GroupBookingList />
+                </ProtectedRoute>
+              } 
+            />
+            
             <Route 
               path="/profile" 
               element={
@@ -93,6 +119,15 @@ function App() {
               } 
             />
             
+            <Route 
+              path="/payments/mock/:referencia" 
+              element={
+                <ProtectedRoute>
+                  <MockCheckout />
+                </ProtectedRoute>
+              } 
+            />
+            
             {/* Rutas de administrador */}
             <Route 
               path="/admin" 
@@ -130,6 +165,87 @@ function App() {
               } 
             />
             
+            <Route 
+              path="/admin/group-bookings" 
+              element={
+                <AdminRoute>
+                  <GroupBookingManagement />
+                </AdminRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/templates" 
+              element={
+                <AdminRoute>
+                  <CourseTemplates />
+                </AdminRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/courses/:id/attendance" 
+              element={
+                <AdminRoute>
+                  <AttendanceRoster />
+                </AdminRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/courses/:id/access" 
+              element={
+                <AdminRoute>
+                  <CourseAccess />
+                </AdminRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/notifications" 
+              element={
+                <AdminRoute>
+                  <NotificationLog />
+                </AdminRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/receipts" 
+              element={
+                <AdminRoute>
+                  <ReceiptReview />
+                </AdminRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/refunds" 
+              element={
+                <AdminRoute>
+                  <RefundManagement />
+                </AdminRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/discount-codes" 
+              element={
+                <AdminRoute>
+                  <DiscountCodeManagement />
+                </AdminRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/invoices" 
+              element={
+                <AdminRoute>
+                  <InvoiceManagement />
+                </AdminRoute>
+              } 
+            />
+            
             {/* Ruta por defecto */}
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
@@ -35,11 +35,22 @@ const AdminDashboard = () => {
   });
   const [recentReservations, setRecentReservations] = useState([]);
   const [recentCourses, setRecentCourses] = useState([]);
+  const [atRiskCourses, setAtRiskCourses] = useState([]);
 
   useEffect(() => {
     loadDashboardData();
+    loadAtRiskCourses();
   }, []);
 
+  const loadAtRiskCourses = async () => {
+    try {
+      const response = await courseService.getAtRiskCourses();
+      setAtRiskCourses(response.data.data);
+    } catch (error) {
+      console.error('Error cargando cursos en riesgo:', error);
+    }
+  };
+
   const loadDashboardData = async () => {
     try {
       setLoading(true);
@@ -120,14 +131,16 @@ const AdminDashboard = () => {
       'pendiente': 'warning',
       'confirmada': 'success',
       'cancelada': 'danger',
-      'completada': 'info'
+      'completada': 'info',
+      'no_asistio': 'dark'
     };
     
     const labels = {
       'pendiente': 'Pendiente',
       'confirmada': 'Confirmada',
       'cancelada': 'Cancelada',
-      'completada': 'Completada'
+      'completada': 'Completada',
+      'no_asistio': 'No asistió'
     };
 
     return <Badge bg={variants[estado]}>{labels[estado]}</Badge>;
@@ -187,6 +200,7 @@ const AdminDashboard = () => {
               </small>
             </Card.Body>
           </Card>
+        </Col>
         
         <Col md={3} className="mb-3">
           <Card className="text-center h-100">
@@ -305,9 +319,11 @@ const AdminDashboard = () => {
                           {getStatusBadge(reservation.estado)}
                           <br />
                           <small className="text-muted">
-                            {reservation.precioPagado > 0 
-                              ? formatCurrency(reservation.precioPagado)
-                              : 'Gratuito'
+                            {reservation.grupo
+                              ? `Grupo de ${reservation.grupo.organizador?.nombre || 'otro usuario'}`
+                              : reservation.precioPagado > 0
+                                ? formatCurrency(reservation.precioPagado)
+                                : 'Gratuito'
                             }
                           </small>
                         </div>
@@ -380,6 +396,27 @@ const AdminDashboard = () => {
               </h5>
             </Card.Header>
             <Card.Body>
+              {atRiskCourses.length > 0 && (
+                <Alert variant="danger" className="mb-3">
+                  <FaExclamationTriangle className="me-2" />
+                  <strong>{atRiskCourses.length}</strong> {atRiskCourses.length === 1 ? 'curso no alcanza' : 'cursos no alcanzan'} su cupo mínimo:
+                  <ul className="mb-0 mt-2">
+                    {atRiskCourses.map((course) => (
+                      <li key={course._id}>
+                        <Link to={`/courses/${course._id}`}>{course.titulo}</Link>
+                        {' — '}
+                        {course.inscritos} de {course.cupoMinimo} inscritos mínimos
+                        {course.fechaDecision && (
+                          <small className="text-muted">
+                            {' '}(decisión el {formatDate(course.fechaDecision)})
+                          </small>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </Alert>
+              )}
+
               {stats.pendingReservations > 0 && (
                 <Alert variant="warning" className="mb-3">
                   <FaClock className="me-2" />
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Container, Row, Col, Card, Button, Badge, Alert, Form, Table, InputGroup } from 'react-bootstrap';
+import { attendanceService } from '../../services/api';
+import { toast } from 'react-toastify';
+import {
+  FaArrowLeft,
+  FaUserCheck,
+  FaQrcode,
+  FaCheckCircle,
+  FaExclamationTriangle
+} from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const AttendanceRoster = () => {
+  const { id } = useParams();
+  const [loading, setLoading] = useState(true);
+  const [curso, setCurso] = useState(null);
+  const [participantes, setParticipantes] = useState([]);
+  const [sesionId, setSesionId] = useState('');
+  const [checkinToken, setCheckinToken] = useState('');
+  const [checkingIn, setCheckingIn] = useState(false);
+
+  useEffect(() => {
+    loadRoster();
+  }, [id]);
+
+  const loadRoster = async () => {
+    try {
+      const response = await attendanceService.getRoster(id);
+      setCurso(response.data.data.curso);
+      setParticipantes(response.data.data.participantes);
+    } catch (error) {
+      console.error('Error cargando lista de asistencia:', error);
+      toast.error(error.response?.data?.message || 'Error al cargar la lista de asistencia');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Escáneres de QR que actúan como teclado: el token se escribe y se envía con Enter
+  const handleCheckin = async (e) => {
+    e.preventDefault();
+    if (!checkinToken.trim()) return;
+
+    try {
+      setCheckingIn(true);
+      const response = await attendanceService.checkIn(checkinToken.trim(), sesionId || undefined);
+      toast.success(response.data.message);
+      setCheckinToken('');
+      loadRoster();
+    } catch (error) {
+      console.error('Error registrando asistencia:', error);
+      toast.error(error.response?.data?.message || 'Error al registrar la asistencia');
+    } finally {
+      setCheckingIn(false);
+    }
+  };
+
+  const handleToggle = async (participante, sesion, presente) => {
+    try {
+      await attendanceService.markAttendance(id, participante.reservaId, sesion || undefined, presente);
+      loadRoster();
+    } catch (error) {
+      console.error('Error actualizando asistencia:', error);
+      toast.error(error.response?.data?.message || 'Error al actualizar la asistencia');
+    }
+  };
+
+  const formatSession = (sesion) => {
+    const fecha = new Date(sesion.fecha).toLocaleDateString('es-ES', {
+      day: 'numeric',
+      month: 'short',
+      timeZone: 'UTC'
+    });
+    return `${fecha} ${sesion.horaInicio}`;
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!curso) {
+    return (
+      <Container className="py-4">
+        <Alert variant="danger">No se pudo cargar la lista de asistencia.</Alert>
+      </Container>
+    );
+  }
+
+  const sesiones = curso.sesiones.length > 0 ? curso.sesiones : [null];
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col>
+          <Button as={Link} to={`/courses/${id}`} variant="link" className="px-0 mb-2">
+            <FaArrowLeft className="me-2" />
+            Volver al curso
+          </Button>
+          <h2 className="mb-1">
+            <FaUserCheck className="me-2" />
+            Asistencia: {curso.titulo}
+          </h2>
+          {curso.asistenciaMinima > 0 && (
+            <p className="text-muted mb-0">
+              Asistencia mínima para completar el curso: {curso.asistenciaMinima}%
+            </p>
+          )}
+        </Col>
+      </Row>
+
+      {/* Registro por código QR */}
+      <Card className="mb-4">
+        <Card.Body>
+          <h5 className="mb-3">
+            <FaQrcode className="me-2" />
+            Registro con Código QR
+          </h5>
+          <Form onSubmit={handleCheckin}>
+            <Row>
+              {curso.sesiones.length > 0 && (
+                <Col md={4} className="mb-2">
+                  <Form.Select value={sesionId} onChange={(e) => setSesionId(e.target.value)}>
+                    <option value="">Sesión en curso</option>
+                    {curso.sesiones.map(sesion => (
+                      <option key={sesion._id} value={sesion._id}>{formatSession(sesion)}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+              )}
+              <Col md={curso.sesiones.length > 0 ? 8 : 12} className="mb-2">
+                <InputGroup>
+                  <Form.Control
+                    value={checkinToken}
+                    onChange={(e) => setCheckinToken(e.target.value)}
+                    placeholder="Escanea o pega el código del participante"
+                    autoFocus
+                  />
+                  <Button type="submit" variant="primary" disabled={checkingIn}>
+                    {checkingIn ? 'Registrando...' : 'Registrar'}
+                  </Button>
+                </InputGroup>
+              </Col>
+            </Row>
+          </Form>
+        </Card.Body>
+      </Card>
+
+      {/* Lista de asistencia manual */}
+      <Card>
+        <Card.Body>
+          {participantes.length === 0 ? (
+            <p className="text-muted mb-0">No hay reservas confirmadas para este curso.</p>
+          ) : (
+            <Table responsive hover size="sm" className="mb-0 align-middle">
+              <thead>
+                <tr>
+                  <th>Participante</th>
+                  {sesiones.map(sesion => (
+                    <th key={sesion ? sesion._id : 'curso'} className="text-center">
+                      {sesion ? formatSession(sesion) : 'Asistió'}
+                    </th>
+                  ))}
+                  <th className="text-center">Asistencia</th>
+                </tr>
+              </thead>
+              <tbody>
+                {participantes.map(participante => (
+                  <tr key={participante.reservaId}>
+                    <td>
+                      {participante.usuario?.nombre}
+                      <div className="small text-muted">{participante.usuario?.correo}</div>
+                    </td>
+                    {participante.asistencias.map(asistencia => (
+                      <td key={asistencia.sesion || 'curso'} className="text-center">
+                        <Form.Check
+                          type="checkbox"
+                          checked={asistencia.presente}
+                          disabled={participante.estado !== 'confirmada'}
+                          onChange={(e) => handleToggle(participante, asistencia.sesion, e.target.checked)}
+                        />
+                      </td>
+                    ))}
+                    <td className="text-center">
+                      <Badge bg={participante.cumpleMinimo ? 'success' : 'warning'}>
+                        {participante.cumpleMinimo
+                          ? <FaCheckCircle className="me-1" />
+                          : <FaExclamationTriangle className="me-1" />}
+                        {participante.porcentajeAsistencia}%
+                      </Badge>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default AttendanceRoster;
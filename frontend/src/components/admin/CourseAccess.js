@@ -0,0 +1,369 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Container, Row, Col, Card, Button, Badge, Alert, Form, Table, InputGroup } from 'react-bootstrap';
+import { courseService, parseEmailList } from '../../services/api';
+import { toast } from 'react-toastify';
+import {
+  FaArrowLeft,
+  FaLock,
+  FaEnvelope,
+  FaCopy,
+  FaBan,
+  FaPlus
+} from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const VISIBILIDADES = {
+  publico: 'Público: aparece en el catálogo',
+  no_listado: 'No listado: solo con el enlace del curso',
+  privado: 'Privado: solo con invitación o desde la lista de acceso'
+};
+
+const emptyInvitation = {
+  correo: '',
+  descripcion: '',
+  usosMaximos: '',
+  expiraEn: ''
+};
+
+const formatShortDate = (dateString) => new Date(dateString).toLocaleDateString('es-ES');
+
+// Enlace que abre la ficha del curso con el código ya aplicado
+const invitationLink = (cursoId, codigo) =>
+  `${window.location.origin}/courses/${cursoId}?invitacion=${codigo}`;
+
+const CourseAccess = () => {
+  const { id } = useParams();
+  const [loading, setLoading] = useState(true);
+  const [course, setCourse] = useState(null);
+  const [access, setAccess] = useState({ visibilidad: 'publico', correos: '', dominios: '' });
+  const [saving, setSaving] = useState(false);
+  const [invitations, setInvitations] = useState([]);
+  const [invitationData, setInvitationData] = useState(emptyInvitation);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    loadAccess();
+  }, [id]);
+
+  const loadAccess = async () => {
+    try {
+      const [courseResponse, invitationsResponse] = await Promise.all([
+        courseService.getCourseById(id),
+        courseService.getInvitations(id)
+      ]);
+      const data = courseResponse.data.data;
+      setCourse(data);
+      setAccess({
+        visibilidad: data.visibilidad || 'publico',
+        correos: (data.accesoPrivado?.correos || []).join('\n'),
+        dominios: (data.accesoPrivado?.dominios || []).join('\n')
+      });
+      setInvitations(invitationsResponse.data.data);
+    } catch (error) {
+      console.error('Error cargando acceso del curso:', error);
+      toast.error(error.response?.data?.message || 'Error al cargar el acceso del curso');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveAccess = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await courseService.updateCourse(id, {
+        visibilidad: access.visibilidad,
+        accesoPrivado: {
+          correos: parseEmailList(access.correos),
+          dominios: parseEmailList(access.dominios).map(dominio => dominio.replace(/^@/, ''))
+        }
+      });
+      setCourse(response.data.data);
+      toast.success('Acceso del curso actualizado');
+    } catch (error) {
+      console.error('Error guardando acceso del curso:', error);
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Error al guardar el acceso');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateInvitation = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreating(true);
+      const response = await courseService.createInvitation(id, {
+        correo: invitationData.correo || undefined,
+        descripcion: invitationData.descripcion || undefined,
+        usosMaximos: invitationData.usosMaximos || undefined,
+        expiraEn: invitationData.expiraEn ? new Date(`${invitationData.expiraEn}T23:59:59`).toISOString() : undefined
+      });
+      toast.success(response.data.message);
+      setInvitationData(emptyInvitation);
+      setInvitations(prev => [response.data.data, ...prev]);
+    } catch (error) {
+      console.error('Error generando invitación:', error);
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Error al generar la invitación');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`¿Revocar la invitación ${invitation.codigo}? Las reservas ya hechas con ella se mantienen.`)) {
+      return;
+    }
+
+    try {
+      const response = await courseService.revokeInvitation(id, invitation._id);
+      toast.success(response.data.message);
+      setInvitations(prev => prev.map(item => (item._id === invitation._id ? response.data.data : item)));
+    } catch (error) {
+      console.error('Error revocando invitación:', error);
+      toast.error(error.response?.data?.message || 'Error al revocar la invitación');
+    }
+  };
+
+  const handleCopyLink = async (invitation) => {
+    try {
+      await navigator.clipboard.writeText(invitationLink(id, invitation.codigo));
+      toast.success('Enlace de invitación copiado');
+    } catch (error) {
+      toast.error('No se pudo copiar el enlace');
+    }
+  };
+
+  const getInvitationBadge = (invitation) => {
+    if (invitation.revocada) return <Badge bg="danger">Revocada</Badge>;
+    if (invitation.expiraEn && new Date(invitation.expiraEn) <= new Date()) {
+      return <Badge bg="secondary">Caducada</Badge>;
+    }
+    if (invitation.usosRestantes === 0) return <Badge bg="secondary">Agotada</Badge>;
+    return <Badge bg="success">Vigente</Badge>;
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!course) {
+    return (
+      <Container className="py-4">
+        <Alert variant="danger">No se pudo cargar el curso</Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-4">
+      <Button as={Link} to={`/courses/${id}`} variant="link" className="p-0 mb-3">
+        <FaArrowLeft className="me-1" />
+        Volver al curso
+      </Button>
+
+      <h2 className="mb-1">
+        <FaLock className="me-2" />
+        Visibilidad y Acceso
+      </h2>
+      <p className="text-muted mb-4">{course.titulo}</p>
+
+      <Row>
+        <Col lg={5} className="mb-4">
+          <Card>
+            <Card.Body>
+              <h5 className="mb-3">Visibilidad</h5>
+              <Form onSubmit={handleSaveAccess}>
+                {Object.entries(VISIBILIDADES).map(([value, label]) => (
+                  <Form.Check
+                    key={value}
+                    type="radio"
+                    id={`visibilidad-${value}`}
+                    name="visibilidad"
+                    label={label}
+                    checked={access.visibilidad === value}
+                    onChange={() => setAccess(prev => ({ ...prev, visibilidad: value }))}
+                    className="mb-2"
+                  />
+                ))}
+
+                {access.visibilidad === 'privado' && (
+                  <>
+                    <hr />
+                    <h6>Lista de acceso</h6>
+                    <p className="text-muted small">
+                      Estas personas pueden ver y reservar el curso sin invitación.
+                    </p>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Correos</Form.Label>
+                      <Form.Control
+                        as="textarea"
+                        rows={4}
+                        value={access.correos}
+                        onChange={(e) => setAccess(prev => ({ ...prev, correos: e.target.value }))}
+                        placeholder="ana@empresa.com"
+                      />
+                    </Form.Group>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Dominios de correo</Form.Label>
+                      <Form.Control
+                        as="textarea"
+                        rows={2}
+                        value={access.dominios}
+                        onChange={(e) => setAccess(prev => ({ ...prev, dominios: e.target.value }))}
+                        placeholder="empresa.com"
+                      />
+                      <Form.Text muted>
+                        Cualquier cuenta con un correo de estos dominios tiene acceso.
+                      </Form.Text>
+                    </Form.Group>
+                  </>
+                )}
+
+                <Button type="submit" variant="primary" disabled={saving}>
+                  {saving ? 'Guardando...' : 'Guardar'}
+                </Button>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={7} className="mb-4">
+          <Card className="mb-4">
+            <Card.Body>
+              <h5 className="mb-3">Nueva invitación</h5>
+              {course.visibilidad !== 'privado' && (
+                <Alert variant="info" className="small">
+                  Las invitaciones solo restringen el acceso cuando el curso es privado.
+                </Alert>
+              )}
+              <Form onSubmit={handleCreateInvitation}>
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Correo (opcional)</Form.Label>
+                      <InputGroup>
+                        <InputGroup.Text><FaEnvelope /></InputGroup.Text>
+                        <Form.Control
+                          type="email"
+                          value={invitationData.correo}
+                          onChange={(e) => setInvitationData(prev => ({ ...prev, correo: e.target.value }))}
+                          placeholder="Cualquiera con el código"
+                        />
+                      </InputGroup>
+                      <Form.Text muted>Si se indica, solo esa persona podrá usarla y se le enviará.</Form.Text>
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Descripción</Form.Label>
+                      <Form.Control
+                        type="text"
+                        maxLength={200}
+                        value={invitationData.descripcion}
+                        onChange={(e) => setInvitationData(prev => ({ ...prev, descripcion: e.target.value }))}
+                        placeholder="Equipo de finanzas"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Límite de usos</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min={1}
+                        value={invitationData.usosMaximos}
+                        onChange={(e) => setInvitationData(prev => ({ ...prev, usosMaximos: e.target.value }))}
+                        placeholder="Sin límite"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Válida hasta</Form.Label>
+                      <Form.Control
+                        type="date"
+                        value={invitationData.expiraEn}
+                        onChange={(e) => setInvitationData(prev => ({ ...prev, expiraEn: e.target.value }))}
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
+                <Button type="submit" variant="primary" disabled={creating}>
+                  <FaPlus className="me-1" />
+                  {creating ? 'Generando...' : 'Generar invitación'}
+                </Button>
+              </Form>
+            </Card.Body>
+          </Card>
+
+          <Card>
+            <Card.Body>
+              <h5 className="mb-3">Invitaciones</h5>
+              {invitations.length === 0 ? (
+                <p className="text-muted mb-0">Este curso aún no tiene invitaciones</p>
+              ) : (
+                <Table responsive hover size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Código</th>
+                      <th>Destinatario</th>
+                      <th>Usos</th>
+                      <th>Caduca</th>
+                      <th>Estado</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invitations.map(invitation => (
+                      <tr key={invitation._id}>
+                        <td>
+                          <code>{invitation.codigo}</code>
+                          {invitation.descripcion && (
+                            <small className="d-block text-muted">{invitation.descripcion}</small>
+                          )}
+                        </td>
+                        <td>{invitation.correo || <span className="text-muted">Cualquiera</span>}</td>
+                        <td>
+                          {invitation.usos}
+                          {invitation.usosMaximos ? ` / ${invitation.usosMaximos}` : ''}
+                        </td>
+                        <td>{invitation.expiraEn ? formatShortDate(invitation.expiraEn) : '—'}</td>
+                        <td>{getInvitationBadge(invitation)}</td>
+                        <td className="text-end text-nowrap">
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            className="me-1"
+                            title="Copiar enlace"
+                            onClick={() => handleCopyLink(invitation)}
+                          >
+                            <FaCopy />
+                          </Button>
+                          {!invitation.revocada && (
+                            <Button
+                              variant="outline-danger"
+                              size="sm"
+                              title="Revocar"
+                              onClick={() => handleRevoke(invitation)}
+                            >
+                              <FaBan />
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default CourseAccess;
@@ -0,0 +1,697 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Badge, Alert, Modal, Form, Table } from 'react-bootstrap';
+import { courseTemplateService, formatDate, formatPrice } from '../../services/api';
+import { toast } from 'react-toastify';
+import {
+  FaCopy,
+  FaPlus,
+  FaEdit,
+  FaTrash,
+  FaEye,
+  FaCalendarAlt,
+  FaRedo,
+  FaCheckCircle
+} from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const DIAS_SEMANA = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+const FRECUENCIAS = {
+  semanal: 'Semanal',
+  mensual: 'Mensual',
+  personalizada: 'Personalizada'
+};
+
+const emptyForm = {
+  titulo: '',
+  descripcion: '',
+  categoria: '',
+  instructor: '',
+  ubicacion: '',
+  modalidad: 'presencial',
+  cupoMaximo: 20,
+  cupoMinimo: 0,
+  horasDecision: 48,
+  precio: 0,
+  fechaInicio: '',
+  fechaFin: '',
+  estadoEdiciones: 'borrador',
+  frecuencia: 'semanal',
+  intervalo: 1,
+  diasSemana: [],
+  fechas: '',
+  hasta: '',
+  repeticiones: ''
+};
+
+// Convierte una fecha ISO al formato de un input datetime-local
+const toInputDate = (value) => (value ? new Date(value).toISOString().slice(0, 16) : '');
+
+const CourseTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [propagar, setPropagar] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [previewTemplate, setPreviewTemplate] = useState(null);
+  const [preview, setPreview] = useState([]);
+  const [selectedDates, setSelectedDates] = useState([]);
+  const [generating, setGenerating] = useState(false);
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const loadTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await courseTemplateService.getTemplates();
+      setTemplates(response.data.data);
+    } catch (error) {
+      console.error('Error cargando plantillas:', error);
+      toast.error('Error al cargar las plantillas');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateModal = () => {
+    setEditingTemplate(null);
+    setForm(emptyForm);
+    setPropagar(false);
+    setShowFormModal(true);
+  };
+
+  const openEditModal = (template) => {
+    const recurrencia = template.recurrencia || {};
+    setEditingTemplate(template);
+    setForm({
+      titulo: template.titulo,
+      descripcion: template.descripcion,
+      categoria: template.categoria,
+      instructor: template.instructor,
+      ubicacion: template.ubicacion || '',
+      modalidad: template.modalidad,
+      cupoMaximo: template.cupoMaximo,
+      cupoMinimo: template.cupoMinimo || 0,
+      horasDecision: template.horasDecision ?? 48,
+      precio: template.precio,
+      fechaInicio: toInputDate(template.fechaInicio),
+      fechaFin: toInputDate(template.fechaFin),
+      estadoEdiciones: template.estadoEdiciones,
+      frecuencia: recurrencia.frecuencia || 'semanal',
+      intervalo: recurrencia.intervalo || 1,
+      diasSemana: recurrencia.diasSemana || [],
+      fechas: (recurrencia.fechas || []).map(toInputDate).join('\n'),
+      hasta: recurrencia.hasta ? toInputDate(recurrencia.hasta).slice(0, 10) : '',
+      repeticiones: recurrencia.repeticiones || ''
+    });
+    setPropagar(false);
+    setShowFormModal(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleDiaSemana = (dia) => {
+    setForm(prev => ({
+      ...prev,
+      diasSemana: prev.diasSemana.includes(dia)
+        ? prev.diasSemana.filter(d => d !== dia)
+        : [...prev.diasSemana, dia]
+    }));
+  };
+
+  const buildPayload = () => ({
+    titulo: form.titulo,
+    descripcion: form.descripcion,
+    categoria: form.categoria,
+    instructor: form.instructor,
+    ubicacion: form.ubicacion,
+    modalidad: form.modalidad,
+    cupoMaximo: parseInt(form.cupoMaximo),
+    cupoMinimo: parseInt(form.cupoMinimo) || 0,
+    horasDecision: parseFloat(form.horasDecision) || 0,
+    precio: parseFloat(form.precio) || 0,
+    fechaInicio: new Date(form.fechaInicio).toISOString(),
+    fechaFin: new Date(form.fechaFin).toISOString(),
+    estadoEdiciones: form.estadoEdiciones,
+    recurrencia: {
+      frecuencia: form.frecuencia,
+      intervalo: parseInt(form.intervalo) || 1,
+      diasSemana: form.frecuencia === 'semanal' ? form.diasSemana : [],
+      fechas: form.frecuencia === 'personalizada'
+        ? form.fechas.split('\n').map(f => f.trim()).filter(Boolean).map(f => new Date(f).toISOString())
+        : [],
+      hasta: form.hasta ? new Date(form.hasta).toISOString() : null,
+      repeticiones: form.repeticiones ? parseInt(form.repeticiones) : null
+    }
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const payload = buildPayload();
+
+      if (editingTemplate) {
+        const response = await courseTemplateService.updateTemplate(editingTemplate._id, payload, propagar);
+        const propagacion = response.data.propagacion;
+        if (propagacion) {
+          toast.success(
+            `Plantilla actualizada: ${propagacion.actualizadas.length} ediciones actualizadas, ` +
+            `${propagacion.omitidas.length} omitidas por tener reservas`
+          );
+        } else {
+          toast.success('Plantilla actualizada exitosamente');
+        }
+      } else {
+        await courseTemplateService.createTemplate(payload);
+        toast.success('Plantilla creada exitosamente');
+      }
+
+      setShowFormModal(false);
+      loadTemplates();
+    } catch (error) {
+      console.error('Error guardando plantilla:', error);
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0] || data?.message || 'Error al guardar la plantilla');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`¿Eliminar la plantilla "${template.titulo}"? Las ediciones ya generadas se conservan.`)) {
+      return;
+    }
+
+    try {
+      await courseTemplateService.deleteTemplate(template._id);
+      toast.success('Plantilla eliminada exitosamente');
+      loadTemplates();
+    } catch (error) {
+      console.error('Error eliminando plantilla:', error);
+      toast.error(error.response?.data?.message || 'Error al eliminar la plantilla');
+    }
+  };
+
+  const openPreview = async (template) => {
+    try {
+      const response = await courseTemplateService.previewEditions(template._id);
+      const ediciones = response.data.data;
+      setPreviewTemplate(template);
+      setPreview(ediciones);
+      setSelectedDates(ediciones.filter(e => !e.existente).map(e => e.fechaInicio));
+    } catch (error) {
+      console.error('Error previsualizando ediciones:', error);
+      toast.error(error.response?.data?.message || 'Error al previsualizar las ediciones');
+    }
+  };
+
+  const closePreview = () => {
+    setPreviewTemplate(null);
+    setPreview([]);
+    setSelectedDates([]);
+  };
+
+  const toggleSelectedDate = (fecha) => {
+    setSelectedDates(prev =>
+      prev.includes(fecha) ? prev.filter(f => f !== fecha) : [...prev, fecha]
+    );
+  };
+
+  const handleGenerate = async () => {
+    if (!previewTemplate || selectedDates.length === 0) return;
+
+    try {
+      setGenerating(true);
+      const response = await courseTemplateService.generateEditions(previewTemplate._id, selectedDates);
+      toast.success(response.data.message);
+      closePreview();
+    } catch (error) {
+      console.error('Error generando ediciones:', error);
+      toast.error(error.response?.data?.message || 'Error al generar las ediciones');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const describeRecurrence = (recurrencia) => {
+    if (!recurrencia) return '-';
+    let texto = FRECUENCIAS[recurrencia.frecuencia];
+    if (recurrencia.frecuencia !== 'personalizada' && recurrencia.intervalo > 1) {
+      texto += ` (cada ${recurrencia.intervalo})`;
+    }
+    if (recurrencia.frecuencia === 'semanal' && recurrencia.diasSemana?.length > 0) {
+      texto += `: ${recurrencia.diasSemana.map(d => DIAS_SEMANA[d]).join(', ')}`;
+    }
+    if (recurrencia.repeticiones) {
+      texto += ` · ${recurrencia.repeticiones} ediciones`;
+    }
+    return texto;
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col>
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <h2 className="mb-1">
+                <FaCopy className="me-2" />
+                Plantillas de Cursos
+              </h2>
+              <p className="text-muted mb-0">
+                Define cursos recurrentes y genera sus ediciones automáticamente
+              </p>
+            </div>
+            <Button variant="primary" onClick={openCreateModal}>
+              <FaPlus className="me-2" />
+              Nueva Plantilla
+            </Button>
+          </div>
+        </Col>
+      </Row>
+
+      {templates.length === 0 ? (
+        <Alert variant="info">
+          Aún no hay plantillas. Crea una para generar ediciones recurrentes de un curso.
+        </Alert>
+      ) : (
+        <Card>
+          <Card.Body>
+            <Table responsive hover className="mb-0">
+              <thead>
+                <tr>
+                  <th>Título</th>
+                  <th>Recurrencia</th>
+                  <th>Primera edición</th>
+                  <th>Cupo</th>
+                  <th>Precio</th>
+                  <th>Estado</th>
+                  <th className="text-end">Acciones</th>
+                </tr>
+              </thead>
+              <tbody>
+                {templates.map(template => (
+                  <tr key={template._id}>
+                    <td>
+                      <strong>{template.titulo}</strong>
+                      <div className="small text-muted">{template.categoria}</div>
+                    </td>
+                    <td>
+                      <FaRedo className="me-1 text-muted" />
+                      {describeRecurrence(template.recurrencia)}
+                    </td>
+                    <td>{formatDate(template.fechaInicio)}</td>
+                    <td>{template.cupoMaximo}</td>
+                    <td>{formatPrice(template.precio)}</td>
+                    <td>
+                      <Badge bg={template.activa ? 'success' : 'secondary'}>
+                        {template.activa ? 'Activa' : 'Inactiva'}
+                      </Badge>
+                    </td>
+                    <td className="text-end">
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        className="me-2"
+                        onClick={() => openPreview(template)}
+                      >
+                        <FaEye className="me-1" />
+                        Ediciones
+                      </Button>
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        className="me-2"
+                        onClick={() => openEditModal(template)}
+                      >
+                        <FaEdit />
+                      </Button>
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => handleDelete(template)}
+                      >
+                        <FaTrash />
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+
+      {/* Modal de creación / edición */}
+      <Modal show={showFormModal} onHide={() => setShowFormModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>
+              {editingTemplate ? 'Editar Plantilla' : 'Nueva Plantilla'}
+            </Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Row>
+              <Col md={8}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Título</Form.Label>
+                  <Form.Control name="titulo" value={form.titulo} onChange={handleChange} required />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Categoría</Form.Label>
+                  <Form.Control name="categoria" value={form.categoria} onChange={handleChange} required />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Descripción</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                name="descripcion"
+                value={form.descripcion}
+                onChange={handleChange}
+                required
+              />
+            </Form.Group>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Instructor</Form.Label>
+                  <Form.Control name="instructor" value={form.instructor} onChange={handleChange} required />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Ubicación</Form.Label>
+                  <Form.Control name="ubicacion" value={form.ubicacion} onChange={handleChange} />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Modalidad</Form.Label>
+                  <Form.Select name="modalidad" value={form.modalidad} onChange={handleChange}>
+                    <option value="presencial">Presencial</option>
+                    <option value="virtual">Virtual</option>
+                    <option value="hibrido">Híbrido</option>
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Cupo máximo</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="1"
+                    name="cupoMaximo"
+                    value={form.cupoMaximo}
+                    onChange={handleChange}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Precio</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    name="precio"
+                    value={form.precio}
+                    onChange={handleChange}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Cupo mínimo</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    name="cupoMinimo"
+                    value={form.cupoMinimo}
+                    onChange={handleChange}
+                  />
+                  <Form.Text className="text-muted">0 para realizar la edición con cualquier número de inscritos</Form.Text>
+                </Form.Group>
+              </Col>
+              {parseInt(form.cupoMinimo) > 0 && (
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Decidir con antelación (horas)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      name="horasDecision"
+                      value={form.horasDecision}
+                      onChange={handleChange}
+                    />
+                  </Form.Group>
+                </Col>
+              )}
+            </Row>
+
+            <h6 className="mt-2">
+              <FaCalendarAlt className="me-2" />
+              Primera edición
+            </h6>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Inicio</Form.Label>
+                  <Form.Control
+                    type="datetime-local"
+                    name="fechaInicio"
+                    value={form.fechaInicio}
+                    onChange={handleChange}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Fin</Form.Label>
+                  <Form.Control
+                    type="datetime-local"
+                    name="fechaFin"
+                    value={form.fechaFin}
+                    onChange={handleChange}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <h6 className="mt-2">
+              <FaRedo className="me-2" />
+              Recurrencia
+            </h6>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Frecuencia</Form.Label>
+                  <Form.Select name="frecuencia" value={form.frecuencia} onChange={handleChange}>
+                    {Object.entries(FRECUENCIAS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              {form.frecuencia !== 'personalizada' && (
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>
+                      Cada cuántas {form.frecuencia === 'semanal' ? 'semanas' : 'meses'}
+                    </Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="1"
+                      max="52"
+                      name="intervalo"
+                      value={form.intervalo}
+                      onChange={handleChange}
+                    />
+                  </Form.Group>
+                </Col>
+              )}
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Ediciones generadas como</Form.Label>
+                  <Form.Select name="estadoEdiciones" value={form.estadoEdiciones} onChange={handleChange}>
+                    <option value="borrador">Borrador</option>
+                    <option value="activo">Activo</option>
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            {form.frecuencia === 'semanal' && (
+              <Form.Group className="mb-3">
+                <Form.Label>Días de la semana</Form.Label>
+                <div>
+                  {DIAS_SEMANA.map((dia, index) => (
+                    <Form.Check
+                      key={dia}
+                      inline
+                      type="checkbox"
+                      id={`dia-${index}`}
+                      label={dia}
+                      checked={form.diasSemana.includes(index)}
+                      onChange={() => toggleDiaSemana(index)}
+                    />
+                  ))}
+                </div>
+                <Form.Text className="text-muted">
+                  Si no seleccionas ninguno se usa el día de la primera edición
+                </Form.Text>
+              </Form.Group>
+            )}
+
+            {form.frecuencia === 'personalizada' && (
+              <Form.Group className="mb-3">
+                <Form.Label>Fechas de inicio (una por línea)</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={3}
+                  name="fechas"
+                  value={form.fechas}
+                  onChange={handleChange}
+                  placeholder="2024-04-02T17:00"
+                />
+              </Form.Group>
+            )}
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Hasta (opcional)</Form.Label>
+                  <Form.Control type="date" name="hasta" value={form.hasta} onChange={handleChange} />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Total de ediciones (opcional)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="1"
+                    max="52"
+                    name="repeticiones"
+                    value={form.repeticiones}
+                    onChange={handleChange}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            {editingTemplate && (
+              <Form.Check
+                type="switch"
+                id="propagar-cambios"
+                label="Aplicar los cambios a las ediciones futuras que aún no tienen reservas"
+                checked={propagar}
+                onChange={(e) => setPropagar(e.target.checked)}
+              />
+            )}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowFormModal(false)}>
+              Cancelar
+            </Button>
+            <Button variant="primary" type="submit" disabled={saving}>
+              {saving ? 'Guardando...' : 'Guardar Plantilla'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Modal de previsualización y generación de ediciones */}
+      <Modal show={!!previewTemplate} onHide={closePreview} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Ediciones de {previewTemplate?.titulo}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {preview.length === 0 ? (
+            <Alert variant="info" className="mb-0">
+              La regla de recurrencia no produce ediciones futuras.
+            </Alert>
+          ) : (
+            <Table size="sm" hover className="mb-0">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Inicio</th>
+                  <th>Fin</th>
+                  <th>Estado</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map(edicion => (
+                  <tr key={edicion.fechaInicio}>
+                    <td>
+                      <Form.Check
+                        type="checkbox"
+                        disabled={edicion.existente}
+                        checked={edicion.existente || selectedDates.includes(edicion.fechaInicio)}
+                        onChange={() => toggleSelectedDate(edicion.fechaInicio)}
+                      />
+                    </td>
+                    <td>{formatDate(edicion.fechaInicio)}</td>
+                    <td>{formatDate(edicion.fechaFin)}</td>
+                    <td>
+                      {edicion.existente ? (
+                        <Badge bg="success">
+                          <FaCheckCircle className="me-1" />
+                          Generada
+                        </Badge>
+                      ) : (
+                        <Badge bg="light" text="dark">Pendiente</Badge>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closePreview}>
+            Cerrar
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleGenerate}
+            disabled={generating || selectedDates.length === 0}
+          >
+            {generating ? 'Generando...' : `Generar ${selectedDates.length} ediciones`}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default CourseTemplates;
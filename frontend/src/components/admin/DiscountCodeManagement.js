@@ -0,0 +1,505 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Badge, Form, Table, Pagination, Modal } from 'react-bootstrap';
+import { discountService, courseService, formatDate } from '../../services/api';
+import { toast } from 'react-toastify';
+import { FaTags, FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const TIPOS = {
+  porcentaje: 'Porcentaje',
+  fijo: 'Importe fijo'
+};
+
+const emptyForm = {
+  codigo: '',
+  descripcion: '',
+  tipo: 'porcentaje',
+  valor: '',
+  cursos: [],
+  categorias: '',
+  fechaInicio: '',
+  fechaFin: '',
+  usosMaximos: '',
+  usosPorUsuario: 1,
+  activo: true
+};
+
+const formatAmount = (amount) => `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Convierte una fecha ISO al formato de un input datetime-local
+const toInputDate = (value) => (value ? new Date(value).toISOString().slice(0, 16) : '');
+
+const formatValor = (code) => (code.tipo === 'porcentaje' ? `${code.valor}%` : formatAmount(code.valor));
+
+const DiscountCodeManagement = () => {
+  const [codes, setCodes] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    activo: '',
+    search: '',
+    page: 1,
+    limit: 20
+  });
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingCode, setEditingCode] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadCodes();
+  }, [filters]);
+
+  useEffect(() => {
+    loadCourses();
+  }, []);
+
+  const loadCodes = async () => {
+    try {
+      setLoading(true);
+      const params = {
+        ...filters,
+        activo: filters.activo || undefined,
+        search: filters.search || undefined
+      };
+      const response = await discountService.getCodes(params);
+      setCodes(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error cargando códigos de descuento:', error);
+      toast.error('Error al cargar los códigos de descuento');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadCourses = async () => {
+    try {
+      const response = await courseService.getAllCourses({ estado: 'activo', limit: 100 });
+      setCourses(response.data.data);
+    } catch (error) {
+      console.error('Error cargando cursos:', error);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value, page: 1 }));
+  };
+
+  const openCreateModal = () => {
+    setEditingCode(null);
+    setForm(emptyForm);
+    setShowFormModal(true);
+  };
+
+  const openEditModal = (code) => {
+    setEditingCode(code);
+    setForm({
+      codigo: code.codigo,
+      descripcion: code.descripcion || '',
+      tipo: code.tipo,
+      valor: code.valor,
+      cursos: code.cursos.map(curso => curso._id || curso),
+      categorias: code.categorias.join(', '),
+      fechaInicio: toInputDate(code.fechaInicio),
+      fechaFin: toInputDate(code.fechaFin),
+      usosMaximos: code.usosMaximos ?? '',
+      usosPorUsuario: code.usosPorUsuario,
+      activo: code.activo
+    });
+    setShowFormModal(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleCoursesChange = (e) => {
+    const seleccionados = Array.from(e.target.selectedOptions).map(option => option.value);
+    setForm(prev => ({ ...prev, cursos: seleccionados }));
+  };
+
+  const buildPayload = () => ({
+    descripcion: form.descripcion,
+    tipo: form.tipo,
+    valor: parseFloat(form.valor),
+    cursos: form.cursos,
+    categorias: form.categorias.split(',').map(c => c.trim()).filter(Boolean),
+    fechaInicio: form.fechaInicio ? new Date(form.fechaInicio).toISOString() : null,
+    fechaFin: form.fechaFin ? new Date(form.fechaFin).toISOString() : null,
+    usosMaximos: form.usosMaximos ? parseInt(form.usosMaximos) : null,
+    usosPorUsuario: parseInt(form.usosPorUsuario) || 1,
+    activo: form.activo
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const payload = buildPayload();
+
+      if (editingCode) {
+        await discountService.updateCode(editingCode._id, payload);
+        toast.success('Código actualizado exitosamente');
+      } else {
+        await discountService.createCode({ ...payload, codigo: form.codigo });
+        toast.success('Código creado exitosamente');
+      }
+
+      setShowFormModal(false);
+      loadCodes();
+    } catch (error) {
+      console.error('Error guardando código de descuento:', error);
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0] || data?.message || 'Error al guardar el código de descuento');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (code) => {
+    if (!window.confirm(`¿Eliminar el código "${code.codigo}"?`)) {
+      return;
+    }
+
+    try {
+      await discountService.deleteCode(code._id);
+      toast.success('Código eliminado exitosamente');
+      loadCodes();
+    } catch (error) {
+      console.error('Error eliminando código de descuento:', error);
+      toast.error(error.response?.data?.message || 'Error al eliminar el código de descuento');
+    }
+  };
+
+  const renderAlcance = (code) => {
+    if (code.cursos.length === 0 && code.categorias.length === 0) {
+      return <span className="text-muted">Todos los cursos</span>;
+    }
+    return (
+      <>
+        {code.categorias.map(categoria => (
+          <Badge key={categoria} bg="info" className="me-1">{categoria}</Badge>
+        ))}
+        {code.cursos.map(curso => (
+          <small key={curso._id || curso} className="d-block">{curso.titulo || curso}</small>
+        ))}
+      </>
+    );
+  };
+
+  const renderVigencia = (code) => {
+    if (!code.fechaInicio && !code.fechaFin) return <span className="text-muted">Sin límite</span>;
+    return (
+      <small>
+        {code.fechaInicio ? formatDate(code.fechaInicio) : '—'}
+        <br />
+        {code.fechaFin ? formatDate(code.fechaFin) : '—'}
+      </small>
+    );
+  };
+
+  const renderPagination = () => {
+    const items = [];
+    for (let i = 1; i <= pagination.pages; i++) {
+      items.push(
+        <Pagination.Item
+          key={i}
+          active={i === pagination.page}
+          onClick={() => setFilters(prev => ({ ...prev, page: i }))}
+        >
+          {i}
+        </Pagination.Item>
+      );
+    }
+    return <Pagination className="justify-content-center mt-3">{items}</Pagination>;
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4 align-items-center">
+        <Col>
+          <h2 className="mb-1">
+            <FaTags className="me-2" />
+            Códigos de Descuento
+          </h2>
+          <p className="text-muted mb-0">Cupones promocionales y su rendimiento</p>
+        </Col>
+        <Col xs="auto">
+          <Button variant="primary" onClick={openCreateModal}>
+            <FaPlus className="me-1" />
+            Nuevo código
+          </Button>
+        </Col>
+      </Row>
+
+      {/* Filtros */}
+      <Row className="mb-3">
+        <Col md={4}>
+          <Form.Select name="activo" value={filters.activo} onChange={handleFilterChange}>
+            <option value="">Todos</option>
+            <option value="true">Activos</option>
+            <option value="false">Inactivos</option>
+          </Form.Select>
+        </Col>
+        <Col md={8}>
+          <Form.Control
+            type="text"
+            name="search"
+            placeholder="Buscar por código o descripción..."
+            value={filters.search}
+            onChange={handleFilterChange}
+          />
+        </Col>
+      </Row>
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <LoadingSpinner />
+          ) : codes.length === 0 ? (
+            <p className="text-muted text-center mb-0">No hay códigos de descuento</p>
+          ) : (
+            <>
+              <Table responsive hover className="mb-0">
+                <thead>
+                  <tr>
+                    <th>Código</th>
+                    <th>Descuento</th>
+                    <th>Aplica a</th>
+                    <th>Vigencia</th>
+                    <th className="text-end">Usos</th>
+                    <th className="text-end">Reservas</th>
+                    <th className="text-end">Descontado</th>
+                    <th className="text-end">Cobrado</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {codes.map(code => (
+                    <tr key={code._id}>
+                      <td>
+                        <strong>{code.codigo}</strong>{' '}
+                        {!code.activo && <Badge bg="secondary">Inactivo</Badge>}
+                        {code.descripcion && <small className="d-block text-muted">{code.descripcion}</small>}
+                      </td>
+                      <td>{formatValor(code)}</td>
+                      <td>{renderAlcance(code)}</td>
+                      <td>{renderVigencia(code)}</td>
+                      <td className="text-end">
+                        {code.usos}{code.usosMaximos != null && ` / ${code.usosMaximos}`}
+                        <small className="d-block text-muted">{code.usosPorUsuario} por usuario</small>
+                      </td>
+                      <td className="text-end">
+                        {code.estadisticas.reservas}
+                        {code.estadisticas.canceladas > 0 && (
+                          <small className="d-block text-muted">{code.estadisticas.canceladas} canceladas</small>
+                        )}
+                      </td>
+                      <td className="text-end">{formatAmount(code.estadisticas.totalDescontado)}</td>
+                      <td className="text-end">{formatAmount(code.estadisticas.importeCobrado)}</td>
+                      <td className="text-end text-nowrap">
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          className="me-1"
+                          onClick={() => openEditModal(code)}
+                        >
+                          <FaEdit />
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          disabled={code.usos > 0}
+                          title={code.usos > 0 ? 'Un código ya usado solo se puede desactivar' : undefined}
+                          onClick={() => handleDelete(code)}
+                        >
+                          <FaTrash />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+              {pagination.pages > 1 && renderPagination()}
+            </>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Modal de creación / edición */}
+      <Modal show={showFormModal} onHide={() => setShowFormModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingCode ? `Editar ${editingCode.codigo}` : 'Nuevo código de descuento'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Código *</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="codigo"
+                    value={form.codigo}
+                    onChange={handleChange}
+                    disabled={!!editingCode}
+                    maxLength={30}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Descripción</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="descripcion"
+                    value={form.descripcion}
+                    onChange={handleChange}
+                    maxLength={200}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Tipo *</Form.Label>
+                  <Form.Select name="tipo" value={form.tipo} onChange={handleChange}>
+                    {Object.entries(TIPOS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>{form.tipo === 'porcentaje' ? 'Porcentaje *' : 'Importe *'}</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="valor"
+                    value={form.valor}
+                    onChange={handleChange}
+                    min="0.01"
+                    max={form.tipo === 'porcentaje' ? 100 : undefined}
+                    step="0.01"
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Cursos</Form.Label>
+                  <Form.Select multiple name="cursos" value={form.cursos} onChange={handleCoursesChange}>
+                    {courses.map(course => (
+                      <option key={course._id} value={course._id}>
+                        {course.titulo} ({formatDate(course.fechaInicio)})
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Categorías</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="categorias"
+                    value={form.categorias}
+                    onChange={handleChange}
+                    placeholder="Separadas por comas"
+                  />
+                  <Form.Text className="text-muted">
+                    Sin cursos ni categorías, el código vale para cualquier curso de pago.
+                  </Form.Text>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Válido desde</Form.Label>
+                  <Form.Control
+                    type="datetime-local"
+                    name="fechaInicio"
+                    value={form.fechaInicio}
+                    onChange={handleChange}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Válido hasta</Form.Label>
+                  <Form.Control
+                    type="datetime-local"
+                    name="fechaFin"
+                    value={form.fechaFin}
+                    onChange={handleChange}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Usos máximos</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="usosMaximos"
+                    value={form.usosMaximos}
+                    onChange={handleChange}
+                    min="1"
+                    placeholder="Sin límite"
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Usos por usuario *</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="usosPorUsuario"
+                    value={form.usosPorUsuario}
+                    onChange={handleChange}
+                    min="1"
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Form.Check
+              type="switch"
+              id="discount-activo"
+              name="activo"
+              label="Activo"
+              checked={form.activo}
+              onChange={handleChange}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowFormModal(false)}>
+              Cancelar
+            </Button>
+            <Button variant="primary" type="submit" disabled={saving}>
+              {saving ? 'Guardando...' : 'Guardar'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default DiscountCodeManagement;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Badge, Form, Table, Pagination } from 'react-bootstrap';
+import { groupBookingService } from '../../services/api';
+import { toast } from 'react-toastify';
+import { FaUserFriends, FaCheckCircle, FaTimesCircle, FaChevronDown, FaChevronUp } from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const ESTADOS = {
+  pendiente: { label: 'Pendiente', variant: 'warning' },
+  confirmada: { label: 'Confirmada', variant: 'success' },
+  cancelada: { label: 'Cancelada', variant: 'danger' }
+};
+
+const ESTADOS_PAGO = {
+  no_requerido: 'Sin pago',
+  pendiente: 'Pago pendiente',
+  pagado: 'Pagado'
+};
+
+const formatShortDate = (dateString) => new Date(dateString).toLocaleDateString('es-ES');
+
+const GroupBookingManagement = () => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [filters, setFilters] = useState({
+    estado: '',
+    page: 1,
+    limit: 20
+  });
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+
+  useEffect(() => {
+    loadGroups();
+  }, [filters]);
+
+  const loadGroups = async () => {
+    try {
+      setLoading(true);
+      const response = await groupBookingService.getAllGroupBookings({
+        estado: filters.estado || undefined,
+        page: filters.page,
+        limit: filters.limit
+      });
+      setGroups(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error cargando reservas de grupo:', error);
+      toast.error('Error al cargar las reservas de grupo');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (group) => {
+    try {
+      const response = await groupBookingService.confirmGroupBooking(group._id);
+      toast.success(response.data.message);
+      loadGroups();
+    } catch (error) {
+      console.error('Error confirmando reserva de grupo:', error);
+      toast.error(error.response?.data?.message || 'Error al confirmar la reserva de grupo');
+    }
+  };
+
+  const handleCancel = async (group) => {
+    const motivo = window.prompt('Motivo de la cancelación (opcional):', '');
+    if (motivo === null) return;
+
+    try {
+      const response = await groupBookingService.cancelGroupBooking(group._id, motivo);
+      toast.success(response.data.message);
+      loadGroups();
+    } catch (error) {
+      console.error('Error cancelando reserva de grupo:', error);
+      toast.error(error.response?.data?.message || 'Error al cancelar la reserva de grupo');
+    }
+  };
+
+  const renderPagination = () => {
+    const items = [];
+    for (let i = 1; i <= pagination.pages; i++) {
+      items.push(
+        <Pagination.Item
+          key={i}
+          active={i === pagination.page}
+          onClick={() => setFilters(prev => ({ ...prev, page: i }))}
+        >
+          {i}
+        </Pagination.Item>
+      );
+    }
+    return <Pagination className="justify-content-center mt-3">{items}</Pagination>;
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4 align-items-center">
+        <Col>
+          <h2 className="mb-1">
+            <FaUserFriends className="me-2" />
+            Reservas de grupo
+          </h2>
+          <p className="text-muted mb-0">Cada grupo ocupa sus plazas como una sola reserva</p>
+        </Col>
+        <Col md={3}>
+          <Form.Select
+            value={filters.estado}
+            onChange={(e) => setFilters(prev => ({ ...prev, estado: e.target.value, page: 1 }))}
+          >
+            <option value="">Todos los estados</option>
+            {Object.entries(ESTADOS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <LoadingSpinner />
+          ) : groups.length === 0 ? (
+            <p className="text-muted text-center mb-0">No hay reservas de grupo con estos filtros</p>
+          ) : (
+            <>
+              <Table responsive hover className="mb-0">
+                <thead>
+                  <tr>
+                    <th>Organizador</th>
+                    <th>Curso</th>
+                    <th>Plazas</th>
+                    <th>Estado</th>
+                    <th className="text-end">Importe</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {groups.map(group => (
+                    <React.Fragment key={group._id}>
+                      <tr>
+                        <td>
+                          {group.organizador.nombre}
+                          <small className="d-block text-muted">{group.organizador.correo}</small>
+                        </td>
+                        <td>
+                          {group.curso.titulo}
+                          <small className="d-block text-muted">Inicio: {formatShortDate(group.curso.fechaInicio)}</small>
+                        </td>
+                        <td>
+                          <Button
+                            variant="link"
+                            size="sm"
+                            className="p-0"
+                            onClick={() => setExpanded(expanded === group._id ? null : group._id)}
+                          >
+                            {group.asistentes.length} / {group.plazas} asignadas
+                            {expanded === group._id ? <FaChevronUp className="ms-1" /> : <FaChevronDown className="ms-1" />}
+                          </Button>
+                        </td>
+                        <td>
+                          <Badge bg={ESTADOS[group.estado].variant}>{ESTADOS[group.estado].label}</Badge>
+                          <small className="d-block text-muted">{ESTADOS_PAGO[group.estadoPago]}</small>
+                        </td>
+                        <td className="text-end">
+                          {group.precioTotal > 0 ? `$${group.precioTotal.toLocaleString()}` : 'Gratuito'}
+                          {group.precioTotal > 0 && (
+                            <small className="d-block text-muted text-capitalize">{group.metodoPago}</small>
+                          )}
+                        </td>
+                        <td className="text-end text-nowrap">
+                          {group.estado === 'pendiente' && (
+                            <Button
+                              variant="outline-success"
+                              size="sm"
+                              className="me-1"
+                              title="Confirmar pago recibido"
+                              onClick={() => handleConfirm(group)}
+                            >
+                              <FaCheckCircle />
+                            </Button>
+                          )}
+                          {group.estado !== 'cancelada' && group.estadoPago !== 'pagado' && (
+                            <Button
+                              variant="outline-danger"
+                              size="sm"
+                              title="Cancelar grupo"
+                              onClick={() => handleCancel(group)}
+                            >
+                              <FaTimesCircle />
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                      {expanded === group._id && (
+                        <tr>
+                          <td colSpan={6} className="bg-light">
+                            {group.asistentes.length === 0 ? (
+                              <small className="text-muted">Aún no hay asistentes asignados</small>
+                            ) : (
+                              group.asistentes.map(asistente => (
+                                <div key={asistente.correo} className="d-flex justify-content-between py-1">
+                                  <small>
+                                    {asistente.usuario?.nombre ? `${asistente.usuario.nombre} · ` : ''}
+                                    {asistente.correo}
+                                  </small>
+                                  <small className="text-muted">
+                                    {asistente.usuario ? 'Con reserva' : 'Invitación sin registrarse'}
+                                  </small>
+                                </div>
+                              ))
+                            )}
+                            {group.notas && (
+                              <small className="d-block text-muted mt-2">Notas: {group.notas}</small>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </Table>
+              {pagination.pages > 1 && renderPagination()}
+            </>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default GroupBookingManagement;
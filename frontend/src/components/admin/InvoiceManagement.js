@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Form, Table, Pagination } from 'react-bootstrap';
+import { invoiceService } from '../../services/api';
+import { toast } from 'react-toastify';
+import { FaFileInvoice, FaFileCsv, FaFilePdf } from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const formatAmount = (amount) => `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatShortDate = (dateString) => new Date(dateString).toLocaleDateString('es-ES');
+
+// Años de las series que se ofrecen en el filtro
+const currentYear = new Date().getFullYear();
+const SERIES = Array.from({ length: 5 }, (_, i) => currentYear - i);
+
+// Descarga un blob recibido de la API como fichero
+const saveBlob = (data, type, filename) => {
+  const url = window.URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+const InvoiceManagement = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [filters, setFilters] = useState({
+    serie: String(currentYear),
+    desde: '',
+    hasta: '',
+    search: '',
+    page: 1,
+    limit: 20
+  });
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+
+  useEffect(() => {
+    loadInvoices();
+  }, [filters]);
+
+  // El día "hasta" se incluye completo
+  const buildParams = () => ({
+    serie: filters.serie || undefined,
+    desde: filters.desde ? new Date(`${filters.desde}T00:00:00`).toISOString() : undefined,
+    hasta: filters.hasta ? new Date(`${filters.hasta}T23:59:59.999`).toISOString() : undefined,
+    search: filters.search || undefined
+  });
+
+  const loadInvoices = async () => {
+    try {
+      setLoading(true);
+      const response = await invoiceService.getInvoices({
+        ...buildParams(),
+        page: filters.page,
+        limit: filters.limit
+      });
+      setInvoices(response.data.data);
+      setTotals(response.data.totales);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error cargando facturas:', error);
+      toast.error('Error al cargar las facturas');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value, page: 1 }));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await invoiceService.exportInvoices(buildParams());
+      saveBlob(response.data, 'text/csv', `facturas${filters.serie ? `-${filters.serie}` : ''}.csv`);
+    } catch (error) {
+      console.error('Error exportando facturas:', error);
+      toast.error('Error al exportar las facturas');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDownload = async (invoice) => {
+    try {
+      const response = await invoiceService.downloadInvoice(invoice.reserva);
+      saveBlob(response.data, 'application/pdf', `factura-${invoice.numero}.pdf`);
+    } catch (error) {
+      console.error('Error descargando factura:', error);
+      toast.error('Error al descargar la factura');
+    }
+  };
+
+  const renderPagination = () => {
+    const items = [];
+    for (let i = 1; i <= pagination.pages; i++) {
+      items.push(
+        <Pagination.Item
+          key={i}
+          active={i === pagination.page}
+          onClick={() => setFilters(prev => ({ ...prev, page: i }))}
+        >
+          {i}
+        </Pagination.Item>
+      );
+    }
+    return <Pagination className="justify-content-center mt-3">{items}</Pagination>;
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4 align-items-center">
+        <Col>
+          <h2 className="mb-1">
+            <FaFileInvoice className="me-2" />
+            Facturas
+          </h2>
+          <p className="text-muted mb-0">Facturas emitidas por las reservas pagadas</p>
+        </Col>
+        <Col xs="auto">
+          <Button variant="outline-success" onClick={handleExport} disabled={exporting}>
+            <FaFileCsv className="me-1" />
+            {exporting ? 'Exportando...' : 'Exportar CSV'}
+          </Button>
+        </Col>
+      </Row>
+
+      {/* Filtros */}
+      <Row className="mb-3 g-2">
+        <Col md={2}>
+          <Form.Select name="serie" value={filters.serie} onChange={handleFilterChange}>
+            <option value="">Todas las series</option>
+            {SERIES.map(serie => (
+              <option key={serie} value={serie}>Serie {serie}</option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md={2}>
+          <Form.Control type="date" name="desde" value={filters.desde} onChange={handleFilterChange} />
+        </Col>
+        <Col md={2}>
+          <Form.Control type="date" name="hasta" value={filters.hasta} onChange={handleFilterChange} />
+        </Col>
+        <Col md={6}>
+          <Form.Control
+            type="text"
+            name="search"
+            placeholder="Buscar por cliente, NIF, correo o curso..."
+            value={filters.search}
+            onChange={handleFilterChange}
+          />
+        </Col>
+      </Row>
+
+      {totals && (
+        <Card className="mb-3">
+          <Card.Body>
+            <Row className="text-center">
+              <Col md={4}>
+                <small className="text-muted d-block">Base imponible</small>
+                <h5 className="mb-0">{formatAmount(totals.baseImponible)}</h5>
+              </Col>
+              <Col md={4}>
+                <small className="text-muted d-block">Impuestos</small>
+                <h5 className="mb-0">{formatAmount(totals.impuesto)}</h5>
+              </Col>
+              <Col md={4}>
+                <small className="text-muted d-block">Total facturado</small>
+                <h5 className="mb-0 text-success">{formatAmount(totals.total)}</h5>
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+      )}
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <LoadingSpinner />
+          ) : invoices.length === 0 ? (
+            <p className="text-muted text-center mb-0">No hay facturas con estos filtros</p>
+          ) : (
+            <>
+              <Table responsive hover className="mb-0">
+                <thead>
+                  <tr>
+                    <th>Número</th>
+                    <th>Fecha</th>
+                    <th>Cliente</th>
+                    <th>Curso</th>
+                    <th className="text-end">Base</th>
+                    <th className="text-end">Impuestos</th>
+                    <th className="text-end">Total</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invoices.map(invoice => (
+                    <tr key={invoice._id}>
+                      <td><strong>{invoice.numero}</strong></td>
+                      <td>{formatShortDate(invoice.fechaEmision)}</td>
+                      <td>
+                        {invoice.comprador.nombre}
+                        {invoice.comprador.nif && (
+                          <small className="d-block text-muted">{invoice.comprador.nif}</small>
+                        )}
+                      </td>
+                      <td>{invoice.tituloCurso}</td>
+                      <td className="text-end">{formatAmount(invoice.baseImponible)}</td>
+                      <td className="text-end">
+                        {formatAmount(invoice.impuesto)}
+                        <small className="d-block text-muted">{invoice.tipoImpuesto}%</small>
+                      </td>
+                      <td className="text-end">{formatAmount(invoice.total)}</td>
+                      <td className="text-end">
+                        <Button variant="outline-primary" size="sm" onClick={() => handleDownload(invoice)}>
+                          <FaFilePdf />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+              {pagination.pages > 1 && renderPagination()}
+            </>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default InvoiceManagement;
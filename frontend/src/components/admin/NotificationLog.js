@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Badge, Form, Table, Pagination } from 'react-bootstrap';
+import { notificationService, formatDate } from '../../services/api';
+import { toast } from 'react-toastify';
+import {
+  FaEnvelope,
+  FaRedo,
+  FaCheckCircle,
+  FaClock,
+  FaExclamationTriangle
+} from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const TIPOS = {
+  registro: 'Registro',
+  reserva_creada: 'Reserva creada',
+  reserva_confirmada: 'Reserva confirmada',
+  reserva_cancelada: 'Reserva cancelada',
+  reserva_reprogramada: 'Cambio de edición',
+  comprobante_rechazado: 'Comprobante rechazado',
+  reembolso_procesado: 'Reembolso procesado',
+  curso_cancelado: 'Curso cancelado',
+  recordatorio_curso: 'Recordatorio de curso',
+  transferencia_solicitada: 'Transferencia solicitada',
+  transferencia_aceptada: 'Transferencia aceptada',
+  plaza_grupo_asignada: 'Plaza de grupo asignada',
+  invitacion_curso: 'Invitación a curso privado',
+  restablecer_contraseña: 'Restablecimiento de contraseña',
+  verificar_correo: 'Verificación de correo'
+};
+
+const ESTADOS = {
+  pendiente: { label: 'Pendiente', variant: 'warning' },
+  enviando: { label: 'Enviando', variant: 'info' },
+  enviada: { label: 'Enviada', variant: 'success' },
+  fallida: { label: 'Fallida', variant: 'danger' }
+};
+
+const NotificationLog = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [resumen, setResumen] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    estado: '',
+    tipo: '',
+    destinatario: '',
+    page: 1,
+    limit: 20
+  });
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+
+  useEffect(() => {
+    loadNotifications();
+  }, [filters]);
+
+  const loadNotifications = async () => {
+    try {
+      setLoading(true);
+      const params = {
+        page: filters.page,
+        limit: filters.limit,
+        estado: filters.estado || undefined,
+        tipo: filters.tipo || undefined,
+        destinatario: filters.destinatario || undefined
+      };
+
+      const response = await notificationService.getNotifications(params);
+      setNotifications(response.data.data);
+      setResumen(response.data.resumen);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error cargando notificaciones:', error);
+      toast.error('Error al cargar las notificaciones');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value,
+      page: 1
+    }));
+  };
+
+  const handleRetry = async (notification) => {
+    try {
+      const response = await notificationService.retryNotification(notification._id);
+      toast.success(response.data.message);
+      loadNotifications();
+    } catch (error) {
+      console.error('Error reintentando notificación:', error);
+      toast.error(error.response?.data?.message || 'Error al reintentar la notificación');
+    }
+  };
+
+  const renderPagination = () => {
+    const items = [];
+    for (let i = 1; i <= pagination.pages; i++) {
+      items.push(
+        <Pagination.Item
+          key={i}
+          active={i === pagination.page}
+          onClick={() => setFilters(prev => ({ ...prev, page: i }))}
+        >
+          {i}
+        </Pagination.Item>
+      );
+    }
+    return <Pagination className="justify-content-center mt-3">{items}</Pagination>;
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col>
+          <h2 className="mb-1">
+            <FaEnvelope className="me-2" />
+            Notificaciones
+          </h2>
+          <p className="text-muted mb-0">Correos enviados por el sistema y su estado de entrega</p>
+        </Col>
+      </Row>
+
+      {/* Resumen por estado */}
+      <Row className="mb-4">
+        <Col md={4}>
+          <Card className="text-center">
+            <Card.Body>
+              <FaCheckCircle className="text-success mb-2" size={24} />
+              <h4 className="mb-0">{resumen.enviada || 0}</h4>
+              <small className="text-muted">Enviadas</small>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card className="text-center">
+            <Card.Body>
+              <FaClock className="text-warning mb-2" size={24} />
+              <h4 className="mb-0">{(resumen.pendiente || 0) + (resumen.enviando || 0)}</h4>
+              <small className="text-muted">En cola</small>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card className="text-center">
+            <Card.Body>
+              <FaExclamationTriangle className="text-danger mb-2" size={24} />
+              <h4 className="mb-0">{resumen.fallida || 0}</h4>
+              <small className="text-muted">Fallidas</small>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      {/* Filtros */}
+      <Card className="mb-4">
+        <Card.Body>
+          <Row>
+            <Col md={3}>
+              <Form.Select name="estado" value={filters.estado} onChange={handleFilterChange}>
+                <option value="">Todos los estados</option>
+                {Object.entries(ESTADOS).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={4}>
+              <Form.Select name="tipo" value={filters.tipo} onChange={handleFilterChange}>
+                <option value="">Todos los tipos</option>
+                {Object.entries(TIPOS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={5}>
+              <Form.Control
+                name="destinatario"
+                value={filters.destinatario}
+                onChange={handleFilterChange}
+                placeholder="Buscar por correo del destinatario"
+              />
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : (
+        <Card>
+          <Card.Body>
+            {notifications.length === 0 ? (
+              <p className="text-muted mb-0">No hay notificaciones con estos filtros.</p>
+            ) : (
+              <Table responsive hover size="sm" className="mb-0 align-middle">
+                <thead>
+                  <tr>
+                    <th>Fecha</th>
+                    <th>Tipo</th>
+                    <th>Destinatario</th>
+                    <th>Asunto</th>
+                    <th>Estado</th>
+                    <th>Intentos</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {notifications.map(notification => (
+                    <tr key={notification._id}>
+                      <td><small>{formatDate(notification.createdAt)}</small></td>
+                      <td>{TIPOS[notification.tipo]}</td>
+                      <td>
+                        {notification.destinatario}
+                        <Badge bg="light" text="dark" className="ms-2">{notification.idioma}</Badge>
+                      </td>
+                      <td>{notification.asunto}</td>
+                      <td>
+                        <Badge bg={ESTADOS[notification.estado].variant}>
+                          {ESTADOS[notification.estado].label}
+                        </Badge>
+                        {notification.ultimoError && (
+                          <div className="small text-danger">{notification.ultimoError}</div>
+                        )}
+                      </td>
+                      <td>{notification.intentos}</td>
+                      <td className="text-end">
+                        {notification.estado === 'fallida' && (
+                          <Button variant="outline-primary" size="sm" onClick={() => handleRetry(notification)}>
+                            <FaRedo className="me-1" />
+                            Reintentar
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+            {pagination.pages > 1 && renderPagination()}
+          </Card.Body>
+        </Card>
+      )}
+    </Container>
+  );
+};
+
+export default NotificationLog;
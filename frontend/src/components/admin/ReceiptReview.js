@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Badge, Form, Table, Pagination, Modal } from 'react-bootstrap';
+import { paymentService, formatDate } from '../../services/api';
+import { toast } from 'react-toastify';
+import { FaFileInvoiceDollar, FaCheckCircle, FaTimesCircle, FaEye } from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const ESTADOS = {
+  pendiente: { label: 'Pendiente', variant: 'warning' },
+  aprobado: { label: 'Aprobado', variant: 'success' },
+  rechazado: { label: 'Rechazado', variant: 'danger' }
+};
+
+const ReceiptReview = () => {
+  const [receipts, setReceipts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    estado: 'pendiente',
+    page: 1,
+    limit: 20
+  });
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+
+  useEffect(() => {
+    loadReceipts();
+  }, [filters]);
+
+  const loadReceipts = async () => {
+    try {
+      setLoading(true);
+      const response = await paymentService.getReceipts(filters);
+      setReceipts(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error cargando comprobantes:', error);
+      toast.error('Error al cargar los comprobantes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value,
+      page: 1
+    }));
+  };
+
+  const handleView = async (receipt) => {
+    try {
+      const response = await paymentService.getReceiptFile(receipt._id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: receipt.tipoMime }));
+      window.open(url, '_blank');
+      // Dar tiempo a la nueva pestaña para cargar el archivo antes de liberarlo
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error('Error abriendo comprobante:', error);
+      toast.error('Error al abrir el comprobante');
+    }
+  };
+
+  const handleApprove = async (receipt) => {
+    try {
+      const response = await paymentService.approveReceipt(receipt._id);
+      toast.success(response.data.message);
+      loadReceipts();
+    } catch (error) {
+      console.error('Error aprobando comprobante:', error);
+      toast.error(error.response?.data?.message || 'Error al aprobar el comprobante');
+      loadReceipts();
+    }
+  };
+
+  const closeRejectModal = () => {
+    setRejecting(null);
+    setRejectReason('');
+  };
+
+  const handleReject = async () => {
+    if (!rejecting) return;
+
+    try {
+      const response = await paymentService.rejectReceipt(rejecting._id, rejectReason);
+      closeRejectModal();
+      toast.success(response.data.message);
+      loadReceipts();
+    } catch (error) {
+      console.error('Error rechazando comprobante:', error);
+      toast.error(error.response?.data?.message || 'Error al rechazar el comprobante');
+    }
+  };
+
+  const renderPagination = () => {
+    const items = [];
+    for (let i = 1; i <= pagination.pages; i++) {
+      items.push(
+        <Pagination.Item
+          key={i}
+          active={i === pagination.page}
+          onClick={() => setFilters(prev => ({ ...prev, page: i }))}
+        >
+          {i}
+        </Pagination.Item>
+      );
+    }
+    return <Pagination className="justify-content-center mt-3">{items}</Pagination>;
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col md={8}>
+          <h2 className="mb-1">
+            <FaFileInvoiceDollar className="me-2" />
+            Comprobantes de Transferencia
+          </h2>
+          <p className="text-muted mb-0">Revisa los justificantes de pago subidos por los usuarios</p>
+        </Col>
+        <Col md={4} className="d-flex align-items-end">
+          <Form.Select name="estado" value={filters.estado} onChange={handleFilterChange}>
+            {Object.entries(ESTADOS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}s</option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : (
+        <Card>
+          <Card.Body>
+            {receipts.length === 0 ? (
+              <p className="text-muted mb-0">No hay comprobantes en este estado.</p>
+            ) : (
+              <Table responsive hover size="sm" className="mb-0 align-middle">
+                <thead>
+                  <tr>
+                    <th>Recibido</th>
+                    <th>Usuario</th>
+                    <th>Curso</th>
+                    <th>Importe</th>
+                    <th>Estado</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {receipts.map(receipt => (
+                    <tr key={receipt._id}>
+                      <td><small>{formatDate(receipt.createdAt)}</small></td>
+                      <td>
+                        {receipt.usuario.nombre}
+                        <div className="small text-muted">{receipt.usuario.correo}</div>
+                      </td>
+                      <td>
+                        {receipt.curso.titulo}
+                        <div className="small text-muted">{formatDate(receipt.curso.fechaInicio)}</div>
+                      </td>
+                      <td>${receipt.reserva.precioPagado.toLocaleString()}</td>
+                      <td>
+                        <Badge bg={ESTADOS[receipt.estado].variant}>
+                          {ESTADOS[receipt.estado].label}
+                        </Badge>
+                        {receipt.motivoRechazo && (
+                          <div className="small text-danger">{receipt.motivoRechazo}</div>
+                        )}
+                        {receipt.revisadoPor && (
+                          <div className="small text-muted">por {receipt.revisadoPor.nombre}</div>
+                        )}
+                      </td>
+                      <td className="text-end">
+                        <div className="d-flex gap-2 justify-content-end">
+                          <Button variant="outline-primary" size="sm" onClick={() => handleView(receipt)}>
+                            <FaEye className="me-1" />
+                            Ver
+                          </Button>
+                          {receipt.estado === 'pendiente' && (
+                            <>
+                              <Button variant="success" size="sm" onClick={() => handleApprove(receipt)}>
+                                <FaCheckCircle className="me-1" />
+                                Aprobar
+                              </Button>
+                              <Button variant="outline-danger" size="sm" onClick={() => setRejecting(receipt)}>
+                                <FaTimesCircle className="me-1" />
+                                Rechazar
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+            {pagination.pages > 1 && renderPagination()}
+          </Card.Body>
+        </Card>
+      )}
+
+      {/* Modal de Rechazo */}
+      <Modal show={!!rejecting} onHide={closeRejectModal}>
+        <Modal.Header closeButton>
+          <Modal.Title>Rechazar Comprobante</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {rejecting && (
+            <p>
+              Comprobante de <strong>{rejecting.usuario.nombre}</strong> para "{rejecting.curso.titulo}".
+            </p>
+          )}
+          <Form.Group>
+            <Form.Label>Motivo del rechazo</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              maxLength={500}
+              value={rejectReason}
+              onChange={(e) => setRejectReason(e.target.value)}
+              placeholder="El usuario verá este motivo en sus reservas..."
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeRejectModal}>
+            Cancelar
+          </Button>
+          <Button variant="danger" onClick={handleReject} disabled={!rejectReason.trim()}>
+            <FaTimesCircle className="me-1" />
+            Rechazar
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default ReceiptReview;
@@ -0,0 +1,441 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Badge, Form, Table, Pagination, Modal } from 'react-bootstrap';
+import { refundService, paymentService, formatDate } from '../../services/api';
+import { toast } from 'react-toastify';
+import { FaUndo, FaCheckCircle, FaTimesCircle, FaChartLine } from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const ESTADOS = {
+  pendiente: { label: 'Pendiente', variant: 'warning' },
+  procesado: { label: 'Procesado', variant: 'success' },
+  rechazado: { label: 'Rechazado', variant: 'secondary' }
+};
+
+const ORIGENES = {
+  cancelacion: 'Cancelación',
+  pago_tardio: 'Pago tardío',
+  cancelacion_grupo: 'Cancelación de grupo'
+};
+
+const METODOS = {
+  original: 'Medio de pago original',
+  credito: 'Saldo a favor'
+};
+
+const formatAmount = (amount) => `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const RefundManagement = () => {
+  const [refunds, setRefunds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    estado: 'pendiente',
+    origen: '',
+    page: 1,
+    limit: 20
+  });
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [period, setPeriod] = useState({ desde: '', hasta: '' });
+  const [summary, setSummary] = useState(null);
+  const [processing, setProcessing] = useState(null);
+  const [processData, setProcessData] = useState({ metodo: 'original', referenciaExterna: '', notas: '' });
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+
+  useEffect(() => {
+    loadRefunds();
+  }, [filters]);
+
+  useEffect(() => {
+    loadSummary();
+  }, [period]);
+
+  const loadRefunds = async () => {
+    try {
+      setLoading(true);
+      const params = {
+        ...filters,
+        origen: filters.origen || undefined
+      };
+      const response = await refundService.getRefunds(params);
+      setRefunds(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error cargando reembolsos:', error);
+      toast.error('Error al cargar los reembolsos');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSummary = async () => {
+    try {
+      // El día "hasta" se incluye completo
+      const params = {
+        desde: period.desde ? new Date(`${period.desde}T00:00:00`).toISOString() : undefined,
+        hasta: period.hasta ? new Date(`${period.hasta}T23:59:59.999`).toISOString() : undefined
+      };
+      const response = await paymentService.getRevenueSummary(params);
+      setSummary(response.data.data);
+    } catch (error) {
+      console.error('Error cargando resumen de ingresos:', error);
+      toast.error('Error al cargar el resumen de ingresos');
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value,
+      page: 1
+    }));
+  };
+
+  const handlePeriodChange = (e) => {
+    const { name, value } = e.target;
+    setPeriod(prev => ({ ...prev, [name]: value }));
+  };
+
+  const openProcessModal = (refund) => {
+    setProcessing(refund);
+    setProcessData({ metodo: 'original', referenciaExterna: '', notas: '' });
+  };
+
+  const handleProcess = async () => {
+    if (!processing) return;
+
+    try {
+      const response = await refundService.processRefund(processing._id, {
+        metodo: processData.metodo,
+        referenciaExterna: processData.referenciaExterna || undefined,
+        notas: processData.notas || undefined
+      });
+      setProcessing(null);
+      toast.success(response.data.message);
+      loadRefunds();
+      loadSummary();
+    } catch (error) {
+      console.error('Error procesando reembolso:', error);
+      toast.error(error.response?.data?.message || 'Error al procesar el reembolso');
+    }
+  };
+
+  const closeRejectModal = () => {
+    setRejecting(null);
+    setRejectReason('');
+  };
+
+  const handleReject = async () => {
+    if (!rejecting) return;
+
+    try {
+      const response = await refundService.rejectRefund(rejecting._id, rejectReason);
+      closeRejectModal();
+      toast.success(response.data.message);
+      loadRefunds();
+      loadSummary();
+    } catch (error) {
+      console.error('Error rechazando reembolso:', error);
+      toast.error(error.response?.data?.message || 'Error al rechazar el reembolso');
+    }
+  };
+
+  const renderPagination = () => {
+    const items = [];
+    for (let i = 1; i <= pagination.pages; i++) {
+      items.push(
+        <Pagination.Item
+          key={i}
+          active={i === pagination.page}
+          onClick={() => setFilters(prev => ({ ...prev, page: i }))}
+        >
+          {i}
+        </Pagination.Item>
+      );
+    }
+    return <Pagination className="justify-content-center mt-3">{items}</Pagination>;
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col>
+          <h2 className="mb-1">
+            <FaUndo className="me-2" />
+            Reembolsos e Ingresos
+          </h2>
+          <p className="text-muted mb-0">Devoluciones de reservas canceladas y su efecto en los ingresos</p>
+        </Col>
+      </Row>
+
+      {/* Resumen de ingresos */}
+      <Card className="mb-4">
+        <Card.Header className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+          <span>
+            <FaChartLine className="me-2" />
+            Resumen de ingresos
+          </span>
+          <div className="d-flex gap-2">
+            <Form.Control type="date" size="sm" name="desde" value={period.desde} onChange={handlePeriodChange} />
+            <Form.Control type="date" size="sm" name="hasta" value={period.hasta} onChange={handlePeriodChange} />
+          </div>
+        </Card.Header>
+        <Card.Body>
+          {!summary ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              <Row className="text-center mb-3">
+                <Col md={3}>
+                  <small className="text-muted d-block">Ingresos brutos</small>
+                  <h4>{formatAmount(summary.ingresosBrutos)}</h4>
+                </Col>
+                <Col md={3}>
+                  <small className="text-muted d-block">Reembolsado</small>
+                  <h4 className="text-danger">-{formatAmount(summary.reembolsos.total)}</h4>
+                  <small className="text-muted">
+                    {formatAmount(summary.reembolsos.original)} devuelto · {formatAmount(summary.reembolsos.credito)} en saldo
+                  </small>
+                </Col>
+                <Col md={3}>
+                  <small className="text-muted d-block">Ingresos netos</small>
+                  <h4 className="text-success">{formatAmount(summary.ingresosNetos)}</h4>
+                </Col>
+                <Col md={3}>
+                  <small className="text-muted d-block">Reembolsos pendientes</small>
+                  <h4 className="text-warning">{formatAmount(summary.reembolsos.pendiente)}</h4>
+                  <small className="text-muted">{summary.reembolsos.cantidadPendiente} por resolver</small>
+                </Col>
+              </Row>
+              {summary.porMetodoPago.length > 0 && (
+                <Table size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Método de pago</th>
+                      <th className="text-end">Reservas</th>
+                      <th className="text-end">Cobrado</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.porMetodoPago.map(item => (
+                      <tr key={item.metodoPago}>
+                        <td className="text-capitalize">{item.metodoPago}</td>
+                        <td className="text-end">{item.reservas}</td>
+                        <td className="text-end">{formatAmount(item.total)}</td>
+                      </tr>
+                    ))}
+                    {summary.cobrosTardios > 0 && (
+                      <tr>
+                        <td>Cobros tardíos</td>
+                        <td></td>
+                        <td className="text-end">{formatAmount(summary.cobrosTardios)}</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </Table>
+              )}
+              {summary.creditoCanjeado > 0 && (
+                <small className="text-muted d-block mt-2">
+                  Además se canjearon {formatAmount(summary.creditoCanjeado)} de saldo a favor en reservas.
+                </small>
+              )}
+            </>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Filtros */}
+      <Row className="mb-3">
+        <Col md={4}>
+          <Form.Select name="estado" value={filters.estado} onChange={handleFilterChange}>
+            {Object.entries(ESTADOS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}s</option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md={4}>
+          <Form.Select name="origen" value={filters.origen} onChange={handleFilterChange}>
+            <option value="">Todos los orígenes</option>
+            {Object.entries(ORIGENES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : (
+        <Card>
+          <Card.Body>
+            {refunds.length === 0 ? (
+              <p className="text-muted mb-0">No hay reembolsos en este estado.</p>
+            ) : (
+              <Table responsive hover size="sm" className="mb-0 align-middle">
+                <thead>
+                  <tr>
+                    <th>Fecha</th>
+                    <th>Usuario</th>
+                    <th>Curso</th>
+                    <th>Origen</th>
+                    <th>Importe</th>
+                    <th>Estado</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {refunds.map(refund => (
+                    <tr key={refund._id}>
+                      <td><small>{formatDate(refund.createdAt)}</small></td>
+                      <td>
+                        {refund.usuario.nombre}
+                        <div className="small text-muted">{refund.usuario.correo}</div>
+                      </td>
+                      <td>
+                        {refund.curso.titulo}
+                        <div className="small text-muted text-capitalize">
+                          Pagado con {refund.reserva?.metodoPago || refund.grupo?.metodoPago || '—'}
+                        </div>
+                      </td>
+                      <td>{ORIGENES[refund.origen]}</td>
+                      <td>
+                        {formatAmount(refund.importe)}
+                        <div className="small text-muted">
+                          {refund.porcentaje}% de {formatAmount(refund.importePagado)}
+                        </div>
+                        {refund.creditoDevuelto > 0 && (
+                          <div className="small text-muted">
+                            + {formatAmount(refund.creditoDevuelto)} de saldo ya devuelto
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        <Badge bg={ESTADOS[refund.estado].variant}>
+                          {ESTADOS[refund.estado].label}
+                        </Badge>
+                        {refund.estado === 'procesado' && (
+                          <div className="small text-muted">{METODOS[refund.metodo]}</div>
+                        )}
+                        {refund.referenciaExterna && (
+                          <div className="small text-muted">Ref. {refund.referenciaExterna}</div>
+                        )}
+                        {refund.notas && (
+                          <div className="small text-muted">{refund.notas}</div>
+                        )}
+                        {refund.procesadoPor && (
+                          <div className="small text-muted">por {refund.procesadoPor.nombre}</div>
+                        )}
+                      </td>
+                      <td className="text-end">
+                        {refund.estado === 'pendiente' && (
+                          <div className="d-flex gap-2 justify-content-end">
+                            <Button variant="success" size="sm" onClick={() => openProcessModal(refund)}>
+                              <FaCheckCircle className="me-1" />
+                              Procesar
+                            </Button>
+                            <Button variant="outline-danger" size="sm" onClick={() => setRejecting(refund)}>
+                              <FaTimesCircle className="me-1" />
+                              Rechazar
+                            </Button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+            {pagination.pages > 1 && renderPagination()}
+          </Card.Body>
+        </Card>
+      )}
+
+      {/* Modal de Proceso */}
+      <Modal show={!!processing} onHide={() => setProcessing(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Procesar Reembolso</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {processing && (
+            <p>
+              {formatAmount(processing.importe)} para <strong>{processing.usuario.nombre}</strong> por "{processing.curso.titulo}".
+            </p>
+          )}
+          <Form.Group className="mb-3">
+            <Form.Label>Método</Form.Label>
+            <Form.Select
+              value={processData.metodo}
+              onChange={(e) => setProcessData(prev => ({ ...prev, metodo: e.target.value }))}
+            >
+              {Object.entries(METODOS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+          {processData.metodo === 'original' && (
+            <Form.Group className="mb-3">
+              <Form.Label>Referencia de la devolución (opcional)</Form.Label>
+              <Form.Control
+                type="text"
+                maxLength={200}
+                value={processData.referenciaExterna}
+                onChange={(e) => setProcessData(prev => ({ ...prev, referenciaExterna: e.target.value }))}
+                placeholder="Nº de operación del banco o la pasarela"
+              />
+            </Form.Group>
+          )}
+          <Form.Group>
+            <Form.Label>Notas (opcional)</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={2}
+              maxLength={500}
+              value={processData.notas}
+              onChange={(e) => setProcessData(prev => ({ ...prev, notas: e.target.value }))}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setProcessing(null)}>
+            Cancelar
+          </Button>
+          <Button variant="success" onClick={handleProcess}>
+            <FaCheckCircle className="me-1" />
+            Marcar como procesado
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Modal de Rechazo */}
+      <Modal show={!!rejecting} onHide={closeRejectModal}>
+        <Modal.Header closeButton>
+          <Modal.Title>Rechazar Reembolso</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group>
+            <Form.Label>Motivo del rechazo</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              maxLength={500}
+              value={rejectReason}
+              onChange={(e) => setRejectReason(e.target.value)}
+              placeholder="El usuario verá este motivo en sus reservas..."
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeRejectModal}>
+            Cancelar
+          </Button>
+          <Button variant="danger" onClick={handleReject} disabled={!rejectReason.trim()}>
+            <FaTimesCircle className="me-1" />
+            Rechazar
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default RefundManagement;
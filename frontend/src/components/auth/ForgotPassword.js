@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Form, Button, Card, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { authService } from '../../services/api';
+import { FaKey, FaUser } from 'react-icons/fa';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sentMessage, setSentMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim()) {
+      setError('El correo es requerido');
+      return;
+    }
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('El correo no es válido');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authService.forgotPassword(email.trim());
+      setSentMessage(response.data.message);
+    } catch (error) {
+      console.error('Error solicitando restablecimiento:', error);
+      setError(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Error al enviar la solicitud');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container className="py-5">
+      <Row className="justify-content-center">
+        <Col md={6} lg={5} xl={4}>
+          <Card className="shadow">
+            <Card.Body className="p-5">
+              <div className="text-center mb-4">
+                <div className="bg-primary rounded-circle p-3 d-inline-block mb-3">
+                  <FaKey size={30} className="text-white" />
+                </div>
+                <h2 className="fw-bold">Recuperar Contraseña</h2>
+                <p className="text-muted">
+                  Te enviaremos un enlace para elegir una contraseña nueva
+                </p>
+              </div>
+
+              {sentMessage ? (
+                <>
+                  <Alert variant="success">{sentMessage}</Alert>
+                  <p className="text-muted small">
+                    Revisa también la carpeta de correo no deseado. El enlace caduca pronto y solo
+                    sirve una vez; si no te llega, puedes volver a pedirlo.
+                  </p>
+                  <Button as={Link} to="/login" variant="primary" className="w-100">
+                    Volver a iniciar sesión
+                  </Button>
+                </>
+              ) : (
+                <Form onSubmit={handleSubmit}>
+                  <Form.Group className="mb-4">
+                    <Form.Label>
+                      <FaUser className="me-2" />
+                      Correo Electrónico
+                    </Form.Label>
+                    <Form.Control
+                      type="email"
+                      value={email}
+                      onChange={(e) => {
+                        setEmail(e.target.value);
+                        setError('');
+                      }}
+                      placeholder="tu@correo.com"
+                      isInvalid={!!error}
+                    />
+                    <Form.Control.Feedback type="invalid">
+                      {error}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+
+                  <Button
+                    type="submit"
+                    variant="primary"
+                    size="lg"
+                    className="w-100 mb-3"
+                    disabled={loading}
+                  >
+                    {loading ? 'Enviando...' : 'Enviar enlace'}
+                  </Button>
+
+                  <div className="text-center">
+                    <Link to="/login" className="text-decoration-none">
+                      Volver a iniciar sesión
+                    </Link>
+                  </div>
+                </Form>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
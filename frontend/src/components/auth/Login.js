@@ -16,8 +16,10 @@ const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
 
-  // Obtener la ruta de destino después del login
-  const from = location.state?.from?.pathname || '/dashboard';
+  // Obtener la ruta de destino después del login (con su query, p. ej. una invitación)
+  const from = location.state?.from
+    ? `${location.state.from.pathname}${location.state.from.search || ''}`
+    : '/dashboard';
 
   const handleChange = (e) => {
     const { name, value } = e.target;
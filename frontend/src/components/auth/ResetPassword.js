@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Form, Button, Card, Alert } from 'react-bootstrap';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/api';
+import { toast } from 'react-toastify';
+import { FaKey, FaLock } from 'react-icons/fa';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [linkError, setLinkError] = useState(token ? '' : 'El enlace de restablecimiento no es válido');
+
+  const { isAuthenticated, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    // Limpiar error del campo
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.password) {
+      newErrors.password = 'La contraseña es requerida';
+    } else if (formData.password.length < 6) {
+      newErrors.password = 'La contraseña debe tener al menos 6 caracteres';
+    }
+
+    if (formData.confirmPassword !== formData.password) {
+      newErrors.confirmPassword = 'Las contraseñas no coinciden';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authService.resetPassword(token, formData.password);
+      // Las sesiones abiertas dejan de valer: la de este navegador también
+      if (isAuthenticated) {
+        logout();
+      }
+      toast.success(response.data.message);
+      navigate('/login', { replace: true });
+    } catch (error) {
+      console.error('Error restableciendo contraseña:', error);
+      setLinkError(error.response?.data?.message || 'Error al restablecer la contraseña');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container className="py-5">
+      <Row className="justify-content-center">
+        <Col md={6} lg={5} xl={4}>
+          <Card className="shadow">
+            <Card.Body className="p-5">
+              <div className="text-center mb-4">
+                <div className="bg-primary rounded-circle p-3 d-inline-block mb-3">
+                  <FaKey size={30} className="text-white" />
+                </div>
+                <h2 className="fw-bold">Nueva Contraseña</h2>
+                <p className="text-muted">
+                  Elige la contraseña con la que iniciarás sesión a partir de ahora
+                </p>
+              </div>
+
+              {linkError && (
+                <Alert variant="danger">
+                  {linkError}.{' '}
+                  <Link to="/forgot-password" className="alert-link">
+                    Solicita un enlace nuevo
+                  </Link>
+                </Alert>
+              )}
+
+              {token && (
+                <Form onSubmit={handleSubmit}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>
+                      <FaLock className="me-2" />
+                      Nueva contraseña
+                    </Form.Label>
+                    <Form.Control
+                      type="password"
+                      name="password"
+                      value={formData.password}
+                      onChange={handleChange}
+                      placeholder="Mínimo 6 caracteres"
+                      isInvalid={!!errors.password}
+                    />
+                    <Form.Control.Feedback type="invalid">
+                      {errors.password}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+
+                  <Form.Group className="mb-4">
+                    <Form.Label>
+                      <FaLock className="me-2" />
+                      Confirmar contraseña
+                    </Form.Label>
+                    <Form.Control
+                      type="password"
+                      name="confirmPassword"
+                      value={formData.confirmPassword}
+                      onChange={handleChange}
+                      placeholder="Repite la contraseña"
+                      isInvalid={!!errors.confirmPassword}
+                    />
+                    <Form.Control.Feedback type="invalid">
+                      {errors.confirmPassword}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+
+                  <Button
+                    type="submit"
+                    variant="primary"
+                    size="lg"
+                    className="w-100"
+                    disabled={loading}
+                  >
+                    {loading ? 'Guardando...' : 'Restablecer contraseña'}
+                  </Button>
+                </Form>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default ResetPassword;
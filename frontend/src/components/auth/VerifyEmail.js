@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Container, Row, Col, Card, Alert, Button } from 'react-bootstrap';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/api';
+import { FaEnvelope } from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [result, setResult] = useState(null);
+  const { isAuthenticated, reloadUser, loading } = useAuth();
+  // El token es de un solo uso: evitar enviarlo dos veces si el efecto se repite
+  const sent = useRef(false);
+
+  // Esperar a que se cargue la sesión para poder refrescar el usuario al terminar
+  useEffect(() => {
+    if (loading || sent.current) return;
+    sent.current = true;
+
+    if (!token) {
+      setResult({ success: false, message: 'El enlace de verificación no es válido' });
+      return;
+    }
+
+    verify();
+  }, [token, loading]);
+
+  const verify = async () => {
+    try {
+      const response = await authService.verifyEmail(token);
+      setResult({ success: true, message: response.data.message, correo: response.data.data.correo });
+      if (isAuthenticated) {
+        await reloadUser().catch(error => console.error('Error recargando usuario:', error));
+      }
+    } catch (error) {
+      console.error('Error verificando correo:', error);
+      setResult({
+        success: false,
+        message: error.response?.data?.message || 'No se pudo verificar el correo'
+      });
+    }
+  };
+
+  return (
+    <Container className="py-5">
+      <Row className="justify-content-center">
+        <Col md={6} lg={5} xl={4}>
+          <Card className="shadow">
+            <Card.Body className="p-5 text-center">
+              <div className="bg-primary rounded-circle p-3 d-inline-block mb-3">
+                <FaEnvelope size={30} className="text-white" />
+              </div>
+              <h2 className="fw-bold mb-4">Verificar Correo</h2>
+
+              {!result ? (
+                <LoadingSpinner />
+              ) : result.success ? (
+                <>
+                  <Alert variant="success">
+                    {result.message}: <strong>{result.correo}</strong>
+                  </Alert>
+                  <Button as={Link} to={isAuthenticated ? '/dashboard' : '/login'} variant="primary" className="w-100">
+                    {isAuthenticated ? 'Ir a mi panel' : 'Iniciar sesión'}
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <Alert variant="danger">{result.message}</Alert>
+                  <p className="text-muted small">
+                    {isAuthenticated
+                      ? 'Puedes pedir un enlace nuevo desde tu panel.'
+                      : 'Inicia sesión para pedir un enlace nuevo desde tu panel.'}
+                  </p>
+                  <Button as={Link} to={isAuthenticated ? '/dashboard' : '/login'} variant="outline-primary" className="w-100">
+                    {isAuthenticated ? 'Ir a mi panel' : 'Iniciar sesión'}
+                  </Button>
+                </>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
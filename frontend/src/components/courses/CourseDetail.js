@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { Container, Row, Col, Card, Button, Badge, Alert, Modal, Form } from 'react-bootstrap';
+import { useParams, useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom';
+import { Container, Row, Col, Card, Button, Badge, Alert, Modal, Form, Table, InputGroup } from 'react-bootstrap';
 import { useAuth } from '../../contexts/AuthContext';
-import { courseService, reservationService } from '../../services/api';
+import { courseService, reservationService, paymentService, userService, discountService, groupBookingService, describeCancellationPolicy, describePriceChange, formatDuration, formatCountdown, getEnrollmentStatus, parseEmailList } from '../../services/api';
 import { toast } from 'react-toastify';
 import { 
   FaCalendarAlt, 
@@ -18,23 +18,48 @@ import {
   FaBookmark,
   FaShare,
   FaDollarSign,
-  FaInfoCircle
+  FaInfoCircle,
+  FaHourglassHalf,
+  FaListOl,
+  FaUndo,
+  FaUserCheck,
+  FaTag,
+  FaUserFriends,
+  FaLock,
+  FaEyeSlash
 } from 'react-icons/fa';
 import LoadingSpinner from '../common/LoadingSpinner';
 
 const CourseDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user, isAuthenticated } = useAuth();
+  const location = useLocation();
+  // Los cursos privados se abren con el enlace de una invitación (?invitacion=CODIGO)
+  const [searchParams] = useSearchParams();
+  const invitationCode = searchParams.get('invitacion') || undefined;
+  const { user, isAuthenticated, isAdmin } = useAuth();
   const [course, setCourse] = useState(null);
   const [loading, setLoading] = useState(true);
   const [userReservation, setUserReservation] = useState(null);
   const [showReservationModal, setShowReservationModal] = useState(false);
   const [reservationData, setReservationData] = useState({
     notas: '',
-    metodoPago: 'gratuito'
+    metodoPago: 'gratuito',
+    usarCredito: false
   });
+  const [creditBalance, setCreditBalance] = useState(0);
+  const [discountCode, setDiscountCode] = useState('');
+  const [discount, setDiscount] = useState(null);
   const [submitting, setSubmitting] = useState(false);
+  const [waitlistPosition, setWaitlistPosition] = useState(null);
+  const [waitlist, setWaitlist] = useState([]);
+  const [showGroupModal, setShowGroupModal] = useState(false);
+  const [groupData, setGroupData] = useState({
+    plazas: 2,
+    metodoPago: 'gratuito',
+    asistentes: '',
+    notas: ''
+  });
 
   useEffect(() => {
     loadCourseDetails();
@@ -45,7 +70,7 @@ const CourseDetail = () => {
       setLoading(true);
       
       // Cargar detalles del curso
-      const courseResponse = await courseService.getCourseById(id);
+      const courseResponse = await courseService.getCourseById(id, { invitacion: invitationCode });
       setCourse(courseResponse.data.data);
       
       // Si el usuario está autenticado, verificar si ya tiene una reserva
@@ -53,16 +78,29 @@ const CourseDetail = () => {
         try {
           const reservationResponse = await reservationService.getUserReservations({
             cursoId: id,
-            estado: ['pendiente', 'confirmada']
+            estado: ['pendiente', 'confirmada', 'en_espera']
           });
           
-          if (reservationResponse.data.data.length > 0) {
-            setUserReservation(reservationResponse.data.data[0]);
+          const reservation = reservationResponse.data.data[0] || null;
+          setUserReservation(reservation);
+
+          // Si está en lista de espera, obtener su posición
+          if (reservation?.estado === 'en_espera') {
+            const positionResponse = await reservationService.getWaitlistPosition(id);
+            setWaitlistPosition(positionResponse.data.data);
+          } else {
+            setWaitlistPosition(null);
           }
         } catch (error) {
           console.log('Usuario no tiene reserva para este curso');
         }
       }
+
+      // Los administradores ven la lista de espera del curso
+      if (isAdmin) {
+        const waitlistResponse = await reservationService.getCourseWaitlist(id);
+        setWaitlist(waitlistResponse.data.data);
+      }
     } catch (error) {
       console.error('Error cargando curso:', error);
       toast.error('Error al cargar los detalles del curso');
@@ -72,6 +110,50 @@ const CourseDetail = () => {
     }
   };
 
+  const openReservationModal = async () => {
+    setReservationData(prev => ({
+      ...prev,
+      metodoPago: course.precioActual > 0 ? 'tarjeta' : 'gratuito',
+      usarCredito: false
+    }));
+    setDiscountCode('');
+    setDiscount(null);
+    setShowReservationModal(true);
+
+    // El saldo a favor se consulta al momento: pudo cambiar desde el inicio de sesión
+    if (course.precioActual > 0) {
+      try {
+        const response = await userService.getProfile();
+        setCreditBalance(response.data.data.saldoCredito || 0);
+      } catch (error) {
+        console.error('Error cargando saldo a favor:', error);
+      }
+    }
+  };
+
+  const handleApplyDiscount = async () => {
+    try {
+      const response = await discountService.validateCode(discountCode, course._id);
+      setDiscount(response.data.data);
+      toast.success(response.data.message);
+    } catch (error) {
+      setDiscount(null);
+      toast.error(error.response?.data?.message || 'Error al validar el código de descuento');
+    }
+  };
+
+  const handleRemoveDiscount = () => {
+    setDiscount(null);
+    setDiscountCode('');
+  };
+
+  // Importe que queda por pagar tras aplicar el descuento y el saldo a favor elegido
+  const amountDue = () => {
+    const price = discount ? discount.precioFinal : course.precioActual;
+    if (!reservationData.usarCredito) return price;
+    return Math.max(0, price - creditBalance);
+  };
+
   const handleReservationSubmit = async (e) => {
     e.preventDefault();
     setSubmitting(true);
@@ -79,18 +161,74 @@ const CourseDetail = () => {
     try {
       const response = await reservationService.createReservation({
         cursoId: course._id,
-        ...reservationData
+        ...reservationData,
+        codigoDescuento: discount ? discount.codigo : undefined,
+        codigoInvitacion: invitationCode
       });
+      const reservation = response.data.data;
       
-      setUserReservation(response.data.data);
+      setUserReservation(reservation);
       setShowReservationModal(false);
       toast.success('Reserva creada exitosamente');
+
+      // Las reservas con tarjeta se pagan en la pasarela antes de que venza el plazo
+      if (reservation.metodoPago === 'tarjeta' && reservation.estadoPago === 'pendiente') {
+        const paymentResponse = await paymentService.createIntent(reservation._id);
+        window.location.assign(paymentResponse.data.data.urlPago);
+        return;
+      }
       
       // Recargar detalles del curso para actualizar cupos
       await loadCourseDetails();
     } catch (error) {
       console.error('Error creando reserva:', error);
       toast.error(error.response?.data?.message || 'Error al crear la reserva');
+
+      // La ventana de inscripción cambió mientras la página estaba abierta
+      if (['INSCRIPCION_NO_ABIERTA', 'INSCRIPCION_CERRADA'].includes(error.response?.data?.codigo)) {
+        setShowReservationModal(false);
+        await loadCourseDetails();
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const openGroupModal = () => {
+    setGroupData({
+      plazas: 2,
+      metodoPago: course.precioActual > 0 ? 'transferencia' : 'gratuito',
+      asistentes: '',
+      notas: ''
+    });
+    setShowGroupModal(true);
+  };
+
+  const handleGroupSubmit = async (e) => {
+    e.preventDefault();
+
+    const asistentes = parseEmailList(groupData.asistentes);
+    if (asistentes.length > groupData.plazas) {
+      toast.error('Has indicado más asistentes que plazas');
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      await groupBookingService.createGroupBooking({
+        cursoId: course._id,
+        plazas: groupData.plazas,
+        metodoPago: groupData.metodoPago,
+        notas: groupData.notas,
+        asistentes
+      });
+      setShowGroupModal(false);
+      toast.success('Reserva de grupo creada exitosamente');
+      navigate('/group-bookings');
+    } catch (error) {
+      console.error('Error creando reserva de grupo:', error);
+      toast.error(error.response?.data?.message || 'Error al crear la reserva de grupo');
     } finally {
       setSubmitting(false);
     }
@@ -108,7 +246,38 @@ const CourseDetail = () => {
       await loadCourseDetails();
     } catch (error) {
       console.error('Error cancelando reserva:', error);
-      toast.error('Error al cancelar la reserva');
+      toast.error(error.response?.data?.message || 'Error al cancelar la reserva');
+    }
+  };
+
+  const handleJoinWaitlist = async () => {
+    setSubmitting(true);
+
+    try {
+      const response = await reservationService.joinWaitlist({
+        cursoId: course._id,
+        codigoInvitacion: invitationCode
+      });
+      toast.success(response.data.message);
+      await loadCourseDetails();
+    } catch (error) {
+      console.error('Error uniéndose a la lista de espera:', error);
+      toast.error(error.response?.data?.message || 'Error al unirse a la lista de espera');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLeaveWaitlist = async () => {
+    try {
+      await reservationService.leaveWaitlist(course._id);
+      setUserReservation(null);
+      setWaitlistPosition(null);
+      toast.success('Has salido de la lista de espera');
+      await loadCourseDetails();
+    } catch (error) {
+      console.error('Error saliendo de la lista de espera:', error);
+      toast.error('Error al salir de la lista de espera');
     }
   };
 
@@ -165,7 +334,27 @@ const CourseDetail = () => {
     if (!course) return false;
     return course.estado === 'activo' && 
            course.cupoDisponible > 0 && 
-           new Date(course.fechaInicio) > new Date();
+           getEnrollmentStatus(course).estado === 'abierta';
+  };
+
+  const canJoinWaitlist = () => {
+    if (!course) return false;
+    return course.estado === 'activo' &&
+           course.cupoDisponible === 0 &&
+           getEnrollmentStatus(course).estado === 'abierta';
+  };
+
+  // Motivo por el que no se puede reservar cuando la ventana de inscripción no está abierta
+  const describeEnrollmentWindow = () => {
+    const { estado, fecha } = getEnrollmentStatus(course);
+    const fechaCompleta = fecha.toLocaleString('es-ES', { dateStyle: 'long', timeStyle: 'short' });
+    if (estado === 'proxima') {
+      return `Las inscripciones abren el ${fechaCompleta} (en ${formatCountdown(fecha)})`;
+    }
+    if (estado === 'cerrada') {
+      return 'Las inscripciones para este curso están cerradas';
+    }
+    return null;
   };
 
   if (loading) {
@@ -206,6 +395,18 @@ const CourseDetail = () => {
                 {course.categoria && (
                   <Badge bg="secondary">{course.categoria}</Badge>
                 )}
+                {course.visibilidad === 'privado' && (
+                  <Badge bg="dark">
+                    <FaLock className="me-1" />
+                    Privado
+                  </Badge>
+                )}
+                {course.visibilidad === 'no_listado' && (
+                  <Badge bg="light" text="dark">
+                    <FaEyeSlash className="me-1" />
+                    No listado
+                  </Badge>
+                )}
               </div>
             </div>
             
@@ -270,6 +471,132 @@ const CourseDetail = () => {
               </Card.Body>
             </Card>
           )}
+
+          {/* Calendario de Sesiones */}
+          {course.sesiones?.length > 0 && (
+            <Card className="mb-4">
+              <Card.Body>
+                <h5 className="mb-3">
+                  <FaCalendarAlt className="me-2" />
+                  Calendario de Sesiones
+                </h5>
+                <Table responsive hover size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Fecha</th>
+                      <th>Horario (UTC)</th>
+                      <th>Sala</th>
+                      <th>Instructor</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {course.sesiones.map((sesion, index) => (
+                      <tr key={sesion._id}>
+                        <td>{index + 1}</td>
+                        <td>
+                          {new Date(sesion.fecha).toLocaleDateString('es-ES', {
+                            weekday: 'short',
+                            day: 'numeric',
+                            month: 'long',
+                            timeZone: 'UTC'
+                          })}
+                        </td>
+                        <td>{sesion.horaInicio} - {sesion.horaFin}</td>
+                        <td>{sesion.sala || course.ubicacion || '-'}</td>
+                        <td>{sesion.instructor || course.instructor}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          )}
+
+          {/* Política de Cancelación */}
+          <Card className="mb-4">
+            <Card.Body>
+              <h5 className="mb-3">
+                <FaUndo className="me-2" />
+                Política de Cancelación
+              </h5>
+              <ul className="text-muted mb-0">
+                {describeCancellationPolicy(course.politicaCancelacion).map((line, index) => (
+                  <li key={index}>{line}</li>
+                ))}
+              </ul>
+            </Card.Body>
+          </Card>
+
+          {/* Control de Asistencia (solo admin) */}
+          {isAdmin && (
+            <Card className="mb-4">
+              <Card.Body className="d-flex justify-content-between align-items-center">
+                <div>
+                  <h5 className="mb-1">
+                    <FaUserCheck className="me-2" />
+                    Control de Asistencia
+                  </h5>
+                  <small className="text-muted">
+                    Registra la asistencia por sesión con el código QR de cada participante
+                    {course.asistenciaMinima > 0 && ` (mínimo requerido: ${course.asistenciaMinima}%)`}
+                  </small>
+                </div>
+                <Button as={Link} to={`/admin/courses/${course._id}/attendance`} variant="outline-primary">
+                  Abrir Lista
+                </Button>
+              </Card.Body>
+            </Card>
+          )}
+
+          {/* Visibilidad e Invitaciones (solo admin) */}
+          {isAdmin && (
+            <Card className="mb-4">
+              <Card.Body className="d-flex justify-content-between align-items-center">
+                <div>
+                  <h5 className="mb-1">
+                    <FaLock className="me-2" />
+                    Visibilidad y Acceso
+                  </h5>
+                  <small className="text-muted">
+                    {course.visibilidad === 'privado'
+                      ? 'Curso privado: solo con invitación o desde la lista de acceso'
+                      : course.visibilidad === 'no_listado'
+                        ? 'Curso no listado: accesible solo con el enlace'
+                        : 'Curso público: aparece en el catálogo'}
+                  </small>
+                </div>
+                <Button as={Link} to={`/admin/courses/${course._id}/access`} variant="outline-primary">
+                  Gestionar
+                </Button>
+              </Card.Body>
+            </Card>
+          )}
+
+          {/* Lista de Espera (solo admin) */}
+          {isAdmin && (
+            <Card className="mb-4">
+              <Card.Body>
+                <h5 className="mb-3">
+                  <FaListOl className="me-2" />
+                  Lista de Espera
+                </h5>
+                {waitlist.length === 0 ? (
+                  <p className="text-muted mb-0">No hay usuarios en la lista de espera.</p>
+                ) : (
+                  waitlist.map((entry) => (
+                    <div key={entry._id} className="d-flex justify-content-between border-bottom py-2">
+                      <span>
+                        <Badge bg="secondary" className="me-2">{entry.posicion}</Badge>
+                        {entry.usuario?.nombre} - {entry.usuario?.correo}
+                      </span>
+                      <small className="text-muted">{formatDate(entry.fechaReserva)}</small>
+                    </div>
+                  ))
+                )}
+              </Card.Body>
+            </Card>
+          )}
         </Col>
 
         {/* Sidebar con Información de Reserva */}
@@ -291,6 +618,15 @@ const CourseDetail = () => {
                 <p className="mb-0">
                   <strong>Fin:</strong> {formatDate(course.fechaFin)}
                 </p>
+                {(course.inscripcionAbre || course.inscripcionCierra) && (
+                  <small className="text-muted d-block mt-1">
+                    Inscripciones
+                    {course.inscripcionAbre &&
+                      ` desde el ${formatDate(course.inscripcionAbre)} a las ${formatTime(course.inscripcionAbre)}`}
+                    {` hasta el ${formatDate(course.inscripcionCierra || course.fechaInicio)}` +
+                      ` a las ${formatTime(course.inscripcionCierra || course.fechaInicio)}`}
+                  </small>
+                )}
               </div>
 
               <div className="mb-3">
@@ -300,7 +636,7 @@ const CourseDetail = () => {
                     Duración
                   </span>
                 </div>
-                <p className="mb-0">{course.duracion} horas</p>
+                <p className="mb-0">{formatDuration(course)}</p>
               </div>
 
               <div className="mb-3">
@@ -313,6 +649,14 @@ const CourseDetail = () => {
                 <p className="mb-0">
                   {course.cupoDisponible} de {course.cupoMaximo} disponibles
                 </p>
+                {course.cupoMinimo > 0 && (
+                  <small className={course.enRiesgo ? 'text-danger' : 'text-muted'}>
+                    {course.decision?.resultado === 'confirmado'
+                      ? 'Curso confirmado: se alcanzó el mínimo de participantes'
+                      : `Se realiza con un mínimo de ${course.cupoMinimo} participantes` +
+                        (course.fechaDecision ? ` (se decide el ${formatDate(course.fechaDecision)})` : '')}
+                  </small>
+                )}
               </div>
 
               {course.ubicacion && (
@@ -333,50 +677,115 @@ const CourseDetail = () => {
               <div className="mb-3">
                 <div className="d-flex justify-content-between align-items-center">
                   <span className="h5 mb-0">Precio</span>
-                  {course.precio > 0 ? (
+                  {course.precioActual > 0 ? (
                     <span className="h4 text-primary mb-0">
+                      {course.precioActual < course.precio && (
+                        <small className="text-muted text-decoration-line-through me-2">
+                          ${course.precio.toLocaleString()}
+                        </small>
+                      )}
                       <FaDollarSign className="me-1" />
-                      {course.precio.toLocaleString()}
+                      {course.precioActual.toLocaleString()}
                     </span>
                   ) : (
                     <Badge bg="success" className="h5">Gratuito</Badge>
                   )}
                 </div>
+                {course.tramoPrecioActual && (
+                  <Badge bg="info" className="mt-1">{course.tramoPrecioActual}</Badge>
+                )}
+                {course.proximoCambioPrecio && (
+                  <small className="text-muted d-block mt-1">
+                    {describePriceChange(course.proximoCambioPrecio)}
+                  </small>
+                )}
               </div>
 
               {/* Botones de Acción */}
               {isAuthenticated ? (
-                userReservation ? (
+                userReservation?.estado === 'en_espera' ? (
                   <div>
-                    <Alert variant="info" className="mb-3">
-                      <FaInfoCircle className="me-2" />
-                      Ya tienes una reserva para este curso
+                    <Alert variant="warning" className="mb-3">
+                      <FaHourglassHalf className="me-2" />
+                      Estás en la lista de espera
+                      {waitlistPosition && (
+                        <>
+                          {' '}(posición <strong>{waitlistPosition.posicion}</strong> de {waitlistPosition.total})
+                        </>
+                      )}
+                      . Te asignaremos un cupo automáticamente cuando se libere.
                     </Alert>
                     <Button 
                       variant="outline-danger" 
-                      onClick={handleCancelReservation}
+                      onClick={handleLeaveWaitlist}
                       className="w-100"
                     >
                       <FaTimesCircle className="me-1" />
-                      Cancelar Reserva
+                      Salir de la Lista de Espera
                     </Button>
                   </div>
+                ) : userReservation ? (
+                  <div>
+                    <Alert variant="info" className="mb-3">
+                      <FaInfoCircle className="me-2" />
+                      {userReservation.grupo
+                        ? 'Tienes una plaza en una reserva de grupo para este curso'
+                        : 'Ya tienes una reserva para este curso'}
+                    </Alert>
+                    {userReservation.sePuedeCancelar ? (
+                      <>
+                        <Button 
+                          variant="outline-danger" 
+                          onClick={handleCancelReservation}
+                          className="w-100"
+                        >
+                          <FaTimesCircle className="me-1" />
+                          Cancelar Reserva
+                        </Button>
+                        {course.precio > 0 && (
+                          <small className="text-muted d-block mt-2">
+                            Si cancelas ahora recibirás un reembolso del {userReservation.reembolsoSiCancela}%.
+                          </small>
+                        )}
+                      </>
+                    ) : (
+                      <small className="text-muted d-block">
+                        Esta reserva ya no se puede cancelar según la política del curso.
+                      </small>
+                    )}
+                  </div>
                 ) : canReserve() ? (
                   <Button 
                     variant="primary" 
-                    onClick={() => setShowReservationModal(true)}
+                    onClick={openReservationModal}
                     className="w-100"
                   >
                     <FaCheckCircle className="me-1" />
                     Reservar Curso
                   </Button>
+                ) : canJoinWaitlist() ? (
+                  <div>
+                    <Alert variant="warning" className="mb-3">
+                      <FaExclamationTriangle className="me-2" />
+                      Cupo completo
+                    </Alert>
+                    <Button 
+                      variant="outline-primary" 
+                      onClick={handleJoinWaitlist}
+                      disabled={submitting}
+                      className="w-100"
+                    >
+                      <FaHourglassHalf className="me-1" />
+                      Unirse a la Lista de Espera
+                    </Button>
+                  </div>
                 ) : (
                   <Alert variant="warning">
                     <FaExclamationTriangle className="me-2" />
-                    {course.cupoDisponible === 0 
+                    {describeEnrollmentWindow() || (course.cupoDisponible === 0 
                       ? 'Cupo completo' 
                       : 'Las reservas no están disponibles'
-                    }
+                    )}
                   </Alert>
                 )
               ) : (
@@ -387,13 +796,24 @@ const CourseDetail = () => {
                   </Alert>
                   <Button 
                     variant="outline-primary" 
-                    onClick={() => navigate('/login')}
+                    onClick={() => navigate('/login', { state: { from: location } })}
                     className="w-100"
                   >
                     Iniciar Sesión
                   </Button>
                 </div>
               )}
+
+              {isAuthenticated && canReserve() && course.cupoDisponible >= 2 && course.visibilidad !== 'privado' && (
+                <Button 
+                  variant="outline-secondary" 
+                  onClick={openGroupModal}
+                  className="w-100 mt-2"
+                >
+                  <FaUserFriends className="me-1" />
+                  Reservar para un Grupo
+                </Button>
+              )}
             </Card.Body>
           </Card>
         </Col>
@@ -407,23 +827,78 @@ const CourseDetail = () => {
         <Form onSubmit={handleReservationSubmit}>
           <Modal.Body>
             <h6 className="mb-3">{course.titulo}</h6>
+
+            {course.precioActual > 0 && (
+              <Form.Group className="mb-3">
+                <Form.Label>
+                  <FaTag className="me-1" />
+                  Código de Descuento (Opcional)
+                </Form.Label>
+                <InputGroup>
+                  <Form.Control
+                    type="text"
+                    value={discountCode}
+                    onChange={(e) => setDiscountCode(e.target.value.toUpperCase())}
+                    placeholder="Introduce tu código"
+                    disabled={!!discount}
+                    maxLength={30}
+                  />
+                  {discount ? (
+                    <Button variant="outline-secondary" onClick={handleRemoveDiscount}>
+                      Quitar
+                    </Button>
+                  ) : (
+                    <Button variant="outline-primary" onClick={handleApplyDiscount} disabled={!discountCode.trim()}>
+                      Aplicar
+                    </Button>
+                  )}
+                </InputGroup>
+                {discount && (
+                  <Form.Text className="text-success">
+                    Descuento de ${discount.descuento.toLocaleString()}: precio final ${discount.precioFinal.toLocaleString()}
+                  </Form.Text>
+                )}
+              </Form.Group>
+            )}
+
+            {(discount ? discount.precioFinal : course.precioActual) > 0 && creditBalance > 0 && (
+              <Form.Group className="mb-3">
+                <Form.Check
+                  type="checkbox"
+                  id="usarCredito"
+                  label={`Usar mi saldo a favor ($${creditBalance.toLocaleString()})`}
+                  checked={reservationData.usarCredito}
+                  onChange={(e) => setReservationData(prev => ({
+                    ...prev,
+                    usarCredito: e.target.checked
+                  }))}
+                />
+                {reservationData.usarCredito && (
+                  <Form.Text className="text-muted">
+                    Importe a pagar: ${amountDue().toLocaleString()}
+                  </Form.Text>
+                )}
+              </Form.Group>
+            )}
             
-            <Form.Group className="mb-3">
-              <Form.Label>Método de Pago</Form.Label>
-              <Form.Select
-                name="metodoPago"
-                value={reservationData.metodoPago}
-                onChange={(e) => setReservationData(prev => ({
-                  ...prev,
-                  metodoPago: e.target.value
-                }))}
-              >
-                <option value="gratuito">Gratuito</option>
-                <option value="efectivo">Efectivo</option>
-                <option value="tarjeta">Tarjeta</option>
-                <option value="transferencia">Transferencia</option>
-              </Form.Select>
-            </Form.Group>
+            {amountDue() > 0 && (
+              <Form.Group className="mb-3">
+                <Form.Label>Método de Pago</Form.Label>
+                <Form.Select
+                  name="metodoPago"
+                  value={reservationData.metodoPago}
+                  onChange={(e) => setReservationData(prev => ({
+                    ...prev,
+                    metodoPago: e.target.value
+                  }))}
+                >
+                  {!(course.precioActual > 0) && <option value="gratuito">Gratuito</option>}
+                  <option value="efectivo">Efectivo</option>
+                  <option value="tarjeta">Tarjeta</option>
+                  <option value="transferencia">Transferencia</option>
+                </Form.Select>
+              </Form.Group>
+            )}
 
             <Form.Group className="mb-3">
               <Form.Label>Notas Adicionales (Opcional)</Form.Label>
@@ -440,6 +915,14 @@ const CourseDetail = () => {
               />
             </Form.Group>
 
+            {amountDue() > 0 && reservationData.metodoPago === 'tarjeta' && (
+              <Alert variant="warning">
+                <FaDollarSign className="me-2" />
+                Tras crear la reserva pasarás a la pasarela de pago. Si no pagas a tiempo,
+                la reserva se cancela y el cupo queda libre.
+              </Alert>
+            )}
+
             <Alert variant="info">
               <FaInfoCircle className="me-2" />
               Al confirmar la reserva, se te enviará un correo con los detalles del curso.
@@ -455,6 +938,105 @@ const CourseDetail = () => {
           </Modal.Footer>
         </Form>
       </Modal>
+
+      {/* Modal de Reserva de Grupo */}
+      <Modal show={showGroupModal} onHide={() => setShowGroupModal(false)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Reservar para un Grupo</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleGroupSubmit}>
+          <Modal.Body>
+            <h6 className="mb-3">{course.titulo}</h6>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Número de Plazas</Form.Label>
+              <Form.Control
+                type="number"
+                min={2}
+                max={Math.min(course.cupoDisponible, 100)}
+                value={groupData.plazas}
+                onChange={(e) => setGroupData(prev => ({
+                  ...prev,
+                  plazas: parseInt(e.target.value) || 2
+                }))}
+                required
+              />
+              <Form.Text className="text-muted">
+                Quedan {course.cupoDisponible} plazas. Se reservan todas a la vez o ninguna.
+              </Form.Text>
+            </Form.Group>
+
+            {course.precioActual > 0 && (
+              <>
+                <p className="mb-2">
+                  Importe estimado: <strong>${(course.precioActual * groupData.plazas).toLocaleString()}</strong>
+                </p>
+                {course.proximoCambioPrecio && (
+                  <small className="text-muted d-block mb-3">
+                    Cada plaza se cobra al precio de su tramo: {describePriceChange(course.proximoCambioPrecio).toLowerCase()}
+                  </small>
+                )}
+                <Form.Group className="mb-3">
+                  <Form.Label>Método de Pago</Form.Label>
+                  <Form.Select
+                    value={groupData.metodoPago}
+                    onChange={(e) => setGroupData(prev => ({
+                      ...prev,
+                      metodoPago: e.target.value
+                    }))}
+                  >
+                    <option value="transferencia">Transferencia</option>
+                    <option value="efectivo">Efectivo</option>
+                  </Form.Select>
+                  <Form.Text className="text-muted">
+                    El grupo se confirma cuando administración recibe el pago.
+                  </Form.Text>
+                </Form.Group>
+              </>
+            )}
+
+            <Form.Group className="mb-3">
+              <Form.Label>Asistentes (Opcional)</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={4}
+                value={groupData.asistentes}
+                onChange={(e) => setGroupData(prev => ({
+                  ...prev,
+                  asistentes: e.target.value
+                }))}
+                placeholder="Un correo por línea o separados por comas"
+              />
+              <Form.Text className="text-muted">
+                Puedes asignar o cambiar los asistentes más tarde desde "Mis grupos". Quien no
+                tenga cuenta recibirá una invitación para registrarse.
+              </Form.Text>
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Notas Adicionales (Opcional)</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={groupData.notas}
+                onChange={(e) => setGroupData(prev => ({
+                  ...prev,
+                  notas: e.target.value
+                }))}
+                placeholder="Empresa, datos de facturación, requerimientos..."
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowGroupModal(false)}>
+              Cancelar
+            </Button>
+            <Button type="submit" variant="primary" disabled={submitting}>
+              {submitting ? <LoadingSpinner /> : `Reservar ${groupData.plazas} Plazas`}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
     </Container>
   );
 };
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Form, Button, Badge, InputGroup, Pagination } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
-import { courseService } from '../../services/api';
+import { courseService, describePriceChange, formatCountdown, getEnrollmentStatus } from '../../services/api';
 import { toast } from 'react-toastify';
 import { 
   FaSearch, 
@@ -12,7 +12,8 @@ import {
   FaClock,
   FaGraduationCap,
   FaStar,
-  FaEye
+  FaEye,
+  FaHourglassStart
 } from 'react-icons/fa';
 import LoadingSpinner from '../common/LoadingSpinner';
 
@@ -31,11 +32,18 @@ const CourseList = () => {
     total: 0,
     pages: 0
   });
+  // Reloj para las cuentas atrás de apertura y cierre de inscripciones
+  const [now, setNow] = useState(new Date());
 
   useEffect(() => {
     loadCourses();
   }, [filters, pagination.page]);
 
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
   const loadCourses = async () => {
     try {
       setLoading(true);
@@ -92,6 +100,36 @@ const CourseList = () => {
     });
   };
 
+  // Aviso de la ventana de inscripción: cuándo abre, si cierra pronto o si ya cerró
+  const renderEnrollmentWindow = (course) => {
+    const { estado, fecha } = getEnrollmentStatus(course, now);
+    const fechaCompleta = fecha.toLocaleString('es-ES', { dateStyle: 'medium', timeStyle: 'short' });
+
+    if (estado === 'proxima') {
+      return (
+        <Badge bg="warning" text="dark" className="mt-2" title={`Abren el ${fechaCompleta}`}>
+          <FaHourglassStart className="me-1" />
+          Inscripciones abren en {formatCountdown(fecha, now)}
+        </Badge>
+      );
+    }
+
+    if (estado === 'cerrada') {
+      return <Badge bg="secondary" className="mt-2">Inscripciones cerradas</Badge>;
+    }
+
+    // Solo se avisa del cierre cuando es una fecha propia y faltan menos de 7 días
+    if (course.inscripcionCierra && fecha - now < 7 * 24 * 60 * 60 * 1000) {
+      return (
+        <small className="text-danger d-block mt-2" title={`Cierran el ${fechaCompleta}`}>
+          Inscripciones cierran en {formatCountdown(fecha, now)}
+        </small>
+      );
+    }
+
+    return null;
+  };
+
   const getStatusBadge = (estado) => {
     const variants = {
       'activo': 'success',
@@ -292,7 +330,15 @@ const CourseList = () => {
                   <Card.Body>
                     <div className="d-flex justify-content-between align-items-start mb-2">
                       <h5 className="card-title mb-0">{course.titulo}</h5>
-                      {getStatusBadge(course.estado)}
+                      <div className="text-end">
+                        {getStatusBadge(course.estado)}
+                        {/* Solo los administradores reciben cursos no públicos en el listado */}
+                        {course.visibilidad && course.visibilidad !== 'publico' && (
+                          <Badge bg="dark" className="ms-1">
+                            {course.visibilidad === 'privado' ? 'Privado' : 'No listado'}
+                          </Badge>
+                        )}
+                      </div>
                     </div>
                     
                     <p className="text-muted small mb-3">
@@ -328,17 +374,27 @@ const CourseList = () => {
                           {course.instructor}
                         </small>
                       )}
+
+                      {course.estado === 'activo' && renderEnrollmentWindow(course)}
                     </div>
                     
                     <div className="d-flex justify-content-between align-items-center">
                       <div>
-                        {course.precio > 0 ? (
+                        {course.precioActual > 0 ? (
                           <span className="h5 text-primary mb-0">
-                            ${course.precio.toLocaleString()}
+                            ${course.precioActual.toLocaleString()}
                           </span>
                         ) : (
                           <Badge bg="success">Gratuito</Badge>
                         )}
+                        {course.tramoPrecioActual && (
+                          <Badge bg="info" className="ms-2">{course.tramoPrecioActual}</Badge>
+                        )}
+                        {course.proximoCambioPrecio && (
+                          <small className="text-muted d-block">
+                            {describePriceChange(course.proximoCambioPrecio)}
+                          </small>
+                        )}
                       </div>
                       
                       <Button
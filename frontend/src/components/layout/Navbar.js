@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { Navbar, Nav, Container, Button, Dropdown } from 'react-bootstrap';
 import { useAuth } from '../../contexts/AuthContext';
-import { FaUser, FaSignOutAlt, FaCog, FaGraduationCap } from 'react-icons/fa';
+import { FaUser, FaSignOutAlt, FaCog, FaGraduationCap, FaCopy, FaEnvelope, FaFileInvoiceDollar, FaUndo, FaTags, FaFileInvoice, FaUserFriends } from 'react-icons/fa';
 
 const NavigationBar = () => {
   const { user, isAuthenticated, isAdmin, logout } = useAuth();
@@ -118,6 +118,10 @@ const NavigationBar = () => {
                       <FaUser className="me-2" />
                       Mi Perfil
                     </Dropdown.Item>
+                    <Dropdown.Item as={Link} to="/group-bookings">
+                      <FaUserFriends className="me-2" />
+                      Mis Grupos
+                    </Dropdown.Item>
                     
                     {isAdmin && (
                       <>
@@ -126,6 +130,10 @@ const NavigationBar = () => {
                           <FaCog className="me-2" />
                           Gestionar Cursos
                         </Dropdown.Item>
+                        <Dropdown.Item as={Link} to="/admin/templates">
+                          <FaCopy className="me-2" />
+                          Plantillas de Cursos
+                        </Dropdown.Item>
                         <Dropdown.Item as={Link} to="/admin/users">
                           <FaUser className="me-2" />
                           Gestionar Usuarios
@@ -134,6 +142,30 @@ const NavigationBar = () => {
                           <FaGraduationCap className="me-2" />
                           Gestionar Reservas
                         </Dropdown.Item>
+                        <Dropdown.Item as={Link} to="/admin/group-bookings">
+                          <FaUserFriends className="me-2" />
+                          Reservas de grupo
+                        </Dropdown.Item>
+                        <Dropdown.Item as={Link} to="/admin/notifications">
+                          <FaEnvelope className="me-2" />
+                          Notificaciones
+                        </Dropdown.Item>
+                        <Dropdown.Item as={Link} to="/admin/receipts">
+                          <FaFileInvoiceDollar className="me-2" />
+                          Comprobantes
+                        </Dropdown.Item>
+                        <Dropdown.Item as={Link} to="/admin/refunds">
+                          <FaUndo className="me-2" />
+                          Reembolsos
+                        </Dropdown.Item>
+                        <Dropdown.Item as={Link} to="/admin/discount-codes">
+                          <FaTags className="me-2" />
+                          Códigos de descuento
+                        </Dropdown.Item>
+                        <Dropdown.Item as={Link} to="/admin/invoices">
+                          <FaFileInvoice className="me-2" />
+                          Facturas
+                        </Dropdown.Item>
                       </>
                     )}
                     
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Container, Row, Col, Card, Button, Alert, Badge } from 'react-bootstrap';
+import { paymentService, formatDate } from '../../services/api';
+import { toast } from 'react-toastify';
+import { FaCreditCard, FaCheckCircle, FaTimesCircle, FaFlask } from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+// Página de la pasarela simulada: permite decidir el resultado del pago en desarrollo
+const MockCheckout = () => {
+  const { referencia } = useParams();
+  const navigate = useNavigate();
+  const [payment, setPayment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadPayment();
+  }, [referencia]);
+
+  const loadPayment = async () => {
+    try {
+      setLoading(true);
+      const response = await paymentService.getMockPayment(referencia);
+      setPayment(response.data.data);
+    } catch (error) {
+      console.error('Error cargando pago:', error);
+      toast.error(error.response?.data?.message || 'Error al cargar el pago');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSimulate = async (resultado) => {
+    try {
+      setSubmitting(true);
+      const response = await paymentService.simulateMockPayment(referencia, resultado);
+      if (response.data.data.estado === 'completado') {
+        toast.success(response.data.message);
+        navigate('/reservations');
+      } else {
+        toast.error(response.data.message);
+        setPayment(prev => ({ ...prev, ...response.data.data }));
+      }
+    } catch (error) {
+      console.error('Error simulando pago:', error);
+      toast.error(error.response?.data?.message || 'Error al procesar el pago');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!payment) {
+    return (
+      <Container className="py-4">
+        <Alert variant="danger">Pago no encontrado.</Alert>
+        <Button as={Link} to="/reservations" variant="outline-primary">
+          Volver a Mis Reservas
+        </Button>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-4">
+      <Row className="justify-content-center">
+        <Col md={6}>
+          <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <span>
+                <FaCreditCard className="me-2" />
+                Pasarela de Pago
+              </span>
+              <Badge bg="secondary">
+                <FaFlask className="me-1" />
+                Simulada
+              </Badge>
+            </Card.Header>
+            <Card.Body>
+              <h5>{payment.curso.titulo}</h5>
+              <p className="text-muted mb-3">Inicio: {formatDate(payment.curso.fechaInicio)}</p>
+              <h3 className="mb-4">
+                {payment.moneda} {payment.importe.toLocaleString()}
+              </h3>
+
+              {payment.estado === 'fallido' && (
+                <Alert variant="danger">
+                  {payment.motivoFallo} Vuelve a Mis Reservas para intentarlo de nuevo.
+                </Alert>
+              )}
+
+              {payment.estado === 'pendiente' ? (
+                <>
+                  <Alert variant="info">
+                    Esta pasarela no realiza cobros reales. Elige el resultado del pago para
+                    simular la respuesta del proveedor.
+                  </Alert>
+                  <div className="d-flex gap-2">
+                    <Button
+                      variant="success"
+                      className="flex-fill"
+                      disabled={submitting}
+                      onClick={() => handleSimulate('exito')}
+                    >
+                      <FaCheckCircle className="me-1" />
+                      Pagar
+                    </Button>
+                    <Button
+                      variant="outline-danger"
+                      className="flex-fill"
+                      disabled={submitting}
+                      onClick={() => handleSimulate('rechazo')}
+                    >
+                      <FaTimesCircle className="me-1" />
+                      Rechazar pago
+                    </Button>
+                  </div>
+                </>
+              ) : (
+                <Button as={Link} to="/reservations" variant="outline-primary">
+                  Volver a Mis Reservas
+                </Button>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default MockCheckout;
@@ -0,0 +1,408 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Badge, Alert, Modal, Form, Table } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { groupBookingService, parseEmailList } from '../../services/api';
+import { toast } from 'react-toastify';
+import {
+  FaUserFriends,
+  FaCalendarAlt,
+  FaMapMarkerAlt,
+  FaEnvelope,
+  FaUserCheck,
+  FaUserPlus,
+  FaExchangeAlt,
+  FaTrash,
+  FaTimesCircle,
+  FaClock,
+  FaInfoCircle
+} from 'react-icons/fa';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const ESTADOS = {
+  pendiente: { label: 'Pendiente de pago', variant: 'warning' },
+  confirmada: { label: 'Confirmada', variant: 'success' },
+  cancelada: { label: 'Cancelada', variant: 'danger' }
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('es-ES', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('es-ES', {
+  day: 'numeric',
+  month: 'long',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const GroupBookingList = () => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newAttendees, setNewAttendees] = useState({});
+  const [replacing, setReplacing] = useState(null);
+  const [replacementEmail, setReplacementEmail] = useState('');
+  const [cancelling, setCancelling] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadGroups();
+  }, []);
+
+  const loadGroups = async () => {
+    try {
+      setLoading(true);
+      const response = await groupBookingService.getMyGroupBookings();
+      setGroups(response.data.data);
+    } catch (error) {
+      console.error('Error cargando reservas de grupo:', error);
+      toast.error('Error al cargar tus reservas de grupo');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Sustituir el grupo actualizado en la lista
+  const updateGroup = (updated) => {
+    setGroups(prev => prev.map(group => (group._id === updated._id ? updated : group)));
+  };
+
+  const canEdit = (group) => {
+    return group.estado !== 'cancelada' &&
+      group.fechaLimiteCambios &&
+      new Date(group.fechaLimiteCambios) > new Date();
+  };
+
+  const canCancel = (group) => {
+    return group.estado !== 'cancelada' &&
+      group.estadoPago !== 'pagado' &&
+      new Date(group.curso.fechaInicio) > new Date();
+  };
+
+  const handleAddAttendees = async (group) => {
+    const correos = parseEmailList(newAttendees[group._id] || '');
+    if (correos.length === 0) return;
+
+    if (correos.length > group.plazasLibres) {
+      toast.error(`Solo quedan ${group.plazasLibres} plazas libres en el grupo`);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await groupBookingService.addAttendees(group._id, correos);
+      updateGroup(response.data.data);
+      setNewAttendees(prev => ({ ...prev, [group._id]: '' }));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error asignando asistentes:', error);
+      toast.error(error.response?.data?.message || 'Error al asignar los asistentes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRemoveAttendee = async (group, correo) => {
+    if (!window.confirm(`¿Quitar a ${correo} del grupo? Su plaza quedará libre para otra persona.`)) return;
+
+    try {
+      const response = await groupBookingService.removeAttendee(group._id, correo);
+      updateGroup(response.data.data);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error quitando asistente:', error);
+      toast.error(error.response?.data?.message || 'Error al quitar al asistente');
+    }
+  };
+
+  const handleReplaceAttendee = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const response = await groupBookingService.replaceAttendee(
+        replacing.group._id,
+        replacing.correo,
+        replacementEmail.trim()
+      );
+      updateGroup(response.data.data);
+      setReplacing(null);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error sustituyendo asistente:', error);
+      toast.error(error.response?.data?.message || 'Error al sustituir al asistente');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancelGroup = async () => {
+    setSubmitting(true);
+
+    try {
+      const response = await groupBookingService.cancelGroupBooking(cancelling._id, cancelReason);
+      updateGroup(response.data.data);
+      setCancelling(null);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error cancelando reserva de grupo:', error);
+      toast.error(error.response?.data?.message || 'Error al cancelar la reserva de grupo');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col>
+          <h1 className="mb-3">
+            <FaUserFriends className="me-2" />
+            Mis Grupos
+          </h1>
+          <p className="text-muted">
+            Reservas de varias plazas que has hecho para otras personas. Asigna cada plaza por correo
+            y cambia los asistentes hasta el plazo indicado.
+          </p>
+        </Col>
+      </Row>
+
+      {groups.length === 0 ? (
+        <Alert variant="info">
+          <FaInfoCircle className="me-2" />
+          No tienes reservas de grupo. Puedes reservar varias plazas desde la ficha de un curso.
+          <div className="mt-2">
+            <Button as={Link} to="/courses" variant="primary" size="sm">Ver cursos</Button>
+          </div>
+        </Alert>
+      ) : (
+        groups.map(group => (
+          <Card key={group._id} className="mb-4">
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <div>
+                <h5 className="mb-0">
+                  <Link to={`/courses/${group.curso._id}`}>{group.curso.titulo}</Link>
+                </h5>
+                <small className="text-muted">
+                  <FaCalendarAlt className="me-1" />
+                  {formatDate(group.curso.fechaInicio)}
+                  {group.curso.ubicacion && (
+                    <>
+                      <FaMapMarkerAlt className="ms-3 me-1" />
+                      {group.curso.ubicacion}
+                    </>
+                  )}
+                </small>
+              </div>
+              <div className="text-end">
+                <Badge bg={ESTADOS[group.estado].variant}>{ESTADOS[group.estado].label}</Badge>
+                <small className="d-block text-muted mt-1">
+                  {group.precioTotal > 0
+                    ? `$${group.precioTotal.toLocaleString()} · ${group.metodoPago}`
+                    : 'Gratuito'}
+                </small>
+              </div>
+            </Card.Header>
+            <Card.Body>
+              <p className="mb-2">
+                <strong>{group.asistentes.length}</strong> de <strong>{group.plazas}</strong> plazas asignadas
+                {group.invitacionesPendientes > 0 && (
+                  <span className="text-muted"> · {group.invitacionesPendientes} invitaciones sin registrarse</span>
+                )}
+              </p>
+
+              {group.estado !== 'cancelada' && group.fechaLimiteCambios && (
+                <small className="text-muted d-block mb-3">
+                  <FaClock className="me-1" />
+                  {canEdit(group)
+                    ? `Puedes cambiar los asistentes hasta el ${formatDateTime(group.fechaLimiteCambios)}`
+                    : 'El plazo para cambiar los asistentes ha vencido'}
+                </small>
+              )}
+
+              {group.estado === 'pendiente' && group.estadoPago === 'pendiente' && (
+                <Alert variant="warning" className="py-2">
+                  <small>
+                    El grupo se confirmará cuando administración reciba el pago de ${group.precioTotal.toLocaleString()}.
+                  </small>
+                </Alert>
+              )}
+
+              {group.asistentes.length > 0 && (
+                <Table size="sm" responsive className="mb-3">
+                  <thead>
+                    <tr>
+                      <th>Asistente</th>
+                      <th>Estado</th>
+                      {canEdit(group) && <th></th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.asistentes.map(asistente => (
+                      <tr key={asistente.correo}>
+                        <td>
+                          {asistente.usuario?.nombre && <strong className="d-block">{asistente.usuario.nombre}</strong>}
+                          <small className="text-muted">{asistente.correo}</small>
+                        </td>
+                        <td>
+                          {asistente.usuario ? (
+                            <Badge bg="success">
+                              <FaUserCheck className="me-1" />
+                              Plaza asignada
+                            </Badge>
+                          ) : (
+                            <Badge bg="secondary">
+                              <FaEnvelope className="me-1" />
+                              Invitación enviada
+                            </Badge>
+                          )}
+                        </td>
+                        {canEdit(group) && (
+                          <td className="text-end">
+                            <Button
+                              variant="outline-primary"
+                              size="sm"
+                              className="me-1"
+                              title="Sustituir"
+                              onClick={() => {
+                                setReplacing({ group, correo: asistente.correo });
+                                setReplacementEmail('');
+                              }}
+                            >
+                              <FaExchangeAlt />
+                            </Button>
+                            <Button
+                              variant="outline-danger"
+                              size="sm"
+                              title="Quitar"
+                              onClick={() => handleRemoveAttendee(group, asistente.correo)}
+                            >
+                              <FaTrash />
+                            </Button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+
+              {canEdit(group) && group.plazasLibres > 0 && (
+                <Form.Group className="mb-3">
+                  <Form.Label>
+                    <FaUserPlus className="me-1" />
+                    Asignar plazas libres ({group.plazasLibres})
+                  </Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={2}
+                    value={newAttendees[group._id] || ''}
+                    onChange={(e) => setNewAttendees(prev => ({ ...prev, [group._id]: e.target.value }))}
+                    placeholder="Un correo por línea o separados por comas"
+                  />
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    className="mt-2"
+                    disabled={submitting || !(newAttendees[group._id] || '').trim()}
+                    onClick={() => handleAddAttendees(group)}
+                  >
+                    Asignar
+                  </Button>
+                </Form.Group>
+              )}
+
+              {group.estado === 'cancelada' && group.motivoCancelacion && (
+                <small className="text-muted d-block">Motivo de la cancelación: {group.motivoCancelacion}</small>
+              )}
+
+              {canCancel(group) && (
+                <Button
+                  variant="outline-danger"
+                  size="sm"
+                  onClick={() => {
+                    setCancelling(group);
+                    setCancelReason('');
+                  }}
+                >
+                  <FaTimesCircle className="me-1" />
+                  Cancelar grupo
+                </Button>
+              )}
+            </Card.Body>
+          </Card>
+        ))
+      )}
+
+      {/* Modal de sustitución */}
+      <Modal show={!!replacing} onHide={() => setReplacing(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Sustituir Asistente</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleReplaceAttendee}>
+          <Modal.Body>
+            <p>
+              La plaza de <strong>{replacing?.correo}</strong> pasará a la persona que indiques.
+            </p>
+            <Form.Group>
+              <Form.Label>Correo del nuevo asistente</Form.Label>
+              <Form.Control
+                type="email"
+                value={replacementEmail}
+                onChange={(e) => setReplacementEmail(e.target.value)}
+                required
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setReplacing(null)}>
+              Cancelar
+            </Button>
+            <Button type="submit" variant="primary" disabled={submitting}>
+              Sustituir
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Modal de cancelación */}
+      <Modal show={!!cancelling} onHide={() => setCancelling(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Cancelar Reserva de Grupo</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            Se cancelarán las plazas de todos los asistentes de <strong>{cancelling?.curso.titulo}</strong> y
+            volverán a estar disponibles en el curso.
+          </p>
+          <Form.Group>
+            <Form.Label>Motivo (Opcional)</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+              maxLength={500}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setCancelling(null)}>
+            Volver
+          </Button>
+          <Button variant="danger" onClick={handleCancelGroup} disabled={submitting}>
+            Cancelar grupo
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default GroupBookingList;
@@ -2,8 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Badge, Alert, Modal, Form, Pagination } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { reservationService } from '../../services/api';
+import { reservationService, paymentService, refundService, invoiceService, describeCancellationPolicy, formatDuration } from '../../services/api';
 import { toast } from 'react-toastify';
+import { QRCodeSVG } from 'qrcode.react';
 import { 
   FaCalendarAlt, 
   FaClock, 
@@ -16,10 +17,25 @@ import {
   FaFilter,
   FaStar,
   FaDollarSign,
-  FaInfoCircle
+  FaInfoCircle,
+  FaQrcode,
+  FaUserCheck,
+  FaCertificate,
+  FaExchangeAlt,
+  FaRandom,
+  FaCreditCard,
+  FaFileUpload,
+  FaUndo,
+  FaFileInvoice
 } from 'react-icons/fa';
 import LoadingSpinner from '../common/LoadingSpinner';
 
+const REFUND_STATUS = {
+  pendiente: { label: 'Pendiente', variant: 'warning' },
+  procesado: { label: 'Procesado', variant: 'success' },
+  rechazado: { label: 'Rechazado', variant: 'secondary' }
+};
+
 const ReservationList = () => {
   const { user } = useAuth();
   const [reservations, setReservations] = useState([]);
@@ -38,11 +54,23 @@ const ReservationList = () => {
   const [showCancelModal, setShowCancelModal] = useState(false);
   const [selectedReservation, setSelectedReservation] = useState(null);
   const [cancelReason, setCancelReason] = useState('');
+  const [checkin, setCheckin] = useState(null);
+  const [transferReservation, setTransferReservation] = useState(null);
+  const [transferEmail, setTransferEmail] = useState('');
+  const [incomingTransfers, setIncomingTransfers] = useState([]);
+  const [reschedule, setReschedule] = useState(null);
+  const [rescheduleCourse, setRescheduleCourse] = useState('');
+  const [refunds, setRefunds] = useState({});
 
   useEffect(() => {
     loadReservations();
   }, [filters]);
 
+  useEffect(() => {
+    loadIncomingTransfers();
+    loadRefunds();
+  }, []);
+
   const loadReservations = async () => {
     try {
       setLoading(true);
@@ -68,6 +96,40 @@ const ReservationList = () => {
     }
   };
 
+  const loadIncomingTransfers = async () => {
+    try {
+      const response = await reservationService.getIncomingTransfers();
+      setIncomingTransfers(response.data.data);
+    } catch (error) {
+      console.error('Error cargando transferencias recibidas:', error);
+    }
+  };
+
+  const loadRefunds = async () => {
+    try {
+      const response = await refundService.getMyRefunds();
+      // Indexar por reserva; la lista llega del más reciente al más antiguo
+      const porReserva = {};
+      response.data.data.forEach(refund => {
+        if (!porReserva[refund.reserva]) porReserva[refund.reserva] = refund;
+      });
+      setRefunds(porReserva);
+    } catch (error) {
+      console.error('Error cargando reembolsos:', error);
+    }
+  };
+
+  const handleConvertToCredit = async (refund) => {
+    try {
+      const response = await refundService.convertToCredit(refund._id);
+      toast.success(response.data.message);
+      loadRefunds();
+    } catch (error) {
+      console.error('Error convirtiendo reembolso:', error);
+      toast.error(error.response?.data?.message || 'Error al convertir el reembolso en saldo');
+    }
+  };
+
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
     setFilters(prev => ({
@@ -87,9 +149,10 @@ const ReservationList = () => {
       setCancelReason('');
       toast.success('Reserva cancelada exitosamente');
       loadReservations();
+      loadRefunds();
     } catch (error) {
       console.error('Error cancelando reserva:', error);
-      toast.error('Error al cancelar la reserva');
+      toast.error(error.response?.data?.message || 'Error al cancelar la reserva');
     }
   };
 
@@ -98,6 +161,149 @@ const ReservationList = () => {
     setShowCancelModal(true);
   };
 
+  const openCheckinModal = async (reservation) => {
+    try {
+      const response = await reservationService.getCheckinToken(reservation._id);
+      setCheckin({ reservation, ...response.data.data });
+    } catch (error) {
+      console.error('Error obteniendo código de asistencia:', error);
+      toast.error(error.response?.data?.message || 'Error al obtener el código de asistencia');
+    }
+  };
+
+  const closeTransferModal = () => {
+    setTransferReservation(null);
+    setTransferEmail('');
+  };
+
+  const handleTransferReservation = async () => {
+    if (!transferReservation) return;
+
+    try {
+      const response = await reservationService.transferReservation(transferReservation._id, transferEmail);
+      closeTransferModal();
+      toast.success(response.data.message);
+      loadReservations();
+    } catch (error) {
+      console.error('Error solicitando transferencia:', error);
+      toast.error(error.response?.data?.message || 'Error al solicitar la transferencia');
+    }
+  };
+
+  const handleCancelTransfer = async (reservation) => {
+    try {
+      const response = await reservationService.cancelTransfer(reservation._id);
+      toast.success(response.data.message);
+      loadReservations();
+      loadIncomingTransfers();
+    } catch (error) {
+      console.error('Error anulando transferencia:', error);
+      toast.error(error.response?.data?.message || 'Error al anular la transferencia');
+    }
+  };
+
+  const handleAcceptTransfer = async (reservation) => {
+    try {
+      const response = await reservationService.acceptTransfer(reservation._id);
+      toast.success(response.data.message);
+      loadReservations();
+      loadIncomingTransfers();
+    } catch (error) {
+      console.error('Error aceptando transferencia:', error);
+      toast.error(error.response?.data?.message || 'Error al aceptar la transferencia');
+    }
+  };
+
+  const openRescheduleModal = async (reservation) => {
+    try {
+      const response = await reservationService.getRescheduleOptions(reservation._id);
+      setReschedule({ reservation, options: response.data.data });
+      setRescheduleCourse('');
+    } catch (error) {
+      console.error('Error cargando ediciones:', error);
+      toast.error(error.response?.data?.message || 'Error al cargar las otras ediciones');
+    }
+  };
+
+  const handleRescheduleReservation = async () => {
+    if (!reschedule || !rescheduleCourse) return;
+
+    try {
+      const response = await reservationService.rescheduleReservation(reschedule.reservation._id, rescheduleCourse);
+      setReschedule(null);
+      toast.success(response.data.message);
+      loadReservations();
+    } catch (error) {
+      console.error('Error cambiando de edición:', error);
+      toast.error(error.response?.data?.message || 'Error al cambiar de edición');
+    }
+  };
+
+  const handlePayReservation = async (reservation) => {
+    try {
+      const response = await paymentService.createIntent(reservation._id);
+      window.location.assign(response.data.data.urlPago);
+    } catch (error) {
+      console.error('Error iniciando pago:', error);
+      toast.error(error.response?.data?.message || 'Error al iniciar el pago');
+    }
+  };
+
+  const handleUploadReceipt = async (reservation, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const response = await paymentService.uploadReceipt(reservation._id, file);
+      toast.success(response.data.message);
+      loadReservations();
+    } catch (error) {
+      console.error('Error subiendo comprobante:', error);
+      toast.error(error.response?.data?.message || 'Error al subir el comprobante');
+    }
+  };
+
+  const handleDownloadCertificate = async (reservation) => {
+    try {
+      const response = await reservationService.downloadCertificate(reservation._id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `certificado-${reservation.curso.titulo}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error descargando certificado:', error);
+      toast.error('Error al descargar el certificado');
+    }
+  };
+
+  const handleDownloadInvoice = async (reservation) => {
+    try {
+      const response = await invoiceService.downloadInvoice(reservation._id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `factura-${reservation.curso.titulo}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error descargando factura:', error);
+      toast.error('Error al descargar la factura');
+    }
+  };
+
+  // Solo se factura lo efectivamente pagado (con dinero o saldo a favor)
+  const hasInvoice = (reservation) => {
+    return reservation.estadoPago === 'pagado' &&
+      (reservation.precioPagado || 0) + (reservation.creditoAplicado || 0) > 0;
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('es-ES', {
       year: 'numeric',
@@ -118,14 +324,18 @@ const ReservationList = () => {
       'pendiente': 'warning',
       'confirmada': 'success',
       'cancelada': 'danger',
-      'completada': 'info'
+      'completada': 'info',
+      'en_espera': 'secondary',
+      'no_asistio': 'dark'
     };
     
     const labels = {
       'pendiente': 'Pendiente',
       'confirmada': 'Confirmada',
       'cancelada': 'Cancelada',
-      'completada': 'Completada'
+      'completada': 'Completada',
+      'en_espera': 'En lista de espera',
+      'no_asistio': 'No asistió'
     };
 
     return <Badge bg={variants[estado]}>{labels[estado]}</Badge>;
@@ -147,9 +357,36 @@ const ReservationList = () => {
     return <Badge bg={variants[modalidad]}>{labels[modalidad]}</Badge>;
   };
 
+  // La política de cancelación del curso la evalúa el backend (virtual sePuedeCancelar)
   const canCancel = (reservation) => {
-    return ['pendiente', 'confirmada'].includes(reservation.estado) &&
-           new Date(reservation.curso.fechaInicio) > new Date();
+    return !!reservation.sePuedeCancelar;
+  };
+
+  // Las plazas de un grupo las cambia el organizador, no el asistente
+  const canTransfer = (reservation) => {
+    return !reservation.grupo &&
+      ['pendiente', 'confirmada'].includes(reservation.estado) &&
+      !reservation.transferenciaVigente &&
+      new Date(reservation.curso.fechaInicio) > new Date();
+  };
+
+  const canPay = (reservation) => {
+    return reservation.estado === 'pendiente' &&
+      reservation.estadoPago === 'pendiente' &&
+      reservation.metodoPago === 'tarjeta';
+  };
+
+  const canUploadReceipt = (reservation) => {
+    return reservation.estado === 'pendiente' &&
+      reservation.estadoPago === 'pendiente' &&
+      reservation.metodoPago === 'transferencia' &&
+      reservation.estadoComprobante !== 'pendiente';
+  };
+
+  const canReschedule = (reservation) => {
+    return !reservation.grupo &&
+      ['pendiente', 'confirmada'].includes(reservation.estado) &&
+      new Date(reservation.curso.fechaInicio) > new Date();
   };
 
   const canRate = (reservation) => {
@@ -212,6 +449,41 @@ const ReservationList = () => {
         </Col>
       </Row>
 
+      {/* Transferencias recibidas */}
+      {incomingTransfers.length > 0 && (
+        <Card className="mb-4 border-primary">
+          <Card.Header>
+            <FaExchangeAlt className="me-2" />
+            Transferencias recibidas
+          </Card.Header>
+          <Card.Body>
+            {incomingTransfers.map((transfer) => (
+              <div
+                key={transfer._id}
+                className="d-flex justify-content-between align-items-center py-2 border-bottom"
+              >
+                <div>
+                  <strong>{transfer.curso.titulo}</strong>
+                  <small className="text-muted d-block">
+                    {transfer.usuario.nombre} te cede su plaza · Inicio: {formatDate(transfer.curso.fechaInicio)}
+                    {' · '}Aceptar antes del {formatDate(transfer.transferenciaPendiente.expiraEn)}
+                  </small>
+                </div>
+                <div className="d-flex gap-2">
+                  <Button variant="success" size="sm" onClick={() => handleAcceptTransfer(transfer)}>
+                    <FaCheckCircle className="me-1" />
+                    Aceptar
+                  </Button>
+                  <Button variant="outline-secondary" size="sm" onClick={() => handleCancelTransfer(transfer)}>
+                    Rechazar
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </Card.Body>
+        </Card>
+      )}
+
       {/* Filtros */}
       <Card className="mb-4">
         <Card.Body>
@@ -229,6 +501,8 @@ const ReservationList = () => {
                   <option value="confirmada">Confirmadas</option>
                   <option value="cancelada">Canceladas</option>
                   <option value="completada">Completadas</option>
+                  <option value="en_espera">En lista de espera</option>
+                  <option value="no_asistio">No asistidas</option>
                 </Form.Select>
               </Form.Group>
             </Col>
@@ -304,7 +578,7 @@ const ReservationList = () => {
                             <FaClock className="me-1" />
                             Duración
                           </small>
-                          <small>{reservation.curso.duracion} horas</small>
+                          <small>{formatDuration(reservation.curso)}</small>
                         </div>
                       </div>
                     </div>
@@ -327,11 +601,23 @@ const ReservationList = () => {
                             Precio Pagado
                           </small>
                           <small>
-                            {reservation.precioPagado > 0 
-                              ? `$${reservation.precioPagado.toLocaleString()}`
-                              : 'Gratuito'
+                            {reservation.grupo
+                              ? 'Plaza de una reserva de grupo'
+                              : reservation.precioPagado > 0 
+                                ? `$${reservation.precioPagado.toLocaleString()}`
+                                : reservation.creditoAplicado > 0 ? '$0' : 'Gratuito'
                             }
                           </small>
+                          {reservation.descuento && (
+                            <small className="d-block text-muted">
+                              Código {reservation.descuento.codigo}: -${reservation.descuento.importe.toLocaleString()}
+                            </small>
+                          )}
+                          {reservation.creditoAplicado > 0 && (
+                            <small className="d-block text-muted">
+                              + ${reservation.creditoAplicado.toLocaleString()} de saldo a favor
+                            </small>
+                          )}
                         </div>
                         <div className="col-6">
                           <small className="text-muted d-block">
@@ -343,6 +629,111 @@ const ReservationList = () => {
                       </div>
                     </div>
 
+                    {canPay(reservation) && reservation.fechaLimitePago && (
+                      <Alert variant="warning" className="py-2">
+                        <small>
+                          <FaCreditCard className="me-1" />
+                          Pago pendiente. Completa el pago antes del {formatDate(reservation.fechaLimitePago)} a
+                          las {formatTime(reservation.fechaLimitePago)} o la reserva se cancelará.
+                        </small>
+                      </Alert>
+                    )}
+
+                    {reservation.metodoPago === 'transferencia' && reservation.estado === 'pendiente' && reservation.estadoPago === 'pendiente' && (
+                      <Alert
+                        variant={reservation.estadoComprobante === 'rechazado' ? 'danger' : 'warning'}
+                        className="py-2"
+                      >
+                        <small>
+                          <FaFileUpload className="me-1" />
+                          {reservation.estadoComprobante === 'pendiente' && 'Comprobante de transferencia en revisión.'}
+                          {reservation.estadoComprobante === 'rechazado' && (
+                            <>
+                              Tu comprobante fue rechazado. Motivo: {reservation.motivoRechazoComprobante}
+                              <br />
+                              Sube uno nuevo para confirmar la reserva.
+                            </>
+                          )}
+                          {!reservation.estadoComprobante && 'Sube el comprobante de la transferencia para confirmar la reserva.'}
+                        </small>
+                      </Alert>
+                    )}
+
+                    {refunds[reservation._id] ? (
+                      <div className="mb-3">
+                        <small className="text-muted d-block">
+                          <FaUndo className="me-1" />
+                          Reembolso
+                        </small>
+                        <small className="d-block">
+                          ${refunds[reservation._id].importeTotal.toLocaleString()}
+                          {' '}({refunds[reservation._id].porcentaje}%)
+                          {' '}<Badge bg={REFUND_STATUS[refunds[reservation._id].estado].variant}>
+                            {REFUND_STATUS[refunds[reservation._id].estado].label}
+                          </Badge>
+                        </small>
+                        {refunds[reservation._id].estado === 'procesado' && (
+                          <small className="d-block text-muted">
+                            {refunds[reservation._id].metodo === 'credito'
+                              ? 'Abonado como saldo a favor'
+                              : 'Devuelto por el medio de pago original'}
+                          </small>
+                        )}
+                        {refunds[reservation._id].estado === 'rechazado' && refunds[reservation._id].notas && (
+                          <small className="d-block text-muted">{refunds[reservation._id].notas}</small>
+                        )}
+                        {refunds[reservation._id].estado === 'pendiente' && (
+                          <Button
+                            variant="link"
+                            size="sm"
+                            className="p-0"
+                            onClick={() => handleConvertToCredit(refunds[reservation._id])}
+                          >
+                            Recibir como saldo a favor
+                          </Button>
+                        )}
+                      </div>
+                    ) : reservation.estado === 'cancelada' && reservation.porcentajeReembolso != null && reservation.precioPagado > 0 && (
+                      <div className="mb-3">
+                        <small className="text-muted d-block">Reembolso</small>
+                        <small>{reservation.porcentajeReembolso}% del precio pagado</small>
+                      </div>
+                    )}
+
+                    {['confirmada', 'completada'].includes(reservation.estado) && reservation.porcentajeAsistencia != null && (
+                      <div className="mb-3">
+                        <small className="text-muted d-block">
+                          <FaUserCheck className="me-1" />
+                          Asistencia
+                        </small>
+                        <small>
+                          {reservation.porcentajeAsistencia}% de las sesiones
+                          {reservation.curso.asistenciaMinima > 0 && ` (mínimo ${reservation.curso.asistenciaMinima}%)`}
+                        </small>
+                      </div>
+                    )}
+
+                    {reservation.transferenciaVigente && (
+                      <Alert variant="info" className="py-2 d-flex justify-content-between align-items-center">
+                        <small>
+                          <FaExchangeAlt className="me-1" />
+                          Transferencia pendiente de aceptar hasta el {formatDate(reservation.transferenciaPendiente.expiraEn)}
+                        </small>
+                        <Button variant="link" size="sm" className="p-0" onClick={() => handleCancelTransfer(reservation)}>
+                          Anular transferencia
+                        </Button>
+                      </Alert>
+                    )}
+
+                    {reservation.reprogramaciones?.length > 0 && (
+                      <div className="mb-3">
+                        <small className="text-muted">
+                          <FaRandom className="me-1" />
+                          Cambiada de edición el {formatDate(reservation.reprogramaciones[reservation.reprogramaciones.length - 1].fecha)}
+                        </small>
+                      </div>
+                    )}
+
                     {reservation.notas && (
                       <div className="mb-3">
                         <small className="text-muted d-block">Notas</small>
@@ -366,6 +757,63 @@ const ReservationList = () => {
                           Ver Curso
                         </Button>
                         
+                        {canPay(reservation) && (
+                          <Button
+                            variant="success"
+                            size="sm"
+                            onClick={() => handlePayReservation(reservation)}
+                          >
+                            <FaCreditCard className="me-1" />
+                            Pagar
+                          </Button>
+                        )}
+                        
+                        {canUploadReceipt(reservation) && (
+                          <Form.Label className="btn btn-success btn-sm mb-0">
+                            <FaFileUpload className="me-1" />
+                            Subir Comprobante
+                            <Form.Control
+                              type="file"
+                              accept="application/pdf,image/jpeg,image/png,image/webp"
+                              className="d-none"
+                              onChange={(e) => handleUploadReceipt(reservation, e)}
+                            />
+                          </Form.Label>
+                        )}
+                        
+                        {reservation.estado === 'confirmada' && (
+                          <Button
+                            variant="outline-success"
+                            size="sm"
+                            onClick={() => openCheckinModal(reservation)}
+                          >
+                            <FaQrcode className="me-1" />
+                            Código QR
+                          </Button>
+                        )}
+                        
+                        {canReschedule(reservation) && (
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            onClick={() => openRescheduleModal(reservation)}
+                          >
+                            <FaRandom className="me-1" />
+                            Cambiar Fecha
+                          </Button>
+                        )}
+                        
+                        {canTransfer(reservation) && (
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            onClick={() => setTransferReservation(reservation)}
+                          >
+                            <FaExchangeAlt className="me-1" />
+                            Transferir
+                          </Button>
+                        )}
+                        
                         {canCancel(reservation) && (
                           <Button
                             variant="outline-danger"
@@ -377,6 +825,28 @@ const ReservationList = () => {
                           </Button>
                         )}
                         
+                        {reservation.estado === 'completada' && (
+                          <Button
+                            variant="outline-info"
+                            size="sm"
+                            onClick={() => handleDownloadCertificate(reservation)}
+                          >
+                            <FaCertificate className="me-1" />
+                            Descargar Certificado
+                          </Button>
+                        )}
+                        
+                        {hasInvoice(reservation) && (
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            onClick={() => handleDownloadInvoice(reservation)}
+                          >
+                            <FaFileInvoice className="me-1" />
+                            Factura
+                          </Button>
+                        )}
+                        
                         {canRate(reservation) && (
                           <Button
                             variant="outline-warning"
@@ -415,6 +885,23 @@ const ReservationList = () => {
             <FaExclamationTriangle className="me-2" />
             ¿Estás seguro de que quieres cancelar tu reserva para "{selectedReservation?.curso.titulo}"?
           </Alert>
+
+          {selectedReservation && (
+            <Alert variant="info">
+              <FaInfoCircle className="me-2" />
+              <strong>Política de cancelación</strong>
+              <ul className="mb-0 mt-2">
+                {describeCancellationPolicy(selectedReservation.curso.politicaCancelacion).map((line, index) => (
+                  <li key={index}>{line}</li>
+                ))}
+              </ul>
+              {selectedReservation.precioPagado > 0 && (
+                <div className="mt-2">
+                  Reembolso si cancelas ahora: <strong>{selectedReservation.reembolsoSiCancela}%</strong>
+                </div>
+              )}
+            </Alert>
+          )}
           
           <Form.Group>
             <Form.Label>Motivo de Cancelación (Opcional)</Form.Label>
@@ -437,6 +924,117 @@ const ReservationList = () => {
           </Button>
         </Modal.Footer>
       </Modal>
+
+      {/* Modal de Cambio de Edición */}
+      <Modal show={!!reschedule} onHide={() => setReschedule(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Cambiar de Edición</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {reschedule && (
+            <>
+              <p>
+                Tu reserva actual: <strong>{reschedule.reservation.curso.titulo}</strong>,
+                del {formatDate(reschedule.reservation.curso.fechaInicio)}.
+              </p>
+              {reschedule.options.length === 0 ? (
+                <Alert variant="warning" className="mb-0">
+                  <FaExclamationTriangle className="me-2" />
+                  No hay otras ediciones de este curso con cupos disponibles.
+                </Alert>
+              ) : (
+                <>
+                  <Form.Group>
+                    <Form.Label>Nueva edición</Form.Label>
+                    {reschedule.options.map((option) => (
+                      <Form.Check
+                        key={option._id}
+                        type="radio"
+                        id={`edicion-${option._id}`}
+                        name="edicion"
+                        checked={rescheduleCourse === option._id}
+                        onChange={() => setRescheduleCourse(option._id)}
+                        label={`${formatDate(option.fechaInicio)} a las ${formatTime(option.fechaInicio)}` +
+                          `${option.ubicacion ? ` · ${option.ubicacion}` : ''} · ${option.cupoDisponible} cupos`}
+                      />
+                    ))}
+                  </Form.Group>
+                  <Alert variant="info" className="mt-3 mb-0">
+                    <FaInfoCircle className="me-2" />
+                    Conservas el pago realizado y tu plaza actual se libera al confirmar el cambio.
+                  </Alert>
+                </>
+              )}
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReschedule(null)}>
+            Cancelar
+          </Button>
+          <Button variant="primary" onClick={handleRescheduleReservation} disabled={!rescheduleCourse}>
+            <FaRandom className="me-1" />
+            Confirmar Cambio
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Modal de Transferencia */}
+      <Modal show={!!transferReservation} onHide={closeTransferModal}>
+        <Modal.Header closeButton>
+          <Modal.Title>Transferir Reserva</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Alert variant="info">
+            <FaInfoCircle className="me-2" />
+            Cede tu plaza en "{transferReservation?.curso.titulo}" a otro usuario registrado.
+            La reserva pasará a su nombre cuando la acepte; hasta entonces puedes anular la transferencia.
+          </Alert>
+
+          <Form.Group>
+            <Form.Label>Correo del destinatario</Form.Label>
+            <Form.Control
+              type="email"
+              value={transferEmail}
+              onChange={(e) => setTransferEmail(e.target.value)}
+              placeholder="correo@ejemplo.com"
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeTransferModal}>
+            Cancelar
+          </Button>
+          <Button variant="primary" onClick={handleTransferReservation} disabled={!transferEmail}>
+            <FaExchangeAlt className="me-1" />
+            Enviar Transferencia
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Modal del código QR de asistencia */}
+      <Modal show={!!checkin} onHide={() => setCheckin(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Código de Asistencia</Modal.Title>
+        </Modal.Header>
+        <Modal.Body className="text-center">
+          {checkin && (
+            <>
+              <h6 className="mb-3">{checkin.reservation.curso.titulo}</h6>
+              <QRCodeSVG value={checkin.token} size={240} includeMargin />
+              <p className="text-muted small mt-3 mb-0">
+                Muestra este código al llegar a cada sesión para registrar tu asistencia.
+                Válido hasta el {formatDate(checkin.expiraEn)}.
+              </p>
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setCheckin(null)}>
+            Cerrar
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Container>
   );
 };
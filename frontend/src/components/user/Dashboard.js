@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Badge, Button, Alert } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { courseService, reservationService } from '../../services/api';
+import { authService, courseService, reservationService } from '../../services/api';
 import { toast } from 'react-toastify';
 import { 
   FaGraduationCap, 
@@ -12,13 +12,15 @@ import {
   FaTimesCircle,
   FaExclamationTriangle,
   FaUser,
-  FaChartLine
+  FaChartLine,
+  FaEnvelope
 } from 'react-icons/fa';
 import LoadingSpinner from '../common/LoadingSpinner';
 
 const Dashboard = () => {
   const { user } = useAuth();
   const [loading, setLoading] = useState(true);
+  const [resending, setResending] = useState(false);
   const [stats, setStats] = useState({
     totalReservations: 0,
     activeReservations: 0,
@@ -85,14 +87,16 @@ const Dashboard = () => {
       'pendiente': 'warning',
       'confirmada': 'success',
       'cancelada': 'danger',
-      'completada': 'info'
+      'completada': 'info',
+      'no_asistio': 'dark'
     };
     
     const labels = {
       'pendiente': 'Pendiente',
       'confirmada': 'Confirmada',
       'cancelada': 'Cancelada',
-      'completada': 'Completada'
+      'completada': 'Completada',
+      'no_asistio': 'No asistió'
     };
 
     return <Badge bg={variants[estado]}>{labels[estado]}</Badge>;
@@ -106,6 +110,18 @@ const Dashboard = () => {
     });
   };
 
+  const handleResendVerification = async () => {
+    try {
+      setResending(true);
+      const response = await authService.resendVerification();
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error reenviando verificación:', error);
+    } finally {
+      setResending(false);
+    }
+  };
+
   if (loading) {
     return <LoadingSpinner />;
   }
@@ -124,6 +140,34 @@ const Dashboard = () => {
         </Col>
       </Row>
 
+      {/* Correo sin verificar o cambio de correo pendiente */}
+      {(user?.correoVerificado === false || user?.correoPendiente) && (
+        <Alert variant="warning" className="d-flex flex-wrap align-items-center justify-content-between gap-2 mb-4">
+          <div>
+            <FaEnvelope className="me-2" />
+            {user.correoPendiente ? (
+              <>
+                Confirma tu nuevo correo <strong>{user.correoPendiente}</strong> con el enlace que te
+                enviamos. Hasta entonces seguimos usando {user.correo}.
+              </>
+            ) : (
+              <>
+                Verifica tu correo <strong>{user.correo}</strong> con el enlace que te enviamos
+                para poder reservar sin restricciones.
+              </>
+            )}
+          </div>
+          <Button
+            variant="outline-dark"
+            size="sm"
+            onClick={handleResendVerification}
+            disabled={resending}
+          >
+            {resending ? 'Enviando...' : 'Reenviar enlace'}
+          </Button>
+        </Alert>
+      )}
+
       {/* Estadísticas */}
       <Row className="mb-4">
         <Col md={3} className="mb-3">
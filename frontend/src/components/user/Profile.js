@@ -11,12 +11,14 @@ import {
   FaSave, 
   FaTimes,
   FaShieldAlt,
-  FaGraduationCap
+  FaGraduationCap,
+  FaFileInvoice,
+  FaSignOutAlt
 } from 'react-icons/fa';
 import LoadingSpinner from '../common/LoadingSpinner';
 
 const Profile = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, logoutAll } = useAuth();
   const [loading, setLoading] = useState(false);
   const [editing, setEditing] = useState(false);
   const [formData, setFormData] = useState({
@@ -24,7 +26,9 @@ const Profile = () => {
     correo: '',
     telefono: '',
     direccion: '',
-    fechaNacimiento: ''
+    fechaNacimiento: '',
+    idioma: 'es',
+    datosFacturacion: { nif: '', razonSocial: '', direccion: '' }
   });
   const [passwordData, setPasswordData] = useState({
     currentPassword: '',
@@ -39,7 +43,13 @@ const Profile = () => {
         correo: user.correo || '',
         telefono: user.telefono || '',
         direccion: user.direccion || '',
-        fechaNacimiento: user.fechaNacimiento ? user.fechaNacimiento.split('T')[0] : ''
+        fechaNacimiento: user.fechaNacimiento ? user.fechaNacimiento.split('T')[0] : '',
+        idioma: user.idioma || 'es',
+        datosFacturacion: {
+          nif: user.datosFacturacion?.nif || '',
+          razonSocial: user.datosFacturacion?.razonSocial || '',
+          direccion: user.datosFacturacion?.direccion || ''
+        }
       });
     }
   }, [user]);
@@ -52,6 +62,14 @@ const Profile = () => {
     }));
   };
 
+  const handleBillingChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      datosFacturacion: { ...prev.datosFacturacion, [name]: value }
+    }));
+  };
+
   const handlePasswordChange = (e) => {
     const { name, value } = e.target;
     setPasswordData(prev => ({
@@ -68,7 +86,7 @@ const Profile = () => {
       const response = await userService.updateProfile(formData);
       updateUser(response.data.data);
       setEditing(false);
-      toast.success('Perfil actualizado correctamente');
+      toast.success(response.data.message || 'Perfil actualizado correctamente');
     } catch (error) {
       console.error('Error actualizando perfil:', error);
       toast.error(error.response?.data?.message || 'Error al actualizar el perfil');
@@ -77,6 +95,14 @@ const Profile = () => {
     }
   };
 
+  const handleLogoutAll = async () => {
+    if (!window.confirm('¿Cerrar la sesión en todos tus dispositivos?')) {
+      return;
+    }
+
+    await logoutAll();
+  };
+
   const handlePasswordSubmit = async (e) => {
     e.preventDefault();
     
@@ -179,6 +205,15 @@ const Profile = () => {
                         disabled={!editing}
                         required
                       />
+                      {user?.correoPendiente ? (
+                        <Form.Text className="text-warning">
+                          Pendiente de confirmar: {user.correoPendiente}
+                        </Form.Text>
+                      ) : user?.correoVerificado === false && (
+                        <Form.Text className="text-warning">
+                          Correo sin verificar
+                        </Form.Text>
+                      )}
                     </Form.Group>
                   </Col>
                 </Row>
@@ -210,6 +245,19 @@ const Profile = () => {
                   </Col>
                 </Row>
 
+                <Form.Group className="mb-3">
+                  <Form.Label>Idioma de las notificaciones</Form.Label>
+                  <Form.Select
+                    name="idioma"
+                    value={formData.idioma}
+                    onChange={handleInputChange}
+                    disabled={!editing}
+                  >
+                    <option value="es">Español</option>
+                    <option value="en">English</option>
+                  </Form.Select>
+                </Form.Group>
+
                 <Form.Group className="mb-3">
                   <Form.Label>Dirección</Form.Label>
                   <Form.Control
@@ -222,6 +270,55 @@ const Profile = () => {
                   />
                 </Form.Group>
 
+                <h6 className="mt-4 mb-3">
+                  <FaFileInvoice className="me-2" />
+                  Datos de facturación
+                </h6>
+                <p className="text-muted small">
+                  Opcionales. Si los completas, se imprimirán en las facturas de tus próximas reservas.
+                </p>
+
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Razón social</Form.Label>
+                      <Form.Control
+                        type="text"
+                        name="razonSocial"
+                        value={formData.datosFacturacion.razonSocial}
+                        onChange={handleBillingChange}
+                        maxLength={100}
+                        disabled={!editing}
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>NIF / Identificación fiscal</Form.Label>
+                      <Form.Control
+                        type="text"
+                        name="nif"
+                        value={formData.datosFacturacion.nif}
+                        onChange={handleBillingChange}
+                        maxLength={20}
+                        disabled={!editing}
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
+
+                <Form.Group className="mb-3">
+                  <Form.Label>Dirección fiscal</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="direccion"
+                    value={formData.datosFacturacion.direccion}
+                    onChange={handleBillingChange}
+                    maxLength={200}
+                    disabled={!editing}
+                  />
+                </Form.Group>
+
                 {editing && (
                   <div className="text-end">
                     <Button type="submit" variant="primary" disabled={loading}>
@@ -327,6 +424,22 @@ const Profile = () => {
               </Form>
             </Card.Body>
           </Card>
+
+          {/* Sesiones */}
+          <Card className="mt-4">
+            <Card.Body className="d-flex flex-wrap align-items-center justify-content-between gap-2">
+              <div>
+                <h6 className="mb-1">Sesiones abiertas</h6>
+                <p className="text-muted small mb-0">
+                  Cierra la sesión en todos los dispositivos donde hayas iniciado sesión, incluido este.
+                </p>
+              </div>
+              <Button variant="outline-danger" onClick={handleLogoutAll}>
+                <FaSignOutAlt className="me-1" />
+                Cerrar todas las sesiones
+              </Button>
+            </Card.Body>
+          </Card>
         </Col>
       </Row>
     </Container>
@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { jwtDecode } from 'jwt-decode';
-import api from '../services/api';
+import api, { refreshSession } from '../services/api';
 import { toast } from 'react-toastify';
 
 const AuthContext = createContext();
@@ -28,9 +28,9 @@ export const AuthProvider = ({ children }) => {
           const currentTime = Date.now() / 1000;
           
           if (decoded.exp < currentTime) {
-            // Token expirado
-            logout();
-            return;
+            // El token de acceso dura poco: la cookie de renovación mantiene la sesión
+            const newToken = await refreshSession();
+            setToken(newToken);
           }
 
           // Obtener información del usuario
@@ -39,14 +39,15 @@ export const AuthProvider = ({ children }) => {
         }
       } catch (error) {
         console.error('Error inicializando autenticación:', error);
-        logout();
+        clearSession();
       } finally {
         setLoading(false);
       }
     };
 
     initializeAuth();
-  }, [token]);
+    // Solo al cargar: login y registro ya dejan el usuario en el estado
+  }, []);
 
   // Función de login
   const login = async (email, password) => {
@@ -105,22 +106,36 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Función de logout
-  const logout = () => {
-    // Llamar al endpoint de logout si hay token
-    if (token) {
-      api.post('/auth/logout').catch(console.error);
-    }
-
-    // Limpiar estado local
+  // Limpiar la sesión del navegador
+  const clearSession = () => {
     localStorage.removeItem('token');
     setToken(null);
     setUser(null);
     delete api.defaults.headers.common['Authorization'];
+  };
+
+  // Función de logout (cierra la sesión de este dispositivo)
+  const logout = () => {
+    // El servidor revoca la cookie de renovación aunque el token de acceso haya caducado
+    api.post('/auth/logout').catch(console.error);
 
+    clearSession();
     toast.info('Sesión cerrada');
   };
 
+  // Función para cerrar la sesión en todos los dispositivos
+  const logoutAll = async () => {
+    try {
+      await api.post('/auth/logout-all');
+      clearSession();
+      toast.info('Sesión cerrada en todos los dispositivos');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Error al cerrar las sesiones';
+      return { success: false, error: message };
+    }
+  };
+
   // Función para actualizar perfil
   const updateProfile = async (profileData) => {
     try {
@@ -138,6 +153,18 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Función para reemplazar los datos del usuario con los devueltos por la API
+  const updateUser = (userData) => {
+    setUser(userData);
+  };
+
+  // Función para volver a cargar el usuario (p. ej. tras verificar el correo)
+  const reloadUser = async () => {
+    const response = await api.get('/auth/me');
+    setUser(response.data.data);
+    return response.data.data;
+  };
+
   // Función para cambiar contraseña
   const changePassword = async (passwordData) => {
     try {
@@ -158,12 +185,8 @@ export const AuthProvider = ({ children }) => {
   // Función para renovar token
   const refreshToken = async () => {
     try {
-      const response = await api.post('/auth/refresh');
-      const { token: newToken } = response.data;
-      
-      localStorage.setItem('token', newToken);
+      const newToken = await refreshSession();
       setToken(newToken);
-      api.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
       
       return { success: true };
     } catch (error) {
@@ -191,7 +214,10 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutAll,
     updateProfile,
+    updateUser,
+    reloadUser,
     changePassword,
     refreshToken
   };
@@ -5,11 +5,58 @@ import { toast } from 'react-toastify';
 const api = axios.create({
   baseURL: process.env.REACT_APP_API_URL || 'http://localhost:3001/api',
   timeout: 10000,
+  // La cookie httpOnly del token de renovación debe viajar a /auth
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Rutas de sesión cuyo 401 no se intenta arreglar renovando el token
+const SESSION_ROUTES = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// Ruta de una petición sin parámetros de consulta, para compararla con SESSION_ROUTES
+const routePath = (url = '') => url.split('?')[0];
+
+// Renovación en curso: las peticiones que fallan a la vez esperan a la misma,
+// porque cada cookie de renovación solo se puede canjear una vez
+let refreshPromise = null;
+
+const postRefresh = () => api.post('/auth/refresh').then((response) => response.data.token);
+
+// Las pestañas comparten la cookie: la renovación se serializa entre ellas y, si otra
+// pestaña ya renovó mientras esperábamos, se usa su token en lugar de canjear la cookie
+const refreshAcrossTabs = () => {
+  if (!navigator.locks) {
+    return postRefresh();
+  }
+
+  const previousToken = localStorage.getItem('token');
+  return navigator.locks.request('auth-refresh', () => {
+    const currentToken = localStorage.getItem('token');
+    if (currentToken && currentToken !== previousToken) {
+      return currentToken;
+    }
+    return postRefresh();
+  });
+};
+
+// Canjear la cookie de renovación por un token de acceso nuevo
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = refreshAcrossTabs()
+      .then((newToken) => {
+        localStorage.setItem('token', newToken);
+        api.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+        return newToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Interceptor para agregar token a las peticiones
 api.interceptors.request.use(
   (config) => {
@@ -32,19 +79,17 @@ api.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
 
+    const isSessionRoute = SESSION_ROUTES.includes(routePath(originalRequest?.url));
+    const hadSession = !!localStorage.getItem('token');
+
     // Si el error es 401 y no hemos intentado renovar el token
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && !originalRequest._retry && !isSessionRoute && hadSession) {
       originalRequest._retry = true;
 
       try {
-        // Intentar renovar el token
-        const response = await api.post('/auth/refresh');
-        const { token: newToken } = response.data;
-        
-        // Guardar nuevo token
-        localStorage.setItem('token', newToken);
-        api.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
-        
+        // Intentar renovar el token con la cookie de renovación
+        const newToken = await refreshSession();
+
         // Reintentar la petición original
         originalRequest.headers.Authorization = `Bearer ${newToken}`;
         return api(originalRequest);
@@ -84,9 +129,14 @@ export const authService = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
   logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
   me: () => api.get('/auth/me'),
   refresh: () => api.post('/auth/refresh'),
   changePassword: (passwordData) => api.put('/auth/change-password', passwordData),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  forgotPassword: (correo) => api.post('/auth/forgot-password', { correo }),
+  resetPassword: (token, nuevaContraseña) => api.post('/auth/reset-password', { token, nuevaContraseña }),
 };
 
 // Servicios de usuarios
@@ -105,13 +155,21 @@ export const userService = {
 // Servicios de cursos
 export const courseService = {
   getAllCourses: (params) => api.get('/courses', { params }),
-  getCourseById: (id) => api.get(`/courses/${id}`),
+  getCourseById: (id, params) => api.get(`/courses/${id}`, { params }),
   getActiveCourses: () => api.get('/courses/active'),
   getCategories: () => api.get('/courses/categories'),
   // Admin endpoints
+  getAtRiskCourses: () => api.get('/courses/admin/at-risk'),
   createCourse: (courseData) => api.post('/courses', courseData),
   updateCourse: (id, courseData) => api.put(`/courses/${id}`, courseData),
   deleteCourse: (id) => api.delete(`/courses/${id}`),
+  getSessions: (id) => api.get(`/courses/${id}/sessions`),
+  createSession: (id, sessionData) => api.post(`/courses/${id}/sessions`, sessionData),
+  updateSession: (id, sessionId, sessionData) => api.put(`/courses/${id}/sessions/${sessionId}`, sessionData),
+  deleteSession: (id, sessionId) => api.delete(`/courses/${id}/sessions/${sessionId}`),
+  getInvitations: (id) => api.get(`/courses/${id}/invitations`),
+  createInvitation: (id, invitationData) => api.post(`/courses/${id}/invitations`, invitationData),
+  revokeInvitation: (id, invitationId) => api.put(`/courses/${id}/invitations/${invitationId}/revoke`),
 };
 
 // Servicios de reservas
@@ -120,13 +178,118 @@ export const reservationService = {
   getReservationById: (id) => api.get(`/reservations/${id}`),
   createReservation: (reservationData) => api.post('/reservations', reservationData),
   cancelReservation: (id, motivo) => api.put(`/reservations/${id}/cancel`, { motivo }),
+  getRescheduleOptions: (id) => api.get(`/reservations/${id}/reschedule/options`),
+  rescheduleReservation: (id, cursoId, motivo) => api.put(`/reservations/${id}/reschedule`, { cursoId, motivo }),
   rateCourse: (id, ratingData) => api.put(`/reservations/${id}/rate`, ratingData),
+  joinWaitlist: (waitlistData) => api.post('/reservations/waitlist', waitlistData),
+  getWaitlistPosition: (cursoId) => api.get(`/reservations/waitlist/${cursoId}`),
+  leaveWaitlist: (cursoId) => api.delete(`/reservations/waitlist/${cursoId}`),
+  getCheckinToken: (id) => api.get(`/reservations/${id}/checkin-token`),
+  downloadCertificate: (id) => api.get(`/certificates/reservation/${id}`, { responseType: 'blob' }),
+  transferReservation: (id, correo) => api.post(`/reservations/${id}/transfer`, { correo }),
+  cancelTransfer: (id) => api.delete(`/reservations/${id}/transfer`),
+  acceptTransfer: (id) => api.post(`/reservations/${id}/transfer/accept`),
+  getIncomingTransfers: () => api.get('/reservations/transfers/incoming'),
   // Admin endpoints
   getAllReservations: (params) => api.get('/reservations/admin/all', { params }),
+  getCourseWaitlist: (cursoId) => api.get(`/reservations/admin/waitlist/${cursoId}`),
   confirmReservation: (id) => api.put(`/reservations/admin/${id}/confirm`),
   completeReservation: (id) => api.put(`/reservations/admin/${id}/complete`),
 };
 
+// Servicios de reservas de grupo
+export const groupBookingService = {
+  getMyGroupBookings: () => api.get('/group-bookings'),
+  getGroupBookingById: (id) => api.get(`/group-bookings/${id}`),
+  createGroupBooking: (groupData) => api.post('/group-bookings', groupData),
+  addAttendees: (id, correos) => api.post(`/group-bookings/${id}/attendees`, { correos }),
+  replaceAttendee: (id, correo, nuevoCorreo) => api.put(`/group-bookings/${id}/attendees`, { correo, nuevoCorreo }),
+  removeAttendee: (id, correo) => api.delete(`/group-bookings/${id}/attendees/${encodeURIComponent(correo)}`),
+  cancelGroupBooking: (id, motivo) => api.put(`/group-bookings/${id}/cancel`, { motivo }),
+  // Admin endpoints
+  getAllGroupBookings: (params) => api.get('/group-bookings/admin/all', { params }),
+  confirmGroupBooking: (id) => api.put(`/group-bookings/admin/${id}/confirm`),
+};
+
+// Servicios de plantillas de cursos (admin)
+export const courseTemplateService = {
+  getTemplates: (params) => api.get('/course-templates', { params }),
+  getTemplateById: (id) => api.get(`/course-templates/${id}`),
+  createTemplate: (templateData) => api.post('/course-templates', templateData),
+  updateTemplate: (id, templateData, propagar = false) =>
+    api.put(`/course-templates/${id}`, templateData, { params: { propagar } }),
+  deleteTemplate: (id) => api.delete(`/course-templates/${id}`),
+  previewEditions: (id) => api.get(`/course-templates/${id}/preview`),
+  generateEditions: (id, fechas) => api.post(`/course-templates/${id}/generate`, { fechas }),
+};
+
+// Servicios de asistencia (admin)
+export const attendanceService = {
+  checkIn: (token, sesionId) => api.post('/attendance/check-in', { token, sesionId }),
+  getRoster: (cursoId) => api.get(`/attendance/courses/${cursoId}`),
+  markAttendance: (cursoId, reservaId, sesionId, presente) =>
+    api.put(`/attendance/courses/${cursoId}/reservations/${reservaId}`, { sesionId, presente }),
+};
+
+// Servicios de pagos
+export const paymentService = {
+  createIntent: (reservaId) => api.post(`/payments/reservations/${reservaId}/intent`),
+  getReservationPayments: (reservaId) => api.get(`/payments/reservations/${reservaId}`),
+  // Pasarela simulada (solo desarrollo)
+  getMockPayment: (referencia) => api.get(`/payments/mock/${referencia}`),
+  simulateMockPayment: (referencia, resultado) => api.post(`/payments/mock/${referencia}/simulate`, { resultado }),
+  // Comprobantes de transferencia
+  uploadReceipt: (reservaId, file) => {
+    const formData = new FormData();
+    formData.append('comprobante', file);
+    return api.post(`/payments/reservations/${reservaId}/receipt`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  getReceiptFile: (id) => api.get(`/payments/receipts/${id}/file`, { responseType: 'blob' }),
+  // Admin endpoints
+  getReceipts: (params) => api.get('/payments/receipts/admin', { params }),
+  approveReceipt: (id) => api.put(`/payments/receipts/admin/${id}/approve`),
+  rejectReceipt: (id, motivo) => api.put(`/payments/receipts/admin/${id}/reject`, { motivo }),
+  getRevenueSummary: (params) => api.get('/payments/admin/revenue', { params }),
+};
+
+// Servicios de reembolsos
+export const refundService = {
+  getMyRefunds: () => api.get('/refunds'),
+  convertToCredit: (id) => api.put(`/refunds/${id}/credit`),
+  // Admin endpoints
+  getRefunds: (params) => api.get('/refunds/admin', { params }),
+  processRefund: (id, data) => api.put(`/refunds/admin/${id}/process`, data),
+  rejectRefund: (id, notas) => api.put(`/refunds/admin/${id}/reject`, { notas }),
+};
+
+// Servicios de facturas
+export const invoiceService = {
+  getMyInvoices: () => api.get('/invoices'),
+  downloadInvoice: (reservaId) => api.get(`/invoices/reservation/${reservaId}`, { responseType: 'blob' }),
+  // Admin endpoints
+  getInvoices: (params) => api.get('/invoices/admin', { params }),
+  exportInvoices: (params) => api.get('/invoices/admin/export', { params, responseType: 'blob' }),
+};
+
+// Servicios de códigos de descuento
+export const discountService = {
+  validateCode: (codigo, cursoId) => api.post('/discount-codes/validate', { codigo, cursoId }),
+  // Admin endpoints
+  getCodes: (params) => api.get('/discount-codes/admin', { params }),
+  getCode: (id) => api.get(`/discount-codes/admin/${id}`),
+  createCode: (codeData) => api.post('/discount-codes/admin', codeData),
+  updateCode: (id, codeData) => api.put(`/discount-codes/admin/${id}`, codeData),
+  deleteCode: (id) => api.delete(`/discount-codes/admin/${id}`),
+};
+
+// Servicios de notificaciones (admin)
+export const notificationService = {
+  getNotifications: (params) => api.get('/notifications/admin', { params }),
+  retryNotification: (id) => api.post(`/notifications/admin/${id}/retry`),
+};
+
 // Función para manejar errores de red
 export const handleNetworkError = (error) => {
   if (error.code === 'ECONNABORTED') {
@@ -159,6 +322,97 @@ export const formatPrice = (price) => {
   }).format(price);
 };
 
+// Función para formatear la duración de un curso según su unidad (horas o días)
+export const formatDuration = (course) => {
+  if (!course || course.duracion === null || course.duracion === undefined) return '';
+  if (course.unidadDuracion === 'horas') {
+    return `${course.duracion} ${course.duracion === 1 ? 'hora' : 'horas'}`;
+  }
+  return `${course.duracion} ${course.duracion === 1 ? 'día' : 'días'}`;
+};
+
+// Función para formatear una antelación en horas (ej: 48 -> "2 días")
+export const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '';
+  if (hours >= 24 && hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} ${days === 1 ? 'día' : 'días'}`;
+  }
+  return `${hours} ${hours === 1 ? 'hora' : 'horas'}`;
+};
+
+// Función para formatear el tiempo que falta hasta una fecha (ej: "3 d 4 h", "12 min")
+export const formatCountdown = (targetDate, now = new Date()) => {
+  const totalMinutes = Math.max(0, Math.ceil((new Date(targetDate) - now) / 60000));
+  const days = Math.floor(totalMinutes / (60 * 24));
+  const hours = Math.floor((totalMinutes % (60 * 24)) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return hours > 0 ? `${days} d ${hours} h` : `${days} d`;
+  if (hours > 0) return minutes > 0 ? `${hours} h ${minutes} min` : `${hours} h`;
+  return `${minutes} min`;
+};
+
+// Función para obtener el estado de la ventana de inscripción de un curso en un momento dado
+// (mismo criterio que el servidor: proxima, abierta o cerrada)
+export const getEnrollmentStatus = (course, now = new Date()) => {
+  const cierre = new Date(course.inscripcionCierra || course.fechaInicio);
+  if (course.inscripcionAbre && now < new Date(course.inscripcionAbre)) {
+    return { estado: 'proxima', fecha: new Date(course.inscripcionAbre) };
+  }
+  if (now >= cierre) {
+    return { estado: 'cerrada', fecha: cierre };
+  }
+  return { estado: 'abierta', fecha: cierre };
+};
+
+// Función para describir el próximo cambio de precio de un curso
+export const describePriceChange = (cambio) => {
+  if (!cambio) return null;
+  const precio = cambio.precio > 0 ? `$${cambio.precio.toLocaleString()}` : 'gratuito';
+  if (cambio.cuposRestantes) {
+    return cambio.cuposRestantes === 1
+      ? `Última plaza a este precio; después, ${precio}`
+      : `Quedan ${cambio.cuposRestantes} plazas a este precio; después, ${precio}`;
+  }
+  const fecha = new Date(cambio.fecha).toLocaleDateString('es-ES', { day: 'numeric', month: 'long' });
+  return `Desde el ${fecha}, ${precio}`;
+};
+
+// Función para obtener la lista de correos escrita a mano (separados por comas, punto y coma o saltos de línea)
+export const parseEmailList = (text) => {
+  const correos = text
+    .split(/[\s,;]+/)
+    .map(correo => correo.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(correos)];
+};
+
+// Función para describir la política de cancelación de un curso
+export const describeCancellationPolicy = (policy) => {
+  const horasLimite = policy?.horasLimite ?? 48;
+  const lines = [
+    horasLimite > 0
+      ? `Puedes cancelar hasta ${formatHours(horasLimite)} antes del inicio del curso.`
+      : 'Puedes cancelar hasta el inicio del curso.'
+  ];
+
+  if (policy?.permitirPendientes === false) {
+    lines.push('Las reservas pendientes de confirmación no se pueden cancelar.');
+  }
+
+  const tiers = [...(policy?.tramosReembolso || [])].sort((a, b) => b.horasAntes - a.horasAntes);
+  if (tiers.length === 0) {
+    lines.push('Las cancelaciones dentro del plazo reciben un reembolso del 100%.');
+  } else {
+    tiers.forEach((tier) => {
+      lines.push(`Reembolso del ${tier.porcentaje}% si cancelas con al menos ${formatHours(tier.horasAntes)} de antelación.`);
+    });
+  }
+
+  return lines;
+};
+
 // Función para obtener el estado de un curso
 export const getCourseStatus = (course) => {
   if (!course) return '';
@@ -191,6 +445,10 @@ export const getReservationStatus = (reservation) => {
       return 'pendiente';
     case 'completada':
       return 'completada';
+    case 'en_espera':
+      return 'en_espera';
+    case 'no_asistio':
+      return 'no_asistio';
     default:
       return 'pendiente';
   }